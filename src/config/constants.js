@@ -19,12 +19,103 @@ module.exports = {
     FORBIDDEN: 403,
     NOT_FOUND: 404,
     CONFLICT: 409,
+    TOO_MANY_REQUESTS: 429,
     INTERNAL_SERVER_ERROR: 500
   },
   
-  JWT_EXPIRES_IN: process.env.JWT_EXPIRES_IN || '24h',
+  // Lifetime of access tokens (JWT); clients renew them with their refresh token (POST /api/auth/refresh)
+  JWT_EXPIRES_IN: process.env.JWT_EXPIRES_IN || '15m',
 
-  // Inspection Types
+  // Sessions: one per sign-in, holding the hash of its rotating refresh token (models/Session)
+  AUTH_SESSIONS: {
+    REFRESH_TOKEN_TTL_DAYS: Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 30,
+    // Signing in beyond this revokes the least recently used sessions
+    MAX_ACTIVE_PER_USER: 10,
+    REVOKE_REASONS: {
+      LOGOUT: 'logout',
+      REVOKED_BY_USER: 'revoked_by_user',
+      FORCED_BY_ADMIN: 'forced_by_admin',
+      USER_DEACTIVATED: 'user_deactivated',
+      PASSWORD_CHANGED: 'password_changed',
+      TOKEN_REUSE: 'refresh_token_reuse',
+      SESSION_LIMIT: 'session_limit'
+    }
+  },
+
+  // Brute-force protection for sign-in (services/authProtectionService.js); counters live in MongoDB
+  AUTH_PROTECTION: {
+    OTP_EXPIRY_MINUTES: 10,
+    // Wrong codes before an OTP stops working (a new one must be requested)
+    OTP_MAX_ATTEMPTS: 5,
+    // Rate limits per action: at most `perEmail` / `perIp` attempts in each window (omitted = no limit)
+    RATE_LIMITS: {
+      otp_send: { windowMinutes: 15, perEmail: 5, perIp: 20 },
+      otp_verify: { windowMinutes: 15, perEmail: 10, perIp: 50 },
+      password_login: { windowMinutes: 15, perEmail: 10, perIp: 50 },
+      password_reset_request: { windowMinutes: 15, perEmail: 3, perIp: 20 },
+      password_reset: { windowMinutes: 15, perIp: 20 },
+      password_change: { windowMinutes: 15, perEmail: 10, perIp: 50 },
+      two_factor_verify: { windowMinutes: 15, perEmail: 10, perIp: 50 }
+    },
+    // Consecutive failed sign-ins that lock the account; each lockout doubles, up to the maximum
+    LOCKOUT_THRESHOLD: 5,
+    LOCKOUT_BASE_MINUTES: 5,
+    LOCKOUT_MAX_MINUTES: 24 * 60,
+    AUDIT_RETENTION_DAYS: 90,
+    ACTIONS: {
+      OTP_SEND: 'otp_send',
+      OTP_VERIFY: 'otp_verify',
+      PASSWORD_LOGIN: 'password_login',
+      PASSWORD_RESET_REQUEST: 'password_reset_request',
+      PASSWORD_RESET: 'password_reset',
+      PASSWORD_CHANGE: 'password_change',
+      TWO_FACTOR_VERIFY: 'two_factor_verify',
+      TWO_FACTOR_RESET: 'two_factor_reset'
+    },
+    OUTCOMES: {
+      SUCCESS: 'success',
+      FAILURE: 'failure',
+      RATE_LIMITED: 'rate_limited',
+      LOCKED: 'locked'
+    }
+  },
+
+  // Password rules for admin and inspector accounts (utils/passwordPolicy.js), checked by the Joi schemas and
+  // User pre-save. Existing passwords are not re-checked.
+  PASSWORD_POLICY: {
+    MIN_LENGTH: Math.max(8, Number(process.env.PASSWORD_MIN_LENGTH) || 8),
+    MAX_LENGTH: 128,
+    REQUIRE_UPPERCASE: process.env.PASSWORD_REQUIRE_UPPERCASE !== 'false',
+    REQUIRE_LOWERCASE: process.env.PASSWORD_REQUIRE_LOWERCASE !== 'false',
+    REQUIRE_DIGIT: process.env.PASSWORD_REQUIRE_DIGIT !== 'false',
+    REQUIRE_SYMBOL: process.env.PASSWORD_REQUIRE_SYMBOL === 'true'
+  },
+
+  // Forgot-password emails: single-use reset tokens
+  PASSWORD_RESET: {
+    TOKEN_TTL_MINUTES: 30,
+    // Frontend page that sets the new password; the token is appended as ?token=
+    BASE_URL: process.env.PASSWORD_RESET_BASE_URL || ''
+  },
+
+  // TOTP two-factor authentication for password accounts (services/twoFactorService.js)
+  TWO_FACTOR: {
+    // Name shown in authenticator apps
+    ISSUER: process.env.TWO_FACTOR_ISSUER || 'AutoScope',
+    // When true, admins (anyone holding an ADMIN_PERMISSIONS permission, config/permissions.js) without 2FA get no
+    // permissions until they enable it, and cannot disable it
+    REQUIRED_FOR_ADMINS: process.env.TWO_FACTOR_REQUIRED_FOR_ADMINS === 'true',
+    DIGITS: 6,
+    PERIOD_SECONDS: 30,
+    // Accepted clock drift, in periods either side
+    WINDOW: 1,
+    // Lifetime of the login challenge token (between password and code)
+    CHALLENGE_TTL_MINUTES: 5,
+    RECOVERY_CODE_COUNT: 10
+  },
+
+  // Default inspection categories, seeded into the InspectionCategory collection when it is empty.
+  // Categories are admin-managed at runtime (/api/admin/inspection-categories); do not validate against this list.
   INSPECTION_TYPES: {
     EXTERIOR: 'Exterior',
     LIGHT_CONDITIONS_AND_OPERATIONS: 'Light Conditions and Operations',
@@ -63,9 +154,291 @@ module.exports = {
   // Statuses excluded from type average (so they do not drag down the score)
   STATUS_EXCLUDED_FROM_AVERAGE: ['Not Applicable', 'Not Checked'],
 
-  // Types that allow video uploads
+  // Checklist item answer types. 'status' items are answered with CHECKLIST_STATUS + rating;
+  // the others carry a typed answer that is scored against the template's answerConfig.
+  CHECKLIST_ANSWER_TYPES: {
+    STATUS: 'status',
+    NUMBER: 'number',
+    BOOLEAN: 'boolean',
+    SINGLE_SELECT: 'single_select',
+    MULTI_SELECT: 'multi_select',
+    TEXT: 'text'
+  },
+
+  // Outcome of a scored answer, and the status (hence rating) it counts as in type averages
+  ANSWER_RESULTS: {
+    PASS: 'pass',
+    WARN: 'warn',
+    FAIL: 'fail'
+  },
+  ANSWER_RESULT_STATUS: {
+    pass: 'Excellent',
+    warn: 'Average',
+    fail: 'Poor'
+  },
+  // Default and maximum length of text answers
+  TEXT_ANSWER_MAX_LENGTH: 1000,
+
+  // Weighted inspection score (see utils/inspectionScoring). Types and items weigh 1 unless the template says otherwise.
+  INSPECTION_SCORING: {
+    DEFAULT_WEIGHT: 1,
+    MAX_WEIGHT: 100,
+    // A failed critical item (status Poor / result fail) caps the overall score at this value
+    CRITICAL_FAIL_CAP: 2,
+    CRITICAL_FAIL_STATUSES: ['Poor'],
+    // Highest band whose minScore the overall score reaches
+    GRADE_BANDS: [
+      { grade: 'A', minScore: 4.5 },
+      { grade: 'B', minScore: 3.5 },
+      { grade: 'C', minScore: 2.5 },
+      { grade: 'D', minScore: 0 }
+    ]
+  },
+
+  // Visibility conditions (visibleWhen) of template types and items
+  CHECKLIST_CONDITIONS: {
+    MATCH: { ALL: 'all', ANY: 'any' },
+    OPERATORS: {
+      EQUALS: 'equals',
+      NOT_EQUALS: 'not_equals',
+      IN: 'in',
+      NOT_IN: 'not_in',
+      EXISTS: 'exists',
+      NOT_EXISTS: 'not_exists',
+      GT: 'gt',
+      GTE: 'gte',
+      LT: 'lt',
+      LTE: 'lte'
+    },
+    // Vehicle fields a condition can test; read from vehicleDetails, then vehicleInfo
+    VEHICLE_FIELDS: ['fuelType', 'transmission', 'bodyType', 'driveType', 'make', 'model', 'year', 'engineCapacity'],
+    MAX_RULES: 10
+  },
+
+  // Default categories that allow video uploads (seed only, see INSPECTION_TYPES)
   VIDEO_ALLOWED_TYPES: ['Interior', 'Exterior'],
 
+  // Inspection category media rules. Defaults apply to new categories; maxima are the hard limits of the Inspection model.
+  INSPECTION_CATEGORIES: {
+    DEFAULT_MAX_VIDEOS: 2,
+    DEFAULT_MAX_PHOTOS_PER_ITEM: 20,
+    DEFAULT_MAX_OVERALL_PHOTOS: 30,
+    MAX_VIDEOS: 10,
+    MAX_PHOTOS_PER_ITEM: 20,
+    MAX_OVERALL_PHOTOS: 30,
+    // Categories are cached per Lambda instance; other instances see admin changes after this long
+    CACHE_TTL_MS: 60 * 1000
+  },
+
+  // Inspection Request lifecycle statuses
+  REQUEST_STATUS: {
+    PENDING: 'pending',
+    ASSIGNED: 'assigned',
+    IN_PROGRESS: 'in_progress',
+    COMPLETED: 'completed',
+    CANCELLED: 'cancelled',
+    RESCHEDULED: 'rescheduled',
+    ON_HOLD: 'on_hold'
+  },
+
+  // Allowed request status transitions (from -> [to]). completed and cancelled are terminal.
+  REQUEST_STATUS_TRANSITIONS: {
+    pending: ['assigned', 'on_hold', 'rescheduled', 'cancelled'],
+    assigned: ['in_progress', 'completed', 'pending', 'on_hold', 'rescheduled', 'cancelled'],
+    in_progress: ['completed', 'on_hold', 'cancelled'],
+    on_hold: ['pending', 'assigned', 'in_progress', 'cancelled'],
+    rescheduled: ['pending', 'assigned', 'on_hold', 'cancelled'],
+    completed: [],
+    cancelled: []
+  },
+
+  // Inspection statuses for which a customer report can be generated
+  REPORTABLE_INSPECTION_STATUSES: ['completed', 'submitted'],
+
+  // Branding used on generated PDF reports (override via env)
+  REPORT_BRANDING: {
+    COMPANY_NAME: process.env.REPORT_COMPANY_NAME || 'AutoScope',
+    TAGLINE: process.env.REPORT_TAGLINE || 'Certified Vehicle Inspection',
+    PRIMARY_COLOR: process.env.REPORT_PRIMARY_COLOR || '#1F4E79',
+    CONTACT: process.env.REPORT_CONTACT || ''
+  },
+
+  // Shareable report links (public, token-based)
+  REPORT_SHARE: {
+    DEFAULT_EXPIRES_IN_DAYS: 7,
+    MAX_EXPIRES_IN_DAYS: 90,
+    // Frontend page that renders a shared report; token is appended as the last path segment. When unset,
+    // completion emails carry the token itself.
+    BASE_URL: process.env.REPORT_SHARE_BASE_URL || ''
+  },
+
+  // Email notification templates (keys of config/notificationTemplates.js)
+  NOTIFICATION_EVENTS: {
+    REQUEST_CREATED: 'request_created',
+    REQUEST_APPROVED: 'request_approved',
+    REQUEST_ASSIGNED: 'request_assigned',
+    REQUEST_STARTED: 'request_started',
+    REQUEST_COMPLETED: 'request_completed',
+    REQUEST_REJECTED: 'request_rejected',
+    INSPECTOR_ASSIGNED: 'inspector_assigned',
+    INSPECTOR_UNASSIGNED: 'inspector_unassigned'
+  },
+
+  // Email notifications (set NOTIFICATIONS_ENABLED=false to turn off milestone emails)
+  NOTIFICATIONS: {
+    ENABLED: process.env.NOTIFICATIONS_ENABLED !== 'false',
+    // Validity of the report link included in the "completed" email
+    REPORT_LINK_EXPIRES_IN_DAYS: 30,
+    // Time zone used for dates/times shown in emails
+    TIMEZONE: process.env.NOTIFICATION_TIMEZONE || 'UTC'
+  },
+
+  // Inspector scheduling: working hours are "HH:mm" in the inspector's time zone; dayOfWeek 0 = Sunday
+  SCHEDULING: {
+    DEFAULT_TIMEZONE: process.env.SCHEDULING_TIMEZONE || 'UTC',
+    DEFAULT_DURATION_MINUTES: 90,
+    MIN_DURATION_MINUTES: 15,
+    MAX_DURATION_MINUTES: 480,
+    // Used until an inspector publishes their own hours (Mon-Sat 09:00-18:00)
+    DEFAULT_WORKING_HOURS: [1, 2, 3, 4, 5, 6].map(dayOfWeek => ({ dayOfWeek, start: '09:00', end: '18:00' })),
+    MAX_CALENDAR_RANGE_DAYS: 62,
+    // Request statuses whose scheduled slot blocks the inspector's calendar
+    BOOKED_STATUSES: ['assigned', 'in_progress', 'on_hold', 'rescheduled']
+  },
+
+  // Inspector workload limits (per-inspector overrides live in User.capacity)
+  CAPACITY: {
+    DEFAULT_MAX_CONCURRENT: 8,
+    DEFAULT_MAX_PER_DAY: 6,
+    // Request statuses that count as an inspector's open work (is_assigned = open count > 0)
+    OPEN_STATUSES: ['assigned', 'in_progress'],
+    // Request statuses counted against the daily limit (by scheduled/preferred day)
+    DAILY_STATUSES: ['assigned', 'in_progress', 'on_hold', 'rescheduled', 'completed']
+  },
+
+  // Automatic inspector dispatch: score = sum of weight * component score (each 0..1)
+  DISPATCH: {
+    WEIGHTS: {
+      distance: 0.4,
+      workload: 0.3,
+      rating: 0.2,
+      availability: 0.1
+    },
+    // Distance score falls linearly from 1 at the request location to 0 at this radius
+    MAX_DISTANCE_KM: 100,
+    // Used when coordinates are missing on either side
+    LOCATION_MATCH_SCORES: { zip: 1, zip_prefix: 0.7, city: 0.6, state: 0.3, none: 0 },
+    // Customer ratings (1-5) are averaged with this prior so new inspectors are not ranked last
+    RATING_PRIOR: 3.5,
+    RATING_PRIOR_WEIGHT: 5,
+    // Declared availableStatus (lower-cased); unknown or empty values score DEFAULT_AVAILABILITY_SCORE
+    AVAILABLE_STATUS_SCORES: { available: 1, busy: 0.3 },
+    DEFAULT_AVAILABILITY_SCORE: 0.5,
+    // Declared statuses that exclude an inspector from automatic dispatch
+    UNAVAILABLE_STATUSES: ['on leave', 'unavailable', 'off duty'],
+    // Best candidates tried in order when auto-assigning (a candidate can become unavailable concurrently)
+    MAX_ATTEMPTS: 3
+  },
+
+  // Coverage areas checked when a request is created or its location changes
+  SERVICE_AREAS: {
+    TYPES: {
+      POLYGON: 'polygon',
+      ZIP_CODES: 'zip_codes'
+    },
+    // Reject requests outside every active area; no effect until at least one active area exists
+    ENFORCED: process.env.SERVICE_AREA_ENFORCEMENT !== 'false',
+    // Admin request search: GET /api/inspection-requests/admin/all?near=lat,lng&radiusKm=
+    DEFAULT_NEAR_RADIUS_KM: 25,
+    MAX_NEAR_RADIUS_KM: 500
+  },
+
+  // Offline inspection sync (POST /api/checklists/inspections/{id}/sync)
+  INSPECTION_SYNC: {
+    MAX_OPERATIONS: 200,
+    // Batches are re-applied on a fresh copy when another write lands in between
+    MAX_ATTEMPTS: 3,
+    // Operation IDs are remembered this long for idempotent retries
+    OPERATION_TTL_DAYS: 30
+  },
+
+  // Checklist template version lifecycle: draft -> published -> archived
+  TEMPLATE_VERSION_STATUS: {
+    DRAFT: 'draft',
+    PUBLISHED: 'published',
+    ARCHIVED: 'archived'
+  },
+
+  // Structured damage map of an inspection (Inspection.damages). Panels are the identifiers of the standard
+  // vehicle diagram; size is the largest dimension (small < 5 cm, medium 5-15 cm, large > 15 cm)
+  DAMAGE: {
+    PANELS: [
+      'front_bumper', 'rear_bumper', 'hood', 'roof', 'trunk',
+      'front_left_fender', 'front_right_fender', 'rear_left_quarter_panel', 'rear_right_quarter_panel',
+      'front_left_door', 'front_right_door', 'rear_left_door', 'rear_right_door',
+      'left_a_pillar', 'right_a_pillar', 'left_rocker_panel', 'right_rocker_panel',
+      'windshield', 'rear_windshield', 'left_mirror', 'right_mirror',
+      'front_left_wheel', 'front_right_wheel', 'rear_left_wheel', 'rear_right_wheel'
+    ],
+    TYPES: {
+      SCRATCH: 'scratch',
+      DENT: 'dent',
+      RUST: 'rust',
+      REPAINT: 'repaint',
+      CRACK: 'crack'
+    },
+    SEVERITIES: {
+      MINOR: 'minor',
+      MODERATE: 'moderate',
+      SEVERE: 'severe'
+    },
+    SIZES: {
+      SMALL: 'small',
+      MEDIUM: 'medium',
+      LARGE: 'large'
+    },
+    MAX_DAMAGES: 100,
+    MAX_PHOTOS_PER_DAMAGE: 10
+  },
+
+  // Vehicle registry: requests and inspections are linked to a Vehicle by VIN or license plate
+  VEHICLE_HISTORY: {
+    // Where a mileage reading came from
+    SOURCES: {
+      REQUEST: 'request',
+      INSPECTION: 'inspection'
+    }
+  },
+
+  // Car valuation (GET /api/inspection-requests/{id}/valuation). Rates are fractions of the base price;
+  // price table entries may override DEPRECIATION and CONDITION_ADJUSTMENTS.
+  VALUATION: {
+    REQUEST_TYPE: 'car valuation',
+    CURRENCY: 'INR',
+    // Compounding depreciation by vehicle age, floored at (1 - MAX_RATE) of the base price
+    DEPRECIATION: {
+      firstYearRate: 0.15,
+      annualRate: 0.1,
+      maxRate: 0.85
+    },
+    // Mileage above/below EXPECTED_KM_PER_YEAR * age moves the value by RATE_PER_1000_KM, up to MAX_ADJUSTMENT
+    MILEAGE: {
+      EXPECTED_KM_PER_YEAR: 12000,
+      RATE_PER_1000_KM: 0.003,
+      MAX_ADJUSTMENT: 0.15
+    },
+    // By inspection grade (INSPECTION_SCORING.GRADE_BANDS)
+    CONDITION_ADJUSTMENTS: { A: 0.05, B: 0, C: -0.08, D: -0.18 },
+    // Per recorded damage, up to MAX_RATE
+    DAMAGE: {
+      RATE_PER_DAMAGE: 0.01,
+      MAX_RATE: 0.1
+    },
+    // The range is the estimate +/- RANGE_SPREAD, rounded to ROUND_TO
+    RANGE_SPREAD: 0.05,
+    ROUND_TO: 1000
+  },
+
   // S3 bucket for inspection images and videos
   S3_BUCKET: process.env.S3_BUCKET || 'autoscopedev',
   AWS_REGION: process.env.AWS_REGION || 'ap-south-1'
@@ -0,0 +1,129 @@
+/**
+ * Default email notification templates
+ * Used when no override is stored in the NotificationTemplate collection (admins edit them via /api/notifications/templates).
+ * Placeholders: {{name}} is replaced by the variable (HTML-escaped in html); {{#name}}...{{/name}} is kept only when the variable is set.
+ */
+
+const { NOTIFICATION_EVENTS } = require('./constants');
+
+module.exports = {
+  [NOTIFICATION_EVENTS.REQUEST_CREATED]: {
+    description: 'Sent to the customer when an inspection request is created',
+    variables: ['customerName', 'requestId', 'vehicle', 'preferredDate', 'preferredTime', 'location'],
+    subject: 'We received your inspection request {{requestId}}',
+    html: `
+      <div>
+        <h3>Hello {{customerName}},</h3>
+        <p>Thank you for booking an inspection for your <b>{{vehicle}}</b>. Your request reference is <b>{{requestId}}</b>.</p>
+        {{#preferredDate}}<p>Preferred date: {{preferredDate}} {{preferredTime}}</p>{{/preferredDate}}
+        {{#location}}<p>Location: {{location}}</p>{{/location}}
+        <p>We will let you know as soon as it has been reviewed.</p>
+      </div>
+    `,
+    text: 'Hello {{customerName}},\n\nThank you for booking an inspection for your {{vehicle}}. Your request reference is {{requestId}}.\n\nWe will let you know as soon as it has been reviewed.'
+  },
+
+  [NOTIFICATION_EVENTS.REQUEST_APPROVED]: {
+    description: 'Sent to the customer when an admin approves the request',
+    variables: ['customerName', 'requestId', 'vehicle'],
+    subject: 'Your inspection request {{requestId}} has been approved',
+    html: `
+      <div>
+        <h3>Hello {{customerName}},</h3>
+        <p>Your inspection request <b>{{requestId}}</b> for your <b>{{vehicle}}</b> has been approved.</p>
+        <p>We will email you again once an inspector has been assigned.</p>
+      </div>
+    `,
+    text: 'Hello {{customerName}},\n\nYour inspection request {{requestId}} for your {{vehicle}} has been approved. We will email you again once an inspector has been assigned.'
+  },
+
+  [NOTIFICATION_EVENTS.REQUEST_ASSIGNED]: {
+    description: 'Sent to the customer when an inspector is assigned or reassigned',
+    variables: ['customerName', 'requestId', 'vehicle', 'inspectorName', 'scheduledTime', 'location'],
+    subject: 'An inspector has been assigned to your request {{requestId}}',
+    html: `
+      <div>
+        <h3>Hello {{customerName}},</h3>
+        <p><b>{{inspectorName}}</b> will inspect your <b>{{vehicle}}</b> (request <b>{{requestId}}</b>).</p>
+        {{#scheduledTime}}<p>Scheduled for: <b>{{scheduledTime}}</b></p>{{/scheduledTime}}
+        {{#location}}<p>Location: {{location}}</p>{{/location}}
+      </div>
+    `,
+    text: 'Hello {{customerName}},\n\n{{inspectorName}} will inspect your {{vehicle}} (request {{requestId}}).{{#scheduledTime}}\nScheduled for: {{scheduledTime}}{{/scheduledTime}}'
+  },
+
+  [NOTIFICATION_EVENTS.REQUEST_STARTED]: {
+    description: 'Sent to the customer when the inspector starts the inspection',
+    variables: ['customerName', 'requestId', 'vehicle', 'inspectorName', 'startedAt'],
+    subject: 'Your inspection {{requestId}} has started',
+    html: `
+      <div>
+        <h3>Hello {{customerName}},</h3>
+        <p>{{inspectorName}} started inspecting your <b>{{vehicle}}</b> at {{startedAt}}.</p>
+        <p>We will send you the report as soon as it is complete.</p>
+      </div>
+    `,
+    text: 'Hello {{customerName}},\n\n{{inspectorName}} started inspecting your {{vehicle}} at {{startedAt}}. We will send you the report as soon as it is complete.'
+  },
+
+  [NOTIFICATION_EVENTS.REQUEST_COMPLETED]: {
+    description: 'Sent to the customer when the inspection is submitted; includes the report link or access token',
+    variables: ['customerName', 'requestId', 'vehicle', 'overallRating', 'reportUrl', 'reportToken', 'reportExpiresAt'],
+    subject: 'Your inspection report for {{requestId}} is ready',
+    html: `
+      <div>
+        <h3>Hello {{customerName}},</h3>
+        <p>The inspection of your <b>{{vehicle}}</b> is complete.</p>
+        {{#overallRating}}<p>Overall rating: <b>{{overallRating}} / 5</b></p>{{/overallRating}}
+        {{#reportUrl}}<p><a href="{{reportUrl}}">View your inspection report</a> (link valid until {{reportExpiresAt}}).</p>{{/reportUrl}}
+        {{#reportToken}}<p>Your report access code is <b>{{reportToken}}</b> (valid until {{reportExpiresAt}}).</p>{{/reportToken}}
+      </div>
+    `,
+    text: 'Hello {{customerName}},\n\nThe inspection of your {{vehicle}} is complete.{{#reportUrl}}\nView your report: {{reportUrl}} (valid until {{reportExpiresAt}}){{/reportUrl}}{{#reportToken}}\nYour report access code: {{reportToken}} (valid until {{reportExpiresAt}}){{/reportToken}}'
+  },
+
+  [NOTIFICATION_EVENTS.REQUEST_REJECTED]: {
+    description: 'Sent to the customer when the request is rejected or cancelled',
+    variables: ['customerName', 'requestId', 'vehicle', 'cancelledReason'],
+    subject: 'Your inspection request {{requestId}} has been cancelled',
+    html: `
+      <div>
+        <h3>Hello {{customerName}},</h3>
+        <p>Unfortunately your inspection request <b>{{requestId}}</b> for your <b>{{vehicle}}</b> has been cancelled.</p>
+        {{#cancelledReason}}<p>Reason: {{cancelledReason}}</p>{{/cancelledReason}}
+        <p>Please contact us if you have any questions.</p>
+      </div>
+    `,
+    text: 'Hello {{customerName}},\n\nUnfortunately your inspection request {{requestId}} for your {{vehicle}} has been cancelled.{{#cancelledReason}}\nReason: {{cancelledReason}}{{/cancelledReason}}'
+  },
+
+  [NOTIFICATION_EVENTS.INSPECTOR_ASSIGNED]: {
+    description: 'Sent to the inspector when a request is assigned (or reassigned) to them',
+    variables: ['inspectorName', 'requestId', 'vehicle', 'customerName', 'scheduledTime', 'location', 'notes'],
+    subject: 'New inspection assigned: {{requestId}}',
+    html: `
+      <div>
+        <h3>Hello {{inspectorName}},</h3>
+        <p>Inspection request <b>{{requestId}}</b> ({{vehicle}}) has been assigned to you.</p>
+        <p>Customer: {{customerName}}</p>
+        {{#scheduledTime}}<p>Scheduled for: <b>{{scheduledTime}}</b></p>{{/scheduledTime}}
+        {{#location}}<p>Location: {{location}}</p>{{/location}}
+        {{#notes}}<p>Notes: {{notes}}</p>{{/notes}}
+      </div>
+    `,
+    text: 'Hello {{inspectorName}},\n\nInspection request {{requestId}} ({{vehicle}}) has been assigned to you.{{#scheduledTime}}\nScheduled for: {{scheduledTime}}{{/scheduledTime}}{{#location}}\nLocation: {{location}}{{/location}}'
+  },
+
+  [NOTIFICATION_EVENTS.INSPECTOR_UNASSIGNED]: {
+    description: 'Sent to the previous inspector when a request is reassigned to someone else',
+    variables: ['inspectorName', 'requestId', 'vehicle'],
+    subject: 'Inspection {{requestId}} has been reassigned',
+    html: `
+      <div>
+        <h3>Hello {{inspectorName}},</h3>
+        <p>Inspection request <b>{{requestId}}</b> ({{vehicle}}) has been reassigned to another inspector. No action is needed from you.</p>
+      </div>
+    `,
+    text: 'Hello {{inspectorName}},\n\nInspection request {{requestId}} ({{vehicle}}) has been reassigned to another inspector. No action is needed from you.'
+  }
+};
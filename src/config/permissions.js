@@ -0,0 +1,91 @@
+/**
+ * Permissions
+ * Named permissions checked by the policy layer (middleware/policy.js) and the built-in roles that bundle them.
+ * A user's permissions come from their custom role when one is assigned, else from the role of their account type
+ * (admin, inspector, user). Built-in roles are seeded into the Role collection; only admin is locked to every
+ * permission.
+ */
+
+const PERMISSIONS = {
+  USERS_READ: 'users:read',
+  USERS_MANAGE: 'users:manage',
+  ROLES_MANAGE: 'roles:manage',
+
+  // Any request; without it users see their own requests (and inspectors the ones assigned to them)
+  REQUESTS_READ_ALL: 'requests:read-all',
+  REQUESTS_READ_ASSIGNED: 'requests:read-assigned',
+  REQUESTS_UPDATE_ALL: 'requests:update-all',
+  REQUESTS_ASSIGN: 'requests:assign',
+  REQUESTS_APPROVE: 'requests:approve',
+  REQUESTS_REJECT: 'requests:reject',
+  REQUESTS_CHANGE_STATUS: 'requests:change-status',
+
+  // Start, fill in and submit inspections (always limited to the inspector's own inspections)
+  INSPECTIONS_CONDUCT: 'inspections:conduct',
+  INSPECTIONS_READ_ALL: 'inspections:read-all',
+
+  TEMPLATES_READ: 'templates:read',
+  TEMPLATES_MANAGE: 'templates:manage',
+  TEMPLATES_PUBLISH: 'templates:publish',
+  CATEGORIES_MANAGE: 'categories:manage',
+
+  // Download and share the report of any inspection
+  REPORTS_VIEW_ALL: 'reports:view-all',
+  REPORTS_MANAGE_SHARES: 'reports:manage-shares',
+  UPLOADS_CREATE: 'uploads:create',
+
+  // Add makes/models to the catalog; managing covers edits and deletes
+  CATALOG_CONTRIBUTE: 'catalog:contribute',
+  CATALOG_MANAGE: 'catalog:manage',
+  PRICES_MANAGE: 'prices:manage',
+  VALUATIONS_REFRESH: 'valuations:refresh',
+  VEHICLES_READ: 'vehicles:read',
+
+  // Own working hours and time-off; reading all covers every inspector's calendar
+  SCHEDULE_MANAGE_OWN: 'schedule:manage-own',
+  SCHEDULE_READ_ALL: 'schedule:read-all',
+
+  SERVICE_AREAS_MANAGE: 'service-areas:manage',
+  NOTIFICATIONS_MANAGE: 'notifications:manage',
+  DASHBOARD_VIEW: 'dashboard:view',
+  CONTACT_READ: 'contact:read'
+};
+
+const ALL_PERMISSIONS = Object.values(PERMISSIONS);
+
+// Permission bundles of the built-in roles, keyed by account type (USER_ROLES)
+const DEFAULT_ROLE_PERMISSIONS = {
+  admin: ALL_PERMISSIONS,
+  inspector: [
+    PERMISSIONS.REQUESTS_READ_ASSIGNED,
+    PERMISSIONS.INSPECTIONS_CONDUCT,
+    PERMISSIONS.TEMPLATES_READ,
+    PERMISSIONS.UPLOADS_CREATE,
+    PERMISSIONS.CATALOG_CONTRIBUTE,
+    PERMISSIONS.VEHICLES_READ,
+    PERMISSIONS.SCHEDULE_MANAGE_OWN
+  ],
+  user: [
+    PERMISSIONS.CATALOG_CONTRIBUTE
+  ]
+};
+
+// The admin role always holds every permission and cannot be edited
+const LOCKED_ROLE = 'admin';
+
+// Permissions outside the built-in inspector and user bundles. Whoever holds one counts as an admin, whatever their
+// account type or custom role (e.g. for TWO_FACTOR.REQUIRED_FOR_ADMINS).
+const ADMIN_PERMISSIONS = ALL_PERMISSIONS.filter(permission =>
+  !DEFAULT_ROLE_PERMISSIONS.inspector.includes(permission) && !DEFAULT_ROLE_PERMISSIONS.user.includes(permission));
+
+// Roles are cached per Lambda instance; other instances see role changes after this long
+const ROLE_CACHE_TTL_MS = 60 * 1000;
+
+module.exports = {
+  PERMISSIONS,
+  ALL_PERMISSIONS,
+  DEFAULT_ROLE_PERMISSIONS,
+  LOCKED_ROLE,
+  ADMIN_PERMISSIONS,
+  ROLE_CACHE_TTL_MS
+};
@@ -0,0 +1,101 @@
+/**
+ * VIN decoding tables (ISO 3779 / 49 CFR 565)
+ * Local data so decoding works without a network lookup. Extend WMI and VDS_MODELS as new manufacturers and
+ * models are added to the Make/Model collections; make names match Make.name (uppercase).
+ */
+
+module.exports = {
+  // Characters allowed in a VIN (I, O and Q are never used)
+  VIN_PATTERN: /^[A-HJ-NPR-Z0-9]{17}$/,
+
+  // Check digit (position 9) transliteration and position weights
+  TRANSLITERATION: {
+    A: 1, B: 2, C: 3, D: 4, E: 5, F: 6, G: 7, H: 8,
+    J: 1, K: 2, L: 3, M: 4, N: 5, P: 7, R: 9,
+    S: 2, T: 3, U: 4, V: 5, W: 6, X: 7, Y: 8, Z: 9
+  },
+  WEIGHTS: [8, 7, 6, 5, 4, 3, 2, 10, 0, 9, 8, 7, 6, 5, 4, 3, 2],
+
+  // Model year codes (position 10), repeating every 30 years from 1980
+  MODEL_YEAR_CODES: 'ABCDEFGHJKLMNPRSTVWXY123456789',
+  MODEL_YEAR_BASE: 1980,
+
+  // Region by the first character
+  REGIONS: [
+    { from: 'A', to: 'H', region: 'Africa' },
+    { from: 'J', to: 'R', region: 'Asia' },
+    { from: 'S', to: 'Z', region: 'Europe' },
+    { from: '1', to: '5', region: 'North America' },
+    { from: '6', to: '7', region: 'Oceania' },
+    { from: '8', to: '9', region: 'South America' }
+  ],
+
+  // World Manufacturer Identifiers (positions 1-3)
+  WMI: {
+    MA1: { manufacturer: 'Mahindra & Mahindra', make: 'MAHINDRA', country: 'India' },
+    MA3: { manufacturer: 'Maruti Suzuki India', make: 'MARUTI SUZUKI', country: 'India' },
+    MAJ: { manufacturer: 'Ford India', make: 'FORD', country: 'India' },
+    MAK: { manufacturer: 'Honda Cars India', make: 'HONDA', country: 'India' },
+    MAL: { manufacturer: 'Hyundai Motor India', make: 'HYUNDAI', country: 'India' },
+    MAT: { manufacturer: 'Tata Motors', make: 'TATA', country: 'India' },
+    MBJ: { manufacturer: 'Toyota Kirloskar Motor', make: 'TOYOTA', country: 'India' },
+    MEE: { manufacturer: 'Renault India', make: 'RENAULT', country: 'India' },
+    MEX: { manufacturer: 'Skoda Auto Volkswagen India', make: 'VOLKSWAGEN', country: 'India' },
+    JHM: { manufacturer: 'Honda', make: 'HONDA', country: 'Japan' },
+    JN1: { manufacturer: 'Nissan', make: 'NISSAN', country: 'Japan' },
+    JM1: { manufacturer: 'Mazda', make: 'MAZDA', country: 'Japan' },
+    JF1: { manufacturer: 'Subaru', make: 'SUBARU', country: 'Japan' },
+    JTD: { manufacturer: 'Toyota', make: 'TOYOTA', country: 'Japan' },
+    KMH: { manufacturer: 'Hyundai', make: 'HYUNDAI', country: 'South Korea' },
+    KNA: { manufacturer: 'Kia', make: 'KIA', country: 'South Korea' },
+    SAJ: { manufacturer: 'Jaguar', make: 'JAGUAR', country: 'United Kingdom' },
+    SAL: { manufacturer: 'Land Rover', make: 'LAND ROVER', country: 'United Kingdom' },
+    VF1: { manufacturer: 'Renault', make: 'RENAULT', country: 'France' },
+    VF3: { manufacturer: 'Peugeot', make: 'PEUGEOT', country: 'France' },
+    WAU: { manufacturer: 'Audi', make: 'AUDI', country: 'Germany' },
+    WBA: { manufacturer: 'BMW', make: 'BMW', country: 'Germany' },
+    WDD: { manufacturer: 'Mercedes-Benz', make: 'MERCEDES-BENZ', country: 'Germany' },
+    WVW: { manufacturer: 'Volkswagen', make: 'VOLKSWAGEN', country: 'Germany' },
+    YV1: { manufacturer: 'Volvo Cars', make: 'VOLVO', country: 'Sweden' },
+    ZFA: { manufacturer: 'Fiat', make: 'FIAT', country: 'Italy' },
+    '1FA': { manufacturer: 'Ford', make: 'FORD', country: 'United States' },
+    '1G1': { manufacturer: 'Chevrolet', make: 'CHEVROLET', country: 'United States' },
+    '1HG': { manufacturer: 'Honda of America', make: 'HONDA', country: 'United States' },
+    '2HG': { manufacturer: 'Honda of Canada', make: 'HONDA', country: 'Canada' },
+    '4T1': { manufacturer: 'Toyota Motor Manufacturing', make: 'TOYOTA', country: 'United States' },
+    '5YJ': { manufacturer: 'Tesla', make: 'TESLA', country: 'United States' }
+  },
+
+  // Alternative spellings of make names, for matching what users type
+  MAKE_ALIASES: {
+    'MARUTI SUZUKI': ['MARUTI', 'SUZUKI', 'MARUTI-SUZUKI'],
+    TATA: ['TATA MOTORS'],
+    MAHINDRA: ['MAHINDRA & MAHINDRA', 'M&M'],
+    'MERCEDES-BENZ': ['MERCEDES', 'MERCEDES BENZ'],
+    VOLKSWAGEN: ['VW'],
+    'LAND ROVER': ['LANDROVER']
+  },
+
+  // Models by the leading characters of the VDS (positions 4-8), per WMI
+  VDS_MODELS: {
+    '1HG': [
+      { code: 'CM', model: 'Accord' },
+      { code: 'CP', model: 'Accord' },
+      { code: 'CV', model: 'Accord' },
+      { code: 'FA', model: 'Civic' },
+      { code: 'FB', model: 'Civic' },
+      { code: 'FC', model: 'Civic' }
+    ],
+    '2HG': [
+      { code: 'FA', model: 'Civic' },
+      { code: 'FB', model: 'Civic' },
+      { code: 'FC', model: 'Civic' }
+    ],
+    '5YJ': [
+      { code: 'S', model: 'Model S' },
+      { code: '3', model: 'Model 3' },
+      { code: 'X', model: 'Model X' },
+      { code: 'Y', model: 'Model Y' }
+    ]
+  }
+};
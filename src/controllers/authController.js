@@ -4,15 +4,20 @@
  */
 
 const authService = require('../services/authService');
+const sessionService = require('../services/sessionService');
+const passwordService = require('../services/passwordService');
+const twoFactorService = require('../services/twoFactorService');
+const { permissionsOf } = require('../middleware/policy');
 const { success } = require('../utils/response');
 
 /**
  * Register new user
  * @param {Object} userData - User registration data
- * @returns {Promise<Object>} Success response with user and token
+ * @param {Object} client - Caller details for the session
+ * @returns {Promise<Object>} Success response with user and tokens
  */
-const register = async (userData) => {
-  const result = await authService.register(userData);
+const register = async (userData, client) => {
+  const result = await authService.register(userData, client);
   
   return success({
     statusCode: 201,
@@ -28,15 +33,18 @@ const register = async (userData) => {
  * Admin/Inspector: email + password → token. User: email only → OTP sent.
  * @param {string} email - User email
  * @param {string} [password] - Required for admin/inspector
- * @returns {Promise<Object>} Success response (token or otpRequired)
+ * @param {Object} client - Caller details for the session
+ * @returns {Promise<Object>} Success response (tokens or otpRequired)
  */
-const login = async (email, password) => {
-  const result = await authService.login(email, password);
+const login = async (email, password, client) => {
+  const result = await authService.login(email, password, client);
   
+  let message = 'Login successful';
+  if (result.otpRequired) message = 'OTP sent to email; verify to complete login';
+  if (result.twoFactorRequired) message = 'Two-factor code required; verify to complete login';
+
   return success({
-    message: result.otpRequired
-      ? 'OTP sent to email; verify to complete login'
-      : 'Login successful',
+    message,
     data: result
   });
 };
@@ -44,8 +52,8 @@ const login = async (email, password) => {
 /**
  * Send OTP for login/verification
  */
-const sendOtp = async (email) => {
-  const result = await authService.sendOtp(email);
+const sendOtp = async (email, client) => {
+  const result = await authService.sendOtp(email, client);
   return success({
     message: 'OTP sent to email',
     data: result
@@ -53,13 +61,158 @@ const sendOtp = async (email) => {
 };
 
 /**
- * Verify OTP and return token
+ * Verify OTP and return tokens
  */
-const verifyOtp = async (email, otp) => {
-  const { user, token } = await authService.verifyOtp(email, otp);
+const verifyOtp = async (email, otp, client) => {
+  const result = await authService.verifyOtp(email, otp, client);
   return success({
     message: 'OTP verified successfully',
-    data: { user, token }
+    data: result
+  });
+};
+
+/**
+ * Complete login with a two-factor code or recovery code
+ */
+const verifyTwoFactor = async ({ challengeToken, code, recoveryCode }, client) => {
+  const result = await authService.verifyTwoFactor(challengeToken, { code, recoveryCode }, client);
+  return success({
+    message: result.usedRecoveryCode
+      ? `Login successful. ${result.recoveryCodesRemaining} recovery codes left.`
+      : 'Login successful',
+    data: result
+  });
+};
+
+/**
+ * Current user's two-factor status
+ */
+const getTwoFactorStatus = async (currentUser) => {
+  const status = await twoFactorService.getStatus(currentUser);
+  return success({
+    message: 'Two-factor status retrieved successfully',
+    data: status
+  });
+};
+
+/**
+ * Start two-factor enrollment (secret and otpauth URI for the authenticator app)
+ */
+const setupTwoFactor = async (currentUser) => {
+  const result = await twoFactorService.setup(currentUser);
+  return success({
+    message: 'Scan the QR code or enter the secret in your authenticator app, then confirm with a code',
+    data: result
+  });
+};
+
+/**
+ * Confirm enrollment with the first code; returns recovery codes once
+ */
+const enableTwoFactor = async (code, currentUser, client) => {
+  const result = await twoFactorService.enable(currentUser, code, client);
+  return success({
+    message: 'Two-factor authentication enabled. Store the recovery codes somewhere safe.',
+    data: result
+  });
+};
+
+/**
+ * Turn off two-factor authentication
+ */
+const disableTwoFactor = async (body, currentUser, client) => {
+  await twoFactorService.disable(currentUser, body, client);
+  return success({
+    message: 'Two-factor authentication disabled'
+  });
+};
+
+/**
+ * Replace the current user's recovery codes
+ */
+const regenerateRecoveryCodes = async (code, currentUser, client) => {
+  const result = await twoFactorService.regenerateRecoveryCodes(currentUser, code, client);
+  return success({
+    message: 'Recovery codes regenerated. The previous codes no longer work.',
+    data: result
+  });
+};
+
+/**
+ * Email a password reset token (same response whether or not the email has an account)
+ */
+const forgotPassword = async (email, client) => {
+  const result = await passwordService.requestReset(email, client);
+  return success({
+    message: 'If an account with a password exists for this email, a reset link has been sent',
+    data: result
+  });
+};
+
+/**
+ * Set a new password with a reset token
+ */
+const resetPassword = async ({ token, password }, client) => {
+  await passwordService.resetPassword(token, password, client);
+  return success({
+    message: 'Password reset successfully. Sign in with your new password.'
+  });
+};
+
+/**
+ * Exchange a refresh token for a new access token and refresh token
+ */
+const refresh = async (refreshToken, client) => {
+  const tokens = await authService.refresh(refreshToken, client);
+  return success({
+    message: 'Token refreshed successfully',
+    data: tokens
+  });
+};
+
+/**
+ * Sign out the current session
+ */
+const logout = async ({ sessionId, refreshToken }) => {
+  await authService.logout({ sessionId, refreshToken });
+  return success({
+    message: 'Logged out successfully'
+  });
+};
+
+/**
+ * List the current user's active sessions
+ */
+const getMySessions = async (currentUser, sessionId) => {
+  const sessions = await sessionService.listSessions(currentUser.id, sessionId);
+  return success({
+    message: 'Sessions retrieved successfully',
+    data: { sessions }
+  });
+};
+
+/**
+ * Current user's role and permissions (for showing or hiding features)
+ */
+const getMyPermissions = async (currentUser) => {
+  return success({
+    message: 'Permissions retrieved successfully',
+    data: {
+      role: currentUser.role,
+      customRole: currentUser.customRole || null,
+      permissions: permissionsOf(currentUser),
+      twoFactorSetupRequired: await twoFactorService.isSetupRequired(currentUser)
+    }
+  });
+};
+
+/**
+ * Sign out one of the current user's sessions
+ */
+const revokeMySession = async (targetSessionId, currentUser) => {
+  await sessionService.revokeSession(targetSessionId, currentUser);
+  return success({
+    message: 'Session revoked successfully'
   });
 };
 
@@ -67,5 +220,18 @@ module.exports = {
   register,
   login,
   sendOtp,
-  verifyOtp
+  verifyOtp,
+  verifyTwoFactor,
+  getTwoFactorStatus,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+  forgotPassword,
+  resetPassword,
+  refresh,
+  logout,
+  getMySessions,
+  getMyPermissions,
+  revokeMySession
 };
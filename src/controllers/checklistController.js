@@ -5,7 +5,10 @@
  */
 
 const checklistService = require('../services/checklistService');
-const { success } = require('../utils/response');
+const templateVersionService = require('../services/templateVersionService');
+const reportService = require('../services/reportService');
+const vinService = require('../services/vinService');
+const { success, file } = require('../utils/response');
 
 /**
  * Create checklist template (admin only)
@@ -60,11 +63,87 @@ const getTemplateById = async (templateId, activeOnly = false) => {
  * @returns {Promise<Object>} Success response with updated template
  */
 const updateTemplate = async (templateId, updateData, currentUser) => {
-  const template = await checklistService.updateTemplate(templateId, updateData, currentUser);
+  const { template, draft } = await checklistService.updateTemplate(templateId, updateData, currentUser);
   
   return success({
     message: 'Template updated successfully',
-    data: { template }
+    data: { template, draft }
+  });
+};
+
+/**
+ * List versions of a template (admin only)
+ * @param {string} templateId - Template ID
+ * @returns {Promise<Object>} Success response with version history
+ */
+const getTemplateVersions = async (templateId) => {
+  const result = await templateVersionService.listVersions(templateId);
+
+  return success({
+    message: 'Template versions retrieved successfully',
+    data: result
+  });
+};
+
+/**
+ * Get one version snapshot of a template (admin only)
+ * @param {string} templateId - Template ID
+ * @param {number} version - Version number
+ * @returns {Promise<Object>} Success response with the version
+ */
+const getTemplateVersion = async (templateId, version) => {
+  const templateVersion = await templateVersionService.getVersion(templateId, version);
+
+  return success({
+    message: 'Template version retrieved successfully',
+    data: { version: templateVersion }
+  });
+};
+
+/**
+ * Compare two versions of a template (admin only)
+ * @param {string} templateId - Template ID
+ * @param {Object} queryParams - { from, to }
+ * @returns {Promise<Object>} Success response with the diff
+ */
+const diffTemplateVersions = async (templateId, { from, to }) => {
+  const diff = await templateVersionService.diffVersions(templateId, from, to);
+
+  return success({
+    message: 'Template versions compared successfully',
+    data: { diff }
+  });
+};
+
+/**
+ * Publish a draft template version (admin only)
+ * @param {string} templateId - Template ID
+ * @param {number} version - Draft version number
+ * @param {Object} currentUser - Current authenticated user
+ * @returns {Promise<Object>} Success response with template and published version
+ */
+const publishTemplateVersion = async (templateId, version, currentUser) => {
+  const result = await templateVersionService.publish(templateId, version, currentUser);
+
+  return success({
+    message: 'Template version published successfully',
+    data: result
+  });
+};
+
+/**
+ * Archive a template version (admin only)
+ * @param {string} templateId - Template ID
+ * @param {number} version - Version number
+ * @param {Object} currentUser - Current authenticated user
+ * @returns {Promise<Object>} Success response with template and archived version
+ */
+const archiveTemplateVersion = async (templateId, version, currentUser) => {
+  const result = await templateVersionService.archive(templateId, version, currentUser);
+
+  return success({
+    message: 'Template version archived successfully',
+    data: result
   });
 };
 
@@ -98,7 +177,7 @@ const getActiveTemplates = async () => {
  * Create inspection (inspector only)
  * @param {Object} inspectionData - Inspection data
  * @param {Object} currentUser - Current authenticated user
- * @returns {Promise<Object>} Success response with created inspection
+ * @returns {Promise<Object>} Success response with created inspection and VIN warnings
  */
 const createInspection = async (inspectionData, currentUser) => {
   const inspection = await checklistService.createInspection(inspectionData, currentUser);
@@ -106,7 +185,7 @@ const createInspection = async (inspectionData, currentUser) => {
   return success({
     statusCode: 201,
     message: 'Inspection created successfully',
-    data: { inspection }
+    data: { inspection, warnings: vinService.vehicleWarnings(inspection.vehicleInfo) }
   });
 };
 
@@ -125,6 +204,37 @@ const getInspectionById = async (inspectionId, currentUser) => {
   });
 };
 
+/**
+ * Compare two inspections of the same vehicle
+ * @param {Object} queryParams - { a, b } inspection IDs (a is the baseline)
+ * @param {Object} currentUser - Current authenticated user
+ * @returns {Promise<Object>} Success response with the comparison
+ */
+const compareInspections = async ({ a, b }, currentUser) => {
+  const comparison = await checklistService.compareInspections(a, b, currentUser);
+
+  return success({
+    message: 'Inspections compared successfully',
+    data: comparison
+  });
+};
+
+/**
+ * Download inspection report as PDF
+ * @param {string} inspectionId - Inspection ID
+ * @param {Object} currentUser - Current authenticated user
+ * @returns {Promise<Object>} Binary PDF response
+ */
+const getInspectionReport = async (inspectionId, currentUser) => {
+  const { buffer, fileName } = await reportService.generateInspectionReport(inspectionId, currentUser);
+
+  return file({
+    body: buffer,
+    contentType: 'application/pdf',
+    fileName
+  });
+};
+
 /**
  * Get all inspections with pagination
  * @param {Object} queryParams - Query parameters
@@ -156,6 +266,72 @@ const updateInspection = async (inspectionId, updateData, currentUser) => {
   });
 };
 
+/**
+ * Apply JSON Patch operations to checklist items (inspector only, draft inspections)
+ * @param {string} inspectionId - Inspection ID
+ * @param {Object} body - { revision, operations }
+ * @param {Object} currentUser - Current authenticated user
+ * @returns {Promise<Object>} Success response with updated inspection
+ */
+const patchInspection = async (inspectionId, body, currentUser) => {
+  const inspection = await checklistService.patchInspection(inspectionId, body, currentUser);
+
+  return success({
+    message: 'Inspection updated successfully',
+    data: { inspection }
+  });
+};
+
+/**
+ * Update a single checklist item (inspector only, draft inspections)
+ * @param {string} inspectionId - Inspection ID
+ * @param {string} typeName - Inspection type name
+ * @param {number} position - Item position
+ * @param {Object} body - { revision, status?, rating?, remarks?, photos? }
+ * @param {Object} currentUser - Current authenticated user
+ * @returns {Promise<Object>} Success response with updated inspection
+ */
+const updateChecklistItem = async (inspectionId, typeName, position, body, currentUser) => {
+  const inspection = await checklistService.updateChecklistItem(inspectionId, typeName, position, body, currentUser);
+
+  return success({
+    message: 'Checklist item updated successfully',
+    data: { inspection }
+  });
+};
+
+/**
+ * Apply a batch of offline checklist operations (inspector only, draft inspections)
+ * @param {string} inspectionId - Inspection ID
+ * @param {Object} body - { baseRevision, deviceId?, operations }
+ * @param {Object} currentUser - Current authenticated user
+ * @returns {Promise<Object>} Success response with per-operation results and the server revision
+ */
+const syncInspection = async (inspectionId, body, currentUser) => {
+  const sync = await checklistService.syncInspection(inspectionId, body, currentUser);
+
+  return success({
+    message: 'Inspection synced successfully',
+    data: sync
+  });
+};
+
+/**
+ * Get checklist items changed since a revision
+ * @param {string} inspectionId - Inspection ID
+ * @param {Object} queryParams - { sinceRevision }
+ * @param {Object} currentUser - Current authenticated user
+ * @returns {Promise<Object>} Success response with the current revision and changed items
+ */
+const getInspectionChanges = async (inspectionId, queryParams, currentUser) => {
+  const changes = await checklistService.getInspectionChanges(inspectionId, queryParams, currentUser);
+
+  return success({
+    message: 'Inspection changes retrieved successfully',
+    data: changes
+  });
+};
+
 /**
  * Delete inspection (inspector only, only if draft)
  * @param {string} inspectionId - Inspection ID
@@ -205,12 +381,23 @@ module.exports = {
   getAllTemplates,
   getTemplateById,
   updateTemplate,
+  getTemplateVersions,
+  getTemplateVersion,
+  diffTemplateVersions,
+  publishTemplateVersion,
+  archiveTemplateVersion,
   deleteTemplate,
   getActiveTemplates,
   createInspection,
   getInspectionById,
+  compareInspections,
+  getInspectionReport,
   getAllInspections,
   updateInspection,
+  patchInspection,
+  updateChecklistItem,
+  syncInspection,
+  getInspectionChanges,
   deleteInspection,
   startInspection,
   // startInspectionByInspectionId
@@ -0,0 +1,82 @@
+/**
+ * Inspection Category Controller
+ * Handles HTTP request/response logic for inspection category endpoints
+ */
+
+const inspectionCategoryService = require('../services/inspectionCategoryService');
+const { success } = require('../utils/response');
+
+/**
+ * Create an inspection category
+ */
+const createInspectionCategory = async (data, currentUser) => {
+  const category = await inspectionCategoryService.createCategory(data, currentUser);
+  return success({
+    statusCode: 201,
+    message: 'Inspection category created successfully',
+    data: category
+  });
+};
+
+/**
+ * List inspection categories (admin)
+ */
+const getAllInspectionCategories = async (queryParams) => {
+  const categories = await inspectionCategoryService.getAllCategories(queryParams);
+  return success({
+    message: 'Inspection categories retrieved successfully',
+    data: categories
+  });
+};
+
+/**
+ * List active inspection categories
+ */
+const getActiveInspectionCategories = async () => {
+  const categories = await inspectionCategoryService.getActiveCategories();
+  return success({
+    message: 'Inspection categories retrieved successfully',
+    data: categories
+  });
+};
+
+/**
+ * Get inspection category by ID
+ */
+const getInspectionCategoryById = async (categoryId) => {
+  const category = await inspectionCategoryService.getCategoryById(categoryId);
+  return success({
+    message: 'Inspection category retrieved successfully',
+    data: category
+  });
+};
+
+/**
+ * Update inspection category
+ */
+const updateInspectionCategory = async (categoryId, data, currentUser) => {
+  const category = await inspectionCategoryService.updateCategory(categoryId, data, currentUser);
+  return success({
+    message: 'Inspection category updated successfully',
+    data: category
+  });
+};
+
+/**
+ * Delete inspection category
+ */
+const deleteInspectionCategory = async (categoryId) => {
+  await inspectionCategoryService.deleteCategory(categoryId);
+  return success({
+    message: 'Inspection category deleted successfully'
+  });
+};
+
+module.exports = {
+  createInspectionCategory,
+  getAllInspectionCategories,
+  getActiveInspectionCategories,
+  getInspectionCategoryById,
+  updateInspectionCategory,
+  deleteInspectionCategory
+};
@@ -4,13 +4,15 @@
  */
 
 const inspectionRequestService = require('../services/inspectionRequestService');
+const dispatchService = require('../services/dispatchService');
+const vinService = require('../services/vinService');
 const { success } = require('../utils/response');
 
 /**
  * Create inspection request (public - no auth required)
  * Automatically creates user if email doesn't exist
  * @param {Object} requestData - Request data (must include email)
- * @returns {Promise<Object>} Success response with created request
+ * @returns {Promise<Object>} Success response with created request and VIN warnings
  */
 const createRequest = async (requestData) => {
   const request = await inspectionRequestService.createRequest(requestData);
@@ -18,7 +20,7 @@ const createRequest = async (requestData) => {
   return success({
     statusCode: 201,
     message: 'Inspection request created successfully',
-    data: { request }
+    data: { request, warnings: vinService.vehicleWarnings(request.vehicleInfo) }
   });
 };
 
@@ -115,17 +117,25 @@ const getAssignedRequestsForInspector = async (queryParams, currentUser) => {
 };
 
 /**
- * Approve inspection request (admin only)
+ * Approve inspection request (admin only), optionally auto-assigning the best-ranked inspector
  * @param {string} requestId - Request ID (MongoDB _id)
+ * @param {Object} body - { autoAssign?: boolean }
  * @param {Object} currentUser - Authenticated admin user
- * @returns {Promise<Object>} Success response with updated request
+ * @returns {Promise<Object>} Success response with updated request and dispatch result
  */
-const approveRequest = async (requestId, currentUser) => {
-  const request = await inspectionRequestService.approveRequest(requestId, currentUser);
+const approveRequest = async (requestId, body, currentUser) => {
+  const { request, dispatch } = await inspectionRequestService.approveRequest(requestId, body, currentUser);
   
+  let message = 'Inspection request approved successfully';
+  if (dispatch) {
+    message = dispatch.assigned
+      ? 'Inspection request approved and inspector assigned'
+      : 'Inspection request approved; no eligible inspector found for automatic assignment';
+  }
+
   return success({
-    message: 'Inspection request approved successfully',
-    data: { request }
+    message,
+    data: { request, dispatch }
   });
 };
 
@@ -145,6 +155,68 @@ const rejectRequest = async (requestId, body, currentUser) => {
   });
 };
 
+/**
+ * Change inspection request status (admin only)
+ * @param {string} requestId - Request ID (MongoDB _id)
+ * @param {Object} body - { status, reason?, preferredDate?, preferredTime? }
+ * @param {Object} currentUser - Authenticated admin user
+ * @returns {Promise<Object>} Success response with updated request
+ */
+const changeStatus = async (requestId, body, currentUser) => {
+  const request = await inspectionRequestService.changeStatus(requestId, body, currentUser);
+  
+  return success({
+    message: 'Inspection request status updated successfully',
+    data: { request }
+  });
+};
+
+/**
+ * Get inspection request status history
+ * @param {string} requestId - Request ID (MongoDB _id)
+ * @param {Object} currentUser - Authenticated user
+ * @returns {Promise<Object>} Success response with status history
+ */
+const getStatusHistory = async (requestId, currentUser) => {
+  const history = await inspectionRequestService.getStatusHistory(requestId, currentUser);
+  
+  return success({
+    message: 'Inspection request history retrieved successfully',
+    data: history
+  });
+};
+
+/**
+ * Rank inspectors for a request without assigning (admin only)
+ * @param {string} requestId - Request ID (MongoDB _id)
+ * @param {Object} queryParams - { limit, includeIneligible }
+ * @returns {Promise<Object>} Success response with ranked candidates and score breakdown
+ */
+const getDispatchCandidates = async (requestId, queryParams) => {
+  const result = await dispatchService.getCandidates(requestId, queryParams);
+  
+  return success({
+    message: 'Dispatch candidates retrieved successfully',
+    data: result
+  });
+};
+
+/**
+ * Submit customer feedback on a completed request (request owner)
+ * @param {string} requestId - Request ID (MongoDB _id)
+ * @param {Object} body - { rating, comment? }
+ * @param {Object} currentUser - Authenticated user
+ * @returns {Promise<Object>} Success response with updated request
+ */
+const submitFeedback = async (requestId, body, currentUser) => {
+  const request = await inspectionRequestService.submitFeedback(requestId, body, currentUser);
+  
+  return success({
+    message: 'Feedback submitted successfully',
+    data: { request }
+  });
+};
+
 module.exports = {
   createRequest,
   getUserRequests,
@@ -154,5 +226,9 @@ module.exports = {
   assignInspector,
   getAssignedRequestsForInspector,
   approveRequest,
-  rejectRequest
+  rejectRequest,
+  changeStatus,
+  getStatusHistory,
+  getDispatchCandidates,
+  submitFeedback
 };
@@ -0,0 +1,87 @@
+/**
+ * Notification Controller
+ * Handles HTTP request/response logic for email notification template endpoints
+ */
+
+const notificationService = require('../services/notificationService');
+const { success } = require('../utils/response');
+
+/**
+ * List notification templates (admin only)
+ * @returns {Promise<Object>} Success response with templates
+ */
+const getAllTemplates = async () => {
+  const templates = await notificationService.getAllTemplates();
+
+  return success({
+    message: 'Notification templates retrieved successfully',
+    data: { templates }
+  });
+};
+
+/**
+ * Get one notification template (admin only)
+ * @param {string} key - Template key
+ * @returns {Promise<Object>} Success response with template
+ */
+const getTemplate = async (key) => {
+  const template = await notificationService.getTemplate(key);
+
+  return success({
+    message: 'Notification template retrieved successfully',
+    data: { template }
+  });
+};
+
+/**
+ * Update a notification template (admin only)
+ * @param {string} key - Template key
+ * @param {Object} data - { subject, html, text, isActive }
+ * @param {Object} currentUser - Current authenticated user
+ * @returns {Promise<Object>} Success response with updated template
+ */
+const updateTemplate = async (key, data, currentUser) => {
+  const template = await notificationService.updateTemplate(key, data, currentUser);
+
+  return success({
+    message: 'Notification template updated successfully',
+    data: { template }
+  });
+};
+
+/**
+ * Reset a notification template to its default (admin only)
+ * @param {string} key - Template key
+ * @returns {Promise<Object>} Success response with default template
+ */
+const resetTemplate = async (key) => {
+  const template = await notificationService.resetTemplate(key);
+
+  return success({
+    message: 'Notification template reset to default',
+    data: { template }
+  });
+};
+
+/**
+ * Render a notification template without sending it (admin only)
+ * @param {string} key - Template key
+ * @param {Object} data - { variables }
+ * @returns {Promise<Object>} Success response with rendered subject/html/text
+ */
+const previewTemplate = async (key, data) => {
+  const preview = await notificationService.previewTemplate(key, data.variables);
+
+  return success({
+    message: 'Notification template rendered successfully',
+    data: { preview }
+  });
+};
+
+module.exports = {
+  getAllTemplates,
+  getTemplate,
+  updateTemplate,
+  resetTemplate,
+  previewTemplate
+};
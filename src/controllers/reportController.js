@@ -0,0 +1,75 @@
+/**
+ * Report Controller
+ * Handles HTTP request/response logic for shareable report endpoints
+ */
+
+const reportService = require('../services/reportService');
+const { success } = require('../utils/response');
+
+/**
+ * Create a shareable report link for an inspection
+ * @param {string} inspectionId - Inspection ID
+ * @param {Object} data - { expiresInDays }
+ * @param {Object} currentUser - Current authenticated user
+ * @returns {Promise<Object>} Success response with token, url and expiry
+ */
+const createShare = async (inspectionId, data, currentUser) => {
+  const result = await reportService.createShare(inspectionId, data, currentUser);
+
+  return success({
+    statusCode: 201,
+    message: 'Report link created successfully',
+    data: result
+  });
+};
+
+/**
+ * Get shared report by token (public)
+ * @param {string} token - Share token
+ * @returns {Promise<Object>} Success response with redacted report
+ */
+const getSharedReport = async (token) => {
+  const report = await reportService.getSharedReport(token);
+
+  return success({
+    message: 'Report retrieved successfully',
+    data: { report }
+  });
+};
+
+/**
+ * List report shares (admin only)
+ * @param {Object} queryParams - Validated query params
+ * @returns {Promise<Object>} Success response with paginated shares
+ */
+const getAllShares = async (queryParams) => {
+  const result = await reportService.getAllShares(queryParams);
+
+  return success({
+    message: 'Report links retrieved successfully',
+    data: result
+  });
+};
+
+/**
+ * Revoke a report share (admin only)
+ * @param {string} shareId - ReportShare ID
+ * @param {Object} data - { reason }
+ * @param {Object} currentUser - Current authenticated user
+ * @returns {Promise<Object>} Success response with revoked share
+ */
+const revokeShare = async (shareId, data, currentUser) => {
+  const share = await reportService.revokeShare(shareId, data, currentUser);
+
+  return success({
+    message: 'Report link revoked successfully',
+    data: { share }
+  });
+};
+
+module.exports = {
+  createShare,
+  getSharedReport,
+  getAllShares,
+  revokeShare
+};
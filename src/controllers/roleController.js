@@ -0,0 +1,81 @@
+/**
+ * Role Controller
+ * Handles HTTP request/response logic for role and permission endpoints
+ */
+
+const roleService = require('../services/roleService');
+const { success } = require('../utils/response');
+
+/**
+ * Create a custom role
+ */
+const createRole = async (data, currentUser) => {
+  const role = await roleService.createRole(data, currentUser);
+  return success({
+    statusCode: 201,
+    message: 'Role created successfully',
+    data: role
+  });
+};
+
+/**
+ * List roles
+ */
+const getAllRoles = async () => {
+  const roles = await roleService.getAllRoles();
+  return success({
+    message: 'Roles retrieved successfully',
+    data: roles
+  });
+};
+
+/**
+ * Get role by ID
+ */
+const getRoleById = async (roleId) => {
+  const role = await roleService.getRoleById(roleId);
+  return success({
+    message: 'Role retrieved successfully',
+    data: role
+  });
+};
+
+/**
+ * Update role
+ */
+const updateRole = async (roleId, data, currentUser) => {
+  const role = await roleService.updateRole(roleId, data, currentUser);
+  return success({
+    message: 'Role updated successfully',
+    data: role
+  });
+};
+
+/**
+ * Delete custom role
+ */
+const deleteRole = async (roleId) => {
+  await roleService.deleteRole(roleId);
+  return success({
+    message: 'Role deleted successfully'
+  });
+};
+
+/**
+ * List the permission catalog
+ */
+const getPermissions = async () => {
+  return success({
+    message: 'Permissions retrieved successfully',
+    data: roleService.listPermissions()
+  });
+};
+
+module.exports = {
+  createRole,
+  getAllRoles,
+  getRoleById,
+  updateRole,
+  deleteRole,
+  getPermissions
+};
@@ -0,0 +1,93 @@
+/**
+ * Scheduling Controller
+ * Handles HTTP request/response logic for inspector calendars, working hours and time-off
+ */
+
+const schedulingService = require('../services/schedulingService');
+const { success } = require('../utils/response');
+
+/**
+ * Get an inspector's calendar (admin or the inspector)
+ * @param {string} inspectorId - Inspector user ID
+ * @param {Object} range - { from, to }
+ * @param {Object} currentUser - Current authenticated user
+ * @returns {Promise<Object>} Success response with calendar
+ */
+const getCalendar = async (inspectorId, range, currentUser) => {
+  const calendar = await schedulingService.getCalendar(inspectorId, range, currentUser);
+
+  return success({
+    message: 'Inspector calendar retrieved successfully',
+    data: { calendar }
+  });
+};
+
+/**
+ * Get current inspector's working hours and time-off
+ * @param {Object} currentUser - Authenticated inspector
+ * @returns {Promise<Object>} Success response with availability
+ */
+const getMyAvailability = async (currentUser) => {
+  const availability = await schedulingService.getMyAvailability(currentUser);
+
+  return success({
+    message: 'Availability retrieved successfully',
+    data: { availability }
+  });
+};
+
+/**
+ * Update current inspector's working hours / time zone
+ * @param {Object} body - { timezone?, workingHours? }
+ * @param {Object} currentUser - Authenticated inspector
+ * @returns {Promise<Object>} Success response with availability
+ */
+const updateMyAvailability = async (body, currentUser) => {
+  const availability = await schedulingService.updateMyAvailability(body, currentUser);
+
+  return success({
+    message: 'Availability updated successfully',
+    data: { availability }
+  });
+};
+
+/**
+ * Add a time-off period for the current inspector
+ * @param {Object} body - { start, end, reason? }
+ * @param {Object} currentUser - Authenticated inspector
+ * @returns {Promise<Object>} Success response with availability and conflicting bookings
+ */
+const addTimeOff = async (body, currentUser) => {
+  const result = await schedulingService.addTimeOff(body, currentUser);
+
+  return success({
+    statusCode: 201,
+    message: result.conflictingBookings.length
+      ? 'Time-off added; some existing bookings overlap and need to be reassigned'
+      : 'Time-off added successfully',
+    data: result
+  });
+};
+
+/**
+ * Remove a time-off period of the current inspector
+ * @param {string} timeOffId - Time-off entry ID
+ * @param {Object} currentUser - Authenticated inspector
+ * @returns {Promise<Object>} Success response with availability
+ */
+const removeTimeOff = async (timeOffId, currentUser) => {
+  const availability = await schedulingService.removeTimeOff(timeOffId, currentUser);
+
+  return success({
+    message: 'Time-off removed successfully',
+    data: { availability }
+  });
+};
+
+module.exports = {
+  getCalendar,
+  getMyAvailability,
+  updateMyAvailability,
+  addTimeOff,
+  removeTimeOff
+};
@@ -0,0 +1,85 @@
+/**
+ * Service Area Controller
+ * Handles HTTP request/response logic for service area endpoints
+ */
+
+const serviceAreaService = require('../services/serviceAreaService');
+const { success } = require('../utils/response');
+
+/**
+ * Create a service area
+ */
+const createServiceArea = async (data, currentUser) => {
+  const area = await serviceAreaService.createArea(data, currentUser);
+  return success({
+    statusCode: 201,
+    message: 'Service area created successfully',
+    data: area
+  });
+};
+
+/**
+ * List service areas
+ */
+const getAllServiceAreas = async (queryParams) => {
+  const areas = await serviceAreaService.getAllAreas(queryParams);
+  return success({
+    message: 'Service areas retrieved successfully',
+    data: areas
+  });
+};
+
+/**
+ * Get service area by ID
+ */
+const getServiceAreaById = async (areaId) => {
+  const area = await serviceAreaService.getAreaById(areaId);
+  return success({
+    message: 'Service area retrieved successfully',
+    data: area
+  });
+};
+
+/**
+ * Update service area
+ */
+const updateServiceArea = async (areaId, data, currentUser) => {
+  const area = await serviceAreaService.updateArea(areaId, data, currentUser);
+  return success({
+    message: 'Service area updated successfully',
+    data: area
+  });
+};
+
+/**
+ * Delete service area
+ */
+const deleteServiceArea = async (areaId) => {
+  await serviceAreaService.deleteArea(areaId);
+  return success({
+    message: 'Service area deleted successfully'
+  });
+};
+
+/**
+ * Check whether a location is served
+ */
+const checkCoverage = async ({ zipCode, lat, lng }) => {
+  const result = await serviceAreaService.checkCoverage({
+    zipCode,
+    coordinates: lat != null && lng != null ? { lat, lng } : null
+  });
+  return success({
+    message: result.covered ? 'Location is served' : 'Location is outside our service areas',
+    data: result
+  });
+};
+
+module.exports = {
+  createServiceArea,
+  getAllServiceAreas,
+  getServiceAreaById,
+  updateServiceArea,
+  deleteServiceArea,
+  checkCoverage
+};
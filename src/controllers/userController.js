@@ -7,6 +7,10 @@
 const userService = require('../services/userService');
 const { success } = require('../utils/response');
 const authService = require('../services/authService');
+const sessionService = require('../services/sessionService');
+const passwordService = require('../services/passwordService');
+const twoFactorService = require('../services/twoFactorService');
+const { AUTH_SESSIONS } = require('../config/constants');
 
 /**
  * Register new user
@@ -44,10 +48,11 @@ const login = async (email) => {
 /**
  * Create user (admin only)
  * @param {Object} userData - User data
+ * @param {Object} currentUser - Authenticated user
  * @returns {Promise<Object>} Success response with created user
  */
-const createUser = async (userData) => {
-  const user = await userService.createUser(userData);
+const createUser = async (userData, currentUser) => {
+  const user = await userService.createUser(userData, currentUser);
   
   return success({
     statusCode: 201,
@@ -90,10 +95,11 @@ const updateUser = async (userId, updateData, currentUser) => {
 /**
  * Toggle user status (admin only): active ↔ inactive
  * @param {number} userId - User ID to toggle
+ * @param {Object} currentUser - Authenticated admin
  * @returns {Promise<Object>} Success response with updated user
  */
-const blockUser = async (userId) => {
-  const user = await userService.blockUser(userId);
+const blockUser = async (userId, currentUser) => {
+  const user = await userService.blockUser(userId, currentUser);
   
   return success({
     message: user.status === 'active' ? 'User activated successfully' : 'User deactivated successfully',
@@ -104,16 +110,63 @@ const blockUser = async (userId) => {
 /**
  * Delete user (admin only)
  * @param {number} userId - User ID to delete
+ * @param {Object} currentUser - Authenticated admin
  * @returns {Promise<Object>} Success response
  */
-const deleteUser = async (userId) => {
-  await userService.deleteUser(userId);
+const deleteUser = async (userId, currentUser) => {
+  await userService.deleteUser(userId, currentUser);
   
   return success({
     message: 'User deleted successfully'
   });
 };
 
+/**
+ * List a user's active sessions (admin only)
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} Success response with sessions
+ */
+const getUserSessions = async (userId) => {
+  const sessions = await sessionService.listSessions(userId);
+
+  return success({
+    message: 'Sessions retrieved successfully',
+    data: { sessions }
+  });
+};
+
+/**
+ * Sign a user out of all sessions (admin only)
+ * @param {string} userId - User ID
+ * @param {Object} currentUser - Authenticated admin
+ * @returns {Promise<Object>} Success response with the number of revoked sessions
+ */
+const revokeUserSessions = async (userId, currentUser) => {
+  const revoked = await sessionService.revokeAllSessions(userId, AUTH_SESSIONS.REVOKE_REASONS.FORCED_BY_ADMIN, {
+    revokedBy: currentUser.id
+  });
+
+  return success({
+    message: 'User signed out of all sessions',
+    data: { revoked }
+  });
+};
+
+/**
+ * Remove a user's two-factor authentication, e.g. after a lost device (admin only)
+ * @param {string} userId - User ID
+ * @param {Object} currentUser - Authenticated admin
+ * @returns {Promise<Object>} Success response with the updated user
+ */
+const resetUserTwoFactor = async (userId, currentUser) => {
+  const user = await twoFactorService.resetForUser(userId, currentUser);
+
+  return success({
+    message: 'Two-factor authentication reset. The user can enroll again.',
+    data: { user }
+  });
+};
+
 /**
  * Get all users with pagination and search (admin only)
  * @param {Object} queryParams - Query parameters for pagination, search, and filtering
@@ -143,7 +196,7 @@ const getAvailableInspectors = async (queryParams) => {
 };
 
 /**
- * Update current inspector's available status (inspector only)
+ * Update current inspector's available status (requires schedule:manage-own)
  * @param {Object} body - { availableStatus?: string }
  * @param {Object} currentUser - Authenticated inspector
  * @returns {Promise<Object>} Success response with updated user
@@ -157,6 +210,22 @@ const updateMyAvailableStatus = async (body, currentUser) => {
   });
 };
 
+/**
+ * Change the current user's password (other sessions are signed out)
+ * @param {Object} body - { currentPassword, newPassword }
+ * @param {Object} currentUser - Authenticated user
+ * @param {Object} context - { sessionId, client }
+ * @returns {Promise<Object>} Success response with the number of sessions signed out
+ */
+const changeMyPassword = async (body, currentUser, context) => {
+  const result = await passwordService.changePassword(currentUser, body, context);
+
+  return success({
+    message: 'Password changed successfully',
+    data: result
+  });
+};
+
 module.exports = {
   register,
   login,
@@ -165,7 +234,11 @@ module.exports = {
   updateUser,
   blockUser,
   deleteUser,
+  getUserSessions,
+  revokeUserSessions,
+  resetUserTwoFactor,
   getAllUsers,
   getAvailableInspectors,
-  updateMyAvailableStatus
+  updateMyAvailableStatus,
+  changeMyPassword
 };
\ No newline at end of file
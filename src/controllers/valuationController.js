@@ -0,0 +1,82 @@
+/**
+ * Valuation Controller
+ * Handles HTTP request/response logic for the vehicle price table and request valuations
+ */
+
+const valuationService = require('../services/valuationService');
+const { success } = require('../utils/response');
+
+/**
+ * Create a vehicle price
+ */
+const createVehiclePrice = async (data, currentUser) => {
+  const price = await valuationService.createPrice(data, currentUser);
+  return success({
+    statusCode: 201,
+    message: 'Vehicle price created successfully',
+    data: price
+  });
+};
+
+/**
+ * List vehicle prices
+ */
+const getAllVehiclePrices = async (queryParams) => {
+  const prices = await valuationService.getAllPrices(queryParams);
+  return success({
+    message: 'Vehicle prices retrieved successfully',
+    data: prices
+  });
+};
+
+/**
+ * Get vehicle price by ID
+ */
+const getVehiclePriceById = async (priceId) => {
+  const price = await valuationService.getPriceById(priceId);
+  return success({
+    message: 'Vehicle price retrieved successfully',
+    data: price
+  });
+};
+
+/**
+ * Update vehicle price
+ */
+const updateVehiclePrice = async (priceId, data, currentUser) => {
+  const price = await valuationService.updatePrice(priceId, data, currentUser);
+  return success({
+    message: 'Vehicle price updated successfully',
+    data: price
+  });
+};
+
+/**
+ * Delete vehicle price
+ */
+const deleteVehiclePrice = async (priceId) => {
+  await valuationService.deletePrice(priceId);
+  return success({
+    message: 'Vehicle price deleted successfully'
+  });
+};
+
+/**
+ * Get the valuation of a car valuation request
+ */
+const getRequestValuation = async (requestId, currentUser, queryParams) => {
+  const valuation = await valuationService.getRequestValuation(requestId, currentUser, queryParams);
+  return success({
+    message: 'Valuation retrieved successfully',
+    data: valuation
+  });
+};
+
+module.exports = {
+  createVehiclePrice,
+  getAllVehiclePrices,
+  getVehiclePriceById,
+  updateVehiclePrice,
+  deleteVehiclePrice,
+  getRequestValuation
+};
@@ -0,0 +1,59 @@
+/**
+ * Vehicle Controller
+ * Handles HTTP request/response logic for vehicle endpoints
+ */
+
+const vinService = require('../services/vinService');
+const vehicleService = require('../services/vehicleService');
+const { success } = require('../utils/response');
+
+/**
+ * Decode a VIN
+ */
+const decodeVin = async ({ vin }) => {
+  const decoded = await vinService.decode(vin);
+  return success({
+    message: 'VIN decoded successfully',
+    data: decoded
+  });
+};
+
+/**
+ * Search vehicles by VIN or license plate
+ */
+const getAllVehicles = async (queryParams) => {
+  const result = await vehicleService.searchVehicles(queryParams);
+  return success({
+    message: 'Vehicles retrieved successfully',
+    data: result
+  });
+};
+
+/**
+ * Get vehicle by ID
+ */
+const getVehicleById = async (vehicleId) => {
+  const vehicle = await vehicleService.getVehicleById(vehicleId);
+  return success({
+    message: 'Vehicle retrieved successfully',
+    data: vehicle
+  });
+};
+
+/**
+ * Get a vehicle's request/inspection timeline and mileage history
+ */
+const getVehicleTimeline = async (vehicleId) => {
+  const timeline = await vehicleService.getTimeline(vehicleId);
+  return success({
+    message: 'Vehicle timeline retrieved successfully',
+    data: timeline
+  });
+};
+
+module.exports = {
+  decodeVin,
+  getAllVehicles,
+  getVehicleById,
+  getVehicleTimeline
+};
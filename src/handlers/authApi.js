@@ -15,6 +15,7 @@ const authHandler = require('./authHandler');
  * Serverless HTTP API provides `event.routeKey` like:
  * - "POST /api/auth/register"
  * - "POST /api/auth/login"
+ * - "POST /api/auth/refresh"
  */
 exports.handler = asyncHandler(async (event) => {
   const routeKey =
@@ -30,6 +31,32 @@ exports.handler = asyncHandler(async (event) => {
       return authHandler.sendOtp(event);
     case 'POST /api/auth/verify-otp':
       return authHandler.verifyOtp(event);
+    case 'POST /api/auth/2fa/verify':
+      return authHandler.verifyTwoFactor(event);
+    case 'GET /api/auth/2fa':
+      return authHandler.getTwoFactorStatus(event);
+    case 'POST /api/auth/2fa/setup':
+      return authHandler.setupTwoFactor(event);
+    case 'POST /api/auth/2fa/enable':
+      return authHandler.enableTwoFactor(event);
+    case 'POST /api/auth/2fa/disable':
+      return authHandler.disableTwoFactor(event);
+    case 'POST /api/auth/2fa/recovery-codes':
+      return authHandler.regenerateRecoveryCodes(event);
+    case 'POST /api/auth/forgot-password':
+      return authHandler.forgotPassword(event);
+    case 'POST /api/auth/reset-password':
+      return authHandler.resetPassword(event);
+    case 'POST /api/auth/refresh':
+      return authHandler.refresh(event);
+    case 'POST /api/auth/logout':
+      return authHandler.logout(event);
+    case 'GET /api/auth/sessions':
+      return authHandler.getMySessions(event);
+    case 'DELETE /api/auth/sessions/{id}':
+      return authHandler.revokeMySession(event);
+    case 'GET /api/auth/permissions':
+      return authHandler.getMyPermissions(event);
     default:
       throw new BadRequestError(`Unsupported route: ${routeKey}`);
   }
@@ -4,8 +4,29 @@
  */
 
 const { connectDB } = require('../config/database');
-const { register, login, sendOtp, verifyOtp } = require('../controllers/authController');
+const {
+  register,
+  login,
+  sendOtp,
+  verifyOtp,
+  verifyTwoFactor,
+  getTwoFactorStatus,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+  forgotPassword,
+  resetPassword,
+  refresh,
+  logout,
+  getMySessions,
+  getMyPermissions,
+  revokeMySession
+} = require('../controllers/authController');
+const { authenticate } = require('../middleware/auth');
 const { validate, schemas } = require('../middleware/validator');
+const { clientInfo } = require('../utils/clientInfo');
+const { BadRequestError } = require('../utils/errors');
 const asyncHandler = require('../utils/asyncHandler');
 
 // Initialize database connection (warm start optimization)
@@ -28,7 +49,7 @@ exports.register = asyncHandler(async (event) => {
   const userData = validate(schemas.register)(event);
   
   // Register user
-  return await register(userData);
+  return await register(userData, clientInfo(event));
 });
 
 /**
@@ -42,7 +63,7 @@ exports.login = asyncHandler(async (event) => {
   const validated = validate(schemas.login)(event);
   const { email, password } = validated;
   
-  return await login(email, password);
+  return await login(email, password, clientInfo(event));
 });
 
 /**
@@ -53,7 +74,7 @@ exports.sendOtp = asyncHandler(async (event) => {
   await initDB();
 
   const { email } = validate(schemas.sendOtp)(event);
-  return await sendOtp(email);
+  return await sendOtp(email, clientInfo(event));
 });
 
 /**
@@ -64,5 +85,167 @@ exports.verifyOtp = asyncHandler(async (event) => {
   await initDB();
 
   const { email, otp } = validate(schemas.verifyOtp)(event);
-  return await verifyOtp(email, otp);
+  return await verifyOtp(email, otp, clientInfo(event));
+});
+
+/**
+ * Verify two-factor handler (second login step)
+ * POST /api/auth/2fa/verify
+ * Body { challengeToken, code } or { challengeToken, recoveryCode }. Returns tokens like login.
+ */
+exports.verifyTwoFactor = asyncHandler(async (event) => {
+  await initDB();
+
+  const body = validate(schemas.verifyTwoFactor)(event);
+  return await verifyTwoFactor(body, clientInfo(event));
+});
+
+/**
+ * Two-factor status handler
+ * GET /api/auth/2fa
+ */
+exports.getTwoFactorStatus = asyncHandler(async (event) => {
+  await initDB();
+
+  const { user: currentUser } = await authenticate(event);
+  return await getTwoFactorStatus(currentUser);
+});
+
+/**
+ * Two-factor setup handler
+ * POST /api/auth/2fa/setup
+ */
+exports.setupTwoFactor = asyncHandler(async (event) => {
+  await initDB();
+
+  const { user: currentUser } = await authenticate(event);
+  return await setupTwoFactor(currentUser);
+});
+
+/**
+ * Enable two-factor handler
+ * POST /api/auth/2fa/enable
+ * Body { code }
+ */
+exports.enableTwoFactor = asyncHandler(async (event) => {
+  await initDB();
+
+  const { user: currentUser } = await authenticate(event);
+  const { code } = validate(schemas.twoFactorCode)(event);
+  return await enableTwoFactor(code, currentUser, clientInfo(event));
+});
+
+/**
+ * Disable two-factor handler
+ * POST /api/auth/2fa/disable
+ * Body { password, code } or { password, recoveryCode }
+ */
+exports.disableTwoFactor = asyncHandler(async (event) => {
+  await initDB();
+
+  const { user: currentUser } = await authenticate(event);
+  const body = validate(schemas.disableTwoFactor)(event);
+  return await disableTwoFactor(body, currentUser, clientInfo(event));
+});
+
+/**
+ * Regenerate recovery codes handler
+ * POST /api/auth/2fa/recovery-codes
+ * Body { code }
+ */
+exports.regenerateRecoveryCodes = asyncHandler(async (event) => {
+  await initDB();
+
+  const { user: currentUser } = await authenticate(event);
+  const { code } = validate(schemas.twoFactorCode)(event);
+  return await regenerateRecoveryCodes(code, currentUser, clientInfo(event));
+});
+
+/**
+ * Forgot password handler
+ * POST /api/auth/forgot-password
+ * Body { email }. Emails a single-use reset token to admin/inspector accounts.
+ */
+exports.forgotPassword = asyncHandler(async (event) => {
+  await initDB();
+
+  const { email } = validate(schemas.forgotPassword)(event);
+  return await forgotPassword(email, clientInfo(event));
+});
+
+/**
+ * Reset password handler
+ * POST /api/auth/reset-password
+ * Body { token, password }. Signs the user out of all sessions.
+ */
+exports.resetPassword = asyncHandler(async (event) => {
+  await initDB();
+
+  const body = validate(schemas.resetPassword)(event);
+  return await resetPassword(body, clientInfo(event));
+});
+
+/**
+ * Refresh token handler
+ * POST /api/auth/refresh
+ * Body { refreshToken }. Returns a new access token and a new refresh token (the old one stops working).
+ */
+exports.refresh = asyncHandler(async (event) => {
+  await initDB();
+
+  const { refreshToken } = validate(schemas.refreshToken)(event);
+  return await refresh(refreshToken, clientInfo(event));
+});
+
+/**
+ * Logout handler
+ * POST /api/auth/logout
+ * Signs out the session of the bearer token, or (without one, e.g. after it expired) of body { refreshToken }.
+ */
+exports.logout = asyncHandler(async (event) => {
+  await initDB();
+
+  const { refreshToken } = validate(schemas.logout)(event);
+  if (refreshToken) {
+    return await logout({ refreshToken });
+  }
+  const { sessionId } = await authenticate(event);
+  return await logout({ sessionId });
+});
+
+/**
+ * List my sessions handler
+ * GET /api/auth/sessions
+ */
+exports.getMySessions = asyncHandler(async (event) => {
+  await initDB();
+
+  const { user: currentUser, sessionId } = await authenticate(event);
+  return await getMySessions(currentUser, sessionId);
+});
+
+/**
+ * My permissions handler
+ * GET /api/auth/permissions
+ */
+exports.getMyPermissions = asyncHandler(async (event) => {
+  await initDB();
+
+  const { user: currentUser } = await authenticate(event);
+  return await getMyPermissions(currentUser);
+});
+
+/**
+ * Revoke one of my sessions handler
+ * DELETE /api/auth/sessions/{id}
+ */
+exports.revokeMySession = asyncHandler(async (event) => {
+  await initDB();
+
+  const { user: currentUser } = await authenticate(event);
+  const targetSessionId = event.pathParameters?.id;
+  if (!targetSessionId) {
+    throw new BadRequestError('Session ID is required');
+  }
+  return await revokeMySession(targetSessionId, currentUser);
 });
\ No newline at end of file
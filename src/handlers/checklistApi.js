@@ -18,10 +18,22 @@ const checklistHandler = require('./checklistHandler');
  * - "PUT /api/checklists/templates/{id}"
  * - "DELETE /api/checklists/templates/{id}"
  * - "GET /api/checklists/templates/active"
+ * - "GET /api/checklists/templates/{id}/versions"
+ * - "GET /api/checklists/templates/{id}/versions/diff"
+ * - "GET /api/checklists/templates/{id}/versions/{version}"
+ * - "POST /api/checklists/templates/{id}/versions/{version}/publish"
+ * - "POST /api/checklists/templates/{id}/versions/{version}/archive"
  * - "POST /api/checklists/inspections"
  * - "GET /api/checklists/inspections"
+ * - "GET /api/checklists/inspections/compare"
  * - "GET /api/checklists/inspections/{id}"
+ * - "GET /api/checklists/inspections/{id}/report.pdf"
+ * - "POST /api/checklists/inspections/{id}/share"
  * - "PUT /api/checklists/inspections/{id}"
+ * - "PATCH /api/checklists/inspections/{id}"
+ * - "PATCH /api/checklists/inspections/{id}/types/{typeName}/items/{position}"
+ * - "POST /api/checklists/inspections/{id}/sync"
+ * - "GET /api/checklists/inspections/{id}/sync"
  * - "DELETE /api/checklists/inspections/{id}"
  */
 exports.handler = asyncHandler(async (event) => {
@@ -59,16 +71,40 @@ exports.handler = asyncHandler(async (event) => {
       return checklistHandler.deleteTemplate(event);
     case 'GET /api/checklists/templates/active':
       return checklistHandler.getActiveTemplates(event);
+    case 'GET /api/checklists/templates/{id}/versions':
+      return checklistHandler.getTemplateVersions(event);
+    case 'GET /api/checklists/templates/{id}/versions/diff':
+      return checklistHandler.diffTemplateVersions(event);
+    case 'GET /api/checklists/templates/{id}/versions/{version}':
+      return checklistHandler.getTemplateVersion(event);
+    case 'POST /api/checklists/templates/{id}/versions/{version}/publish':
+      return checklistHandler.publishTemplateVersion(event);
+    case 'POST /api/checklists/templates/{id}/versions/{version}/archive':
+      return checklistHandler.archiveTemplateVersion(event);
     
     // Inspection routes
     case 'POST /api/checklists/inspections':
       return checklistHandler.createInspection(event);
     case 'GET /api/checklists/inspections':
       return checklistHandler.getAllInspections(event);
+    case 'GET /api/checklists/inspections/compare':
+      return checklistHandler.compareInspections(event);
     case 'GET /api/checklists/inspections/{id}':
       return checklistHandler.getInspectionById(event);
+    case 'GET /api/checklists/inspections/{id}/report.pdf':
+      return checklistHandler.getInspectionReport(event);
+    case 'POST /api/checklists/inspections/{id}/share':
+      return checklistHandler.createReportShare(event);
     case 'PUT /api/checklists/inspections/{id}':
       return checklistHandler.updateInspection(event);
+    case 'PATCH /api/checklists/inspections/{id}':
+      return checklistHandler.patchInspection(event);
+    case 'PATCH /api/checklists/inspections/{id}/types/{typeName}/items/{position}':
+      return checklistHandler.updateChecklistItem(event);
+    case 'POST /api/checklists/inspections/{id}/sync':
+      return checklistHandler.syncInspection(event);
+    case 'GET /api/checklists/inspections/{id}/sync':
+      return checklistHandler.getInspectionChanges(event);
     case 'DELETE /api/checklists/inspections/{id}':
       return checklistHandler.deleteInspection(event);
     case 'POST /api/checklists/inspections/{id}/start':
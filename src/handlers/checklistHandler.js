@@ -9,12 +9,23 @@ const {
   getAllTemplates,
   getTemplateById,
   updateTemplate,
+  getTemplateVersions,
+  getTemplateVersion,
+  diffTemplateVersions,
+  publishTemplateVersion,
+  archiveTemplateVersion,
   deleteTemplate,
   getActiveTemplates,
   createInspection,
   getInspectionById,
+  compareInspections,
+  getInspectionReport,
   getAllInspections,
   updateInspection,
+  patchInspection,
+  updateChecklistItem,
+  syncInspection,
+  getInspectionChanges,
   deleteInspection,
   startInspection
 } = require('../controllers/checklistController');
@@ -27,9 +38,11 @@ const {
   deleteMedia: deleteMediaController,
   getSimpleImageUploadUrl: getSimpleImageUploadUrlController
 } = require('../controllers/uploadController');
-const { authenticate, authorize } = require('../middleware/auth');
+const { createShare: createReportShareController } = require('../controllers/reportController');
+const { authenticate } = require('../middleware/auth');
+const { requirePermission, can } = require('../middleware/policy');
 const { schemas, validate } = require('../middleware/validator');
-const { USER_ROLES } = require('../config/constants');
+const { PERMISSIONS } = require('../config/permissions');
 const { BadRequestError } = require('../utils/errors');
 const { parseQueryParams } = require('../utils/queryParams');
 const { validateQuery } = require('../utils/validateQuery');
@@ -51,7 +64,7 @@ const initDB = async () => {
  */
 exports.getSimpleImageUploadUrl = asyncHandler(async (event) => {
   await initDB();
-  const { user: currentUser } = await authorize(USER_ROLES.INSPECTOR, USER_ROLES.ADMIN)(event);
+  const { user: currentUser } = await requirePermission(PERMISSIONS.UPLOADS_CREATE)(event);
   const params = validate(schemas.simpleImageUpload)(event);
   return await getSimpleImageUploadUrlController(params, currentUser);
 });
@@ -63,7 +76,7 @@ exports.getSimpleImageUploadUrl = asyncHandler(async (event) => {
  */
 exports.getPresignedUploadUrl = asyncHandler(async (event) => {
   await initDB();
-  const { user: currentUser } = await authorize(USER_ROLES.INSPECTOR, USER_ROLES.ADMIN)(event);
+  const { user: currentUser } = await requirePermission(PERMISSIONS.UPLOADS_CREATE)(event);
   const params = validate(schemas.presignedUploadUrl)(event);
   return await getPresignedUploadUrlController(params, currentUser);
 });
@@ -75,7 +88,7 @@ exports.getPresignedUploadUrl = asyncHandler(async (event) => {
  */
 exports.initMultipartUpload = asyncHandler(async (event) => {
   await initDB();
-  const { user: currentUser } = await authorize(USER_ROLES.INSPECTOR, USER_ROLES.ADMIN)(event);
+  const { user: currentUser } = await requirePermission(PERMISSIONS.UPLOADS_CREATE)(event);
   const params = validate(schemas.multipartUploadInit)(event);
   return await initMultipartUploadController(params, currentUser);
 });
@@ -86,7 +99,7 @@ exports.initMultipartUpload = asyncHandler(async (event) => {
  */
 exports.getMultipartPartUrls = asyncHandler(async (event) => {
   await initDB();
-  const { user: currentUser } = await authorize(USER_ROLES.INSPECTOR, USER_ROLES.ADMIN)(event);
+  const { user: currentUser } = await requirePermission(PERMISSIONS.UPLOADS_CREATE)(event);
   const params = validate(schemas.multipartPartUrls)(event);
   return await getMultipartPartUrlsController(params, currentUser);
 });
@@ -97,7 +110,7 @@ exports.getMultipartPartUrls = asyncHandler(async (event) => {
  */
 exports.completeMultipart = asyncHandler(async (event) => {
   await initDB();
-  const { user: currentUser } = await authorize(USER_ROLES.INSPECTOR, USER_ROLES.ADMIN)(event);
+  const { user: currentUser } = await requirePermission(PERMISSIONS.UPLOADS_CREATE)(event);
   const params = validate(schemas.multipartComplete)(event);
   return await completeMultipartController(params, currentUser);
 });
@@ -108,31 +121,31 @@ exports.completeMultipart = asyncHandler(async (event) => {
  */
 exports.abortMultipart = asyncHandler(async (event) => {
   await initDB();
-  const { user: currentUser } = await authorize(USER_ROLES.INSPECTOR, USER_ROLES.ADMIN)(event);
+  const { user: currentUser } = await requirePermission(PERMISSIONS.UPLOADS_CREATE)(event);
   const params = validate(schemas.multipartAbort)(event);
   return await abortMultipartController(params, currentUser);
 });
 
 /**
- * Delete image or video from S3 (inspector or admin).
+ * Delete image or video from S3 (requires uploads:create).
  * POST /api/upload/delete – body: { key } or { fileUrl }
  */
 exports.deleteMedia = asyncHandler(async (event) => {
   await initDB();
-  const { user: currentUser } = await authorize(USER_ROLES.INSPECTOR, USER_ROLES.ADMIN)(event);
+  const { user: currentUser } = await requirePermission(PERMISSIONS.UPLOADS_CREATE)(event);
   const params = validate(schemas.deleteMedia)(event);
   return await deleteMediaController(params, currentUser);
 });
 
 /**
- * Create template handler (admin only)
+ * Create template handler (requires templates:manage)
  * POST /api/checklists/templates
  */
 exports.createTemplate = asyncHandler(async (event) => {
   await initDB();
   
   // Authenticate and authorize
-  const { user: currentUser } = await authorize(USER_ROLES.ADMIN)(event);
+  const { user: currentUser } = await requirePermission(PERMISSIONS.TEMPLATES_MANAGE)(event);
   
   // Validate request
   const templateData = validate(schemas.createTemplate)(event);
@@ -142,14 +155,14 @@ exports.createTemplate = asyncHandler(async (event) => {
 });
 
 /**
- * Get all templates handler (admin only)
+ * Get all templates handler (requires templates:manage)
  * GET /api/checklists/templates
  */
 exports.getAllTemplates = asyncHandler(async (event) => {
   await initDB();
   
   // Authenticate and authorize
-  const { user: currentUser } = await authorize(USER_ROLES.ADMIN)(event);
+  const { user: currentUser } = await requirePermission(PERMISSIONS.TEMPLATES_MANAGE)(event);
   
   // Parse and validate query parameters
   const queryParams = parseQueryParams(event);
@@ -175,22 +188,22 @@ exports.getTemplateById = asyncHandler(async (event) => {
     throw new BadRequestError('Template ID is required');
   }
   
-  // For inspectors, only return active templates
-  const activeOnly = currentUser.role === USER_ROLES.INSPECTOR;
+  // Users who cannot manage templates only see active templates
+  const activeOnly = !can(currentUser, PERMISSIONS.TEMPLATES_MANAGE);
   
   // Get template
   return await getTemplateById(templateId, activeOnly);
 });
 
 /**
- * Update template handler (admin only)
+ * Update template handler (requires templates:manage)
  * PUT /api/checklists/templates/{id}
  */
 exports.updateTemplate = asyncHandler(async (event) => {
   await initDB();
   
   // Authenticate and authorize
-  const { user: currentUser } = await authorize(USER_ROLES.ADMIN)(event);
+  const { user: currentUser } = await requirePermission(PERMISSIONS.TEMPLATES_MANAGE)(event);
   
   // Get template ID from path parameters
   const templateId = event.pathParameters?.id;
@@ -205,15 +218,106 @@ exports.updateTemplate = asyncHandler(async (event) => {
   return await updateTemplate(templateId, updateData, currentUser);
 });
 
+/** Template ID and version number from the path */
+const parseVersionPath = (event) => {
+  const templateId = event.pathParameters?.id;
+  if (!templateId) {
+    throw new BadRequestError('Template ID is required');
+  }
+  const version = Number(event.pathParameters?.version);
+  if (!Number.isInteger(version) || version < 1) {
+    throw new BadRequestError('Version must be a positive integer');
+  }
+  return { templateId, version };
+};
+
+/**
+ * List template versions handler (requires templates:manage)
+ * GET /api/checklists/templates/{id}/versions
+ */
+exports.getTemplateVersions = asyncHandler(async (event) => {
+  await initDB();
+
+  await requirePermission(PERMISSIONS.TEMPLATES_MANAGE)(event);
+
+  const templateId = event.pathParameters?.id;
+  if (!templateId) {
+    throw new BadRequestError('Template ID is required');
+  }
+
+  return await getTemplateVersions(templateId);
+});
+
+/**
+ * Get template version handler (requires templates:manage)
+ * GET /api/checklists/templates/{id}/versions/{version}
+ */
+exports.getTemplateVersion = asyncHandler(async (event) => {
+  await initDB();
+
+  await requirePermission(PERMISSIONS.TEMPLATES_MANAGE)(event);
+
+  const { templateId, version } = parseVersionPath(event);
+
+  return await getTemplateVersion(templateId, version);
+});
+
+/**
+ * Compare template versions handler (requires templates:manage)
+ * GET /api/checklists/templates/{id}/versions/diff?from=&to=
+ */
+exports.diffTemplateVersions = asyncHandler(async (event) => {
+  await initDB();
+
+  await requirePermission(PERMISSIONS.TEMPLATES_MANAGE)(event);
+
+  const templateId = event.pathParameters?.id;
+  if (!templateId) {
+    throw new BadRequestError('Template ID is required');
+  }
+
+  const queryParams = validateQuery(schemas.templateVersionDiff, parseQueryParams(event));
+
+  return await diffTemplateVersions(templateId, queryParams);
+});
+
+/**
+ * Publish template version handler (requires templates:publish)
+ * POST /api/checklists/templates/{id}/versions/{version}/publish
+ */
+exports.publishTemplateVersion = asyncHandler(async (event) => {
+  await initDB();
+
+  const { user: currentUser } = await requirePermission(PERMISSIONS.TEMPLATES_PUBLISH)(event);
+
+  const { templateId, version } = parseVersionPath(event);
+
+  return await publishTemplateVersion(templateId, version, currentUser);
+});
+
 /**
- * Delete template handler (admin only)
+ * Archive template version handler (requires templates:publish)
+ * POST /api/checklists/templates/{id}/versions/{version}/archive
+ */
+exports.archiveTemplateVersion = asyncHandler(async (event) => {
+  await initDB();
+
+  const { user: currentUser } = await requirePermission(PERMISSIONS.TEMPLATES_PUBLISH)(event);
+
+  const { templateId, version } = parseVersionPath(event);
+
+  return await archiveTemplateVersion(templateId, version, currentUser);
+});
+
+/**
+ * Delete template handler (requires templates:manage)
  * DELETE /api/checklists/templates/{id}
  */
 exports.deleteTemplate = asyncHandler(async (event) => {
   await initDB();
   
   // Authenticate and authorize
-  const { user: currentUser } = await authorize(USER_ROLES.ADMIN)(event);
+  const { user: currentUser } = await requirePermission(PERMISSIONS.TEMPLATES_MANAGE)(event);
   
   // Get template ID from path parameters
   const templateId = event.pathParameters?.id;
@@ -226,28 +330,28 @@ exports.deleteTemplate = asyncHandler(async (event) => {
 });
 
 /**
- * Get active templates handler (inspector only)
+ * Get active templates handler (requires templates:read)
  * GET /api/checklists/templates/active
  */
 exports.getActiveTemplates = asyncHandler(async (event) => {
   await initDB();
   
   // Authenticate and authorize
-  const { user: currentUser } = await authorize(USER_ROLES.INSPECTOR)(event);
+  const { user: currentUser } = await requirePermission(PERMISSIONS.TEMPLATES_READ)(event);
   
   // Get active templates
   return await getActiveTemplates();
 });
 
 /**
- * Create inspection handler (inspector only)
+ * Create inspection handler (requires inspections:conduct)
  * POST /api/checklists/inspections
  */
 exports.createInspection = asyncHandler(async (event) => {
   await initDB();
   
   // Authenticate and authorize
-  const { user: currentUser } = await authorize(USER_ROLES.INSPECTOR)(event);
+  const { user: currentUser } = await requirePermission(PERMISSIONS.INSPECTIONS_CONDUCT)(event);
   
   // Validate request
   const inspectionData = validate(schemas.createInspection)(event);
@@ -276,6 +380,64 @@ exports.getInspectionById = asyncHandler(async (event) => {
   return await getInspectionById(inspectionId, currentUser);
 });
 
+/**
+ * Compare two inspections of the same vehicle handler
+ * GET /api/checklists/inspections/compare?a=&b=
+ */
+exports.compareInspections = asyncHandler(async (event) => {
+  await initDB();
+
+  // Authenticate (access to each inspection is checked as in getInspectionById)
+  const { user: currentUser } = await authenticate(event);
+
+  const queryParams = validateQuery(schemas.compareInspections, parseQueryParams(event));
+  return await compareInspections(queryParams, currentUser);
+});
+
+/**
+ * Download inspection report PDF handler
+ * GET /api/checklists/inspections/{id}/report.pdf
+ */
+exports.getInspectionReport = asyncHandler(async (event) => {
+  await initDB();
+  
+  // Authenticate
+  const { user: currentUser } = await authenticate(event);
+  
+  // Get inspection ID from path parameters
+  const inspectionId = event.pathParameters?.id;
+  if (!inspectionId) {
+    throw new BadRequestError('Inspection ID is required');
+  }
+  
+  // Generate report (same ownership rules as getInspectionById)
+  return await getInspectionReport(inspectionId, currentUser);
+});
+
+/**
+ * Create shareable report link handler
+ * POST /api/checklists/inspections/{id}/share
+ * Body: { expiresInDays? }
+ */
+exports.createReportShare = asyncHandler(async (event) => {
+  await initDB();
+  
+  // Authenticate
+  const { user: currentUser } = await authenticate(event);
+  
+  // Get inspection ID from path parameters
+  const inspectionId = event.pathParameters?.id;
+  if (!inspectionId) {
+    throw new BadRequestError('Inspection ID is required');
+  }
+  
+  // Validate request
+  const data = validate(schemas.createReportShare)(event);
+  
+  // Create share link (same ownership rules as getInspectionById)
+  return await createReportShareController(inspectionId, data, currentUser);
+});
+
 /**
  * Get all inspections handler
  * GET /api/checklists/inspections
@@ -317,6 +479,98 @@ exports.updateInspection = asyncHandler(async (event) => {
   return await updateInspection(inspectionId, updateData, currentUser);
 });
 
+/**
+ * JSON Patch handler for checklist items (requires inspections:conduct, only if draft)
+ * PATCH /api/checklists/inspections/{id}
+ * Body: { revision, operations: [{ op, path: /types/{typeName}/items/{position}/{field}, value? }] }
+ */
+exports.patchInspection = asyncHandler(async (event) => {
+  await initDB();
+
+  const { user: currentUser } = await requirePermission(PERMISSIONS.INSPECTIONS_CONDUCT)(event);
+
+  const inspectionId = event.pathParameters?.id;
+  if (!inspectionId) {
+    throw new BadRequestError('Inspection ID is required');
+  }
+
+  const body = validate(schemas.patchInspection)(event);
+
+  return await patchInspection(inspectionId, body, currentUser);
+});
+
+/**
+ * Single checklist item update handler (requires inspections:conduct, only if draft)
+ * PATCH /api/checklists/inspections/{id}/types/{typeName}/items/{position}
+ * Body: { revision, status?, rating?, remarks?, photos? }
+ */
+exports.updateChecklistItem = asyncHandler(async (event) => {
+  await initDB();
+
+  const { user: currentUser } = await requirePermission(PERMISSIONS.INSPECTIONS_CONDUCT)(event);
+
+  const { id: inspectionId, typeName: rawTypeName, position: rawPosition } = event.pathParameters || {};
+  if (!inspectionId) {
+    throw new BadRequestError('Inspection ID is required');
+  }
+  let typeName = rawTypeName;
+  try {
+    typeName = decodeURIComponent(rawTypeName || '');
+  } catch (error) {
+    // Already decoded
+  }
+  if (!typeName) {
+    throw new BadRequestError('Type name is required');
+  }
+  const position = Number(rawPosition);
+  if (!Number.isInteger(position) || position < 1) {
+    throw new BadRequestError('Item position must be a positive integer');
+  }
+
+  const body = validate(schemas.updateChecklistItem)(event);
+
+  return await updateChecklistItem(inspectionId, typeName, position, body, currentUser);
+});
+
+/**
+ * Offline sync handler (requires inspections:conduct, only if draft)
+ * POST /api/checklists/inspections/{id}/sync
+ * Body: { baseRevision, deviceId?, operations: [{ opId, typeName, position, clientTimestamp, changes }] }
+ */
+exports.syncInspection = asyncHandler(async (event) => {
+  await initDB();
+
+  const { user: currentUser } = await requirePermission(PERMISSIONS.INSPECTIONS_CONDUCT)(event);
+
+  const inspectionId = event.pathParameters?.id;
+  if (!inspectionId) {
+    throw new BadRequestError('Inspection ID is required');
+  }
+
+  const body = validate(schemas.syncInspection)(event);
+
+  return await syncInspection(inspectionId, body, currentUser);
+});
+
+/**
+ * Changed checklist items handler (inspection's inspector, or inspections:read-all)
+ * GET /api/checklists/inspections/{id}/sync?sinceRevision=
+ */
+exports.getInspectionChanges = asyncHandler(async (event) => {
+  await initDB();
+
+  const { user: currentUser } = await authenticate(event);
+
+  const inspectionId = event.pathParameters?.id;
+  if (!inspectionId) {
+    throw new BadRequestError('Inspection ID is required');
+  }
+
+  const queryParams = validateQuery(schemas.inspectionChanges, parseQueryParams(event));
+
+  return await getInspectionChanges(inspectionId, queryParams, currentUser);
+});
+
 /**
  * Delete inspection handler (inspector only, only if draft)
  * DELETE /api/checklists/inspections/{id}
@@ -338,14 +592,14 @@ exports.deleteInspection = asyncHandler(async (event) => {
 });
 
 /**
- * Start inspection by inspection ID (inspector only)
+ * Start inspection by inspection ID (requires inspections:conduct)
  * POST /api/checklists/inspections/{id}/start
  * Sets inspection start time and updates linked inspection request status to in_progress
  */
 exports.startInspection = asyncHandler(async (event) => {
   await initDB();
   
-  const { user: currentUser } = await authorize(USER_ROLES.INSPECTOR)(event);
+  const { user: currentUser } = await requirePermission(PERMISSIONS.INSPECTIONS_CONDUCT)(event);
   
   const inspectionRequestId = event.pathParameters?.id;
   if (!inspectionRequestId) {
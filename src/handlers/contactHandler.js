@@ -9,8 +9,8 @@ const { submitContact, getAllContactSubmissions } = require('../controllers/cont
 const { validate, schemas } = require('../middleware/validator');
 const { parseQueryParams } = require('../utils/queryParams');
 const { validateQuery } = require('../utils/validateQuery');
-const { authorize } = require('../middleware/auth');
-const { USER_ROLES } = require('../config/constants');
+const { requirePermission } = require('../middleware/policy');
+const { PERMISSIONS } = require('../config/permissions');
 const asyncHandler = require('../utils/asyncHandler');
 
 let dbConnected = false;
@@ -34,13 +34,13 @@ exports.submitContact = asyncHandler(async (event) => {
 });
 
 /**
- * Get all contact submissions (admin only)
+ * Get all contact submissions (requires contact:read)
  * GET /api/contact/admin?page=1&limit=10&search=&sortBy=createdAt&sortOrder=DESC
  */
 exports.getContactSubmissionsAdmin = asyncHandler(async (event) => {
   await initDB();
 
-  await authorize(USER_ROLES.ADMIN)(event);
+  await requirePermission(PERMISSIONS.CONTACT_READ)(event);
 
   const queryParams = parseQueryParams(event);
   const validatedParams = validateQuery(schemas.listContactSubmissions, queryParams);
@@ -0,0 +1,39 @@
+/**
+ * Inspection Category API Router (Single Lambda)
+ * Routes inspection category HTTP API events to the correct handler.
+ */
+
+const { BadRequestError } = require('../utils/errors');
+const asyncHandler = require('../utils/asyncHandler');
+const inspectionCategoryHandler = require('./inspectionCategoryHandler');
+
+/**
+ * Single entrypoint for inspection category endpoints.
+ *
+ * Serverless HTTP API provides `event.routeKey` like:
+ * - "POST /api/admin/inspection-categories"
+ * - "GET /api/admin/inspection-categories/{id}"
+ * - "GET /api/inspection-categories"
+ */
+exports.handler = asyncHandler(async (event) => {
+  const routeKey =
+    event.routeKey ||
+    `${event.requestContext?.http?.method || ''} ${event.requestContext?.http?.path || ''}`.trim();
+
+  switch (routeKey) {
+    case 'POST /api/admin/inspection-categories':
+      return inspectionCategoryHandler.createInspectionCategory(event);
+    case 'GET /api/admin/inspection-categories':
+      return inspectionCategoryHandler.getAllInspectionCategories(event);
+    case 'GET /api/admin/inspection-categories/{id}':
+      return inspectionCategoryHandler.getInspectionCategoryById(event);
+    case 'PUT /api/admin/inspection-categories/{id}':
+      return inspectionCategoryHandler.updateInspectionCategory(event);
+    case 'DELETE /api/admin/inspection-categories/{id}':
+      return inspectionCategoryHandler.deleteInspectionCategory(event);
+    case 'GET /api/inspection-categories':
+      return inspectionCategoryHandler.getActiveInspectionCategories(event);
+    default:
+      throw new BadRequestError(`Unsupported route: ${routeKey}`);
+  }
+});
@@ -0,0 +1,112 @@
+/**
+ * Inspection Category Handlers
+ * Lambda function handlers for inspection category endpoints
+ */
+
+const { connectDB } = require('../config/database');
+const {
+  createInspectionCategory,
+  getAllInspectionCategories,
+  getActiveInspectionCategories,
+  getInspectionCategoryById,
+  updateInspectionCategory,
+  deleteInspectionCategory
+} = require('../controllers/inspectionCategoryController');
+const { authenticate } = require('../middleware/auth');
+const { requirePermission } = require('../middleware/policy');
+const { PERMISSIONS } = require('../config/permissions');
+const { schemas, validate } = require('../middleware/validator');
+const { parseQueryParams } = require('../utils/queryParams');
+const { validateQuery } = require('../utils/validateQuery');
+const { BadRequestError } = require('../utils/errors');
+const asyncHandler = require('../utils/asyncHandler');
+
+// Initialize database connection (warm start optimization)
+let dbConnected = false;
+const initDB = async () => {
+  if (!dbConnected) {
+    await connectDB();
+    dbConnected = true;
+  }
+};
+
+/**
+ * Create an inspection category
+ * POST /api/admin/inspection-categories
+ * Requires categories:manage
+ */
+exports.createInspectionCategory = asyncHandler(async (event) => {
+  await initDB();
+  const { user: currentUser } = await requirePermission(PERMISSIONS.CATEGORIES_MANAGE)(event);
+  const data = validate(schemas.createInspectionCategory)(event);
+  return await createInspectionCategory(data, currentUser);
+});
+
+/**
+ * List inspection categories
+ * GET /api/admin/inspection-categories?isActive=true
+ * Requires categories:manage
+ */
+exports.getAllInspectionCategories = asyncHandler(async (event) => {
+  await initDB();
+  await requirePermission(PERMISSIONS.CATEGORIES_MANAGE)(event);
+  const queryParams = validateQuery(schemas.listInspectionCategories, parseQueryParams(event));
+  return await getAllInspectionCategories(queryParams);
+});
+
+/**
+ * Get inspection category by ID
+ * GET /api/admin/inspection-categories/{id}
+ * Requires categories:manage
+ */
+exports.getInspectionCategoryById = asyncHandler(async (event) => {
+  await initDB();
+  await requirePermission(PERMISSIONS.CATEGORIES_MANAGE)(event);
+  const categoryId = event.pathParameters?.id;
+  if (!categoryId) {
+    throw new BadRequestError('Inspection category ID is required');
+  }
+  return await getInspectionCategoryById(categoryId);
+});
+
+/**
+ * Update inspection category
+ * PUT /api/admin/inspection-categories/{id}
+ * Requires categories:manage
+ */
+exports.updateInspectionCategory = asyncHandler(async (event) => {
+  await initDB();
+  const { user: currentUser } = await requirePermission(PERMISSIONS.CATEGORIES_MANAGE)(event);
+  const categoryId = event.pathParameters?.id;
+  if (!categoryId) {
+    throw new BadRequestError('Inspection category ID is required');
+  }
+  const data = validate(schemas.updateInspectionCategory)(event);
+  return await updateInspectionCategory(categoryId, data, currentUser);
+});
+
+/**
+ * Delete inspection category
+ * DELETE /api/admin/inspection-categories/{id}
+ * Requires categories:manage
+ */
+exports.deleteInspectionCategory = asyncHandler(async (event) => {
+  await initDB();
+  await requirePermission(PERMISSIONS.CATEGORIES_MANAGE)(event);
+  const categoryId = event.pathParameters?.id;
+  if (!categoryId) {
+    throw new BadRequestError('Inspection category ID is required');
+  }
+  return await deleteInspectionCategory(categoryId);
+});
+
+/**
+ * List active inspection categories in display order
+ * GET /api/inspection-categories
+ * Any authenticated user
+ */
+exports.getActiveInspectionCategories = asyncHandler(async (event) => {
+  await initDB();
+  await authenticate(event);
+  return await getActiveInspectionCategories();
+});
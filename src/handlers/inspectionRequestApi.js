@@ -32,8 +32,16 @@ exports.handler = asyncHandler(async (event) => {
       return inspectionRequestHandler.assignInspector(event);
     case 'PUT /api/inspection-requests/{id}/approve':
       return inspectionRequestHandler.approveRequest(event);
+    case 'GET /api/inspection-requests/{id}/dispatch-candidates':
+      return inspectionRequestHandler.getDispatchCandidates(event);
+    case 'PUT /api/inspection-requests/{id}/feedback':
+      return inspectionRequestHandler.submitFeedback(event);
     case 'PUT /api/inspection-requests/{id}/reject':
       return inspectionRequestHandler.rejectRequest(event);
+    case 'PUT /api/inspection-requests/{id}/status':
+      return inspectionRequestHandler.changeStatus(event);
+    case 'GET /api/inspection-requests/{id}/history':
+      return inspectionRequestHandler.getStatusHistory(event);
     case 'POST /api/inspection-requests/{id}/start':
       return inspectionRequestHandler.startInspection(event);
     case 'GET /api/inspection-requests/admin/all':
@@ -13,15 +13,20 @@ const {
   assignInspector: assignInspectorController,
   getAssignedRequestsForInspector: getAssignedRequestsForInspectorController,
   approveRequest: approveRequestController,
-  rejectRequest: rejectRequestController
+  rejectRequest: rejectRequestController,
+  changeStatus: changeStatusController,
+  getStatusHistory: getStatusHistoryController,
+  getDispatchCandidates: getDispatchCandidatesController,
+  submitFeedback: submitFeedbackController
 } = require('../controllers/inspectionRequestController');
 const { startInspection: startInspectionController } = require('../controllers/checklistController');
-const { authenticate, authorize } = require('../middleware/auth');
+const { authenticate } = require('../middleware/auth');
+const { requirePermission } = require('../middleware/policy');
 const { validate, schemas } = require('../middleware/validator');
 const { parseQueryParams } = require('../utils/queryParams');
 const { validateQuery } = require('../utils/validateQuery');
 const { BadRequestError } = require('../utils/errors');
-const { USER_ROLES } = require('../config/constants');
+const { PERMISSIONS } = require('../config/permissions');
 const asyncHandler = require('../utils/asyncHandler');
 
 // Initialize database connection (warm start optimization)
@@ -110,31 +115,31 @@ exports.updateRequest = asyncHandler(async (event) => {
 
 /**
  * Get all requests for admin handler
- * GET /api/inspection-requests/admin/all
+ * GET /api/inspection-requests/admin/all?status=&near=lat,lng&radiusKm=
  */
 exports.getAllRequestsForAdmin = asyncHandler(async (event) => {
   await initDB();
   
-  // Authenticate and authorize (admin only)
-  const { user: currentUser } = await authorize(USER_ROLES.ADMIN)(event);
+  // Authenticate and authorize
+  const { user: currentUser } = await requirePermission(PERMISSIONS.REQUESTS_READ_ALL)(event);
   
   // Parse and validate query parameters
   const queryParams = parseQueryParams(event);
-  const validatedParams = validateQuery(schemas.listInspectionRequests, queryParams);
+  const validatedParams = validateQuery(schemas.listAdminInspectionRequests, queryParams);
   
   // Get all requests
   return await getAllRequestsForAdmin(validatedParams);
 });
 
 /**
- * Assign inspector to inspection request handler (admin only)
+ * Assign inspector to inspection request handler (requires requests:assign)
  * PUT /api/inspection-requests/{id}/assign
  * Body: { inspectorId: "..." }
  */
 exports.assignInspector = asyncHandler(async (event) => {
   await initDB();
 
-  const { user: currentUser } = await authorize(USER_ROLES.ADMIN)(event);
+  const { user: currentUser } = await requirePermission(PERMISSIONS.REQUESTS_ASSIGN)(event);
 
   const requestId = event.pathParameters?.id;
   if (!requestId) {
@@ -146,13 +151,13 @@ exports.assignInspector = asyncHandler(async (event) => {
 });
 
 /**
- * Get assigned requests for current inspector (inspector only)
+ * Get assigned requests for current inspector (requires requests:read-assigned)
  * GET /api/inspection-requests/inspector/assigned
  */
 exports.getAssignedRequestsForInspector = asyncHandler(async (event) => {
   await initDB();
 
-  const { user: currentUser } = await authorize(USER_ROLES.INSPECTOR)(event);
+  const { user: currentUser } = await requirePermission(PERMISSIONS.REQUESTS_READ_ASSIGNED)(event);
 
   const queryParams = parseQueryParams(event);
   const validatedParams = validateQuery(schemas.listInspectionRequests, queryParams);
@@ -161,31 +166,71 @@ exports.getAssignedRequestsForInspector = asyncHandler(async (event) => {
 });
 
 /**
- * Approve inspection request handler (admin only)
+ * Approve inspection request handler (requires requests:approve)
  * PUT /api/inspection-requests/{id}/approve
+ * Body (optional): { autoAssign?: boolean }
  */
 exports.approveRequest = asyncHandler(async (event) => {
   await initDB();
 
-  const { user: currentUser } = await authorize(USER_ROLES.ADMIN)(event);
+  const { user: currentUser } = await requirePermission(PERMISSIONS.REQUESTS_APPROVE)(event);
+
+  const requestId = event.pathParameters?.id;
+  if (!requestId) {
+    throw new BadRequestError('Request ID is required');
+  }
+
+  const body = validate(schemas.approveInspectionRequest)(event);
+  return await approveRequestController(requestId, body, currentUser);
+});
+
+/**
+ * Dry-run dispatch handler (requires requests:assign)
+ * GET /api/inspection-requests/{id}/dispatch-candidates?limit=10&includeIneligible=false
+ * Ranks inspectors with the same scoring as auto-assign, without assigning
+ */
+exports.getDispatchCandidates = asyncHandler(async (event) => {
+  await initDB();
+
+  await requirePermission(PERMISSIONS.REQUESTS_ASSIGN)(event);
+
+  const requestId = event.pathParameters?.id;
+  if (!requestId) {
+    throw new BadRequestError('Request ID is required');
+  }
+
+  const queryParams = validateQuery(schemas.dispatchCandidates, parseQueryParams(event));
+  return await getDispatchCandidatesController(requestId, queryParams);
+});
+
+/**
+ * Submit feedback handler (request owner)
+ * PUT /api/inspection-requests/{id}/feedback
+ * Body: { rating: 1-5, comment? }
+ */
+exports.submitFeedback = asyncHandler(async (event) => {
+  await initDB();
+
+  const { user: currentUser } = await authenticate(event);
 
   const requestId = event.pathParameters?.id;
   if (!requestId) {
     throw new BadRequestError('Request ID is required');
   }
 
-  return await approveRequestController(requestId, currentUser);
+  const body = validate(schemas.submitRequestFeedback)(event);
+  return await submitFeedbackController(requestId, body, currentUser);
 });
 
 /**
- * Reject inspection request handler (admin only)
+ * Reject inspection request handler (requires requests:reject)
  * PUT /api/inspection-requests/{id}/reject
  * Body: { reason?: string }
  */
 exports.rejectRequest = asyncHandler(async (event) => {
   await initDB();
 
-  const { user: currentUser } = await authorize(USER_ROLES.ADMIN)(event);
+  const { user: currentUser } = await requirePermission(PERMISSIONS.REQUESTS_REJECT)(event);
 
   const requestId = event.pathParameters?.id;
   if (!requestId) {
@@ -195,3 +240,57 @@ exports.rejectRequest = asyncHandler(async (event) => {
   const body = validate(schemas.rejectInspectionRequest)(event);
   return await rejectRequestController(requestId, body, currentUser);
 });
+
+/**
+ * Change inspection request status handler (requires requests:change-status)
+ * PUT /api/inspection-requests/{id}/status
+ * Body: { status: pending|assigned|on_hold|rescheduled|cancelled, reason?, preferredDate?, preferredTime? }
+ */
+exports.changeStatus = asyncHandler(async (event) => {
+  await initDB();
+
+  const { user: currentUser } = await requirePermission(PERMISSIONS.REQUESTS_CHANGE_STATUS)(event);
+
+  const requestId = event.pathParameters?.id;
+  if (!requestId) {
+    throw new BadRequestError('Request ID is required');
+  }
+
+  const body = validate(schemas.changeInspectionRequestStatus)(event);
+  return await changeStatusController(requestId, body, currentUser);
+});
+
+/**
+ * Get inspection request status history handler
+ * GET /api/inspection-requests/{id}/history
+ */
+exports.getStatusHistory = asyncHandler(async (event) => {
+  await initDB();
+
+  const { user: currentUser } = await authenticate(event);
+
+  const requestId = event.pathParameters?.id;
+  if (!requestId) {
+    throw new BadRequestError('Request ID is required');
+  }
+
+  return await getStatusHistoryController(requestId, currentUser);
+});
+
+/**
+ * Start inspection request handler (assigned inspector only)
+ * POST /api/inspection-requests/{id}/start
+ * Moves the request to in_progress and records the start time
+ */
+exports.startInspection = asyncHandler(async (event) => {
+  await initDB();
+
+  const { user: currentUser } = await requirePermission(PERMISSIONS.INSPECTIONS_CONDUCT)(event);
+
+  const requestId = event.pathParameters?.id;
+  if (!requestId) {
+    throw new BadRequestError('Request ID is required');
+  }
+
+  return await startInspectionController(requestId, currentUser);
+});
@@ -11,8 +11,8 @@ const {
   updateMake,
   deleteMake
 } = require('../controllers/makeController');
-const { authorize } = require('../middleware/auth');
-const { USER_ROLES } = require('../config/constants');
+const { requirePermission } = require('../middleware/policy');
+const { PERMISSIONS } = require('../config/permissions');
 const { schemas, validate } = require('../middleware/validator');
 const { BadRequestError } = require('../utils/errors');
 const asyncHandler = require('../utils/asyncHandler');
@@ -29,11 +29,11 @@ const initDB = async () => {
 /**
  * Create a new make
  * POST /api/admin/makes
- * Admin, Inspector, User
+ * Requires catalog:contribute
  */
 exports.createMake = asyncHandler(async (event) => {
   await initDB();
-  const { user: currentUser } = await authorize(USER_ROLES.ADMIN, USER_ROLES.INSPECTOR, USER_ROLES.USER)(event);
+  const { user: currentUser } = await requirePermission(PERMISSIONS.CATALOG_CONTRIBUTE)(event);
   const makeData = validate(schemas.createMake)(event);
   return await createMake(makeData);
 });
@@ -67,11 +67,11 @@ exports.getMakeById = asyncHandler(async (event) => {
 /**
  * Update make
  * PUT /api/admin/makes/{id}
- * Admin only
+ * Requires catalog:manage
  */
 exports.updateMake = asyncHandler(async (event) => {
   await initDB();
-  const { user: currentUser } = await authorize(USER_ROLES.ADMIN)(event);
+  const { user: currentUser } = await requirePermission(PERMISSIONS.CATALOG_MANAGE)(event);
   const makeId = event.pathParameters?.id;
   if (!makeId) {
     throw new BadRequestError('Make ID is required');
@@ -83,11 +83,11 @@ exports.updateMake = asyncHandler(async (event) => {
 /**
  * Delete a make
  * DELETE /api/admin/makes/{id}
- * Admin only
+ * Requires catalog:manage
  */
 exports.deleteMake = asyncHandler(async (event) => {
   await initDB();
-  const { user: currentUser } = await authorize(USER_ROLES.ADMIN)(event);
+  const { user: currentUser } = await requirePermission(PERMISSIONS.CATALOG_MANAGE)(event);
   const makeId = event.pathParameters?.id;
   if (!makeId) {
     throw new BadRequestError('Make ID is required');
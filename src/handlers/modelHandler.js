@@ -11,8 +11,8 @@ const {
   updateModel,
   deleteModel
 } = require('../controllers/modelController');
-const { authorize } = require('../middleware/auth');
-const { USER_ROLES } = require('../config/constants');
+const { requirePermission } = require('../middleware/policy');
+const { PERMISSIONS } = require('../config/permissions');
 const { schemas, validate } = require('../middleware/validator');
 const { BadRequestError } = require('../utils/errors');
 const asyncHandler = require('../utils/asyncHandler');
@@ -29,11 +29,11 @@ const initDB = async () => {
 /**
  * Create a new model
  * POST /api/admin/models
- * Admin, Inspector, User
+ * Requires catalog:contribute
  */
 exports.createModel = asyncHandler(async (event) => {
   await initDB();
-  const { user: currentUser } = await authorize(USER_ROLES.ADMIN, USER_ROLES.INSPECTOR, USER_ROLES.USER)(event);
+  const { user: currentUser } = await requirePermission(PERMISSIONS.CATALOG_CONTRIBUTE)(event);
   const modelData = validate(schemas.createModel)(event);
   return await createModel(modelData);
 });
@@ -66,11 +66,11 @@ exports.getModelById = asyncHandler(async (event) => {
 /**
  * Update model
  * PUT /api/admin/models/{id}
- * Admin only
+ * Requires catalog:manage
  */
 exports.updateModel = asyncHandler(async (event) => {
   await initDB();
-  const { user: currentUser } = await authorize(USER_ROLES.ADMIN)(event);
+  const { user: currentUser } = await requirePermission(PERMISSIONS.CATALOG_MANAGE)(event);
   const modelId = event.pathParameters?.id;
   if (!modelId) {
     throw new BadRequestError('Model ID is required');
@@ -82,11 +82,11 @@ exports.updateModel = asyncHandler(async (event) => {
 /**
  * Delete a model
  * DELETE /api/admin/models/{id}
- * Admin only
+ * Requires catalog:manage
  */
 exports.deleteModel = asyncHandler(async (event) => {
   await initDB();
-  const { user: currentUser } = await authorize(USER_ROLES.ADMIN)(event);
+  const { user: currentUser } = await requirePermission(PERMISSIONS.CATALOG_MANAGE)(event);
   const modelId = event.pathParameters?.id;
   if (!modelId) {
     throw new BadRequestError('Model ID is required');
@@ -0,0 +1,105 @@
+/**
+ * Notification Handlers
+ * Admin management of email notification templates
+ * GET /api/notifications/templates
+ * GET /api/notifications/templates/{key}
+ * PUT /api/notifications/templates/{key}
+ * DELETE /api/notifications/templates/{key}
+ * POST /api/notifications/templates/{key}/preview
+ */
+
+const { connectDB } = require('../config/database');
+const {
+  getAllTemplates,
+  getTemplate,
+  updateTemplate,
+  resetTemplate,
+  previewTemplate
+} = require('../controllers/notificationController');
+const { requirePermission } = require('../middleware/policy');
+const { schemas, validate } = require('../middleware/validator');
+const { PERMISSIONS } = require('../config/permissions');
+const { BadRequestError } = require('../utils/errors');
+const asyncHandler = require('../utils/asyncHandler');
+
+let dbConnected = false;
+const initDB = async () => {
+  if (!dbConnected) {
+    await connectDB();
+    dbConnected = true;
+  }
+};
+
+const getTemplateKey = (event) => {
+  const key = event.pathParameters?.key;
+  if (!key) {
+    throw new BadRequestError('Template key is required');
+  }
+  return key;
+};
+
+/**
+ * List notification templates (requires notifications:manage)
+ * GET /api/notifications/templates
+ */
+exports.getAllTemplates = asyncHandler(async (event) => {
+  await initDB();
+
+  await requirePermission(PERMISSIONS.NOTIFICATIONS_MANAGE)(event);
+
+  return await getAllTemplates();
+});
+
+/**
+ * Get notification template (requires notifications:manage)
+ * GET /api/notifications/templates/{key}
+ */
+exports.getTemplate = asyncHandler(async (event) => {
+  await initDB();
+
+  await requirePermission(PERMISSIONS.NOTIFICATIONS_MANAGE)(event);
+
+  return await getTemplate(getTemplateKey(event));
+});
+
+/**
+ * Update notification template (requires notifications:manage)
+ * PUT /api/notifications/templates/{key}
+ * Body: { subject?, html?, text?, isActive? }
+ */
+exports.updateTemplate = asyncHandler(async (event) => {
+  await initDB();
+
+  const { user: currentUser } = await requirePermission(PERMISSIONS.NOTIFICATIONS_MANAGE)(event);
+
+  const key = getTemplateKey(event);
+  const data = validate(schemas.updateNotificationTemplate)(event);
+  return await updateTemplate(key, data, currentUser);
+});
+
+/**
+ * Reset notification template to default (requires notifications:manage)
+ * DELETE /api/notifications/templates/{key}
+ */
+exports.resetTemplate = asyncHandler(async (event) => {
+  await initDB();
+
+  await requirePermission(PERMISSIONS.NOTIFICATIONS_MANAGE)(event);
+
+  return await resetTemplate(getTemplateKey(event));
+});
+
+/**
+ * Preview notification template (requires notifications:manage)
+ * POST /api/notifications/templates/{key}/preview
+ * Body: { variables? }
+ */
+exports.previewTemplate = asyncHandler(async (event) => {
+  await initDB();
+
+  await requirePermission(PERMISSIONS.NOTIFICATIONS_MANAGE)(event);
+
+  const key = getTemplateKey(event);
+  const data = validate(schemas.previewNotificationTemplate)(event);
+  return await previewTemplate(key, data);
+});
@@ -0,0 +1,33 @@
+/**
+ * Notifications API Router
+ * GET /api/notifications/templates - List email templates (admin)
+ * GET /api/notifications/templates/{key} - Get email template (admin)
+ * PUT /api/notifications/templates/{key} - Update email template (admin)
+ * DELETE /api/notifications/templates/{key} - Reset email template to default (admin)
+ * POST /api/notifications/templates/{key}/preview - Render email template (admin)
+ */
+
+const { BadRequestError } = require('../utils/errors');
+const asyncHandler = require('../utils/asyncHandler');
+const notificationHandler = require('./notificationHandler');
+
+exports.handler = asyncHandler(async (event) => {
+  const routeKey =
+    event.routeKey ||
+    `${event.requestContext?.http?.method || ''} ${event.requestContext?.http?.path || ''}`.trim();
+
+  switch (routeKey) {
+    case 'GET /api/notifications/templates':
+      return notificationHandler.getAllTemplates(event);
+    case 'GET /api/notifications/templates/{key}':
+      return notificationHandler.getTemplate(event);
+    case 'PUT /api/notifications/templates/{key}':
+      return notificationHandler.updateTemplate(event);
+    case 'DELETE /api/notifications/templates/{key}':
+      return notificationHandler.resetTemplate(event);
+    case 'POST /api/notifications/templates/{key}/preview':
+      return notificationHandler.previewTemplate(event);
+    default:
+      throw new BadRequestError(`Unsupported route: ${routeKey}`);
+  }
+});
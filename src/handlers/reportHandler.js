@@ -0,0 +1,72 @@
+/**
+ * Report Handlers
+ * GET /api/reports/{token} - public, redacted shared report
+ * GET /api/reports/admin/shares - admin only
+ * PUT /api/reports/admin/shares/{id}/revoke - admin only
+ */
+
+const { connectDB } = require('../config/database');
+const { getSharedReport, getAllShares, revokeShare } = require('../controllers/reportController');
+const { requirePermission } = require('../middleware/policy');
+const { schemas, validate } = require('../middleware/validator');
+const { PERMISSIONS } = require('../config/permissions');
+const { BadRequestError } = require('../utils/errors');
+const { parseQueryParams } = require('../utils/queryParams');
+const { validateQuery } = require('../utils/validateQuery');
+const asyncHandler = require('../utils/asyncHandler');
+
+let dbConnected = false;
+const initDB = async () => {
+  if (!dbConnected) {
+    await connectDB();
+    dbConnected = true;
+  }
+};
+
+/**
+ * Get shared report by token (public, no authentication)
+ * GET /api/reports/{token}
+ */
+exports.getSharedReport = asyncHandler(async (event) => {
+  await initDB();
+
+  const token = event.pathParameters?.token;
+  if (!token) {
+    throw new BadRequestError('Report token is required');
+  }
+
+  return await getSharedReport(token);
+});
+
+/**
+ * List report shares (requires reports:manage-shares)
+ * GET /api/reports/admin/shares?page=1&limit=10&inspectionId=&state=active|revoked|expired
+ */
+exports.getAllShares = asyncHandler(async (event) => {
+  await initDB();
+
+  await requirePermission(PERMISSIONS.REPORTS_MANAGE_SHARES)(event);
+
+  const queryParams = parseQueryParams(event);
+  const validatedParams = validateQuery(schemas.listReportShares, queryParams);
+  return await getAllShares(validatedParams);
+});
+
+/**
+ * Revoke report share (requires reports:manage-shares)
+ * PUT /api/reports/admin/shares/{id}/revoke
+ * Body: { reason? }
+ */
+exports.revokeShare = asyncHandler(async (event) => {
+  await initDB();
+
+  const { user: currentUser } = await requirePermission(PERMISSIONS.REPORTS_MANAGE_SHARES)(event);
+
+  const shareId = event.pathParameters?.id;
+  if (!shareId) {
+    throw new BadRequestError('Share ID is required');
+  }
+
+  const data = validate(schemas.revokeReportShare)(event);
+  return await revokeShare(shareId, data, currentUser);
+});
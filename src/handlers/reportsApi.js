@@ -0,0 +1,27 @@
+/**
+ * Reports API Router
+ * GET /api/reports/{token} - Shared report (public)
+ * GET /api/reports/admin/shares - List report links (admin)
+ * PUT /api/reports/admin/shares/{id}/revoke - Revoke report link (admin)
+ */
+
+const { BadRequestError } = require('../utils/errors');
+const asyncHandler = require('../utils/asyncHandler');
+const reportHandler = require('./reportHandler');
+
+exports.handler = asyncHandler(async (event) => {
+  const routeKey =
+    event.routeKey ||
+    `${event.requestContext?.http?.method || ''} ${event.requestContext?.http?.path || ''}`.trim();
+
+  switch (routeKey) {
+    case 'GET /api/reports/{token}':
+      return reportHandler.getSharedReport(event);
+    case 'GET /api/reports/admin/shares':
+      return reportHandler.getAllShares(event);
+    case 'PUT /api/reports/admin/shares/{id}/revoke':
+      return reportHandler.revokeShare(event);
+    default:
+      throw new BadRequestError(`Unsupported route: ${routeKey}`);
+  }
+});
@@ -0,0 +1,108 @@
+/**
+ * Role Handlers
+ * Lambda function handlers for role and permission endpoints
+ */
+
+const { connectDB } = require('../config/database');
+const {
+  createRole,
+  getAllRoles,
+  getRoleById,
+  updateRole,
+  deleteRole,
+  getPermissions
+} = require('../controllers/roleController');
+const { requirePermission } = require('../middleware/policy');
+const { PERMISSIONS } = require('../config/permissions');
+const { schemas, validate } = require('../middleware/validator');
+const { BadRequestError } = require('../utils/errors');
+const asyncHandler = require('../utils/asyncHandler');
+
+// Initialize database connection (warm start optimization)
+let dbConnected = false;
+const initDB = async () => {
+  if (!dbConnected) {
+    await connectDB();
+    dbConnected = true;
+  }
+};
+
+/**
+ * Create a custom role
+ * POST /api/admin/roles
+ * Requires roles:manage
+ */
+exports.createRole = asyncHandler(async (event) => {
+  await initDB();
+  const { user: currentUser } = await requirePermission(PERMISSIONS.ROLES_MANAGE)(event);
+  const data = validate(schemas.createRole)(event);
+  return await createRole(data, currentUser);
+});
+
+/**
+ * List roles
+ * GET /api/admin/roles
+ * Requires roles:manage
+ */
+exports.getAllRoles = asyncHandler(async (event) => {
+  await initDB();
+  await requirePermission(PERMISSIONS.ROLES_MANAGE)(event);
+  return await getAllRoles();
+});
+
+/**
+ * Get role by ID
+ * GET /api/admin/roles/{id}
+ * Requires roles:manage
+ */
+exports.getRoleById = asyncHandler(async (event) => {
+  await initDB();
+  await requirePermission(PERMISSIONS.ROLES_MANAGE)(event);
+  const roleId = event.pathParameters?.id;
+  if (!roleId) {
+    throw new BadRequestError('Role ID is required');
+  }
+  return await getRoleById(roleId);
+});
+
+/**
+ * Update role
+ * PUT /api/admin/roles/{id}
+ * Requires roles:manage
+ */
+exports.updateRole = asyncHandler(async (event) => {
+  await initDB();
+  const { user: currentUser } = await requirePermission(PERMISSIONS.ROLES_MANAGE)(event);
+  const roleId = event.pathParameters?.id;
+  if (!roleId) {
+    throw new BadRequestError('Role ID is required');
+  }
+  const data = validate(schemas.updateRole)(event);
+  return await updateRole(roleId, data, currentUser);
+});
+
+/**
+ * Delete custom role
+ * DELETE /api/admin/roles/{id}
+ * Requires roles:manage
+ */
+exports.deleteRole = asyncHandler(async (event) => {
+  await initDB();
+  await requirePermission(PERMISSIONS.ROLES_MANAGE)(event);
+  const roleId = event.pathParameters?.id;
+  if (!roleId) {
+    throw new BadRequestError('Role ID is required');
+  }
+  return await deleteRole(roleId);
+});
+
+/**
+ * List the permission catalog
+ * GET /api/admin/permissions
+ * Requires roles:manage
+ */
+exports.getPermissions = asyncHandler(async (event) => {
+  await initDB();
+  await requirePermission(PERMISSIONS.ROLES_MANAGE)(event);
+  return await getPermissions();
+});
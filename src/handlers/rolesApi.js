@@ -0,0 +1,39 @@
+/**
+ * Roles API Router (Single Lambda)
+ * Routes role and permission HTTP API events to the correct handler.
+ */
+
+const { BadRequestError } = require('../utils/errors');
+const asyncHandler = require('../utils/asyncHandler');
+const roleHandler = require('./roleHandler');
+
+/**
+ * Single entrypoint for role endpoints.
+ *
+ * Serverless HTTP API provides `event.routeKey` like:
+ * - "POST /api/admin/roles"
+ * - "PUT /api/admin/roles/{id}"
+ * - "GET /api/admin/permissions"
+ */
+exports.handler = asyncHandler(async (event) => {
+  const routeKey =
+    event.routeKey ||
+    `${event.requestContext?.http?.method || ''} ${event.requestContext?.http?.path || ''}`.trim();
+
+  switch (routeKey) {
+    case 'POST /api/admin/roles':
+      return roleHandler.createRole(event);
+    case 'GET /api/admin/roles':
+      return roleHandler.getAllRoles(event);
+    case 'GET /api/admin/roles/{id}':
+      return roleHandler.getRoleById(event);
+    case 'PUT /api/admin/roles/{id}':
+      return roleHandler.updateRole(event);
+    case 'DELETE /api/admin/roles/{id}':
+      return roleHandler.deleteRole(event);
+    case 'GET /api/admin/permissions':
+      return roleHandler.getPermissions(event);
+    default:
+      throw new BadRequestError(`Unsupported route: ${routeKey}`);
+  }
+});
@@ -0,0 +1,108 @@
+/**
+ * Scheduling Handlers
+ * Inspector calendars, working hours and time-off (routed from usersApi)
+ */
+
+const { connectDB } = require('../config/database');
+const {
+  getCalendar,
+  getMyAvailability,
+  updateMyAvailability,
+  addTimeOff,
+  removeTimeOff
+} = require('../controllers/schedulingController');
+const { authenticate } = require('../middleware/auth');
+const { requirePermission } = require('../middleware/policy');
+const { validate, schemas } = require('../middleware/validator');
+const { PERMISSIONS } = require('../config/permissions');
+const { BadRequestError } = require('../utils/errors');
+const { parseQueryParams } = require('../utils/queryParams');
+const { validateQuery } = require('../utils/validateQuery');
+const asyncHandler = require('../utils/asyncHandler');
+
+let dbConnected = false;
+const initDB = async () => {
+  if (!dbConnected) {
+    await connectDB();
+    dbConnected = true;
+  }
+};
+
+/**
+ * Get inspector calendar (schedule:read-all, or the inspector for their own calendar; "me" is accepted as id)
+ * GET /api/inspectors/{id}/calendar?from=&to=
+ */
+exports.getCalendar = asyncHandler(async (event) => {
+  await initDB();
+
+  const { user: currentUser } = await authenticate(event);
+
+  let inspectorId = event.pathParameters?.id;
+  if (!inspectorId) {
+    throw new BadRequestError('Inspector ID is required');
+  }
+  if (inspectorId === 'me') {
+    inspectorId = String(currentUser._id || currentUser.id);
+  }
+
+  const queryParams = parseQueryParams(event);
+  const range = validateQuery(schemas.inspectorCalendar, queryParams);
+  return await getCalendar(inspectorId, range, currentUser);
+});
+
+/**
+ * Get own working hours and time-off (requires schedule:manage-own)
+ * GET /api/inspectors/me/availability
+ */
+exports.getMyAvailability = asyncHandler(async (event) => {
+  await initDB();
+
+  const { user: currentUser } = await requirePermission(PERMISSIONS.SCHEDULE_MANAGE_OWN)(event);
+
+  return await getMyAvailability(currentUser);
+});
+
+/**
+ * Publish own working hours / time zone (requires schedule:manage-own)
+ * PUT /api/inspectors/me/availability
+ * Body: { timezone?, workingHours?: [{ dayOfWeek, start, end }] }
+ */
+exports.updateMyAvailability = asyncHandler(async (event) => {
+  await initDB();
+
+  const { user: currentUser } = await requirePermission(PERMISSIONS.SCHEDULE_MANAGE_OWN)(event);
+
+  const body = validate(schemas.updateInspectorAvailability)(event);
+  return await updateMyAvailability(body, currentUser);
+});
+
+/**
+ * Add time-off (requires schedule:manage-own)
+ * POST /api/inspectors/me/time-off
+ * Body: { start, end, reason? }
+ */
+exports.addTimeOff = asyncHandler(async (event) => {
+  await initDB();
+
+  const { user: currentUser } = await requirePermission(PERMISSIONS.SCHEDULE_MANAGE_OWN)(event);
+
+  const body = validate(schemas.addInspectorTimeOff)(event);
+  return await addTimeOff(body, currentUser);
+});
+
+/**
+ * Remove time-off (requires schedule:manage-own)
+ * DELETE /api/inspectors/me/time-off/{timeOffId}
+ */
+exports.removeTimeOff = asyncHandler(async (event) => {
+  await initDB();
+
+  const { user: currentUser } = await requirePermission(PERMISSIONS.SCHEDULE_MANAGE_OWN)(event);
+
+  const timeOffId = event.pathParameters?.timeOffId;
+  if (!timeOffId) {
+    throw new BadRequestError('Time-off ID is required');
+  }
+
+  return await removeTimeOff(timeOffId, currentUser);
+});
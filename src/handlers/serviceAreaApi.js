@@ -0,0 +1,39 @@
+/**
+ * Service Area API Router (Single Lambda)
+ * Routes service area HTTP API events to the correct handler.
+ */
+
+const { BadRequestError } = require('../utils/errors');
+const asyncHandler = require('../utils/asyncHandler');
+const serviceAreaHandler = require('./serviceAreaHandler');
+
+/**
+ * Single entrypoint for service area endpoints.
+ *
+ * Serverless HTTP API provides `event.routeKey` like:
+ * - "POST /api/admin/service-areas"
+ * - "GET /api/admin/service-areas/{id}"
+ * - "GET /api/service-areas/check"
+ */
+exports.handler = asyncHandler(async (event) => {
+  const routeKey =
+    event.routeKey ||
+    `${event.requestContext?.http?.method || ''} ${event.requestContext?.http?.path || ''}`.trim();
+
+  switch (routeKey) {
+    case 'POST /api/admin/service-areas':
+      return serviceAreaHandler.createServiceArea(event);
+    case 'GET /api/admin/service-areas':
+      return serviceAreaHandler.getAllServiceAreas(event);
+    case 'GET /api/admin/service-areas/{id}':
+      return serviceAreaHandler.getServiceAreaById(event);
+    case 'PUT /api/admin/service-areas/{id}':
+      return serviceAreaHandler.updateServiceArea(event);
+    case 'DELETE /api/admin/service-areas/{id}':
+      return serviceAreaHandler.deleteServiceArea(event);
+    case 'GET /api/service-areas/check':
+      return serviceAreaHandler.checkCoverage(event);
+    default:
+      throw new BadRequestError(`Unsupported route: ${routeKey}`);
+  }
+});
@@ -0,0 +1,111 @@
+/**
+ * Service Area Handlers
+ * Lambda function handlers for service area endpoints
+ */
+
+const { connectDB } = require('../config/database');
+const {
+  createServiceArea,
+  getAllServiceAreas,
+  getServiceAreaById,
+  updateServiceArea,
+  deleteServiceArea,
+  checkCoverage
+} = require('../controllers/serviceAreaController');
+const { requirePermission } = require('../middleware/policy');
+const { PERMISSIONS } = require('../config/permissions');
+const { schemas, validate } = require('../middleware/validator');
+const { parseQueryParams } = require('../utils/queryParams');
+const { validateQuery } = require('../utils/validateQuery');
+const { BadRequestError } = require('../utils/errors');
+const asyncHandler = require('../utils/asyncHandler');
+
+// Initialize database connection (warm start optimization)
+let dbConnected = false;
+const initDB = async () => {
+  if (!dbConnected) {
+    await connectDB();
+    dbConnected = true;
+  }
+};
+
+/**
+ * Create a service area
+ * POST /api/admin/service-areas
+ * Requires service-areas:manage
+ */
+exports.createServiceArea = asyncHandler(async (event) => {
+  await initDB();
+  const { user: currentUser } = await requirePermission(PERMISSIONS.SERVICE_AREAS_MANAGE)(event);
+  const data = validate(schemas.createServiceArea)(event);
+  return await createServiceArea(data, currentUser);
+});
+
+/**
+ * List service areas
+ * GET /api/admin/service-areas?isActive=true
+ * Requires service-areas:manage
+ */
+exports.getAllServiceAreas = asyncHandler(async (event) => {
+  await initDB();
+  await requirePermission(PERMISSIONS.SERVICE_AREAS_MANAGE)(event);
+  const queryParams = validateQuery(schemas.listServiceAreas, parseQueryParams(event));
+  return await getAllServiceAreas(queryParams);
+});
+
+/**
+ * Get service area by ID
+ * GET /api/admin/service-areas/{id}
+ * Requires service-areas:manage
+ */
+exports.getServiceAreaById = asyncHandler(async (event) => {
+  await initDB();
+  await requirePermission(PERMISSIONS.SERVICE_AREAS_MANAGE)(event);
+  const areaId = event.pathParameters?.id;
+  if (!areaId) {
+    throw new BadRequestError('Service area ID is required');
+  }
+  return await getServiceAreaById(areaId);
+});
+
+/**
+ * Update service area
+ * PUT /api/admin/service-areas/{id}
+ * Requires service-areas:manage
+ */
+exports.updateServiceArea = asyncHandler(async (event) => {
+  await initDB();
+  const { user: currentUser } = await requirePermission(PERMISSIONS.SERVICE_AREAS_MANAGE)(event);
+  const areaId = event.pathParameters?.id;
+  if (!areaId) {
+    throw new BadRequestError('Service area ID is required');
+  }
+  const data = validate(schemas.updateServiceArea)(event);
+  return await updateServiceArea(areaId, data, currentUser);
+});
+
+/**
+ * Delete service area
+ * DELETE /api/admin/service-areas/{id}
+ * Requires service-areas:manage
+ */
+exports.deleteServiceArea = asyncHandler(async (event) => {
+  await initDB();
+  await requirePermission(PERMISSIONS.SERVICE_AREAS_MANAGE)(event);
+  const areaId = event.pathParameters?.id;
+  if (!areaId) {
+    throw new BadRequestError('Service area ID is required');
+  }
+  return await deleteServiceArea(areaId);
+});
+
+/**
+ * Check service coverage for a location
+ * GET /api/service-areas/check?zipCode=10001 or ?lat=40.75&lng=-73.99
+ * Public – lets the request form warn before submission
+ */
+exports.checkCoverage = asyncHandler(async (event) => {
+  await initDB();
+  const queryParams = validateQuery(schemas.checkServiceCoverage, parseQueryParams(event));
+  return await checkCoverage(queryParams);
+});
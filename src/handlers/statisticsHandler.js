@@ -5,8 +5,8 @@
 
 const { connectDB } = require('../config/database');
 const { getAdminDashboardData } = require('../controllers/adminDashboardController');
-const { authorize } = require('../middleware/auth');
-const { USER_ROLES } = require('../config/constants');
+const { requirePermission } = require('../middleware/policy');
+const { PERMISSIONS } = require('../config/permissions');
 const asyncHandler = require('../utils/asyncHandler');
 
 // Initialize database connection (warm start optimization)
@@ -21,13 +21,13 @@ const initDB = async () => {
 /**
  * Get admin dashboard data (users, inspection requests, inspectors)
  * GET /api/admin/dashboard
- * Admin only
+ * Requires dashboard:view
  */
 exports.getAdminDashboardData = asyncHandler(async (event) => {
   await initDB();
   
-  // Authenticate and authorize (admin only)
-  const { user: currentUser } = await authorize(USER_ROLES.ADMIN)(event);
+  // Authenticate and authorize
+  const { user: currentUser } = await requirePermission(PERMISSIONS.DASHBOARD_VIEW)(event);
   
   return await getAdminDashboardData();
 });
@@ -10,14 +10,20 @@ const {
   updateUser,
   blockUser,
   deleteUser,
+  getUserSessions,
+  revokeUserSessions,
+  resetUserTwoFactor,
   getAllUsers,
   getAvailableInspectors,
-  updateMyAvailableStatus
+  updateMyAvailableStatus,
+  changeMyPassword
 } = require('../controllers/userController');
-const { authenticate, authorize } = require('../middleware/auth');
+const { authenticate } = require('../middleware/auth');
+const { requirePermission } = require('../middleware/policy');
 const { validate, schemas } = require('../middleware/validator');
-const { USER_ROLES } = require('../config/constants');
+const { PERMISSIONS } = require('../config/permissions');
 const { BadRequestError, ForbiddenError } = require('../utils/errors');
+const { clientInfo } = require('../utils/clientInfo');
 const { parseQueryParams } = require('../utils/queryParams');
 const { validateQuery } = require('../utils/validateQuery');
 const asyncHandler = require('../utils/asyncHandler');
@@ -32,20 +38,20 @@ const initDB = async () => {
 };
 
 /**
- * Create user handler (admin only)
+ * Create user handler (requires users:manage)
  * POST /api/users
  */
 exports.createUser = asyncHandler(async (event) => {
   await initDB();
   
   // Authenticate and authorize
-  const { user: currentUser } = await authorize(USER_ROLES.ADMIN)(event);
+  const { user: currentUser } = await requirePermission(PERMISSIONS.USERS_MANAGE)(event);
   
   // Validate request
   const userData = validate(schemas.createUser)(event);
   
   // Create user
-  return await createUser(userData);
+  return await createUser(userData, currentUser);
 });
 
 /**
@@ -92,14 +98,14 @@ exports.updateUser = asyncHandler(async (event) => {
 });
 
 /**
- * Toggle user status handler (admin only): active ↔ inactive
+ * Toggle user status handler (requires users:manage): active ↔ inactive
  * PUT /api/users/{id}/block
  */
 exports.blockUser = asyncHandler(async (event) => {
   await initDB();
   
   // Authenticate and authorize
-  const { user: currentUser } = await authorize(USER_ROLES.ADMIN)(event);
+  const { user: currentUser } = await requirePermission(PERMISSIONS.USERS_MANAGE)(event);
   
   // Get user ID from path parameters
   const userId = event.pathParameters?.id;
@@ -108,18 +114,69 @@ exports.blockUser = asyncHandler(async (event) => {
   }
   
   // Toggle user status (active → inactive, inactive/blocked → active)
-  return await blockUser(userId);
+  return await blockUser(userId, currentUser);
 });
 
 /**
- * Delete user handler (admin only)
+ * List a user's active sessions handler (requires users:read)
+ * GET /api/users/{id}/sessions
+ */
+exports.getUserSessions = asyncHandler(async (event) => {
+  await initDB();
+
+  await requirePermission(PERMISSIONS.USERS_READ)(event);
+
+  const userId = event.pathParameters?.id;
+  if (!userId) {
+    throw new BadRequestError('User ID is required');
+  }
+
+  return await getUserSessions(userId);
+});
+
+/**
+ * Sign a user out of all sessions handler (requires users:manage)
+ * DELETE /api/users/{id}/sessions
+ */
+exports.revokeUserSessions = asyncHandler(async (event) => {
+  await initDB();
+
+  const { user: currentUser } = await requirePermission(PERMISSIONS.USERS_MANAGE)(event);
+
+  const userId = event.pathParameters?.id;
+  if (!userId) {
+    throw new BadRequestError('User ID is required');
+  }
+
+  return await revokeUserSessions(userId, currentUser);
+});
+
+/**
+ * Reset a user's two-factor authentication handler (requires users:manage)
+ * DELETE /api/users/{id}/2fa
+ */
+exports.resetUserTwoFactor = asyncHandler(async (event) => {
+  await initDB();
+
+  const { user: currentUser } = await requirePermission(PERMISSIONS.USERS_MANAGE)(event);
+
+  const userId = event.pathParameters?.id;
+  if (!userId) {
+    throw new BadRequestError('User ID is required');
+  }
+
+  return await resetUserTwoFactor(userId, currentUser);
+});
+
+/**
+ * Delete user handler (requires users:manage)
  * DELETE /api/users/{id}
  */
 exports.deleteUser = asyncHandler(async (event) => {
   await initDB();
   
   // Authenticate and authorize
-  const { user: currentUser } = await authorize(USER_ROLES.ADMIN)(event);
+  const { user: currentUser } = await requirePermission(PERMISSIONS.USERS_MANAGE)(event);
   
   // Get user ID from path parameters
   const userId = event.pathParameters?.id;
@@ -128,18 +185,18 @@ exports.deleteUser = asyncHandler(async (event) => {
   }
   
   // Delete user
-  return await deleteUser(userId);
+  return await deleteUser(userId, currentUser);
 });
 
 /**
- * Get all users handler (admin only)
+ * Get all users handler (requires users:read)
  * GET /api/users
  */
 exports.getAllUsers = asyncHandler(async (event) => {
   await initDB();
   
   // Authenticate and authorize
-  const { user: currentUser } = await authorize(USER_ROLES.ADMIN)(event);
+  const { user: currentUser } = await requirePermission(PERMISSIONS.USERS_READ)(event);
   
   // Parse and validate query parameters
   const queryParams = parseQueryParams(event);
@@ -150,14 +207,14 @@ exports.getAllUsers = asyncHandler(async (event) => {
 });
 
 /**
- * Get available inspectors for assignment (admin only)
- * GET /api/inspectors/available
- * Criteria: role=inspector, status=active, is_assigned=false
+ * Get available inspectors for assignment (requires requests:assign)
+ * GET /api/inspectors/available?slot=2026-05-01T10:00:00Z&durationMinutes=90
+ * Inspectors at their concurrent capacity are excluded. With slot: working hours, time-off, bookings and the daily limit are honored too
  */
 exports.getAvailableInspectors = asyncHandler(async (event) => {
   await initDB();
   
-  const { user: currentUser } = await authorize(USER_ROLES.ADMIN)(event);
+  const { user: currentUser } = await requirePermission(PERMISSIONS.REQUESTS_ASSIGN)(event);
   
   const queryParams = parseQueryParams(event);
   const validatedParams = validateQuery(schemas.listAvailableInspectors, queryParams);
@@ -166,15 +223,28 @@ exports.getAvailableInspectors = asyncHandler(async (event) => {
 });
 
 /**
- * Update inspector's own available status (inspector only)
+ * Update inspector's own available status (requires schedule:manage-own)
  * PUT /api/inspectors/me/available-status
  * Body: { availableStatus?: string }
  */
 exports.updateMyAvailableStatus = asyncHandler(async (event) => {
   await initDB();
 
-  const { user: currentUser } = await authorize(USER_ROLES.INSPECTOR)(event);
+  const { user: currentUser } = await requirePermission(PERMISSIONS.SCHEDULE_MANAGE_OWN)(event);
 
   const body = validate(schemas.updateAvailableStatus)(event);
   return await updateMyAvailableStatus(body, currentUser);
-});
\ No newline at end of file
+});
+
+/**
+ * Change my password handler (admin/inspector accounts)
+ * PUT /api/users/me/password
+ * Body { currentPassword, newPassword }. Keeps this session; signs out the others.
+ */
+exports.changeMyPassword = asyncHandler(async (event) => {
+  await initDB();
+
+  const { user: currentUser, sessionId } = await authenticate(event);
+  const body = validate(schemas.changePassword)(event);
+  return await changeMyPassword(body, currentUser, { sessionId, client: clientInfo(event) });
+});
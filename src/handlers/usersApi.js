@@ -7,6 +7,7 @@ const { BadRequestError } = require('../utils/errors');
 const asyncHandler = require('../utils/asyncHandler');
 
 const userHandler = require('./userHandler');
+const schedulingHandler = require('./schedulingHandler');
 
 /**
  * Single entrypoint for all user endpoints.
@@ -18,6 +19,7 @@ const userHandler = require('./userHandler');
  * - "PUT /api/users/{id}"
  * - "DELETE /api/users/{id}"
  * - "PUT /api/users/{id}/block"
+ * - "GET /api/inspectors/{id}/calendar"
  */
 exports.handler = asyncHandler(async (event) => {
   const routeKey =
@@ -29,6 +31,8 @@ exports.handler = asyncHandler(async (event) => {
       return userHandler.getAllUsers(event);
     case 'POST /api/users':
       return userHandler.createUser(event);
+    case 'PUT /api/users/me/password':
+      return userHandler.changeMyPassword(event);
     case 'GET /api/users/{id}':
       return userHandler.getUserById(event);
     case 'PUT /api/users/{id}':
@@ -37,10 +41,26 @@ exports.handler = asyncHandler(async (event) => {
       return userHandler.blockUser(event);
     case 'DELETE /api/users/{id}':
       return userHandler.deleteUser(event);
+    case 'GET /api/users/{id}/sessions':
+      return userHandler.getUserSessions(event);
+    case 'DELETE /api/users/{id}/sessions':
+      return userHandler.revokeUserSessions(event);
+    case 'DELETE /api/users/{id}/2fa':
+      return userHandler.resetUserTwoFactor(event);
     case 'GET /api/inspectors/available':
       return userHandler.getAvailableInspectors(event);
     case 'PUT /api/inspectors/me/available-status':
       return userHandler.updateMyAvailableStatus(event);
+    case 'GET /api/inspectors/{id}/calendar':
+      return schedulingHandler.getCalendar(event);
+    case 'GET /api/inspectors/me/availability':
+      return schedulingHandler.getMyAvailability(event);
+    case 'PUT /api/inspectors/me/availability':
+      return schedulingHandler.updateMyAvailability(event);
+    case 'POST /api/inspectors/me/time-off':
+      return schedulingHandler.addTimeOff(event);
+    case 'DELETE /api/inspectors/me/time-off/{timeOffId}':
+      return schedulingHandler.removeTimeOff(event);
     default:
       throw new BadRequestError(`Unsupported route: ${routeKey}`);
   }
@@ -0,0 +1,39 @@
+/**
+ * Valuation API Router (Single Lambda)
+ * Routes vehicle price table and request valuation HTTP API events to the correct handler.
+ */
+
+const { BadRequestError } = require('../utils/errors');
+const asyncHandler = require('../utils/asyncHandler');
+const valuationHandler = require('./valuationHandler');
+
+/**
+ * Single entrypoint for valuation endpoints.
+ *
+ * Serverless HTTP API provides `event.routeKey` like:
+ * - "POST /api/admin/vehicle-prices"
+ * - "GET /api/admin/vehicle-prices/{id}"
+ * - "GET /api/inspection-requests/{id}/valuation"
+ */
+exports.handler = asyncHandler(async (event) => {
+  const routeKey =
+    event.routeKey ||
+    `${event.requestContext?.http?.method || ''} ${event.requestContext?.http?.path || ''}`.trim();
+
+  switch (routeKey) {
+    case 'POST /api/admin/vehicle-prices':
+      return valuationHandler.createVehiclePrice(event);
+    case 'GET /api/admin/vehicle-prices':
+      return valuationHandler.getAllVehiclePrices(event);
+    case 'GET /api/admin/vehicle-prices/{id}':
+      return valuationHandler.getVehiclePriceById(event);
+    case 'PUT /api/admin/vehicle-prices/{id}':
+      return valuationHandler.updateVehiclePrice(event);
+    case 'DELETE /api/admin/vehicle-prices/{id}':
+      return valuationHandler.deleteVehiclePrice(event);
+    case 'GET /api/inspection-requests/{id}/valuation':
+      return valuationHandler.getRequestValuation(event);
+    default:
+      throw new BadRequestError(`Unsupported route: ${routeKey}`);
+  }
+});
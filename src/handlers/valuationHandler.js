@@ -0,0 +1,117 @@
+/**
+ * Valuation Handlers
+ * Lambda function handlers for the vehicle price table and request valuation endpoints
+ */
+
+const { connectDB } = require('../config/database');
+const {
+  createVehiclePrice,
+  getAllVehiclePrices,
+  getVehiclePriceById,
+  updateVehiclePrice,
+  deleteVehiclePrice,
+  getRequestValuation
+} = require('../controllers/valuationController');
+const { authenticate } = require('../middleware/auth');
+const { requirePermission } = require('../middleware/policy');
+const { PERMISSIONS } = require('../config/permissions');
+const { schemas, validate } = require('../middleware/validator');
+const { parseQueryParams } = require('../utils/queryParams');
+const { validateQuery } = require('../utils/validateQuery');
+const { BadRequestError } = require('../utils/errors');
+const asyncHandler = require('../utils/asyncHandler');
+
+// Initialize database connection (warm start optimization)
+let dbConnected = false;
+const initDB = async () => {
+  if (!dbConnected) {
+    await connectDB();
+    dbConnected = true;
+  }
+};
+
+/**
+ * Create a vehicle price
+ * POST /api/admin/vehicle-prices
+ * Requires prices:manage
+ */
+exports.createVehiclePrice = asyncHandler(async (event) => {
+  await initDB();
+  const { user: currentUser } = await requirePermission(PERMISSIONS.PRICES_MANAGE)(event);
+  const data = validate(schemas.createVehiclePrice)(event);
+  return await createVehiclePrice(data, currentUser);
+});
+
+/**
+ * List vehicle prices
+ * GET /api/admin/vehicle-prices?makeId=&modelId=&year=&isActive=
+ * Requires prices:manage
+ */
+exports.getAllVehiclePrices = asyncHandler(async (event) => {
+  await initDB();
+  await requirePermission(PERMISSIONS.PRICES_MANAGE)(event);
+  const queryParams = validateQuery(schemas.listVehiclePrices, parseQueryParams(event));
+  return await getAllVehiclePrices(queryParams);
+});
+
+/**
+ * Get vehicle price by ID
+ * GET /api/admin/vehicle-prices/{id}
+ * Requires prices:manage
+ */
+exports.getVehiclePriceById = asyncHandler(async (event) => {
+  await initDB();
+  await requirePermission(PERMISSIONS.PRICES_MANAGE)(event);
+  const priceId = event.pathParameters?.id;
+  if (!priceId) {
+    throw new BadRequestError('Vehicle price ID is required');
+  }
+  return await getVehiclePriceById(priceId);
+});
+
+/**
+ * Update vehicle price
+ * PUT /api/admin/vehicle-prices/{id}
+ * Requires prices:manage
+ */
+exports.updateVehiclePrice = asyncHandler(async (event) => {
+  await initDB();
+  const { user: currentUser } = await requirePermission(PERMISSIONS.PRICES_MANAGE)(event);
+  const priceId = event.pathParameters?.id;
+  if (!priceId) {
+    throw new BadRequestError('Vehicle price ID is required');
+  }
+  const data = validate(schemas.updateVehiclePrice)(event);
+  return await updateVehiclePrice(priceId, data, currentUser);
+});
+
+/**
+ * Delete vehicle price
+ * DELETE /api/admin/vehicle-prices/{id}
+ * Requires prices:manage
+ */
+exports.deleteVehiclePrice = asyncHandler(async (event) => {
+  await initDB();
+  await requirePermission(PERMISSIONS.PRICES_MANAGE)(event);
+  const priceId = event.pathParameters?.id;
+  if (!priceId) {
+    throw new BadRequestError('Vehicle price ID is required');
+  }
+  return await deleteVehiclePrice(priceId);
+});
+
+/**
+ * Get the valuation of a car valuation request
+ * GET /api/inspection-requests/{id}/valuation?refresh=true
+ * requests:read-all, the requesting customer or the assigned inspector; refresh needs valuations:refresh
+ */
+exports.getRequestValuation = asyncHandler(async (event) => {
+  await initDB();
+  const { user: currentUser } = await authenticate(event);
+  const requestId = event.pathParameters?.id;
+  if (!requestId) {
+    throw new BadRequestError('Request ID is required');
+  }
+  const queryParams = validateQuery(schemas.requestValuationQuery, parseQueryParams(event));
+  return await getRequestValuation(requestId, currentUser, queryParams);
+});
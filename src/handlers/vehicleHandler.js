@@ -0,0 +1,81 @@
+/**
+ * Vehicle Handlers
+ * Lambda function handlers for vehicle endpoints
+ */
+
+const { connectDB } = require('../config/database');
+const {
+  decodeVin,
+  getAllVehicles,
+  getVehicleById,
+  getVehicleTimeline
+} = require('../controllers/vehicleController');
+const { requirePermission } = require('../middleware/policy');
+const { PERMISSIONS } = require('../config/permissions');
+const { schemas, validate } = require('../middleware/validator');
+const { parseQueryParams } = require('../utils/queryParams');
+const { validateQuery } = require('../utils/validateQuery');
+const { BadRequestError } = require('../utils/errors');
+const asyncHandler = require('../utils/asyncHandler');
+
+// Initialize database connection (warm start optimization)
+let dbConnected = false;
+const initDB = async () => {
+  if (!dbConnected) {
+    await connectDB();
+    dbConnected = true;
+  }
+};
+
+/**
+ * Decode a VIN into make, model and model year
+ * POST /api/vehicles/decode-vin
+ * Public (used by the request form before sign-in, like POST /api/inspection-requests)
+ */
+exports.decodeVin = asyncHandler(async (event) => {
+  await initDB();
+  const data = validate(schemas.decodeVin)(event);
+  return await decodeVin(data);
+});
+
+/**
+ * Search vehicles by VIN or license plate
+ * GET /api/vehicles
+ * Requires vehicles:read
+ */
+exports.getAllVehicles = asyncHandler(async (event) => {
+  await initDB();
+  await requirePermission(PERMISSIONS.VEHICLES_READ)(event);
+  const queryParams = validateQuery(schemas.listVehicles, parseQueryParams(event));
+  return await getAllVehicles(queryParams);
+});
+
+/**
+ * Get vehicle by ID
+ * GET /api/vehicles/{id}
+ * Requires vehicles:read
+ */
+exports.getVehicleById = asyncHandler(async (event) => {
+  await initDB();
+  await requirePermission(PERMISSIONS.VEHICLES_READ)(event);
+  const vehicleId = event.pathParameters?.id;
+  if (!vehicleId) {
+    throw new BadRequestError('Vehicle ID is required');
+  }
+  return await getVehicleById(vehicleId);
+});
+
+/**
+ * Get a vehicle's timeline (requests, inspections, mileage history)
+ * GET /api/vehicles/{id}/timeline
+ * Requires vehicles:read
+ */
+exports.getVehicleTimeline = asyncHandler(async (event) => {
+  await initDB();
+  await requirePermission(PERMISSIONS.VEHICLES_READ)(event);
+  const vehicleId = event.pathParameters?.id;
+  if (!vehicleId) {
+    throw new BadRequestError('Vehicle ID is required');
+  }
+  return await getVehicleTimeline(vehicleId);
+});
@@ -0,0 +1,34 @@
+/**
+ * Vehicles API Router (Single Lambda)
+ * Routes vehicle HTTP API events to the correct handler.
+ */
+
+const { BadRequestError } = require('../utils/errors');
+const asyncHandler = require('../utils/asyncHandler');
+const vehicleHandler = require('./vehicleHandler');
+
+/**
+ * Single entrypoint for vehicle endpoints.
+ *
+ * Serverless HTTP API provides `event.routeKey` like:
+ * - "POST /api/vehicles/decode-vin"
+ * - "GET /api/vehicles/{id}/timeline"
+ */
+exports.handler = asyncHandler(async (event) => {
+  const routeKey =
+    event.routeKey ||
+    `${event.requestContext?.http?.method || ''} ${event.requestContext?.http?.path || ''}`.trim();
+
+  switch (routeKey) {
+    case 'POST /api/vehicles/decode-vin':
+      return vehicleHandler.decodeVin(event);
+    case 'GET /api/vehicles':
+      return vehicleHandler.getAllVehicles(event);
+    case 'GET /api/vehicles/{id}':
+      return vehicleHandler.getVehicleById(event);
+    case 'GET /api/vehicles/{id}/timeline':
+      return vehicleHandler.getVehicleTimeline(event);
+    default:
+      throw new BadRequestError(`Unsupported route: ${routeKey}`);
+  }
+});
@@ -1,11 +1,14 @@
 /**
  * Authentication Middleware
- * Handles JWT token verification and authorization
+ * Handles JWT token verification. Authorization lives in middleware/policy.js.
  */
 
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
-const { USER_STATUS } = require('../config/constants');
+const Session = require('../models/Session');
+const roleService = require('../services/roleService');
+const twoFactorService = require('../services/twoFactorService');
+const { USER_STATUS, JWT_EXPIRES_IN } = require('../config/constants');
 const { UnauthorizedError } = require('../utils/errors');
 const logger = require('../utils/logger');
 
@@ -32,9 +35,11 @@ const extractToken = (event) => {
 };
 
 /**
- * Verify JWT token and authenticate user
+ * Verify JWT token and authenticate user. The token's session must still be active (not revoked or expired).
+ * The user's permissions are resolved into user.$locals.permissions for the policy layer (none for users with admin
+ * permissions who must enable two-factor authentication and have not yet).
  * @param {Object} event - Lambda event object
- * @returns {Promise<Object>} Authentication result with user object
+ * @returns {Promise<Object>} Authentication result with user object and sessionId
  * @throws {UnauthorizedError} If authentication fails
  */
 const authenticate = async (event) => {
@@ -56,18 +61,33 @@ const authenticate = async (event) => {
       throw new UnauthorizedError('Invalid token');
     }
 
-    // Get user from database
-    const user = await User.findById(decoded.userId);
+    // Tokens issued before sessions existed cannot be revoked
+    if (!decoded.sid) {
+      throw new UnauthorizedError('Session expired, please sign in again');
+    }
+
+    // Get user and session from database
+    const [user, session] = await Promise.all([
+      User.findById(decoded.userId),
+      Session.findById(decoded.sid).select('userId revokedAt expiresAt').lean()
+    ]);
     
     if (!user) {
       throw new UnauthorizedError('User not found');
     }
 
+    if (!session || session.userId.toString() !== user.id || session.revokedAt || session.expiresAt <= new Date()) {
+      throw new UnauthorizedError('Session has been revoked or has expired');
+    }
+
     if (user.status !== USER_STATUS.ACTIVE) {
       throw new UnauthorizedError('User account is not active');
     }
 
-    return { user };
+    const permissions = await roleService.permissionsFor(user);
+    user.$locals.permissions = (await twoFactorService.isSetupRequired(user, permissions)) ? [] : permissions;
+
+    return { user, sessionId: decoded.sid };
   } catch (error) {
     logger.debug('Authentication failed', { error: error.message });
     throw error;
@@ -75,35 +95,18 @@ const authenticate = async (event) => {
 };
 
 /**
- * Authorize user based on roles
- * @param {...string} allowedRoles - Allowed user roles
- * @returns {Function} Authorization middleware function
- */
-const authorize = (...allowedRoles) => {
-  return async (event) => {
-    const { user } = await authenticate(event);
-    
-    if (!allowedRoles.includes(user.role)) {
-      throw new UnauthorizedError('Insufficient permissions');
-    }
-
-    return { user };
-  };
-};
-
-/**
- * Generate JWT token
- * @param {number} userId - User ID
+ * Generate JWT access token for a session (see services/sessionService.js)
+ * @param {string} userId - User ID
+ * @param {string} sessionId - Session ID
  * @returns {string} JWT token
  */
-const generateToken = (userId) => {
-  return jwt.sign({ userId }, JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRES_IN || '24h'
+const generateToken = (userId, sessionId) => {
+  return jwt.sign({ userId, sid: sessionId }, JWT_SECRET, {
+    expiresIn: JWT_EXPIRES_IN
   });
 };
 
 module.exports = {
   authenticate,
-  authorize,
   generateToken
 };
\ No newline at end of file
@@ -0,0 +1,123 @@
+/**
+ * Policy Middleware
+ * The single place authorization decisions are made. Handlers require permissions (config/permissions.js) with
+ * requirePermission; services check permissions with can/assertCan and resource access with the rules below.
+ * Permissions are resolved by authenticate (middleware/auth.js).
+ */
+
+const { authenticate } = require('./auth');
+const { PERMISSIONS, DEFAULT_ROLE_PERMISSIONS } = require('../config/permissions');
+const { ForbiddenError } = require('../utils/errors');
+
+/** ID string of an ObjectId, a populated document or a string (null when missing). */
+const idOf = (value) => {
+  if (value == null) return null;
+  if (value._id != null) return value._id.toString();
+  if (typeof value === 'object' && !value._bsontype && value.id != null) return String(value.id);
+  return value.toString();
+};
+
+/**
+ * Permissions of an authenticated user (account type defaults for users that did not come from authenticate)
+ * @param {Object} user - User
+ * @returns {Array} Permission names
+ */
+const permissionsOf = (user) => user?.$locals?.permissions || DEFAULT_ROLE_PERMISSIONS[user?.role] || [];
+
+/**
+ * Whether the user holds a permission
+ * @param {Object} user - Authenticated user
+ * @param {string} permission - PERMISSIONS value
+ * @returns {boolean}
+ */
+const can = (user, permission) => permissionsOf(user).includes(permission);
+
+/**
+ * Throw unless the user holds a permission
+ * @param {Object} user - Authenticated user
+ * @param {string} permission - PERMISSIONS value
+ * @param {string} [message] - Error message
+ * @throws {ForbiddenError}
+ */
+const assertCan = (user, permission, message = 'Insufficient permissions') => {
+  if (!can(user, permission)) {
+    throw new ForbiddenError(message);
+  }
+};
+
+/**
+ * Authenticate and require every given permission
+ * @param {...string} permissions - PERMISSIONS values
+ * @returns {Function} Middleware resolving to { user, sessionId }
+ */
+const requirePermission = (...permissions) => {
+  return async (event) => {
+    const auth = await authenticate(event);
+    if (!permissions.every(permission => can(auth.user, permission))) {
+      throw new ForbiddenError('Insufficient permissions');
+    }
+    return auth;
+  };
+};
+
+/** Whether the user is the given user (ID, ObjectId or populated user). */
+const isSelf = (user, userRef) => idOf(user) != null && idOf(user) === idOf(userRef);
+
+/**
+ * Inspection access: all inspections with inspections:read-all, else the inspector's own, or the customer's when
+ * the inspection belongs to their request
+ * @param {Object} user - Authenticated user
+ * @param {Object} inspection - Inspection ({ inspectorId })
+ * @param {Object} [request] - Inspection request linked to the inspection ({ userId })
+ * @returns {boolean}
+ */
+const canViewInspection = (user, inspection, request = null) =>
+  can(user, PERMISSIONS.INSPECTIONS_READ_ALL) ||
+  isSelf(user, inspection.inspectorId) ||
+  Boolean(request && isSelf(user, request.userId));
+
+/** Reports: anyone who can view the inspection, or any inspection with reports:view-all. */
+const canViewInspectionReport = (user, inspection, request = null) =>
+  can(user, PERMISSIONS.REPORTS_VIEW_ALL) || canViewInspection(user, inspection, request);
+
+/** Only the inspector who performs an inspection edits it. */
+const canEditInspection = (user, inspection) => isSelf(user, inspection.inspectorId);
+
+/**
+ * Request access: all requests with requests:read-all, else the customer's own and the ones assigned to the inspector
+ * @param {Object} user - Authenticated user
+ * @param {Object} request - Inspection request ({ userId, assignedInspectorId })
+ * @returns {boolean}
+ */
+const canViewRequest = (user, request) =>
+  can(user, PERMISSIONS.REQUESTS_READ_ALL) ||
+  isSelf(user, request.userId) ||
+  isSelf(user, request.assignedInspectorId);
+
+/** Customers edit their own requests; requests:update-all edits any. */
+const canEditRequest = (user, request) =>
+  can(user, PERMISSIONS.REQUESTS_UPDATE_ALL) || isSelf(user, request.userId);
+
+/** Profiles: one's own, or any with users:read (view) / users:manage (edit). */
+const canViewUser = (user, target) => can(user, PERMISSIONS.USERS_READ) || isSelf(user, target);
+
+const canManageUser = (user, target) => can(user, PERMISSIONS.USERS_MANAGE) || isSelf(user, target);
+
+/** Inspector calendars: one's own, or any with schedule:read-all. */
+const canViewCalendar = (user, inspectorId) => can(user, PERMISSIONS.SCHEDULE_READ_ALL) || isSelf(user, inspectorId);
+
+module.exports = {
+  permissionsOf,
+  can,
+  assertCan,
+  requirePermission,
+  isSelf,
+  canViewInspection,
+  canViewInspectionReport,
+  canEditInspection,
+  canViewRequest,
+  canEditRequest,
+  canViewUser,
+  canManageUser,
+  canViewCalendar
+};
@@ -6,7 +6,221 @@
 const Joi = require('joi');
 const { ValidationError } = require('../utils/errors');
 const { sanitizeObject } = require('../utils/sanitize');
-const { INSPECTION_TYPES, CHECKLIST_STATUS } = require('../config/constants');
+const { validateVin } = require('../utils/vin');
+const { passwordPolicyErrors } = require('../utils/passwordPolicy');
+const { ALL_PERMISSIONS } = require('../config/permissions');
+const {
+  CHECKLIST_STATUS,
+  CHECKLIST_ANSWER_TYPES,
+  ANSWER_RESULTS,
+  TEXT_ANSWER_MAX_LENGTH,
+  CHECKLIST_CONDITIONS,
+  INSPECTION_SCORING,
+  VALUATION,
+  DAMAGE,
+  REPORT_SHARE,
+  REQUEST_STATUS,
+  SCHEDULING,
+  SERVICE_AREAS,
+  INSPECTION_SYNC,
+  INSPECTION_CATEGORIES,
+  PASSWORD_POLICY
+} = require('../config/constants');
+
+// New password; must meet PASSWORD_POLICY (the same check runs in User pre-save)
+const policyPassword = () => Joi.string().max(PASSWORD_POLICY.MAX_LENGTH).trim().custom((value, helpers) => {
+  const errors = passwordPolicyErrors(value);
+  return errors.length ? helpers.message(errors.join('; ')) : value;
+}).messages({
+  'string.max': `Password cannot exceed ${PASSWORD_POLICY.MAX_LENGTH} characters`
+});
+
+// Inspection category name; checked against the admin-managed categories by the services
+const inspectionTypeName = () => Joi.string().trim().min(1).max(100);
+
+// Typed checklist item settings; which fields apply depends on answerType (see utils/checklistAnswers)
+const answerResult = () => Joi.string().valid(...Object.values(ANSWER_RESULTS));
+const answerConfigSchema = Joi.object({
+  unit: Joi.string().max(20).trim().allow('').optional(),
+  min: Joi.number().optional(),
+  max: Joi.number().optional(),
+  thresholds: Joi.array().items(Joi.object({
+    result: answerResult().required(),
+    min: Joi.number().optional(),
+    max: Joi.number().optional()
+  })).max(10).optional(),
+  expected: Joi.boolean().optional(),
+  options: Joi.array().items(Joi.object({
+    value: Joi.string().min(1).max(100).trim().required(),
+    label: Joi.string().max(200).trim().allow('').optional(),
+    result: answerResult().optional()
+  })).max(50).optional(),
+  maxLength: Joi.number().integer().min(1).max(TEXT_ANSWER_MAX_LENGTH).optional()
+});
+
+const templateItemAnswerFields = {
+  answerType: Joi.string().valid(...Object.values(CHECKLIST_ANSWER_TYPES)).default(CHECKLIST_ANSWER_TYPES.STATUS).messages({
+    'any.only': `Answer type must be one of: ${Object.values(CHECKLIST_ANSWER_TYPES).join(', ')}`
+  }),
+  answerConfig: Joi.when('answerType', {
+    is: Joi.valid(CHECKLIST_ANSWER_TYPES.SINGLE_SELECT, CHECKLIST_ANSWER_TYPES.MULTI_SELECT),
+    then: answerConfigSchema.keys({
+      options: answerConfigSchema.extract('options').min(1).required().messages({
+        'array.min': 'Select items need at least one option'
+      })
+    }).required(),
+    otherwise: answerConfigSchema.optional()
+  }).messages({
+    'any.required': 'answerConfig.options are required for select items'
+  })
+};
+
+// Relative weight of a template type or item in the weighted score
+const scoringWeight = () => Joi.number().min(0).max(INSPECTION_SCORING.MAX_WEIGHT).default(INSPECTION_SCORING.DEFAULT_WEIGHT).messages({
+  'number.min': 'Weight cannot be negative',
+  'number.max': `Weight cannot exceed ${INSPECTION_SCORING.MAX_WEIGHT}`
+});
+
+// Visibility condition of a template type or item (see utils/checklistVisibility)
+const { OPERATORS: CONDITION_OPERATORS } = CHECKLIST_CONDITIONS;
+const conditionScalar = () => Joi.alternatives().try(Joi.string().max(100), Joi.number(), Joi.boolean());
+const visibleWhenSchema = Joi.object({
+  match: Joi.string().valid(...Object.values(CHECKLIST_CONDITIONS.MATCH)).default(CHECKLIST_CONDITIONS.MATCH.ALL),
+  rules: Joi.array().items(
+    Joi.object({
+      vehicleField: Joi.string().valid(...CHECKLIST_CONDITIONS.VEHICLE_FIELDS).messages({
+        'any.only': `vehicleField must be one of: ${CHECKLIST_CONDITIONS.VEHICLE_FIELDS.join(', ')}`
+      }),
+      typeName: inspectionTypeName(),
+      position: Joi.number().integer().min(1),
+      operator: Joi.string().valid(...Object.values(CONDITION_OPERATORS)).required().messages({
+        'any.only': `operator must be one of: ${Object.values(CONDITION_OPERATORS).join(', ')}`
+      }),
+      value: Joi.when('operator', {
+        switch: [
+          { is: Joi.valid(CONDITION_OPERATORS.EXISTS, CONDITION_OPERATORS.NOT_EXISTS), then: Joi.forbidden() },
+          { is: Joi.valid(CONDITION_OPERATORS.IN, CONDITION_OPERATORS.NOT_IN), then: Joi.array().items(conditionScalar()).min(1).max(50).required() },
+          {
+            is: Joi.valid(CONDITION_OPERATORS.GT, CONDITION_OPERATORS.GTE, CONDITION_OPERATORS.LT, CONDITION_OPERATORS.LTE),
+            then: Joi.number().required()
+          }
+        ],
+        otherwise: conditionScalar().required()
+      })
+    }).xor('vehicleField', 'position').with('typeName', 'position').messages({
+      'object.xor': 'A rule tests either a vehicleField or the item at a position',
+      'object.missing': 'A rule tests either a vehicleField or the item at a position'
+    })
+  ).min(1).max(CHECKLIST_CONDITIONS.MAX_RULES).required()
+});
+
+// Typed checklist answer (null = unanswered); checked against the template item by the checklist service
+const checklistAnswer = () => Joi.alternatives().try(
+  Joi.number(),
+  Joi.boolean(),
+  Joi.string().max(TEXT_ANSWER_MAX_LENGTH),
+  Joi.array().items(Joi.string().max(100)).max(50)
+).allow(null);
+
+// Inspection category media rules (partial on update)
+const inspectionMediaRulesSchema = Joi.object({
+  videosAllowed: Joi.boolean().optional(),
+  maxVideos: Joi.number().integer().min(0).max(INSPECTION_CATEGORIES.MAX_VIDEOS).optional(),
+  maxPhotosPerItem: Joi.number().integer().min(0).max(INSPECTION_CATEGORIES.MAX_PHOTOS_PER_ITEM).optional(),
+  maxOverallPhotos: Joi.number().integer().min(0).max(INSPECTION_CATEGORIES.MAX_OVERALL_PHOTOS).optional()
+});
+
+// Geocoded position { lat, lng }; both or neither
+// 17-character VIN with a valid check digit where one is mandatory (utils/vin)
+const vinString = () => Joi.string().trim().uppercase().custom((value, helpers) => {
+  const { valid, error } = validateVin(value);
+  return valid ? value : helpers.message(error);
+});
+
+// One damage on the vehicle diagram (Inspection.damages)
+const damageSchema = Joi.object({
+  panel: Joi.string().valid(...DAMAGE.PANELS).required().messages({
+    'any.required': 'Damage panel is required',
+    'any.only': `Damage panel must be one of: ${DAMAGE.PANELS.join(', ')}`
+  }),
+  type: Joi.string().valid(...Object.values(DAMAGE.TYPES)).required().messages({
+    'any.required': 'Damage type is required',
+    'any.only': `Damage type must be one of: ${Object.values(DAMAGE.TYPES).join(', ')}`
+  }),
+  severity: Joi.string().valid(...Object.values(DAMAGE.SEVERITIES)).required().messages({
+    'any.required': 'Damage severity is required',
+    'any.only': `Damage severity must be one of: ${Object.values(DAMAGE.SEVERITIES).join(', ')}`
+  }),
+  size: Joi.string().valid(...Object.values(DAMAGE.SIZES)).allow(null).optional().messages({
+    'any.only': `Damage size must be one of: ${Object.values(DAMAGE.SIZES).join(', ')}`
+  }),
+  location: Joi.object({
+    x: Joi.number().min(0).max(1).required(),
+    y: Joi.number().min(0).max(1).required()
+  }).optional().messages({
+    'number.min': 'Location coordinates must be between 0 and 1',
+    'number.max': 'Location coordinates must be between 0 and 1'
+  }),
+  photos: Joi.array().items(Joi.string()).max(DAMAGE.MAX_PHOTOS_PER_DAMAGE).optional().messages({
+    'array.max': `Maximum ${DAMAGE.MAX_PHOTOS_PER_DAMAGE} photos allowed per damage`
+  }),
+  estimatedRepairCost: Joi.number().min(0).allow(null).optional().messages({
+    'number.min': 'Estimated repair cost cannot be negative'
+  }),
+  notes: Joi.string().max(500).trim().allow('').optional()
+});
+
+// Vehicle price table: model year and rule overrides (null = VALUATION default)
+const vehiclePriceYear = () => Joi.number().integer().min(1900).max(new Date().getFullYear() + 1).messages({
+  'number.min': 'Year must be at least 1900',
+  'number.max': 'Year cannot be in the future'
+});
+const valuationRate = () => Joi.number().min(0).max(1).allow(null);
+const valuationDepreciationSchema = Joi.object({
+  firstYearRate: valuationRate(),
+  annualRate: valuationRate(),
+  maxRate: valuationRate()
+});
+const valuationConditionSchema = Joi.object(
+  Object.fromEntries(Object.keys(VALUATION.CONDITION_ADJUSTMENTS).map(grade => [grade, Joi.number().min(-1).max(1).allow(null)]))
+);
+
+const coordinatesSchema = Joi.object({
+  lat: Joi.number().min(-90).max(90).required().messages({
+    'number.min': 'Latitude must be between -90 and 90',
+    'number.max': 'Latitude must be between -90 and 90',
+    'any.required': 'Latitude is required with longitude'
+  }),
+  lng: Joi.number().min(-180).max(180).required().messages({
+    'number.min': 'Longitude must be between -180 and 180',
+    'number.max': 'Longitude must be between -180 and 180',
+    'any.required': 'Longitude is required with latitude'
+  })
+}).allow(null);
+
+// Inspector home base (dispatch distance)
+const homeBaseSchema = Joi.object({
+  city: Joi.string().max(50).trim().allow('').optional(),
+  state: Joi.string().max(50).trim().allow('').optional(),
+  zipCode: Joi.string().max(10).trim().allow('').optional(),
+  coordinates: coordinatesSchema.optional()
+});
+
+// GeoJSON Polygon: rings of [lng, lat] positions (rings are closed automatically)
+const polygonSchema = Joi.object({
+  type: Joi.string().valid('Polygon').required(),
+  coordinates: Joi.array().items(
+    Joi.array().items(
+      Joi.array().ordered(
+        Joi.number().min(-180).max(180).required(),
+        Joi.number().min(-90).max(90).required()
+      ).length(2)
+    ).min(3)
+  ).min(1).required()
+}).messages({
+  'array.min': 'Polygon rings need at least 3 positions',
+  'array.length': 'Positions must be [lng, lat]'
+});
 
 /**
  * Validation schemas
@@ -31,10 +245,7 @@ const schemas = {
     role: Joi.string().valid('admin', 'inspector', 'user').default('user').messages({
       'any.only': 'Role must be one of: admin, inspector, user'
     }),
-    password: Joi.string().min(8).max(128).trim().optional().allow('').messages({
-      'string.min': 'Password must be at least 8 characters long',
-      'string.max': 'Password cannot exceed 128 characters'
-    })
+    password: policyPassword().optional().allow('')
   }).custom((value, helpers) => {
     const role = value.role || 'user';
     const password = (value.password || '').toString().trim();
@@ -43,7 +254,7 @@ const schemas = {
     }
     return value;
   }).messages({
-    'object.passwordRequired': 'Password is required for admin and inspector roles (min 8 characters)'
+    'object.passwordRequired': 'Password is required for admin and inspector roles'
   }),
 
   // Login: admin/inspector require password; user uses email only (then OTP)
@@ -75,6 +286,77 @@ const schemas = {
     })
   }),
 
+  // TOTP code from an authenticator app (2FA enable, recovery code regeneration)
+  twoFactorCode: Joi.object({
+    code: Joi.string().trim().pattern(/^\d{6}$/).required().messages({
+      'string.pattern.base': 'Code must be 6 digits',
+      'any.required': 'Code is required'
+    })
+  }),
+
+  // Second login step: a TOTP code or one recovery code
+  verifyTwoFactor: Joi.object({
+    challengeToken: Joi.string().max(1000).required().messages({
+      'any.required': 'Challenge token is required'
+    }),
+    code: Joi.string().trim().pattern(/^\d{6}$/).messages({
+      'string.pattern.base': 'Code must be 6 digits'
+    }),
+    recoveryCode: Joi.string().trim().max(20)
+  }).xor('code', 'recoveryCode').messages({
+    'object.missing': 'Provide code or recoveryCode',
+    'object.xor': 'Provide either code or recoveryCode, not both'
+  }),
+
+  disableTwoFactor: Joi.object({
+    password: Joi.string().min(1).max(128).trim().required().messages({
+      'any.required': 'Password is required'
+    }),
+    code: Joi.string().trim().pattern(/^\d{6}$/).messages({
+      'string.pattern.base': 'Code must be 6 digits'
+    }),
+    recoveryCode: Joi.string().trim().max(20)
+  }).xor('code', 'recoveryCode').messages({
+    'object.missing': 'Provide code or recoveryCode',
+    'object.xor': 'Provide either code or recoveryCode, not both'
+  }),
+
+  forgotPassword: Joi.object({
+    email: Joi.string().email().required().messages({
+      'string.email': 'Email must be a valid email address',
+      'any.required': 'Email is required'
+    })
+  }),
+
+  resetPassword: Joi.object({
+    token: Joi.string().max(200).required().messages({
+      'any.required': 'Reset token is required'
+    }),
+    password: policyPassword().required().messages({
+      'any.required': 'Password is required'
+    })
+  }),
+
+  changePassword: Joi.object({
+    currentPassword: Joi.string().min(1).max(PASSWORD_POLICY.MAX_LENGTH).trim().required().messages({
+      'any.required': 'Current password is required'
+    }),
+    newPassword: policyPassword().required().messages({
+      'any.required': 'New password is required'
+    })
+  }),
+
+  refreshToken: Joi.object({
+    refreshToken: Joi.string().max(200).required().messages({
+      'any.required': 'Refresh token is required'
+    })
+  }),
+
+  // Logout: the bearer token's session, or the session of refreshToken (works after the access token expired)
+  logout: Joi.object({
+    refreshToken: Joi.string().max(200).optional()
+  }),
+
   createUser: Joi.object({
     email: Joi.string().email().required().messages({
       'string.email': 'Email must be a valid email address',
@@ -95,10 +377,22 @@ const schemas = {
       'any.only': 'Role must be one of: admin, inspector, user',
       'any.required': 'Role is required'
     }),
-    password: Joi.string().min(8).max(128).trim().optional().allow('').messages({
-      'string.min': 'Password must be at least 8 characters long',
-      'string.max': 'Password cannot exceed 128 characters'
-    })
+    // Role whose permissions replace those of the account type (see /api/admin/roles)
+    customRole: Joi.string().max(50).trim().lowercase().optional().allow(null),
+    password: policyPassword().optional().allow(''),
+    // Inspector base location (ignored for other roles)
+    homeBase: homeBaseSchema.optional(),
+    // Inspector workload limits (ignored for other roles)
+    capacity: Joi.object({
+      maxConcurrent: Joi.number().integer().min(1).max(50).optional().messages({
+        'number.min': 'Max concurrent assignments must be at least 1',
+        'number.max': 'Max concurrent assignments cannot exceed 50'
+      }),
+      maxPerDay: Joi.number().integer().min(1).max(24).optional().messages({
+        'number.min': 'Max assignments per day must be at least 1',
+        'number.max': 'Max assignments per day cannot exceed 24'
+      })
+    }).min(1).optional()
   }).custom((value, helpers) => {
     const role = value.role;
     const password = (value.password || '').toString().trim();
@@ -107,7 +401,7 @@ const schemas = {
     }
     return value;
   }).messages({
-    'object.passwordRequired': 'Password is required when creating admin or inspector (min 8 characters)'
+    'object.passwordRequired': 'Password is required when creating admin or inspector'
   }),
 
   updateUser: Joi.object({
@@ -126,6 +420,20 @@ const schemas = {
     role: Joi.string().valid('admin', 'inspector', 'user').optional().messages({
       'any.only': 'Role must be one of: admin, inspector, user'
     }),
+    // null restores the account type's permissions (users:manage only)
+    customRole: Joi.string().max(50).trim().lowercase().optional().allow(null),
+    homeBase: homeBaseSchema.optional(),
+    // Inspector workload limits (users:manage only)
+    capacity: Joi.object({
+      maxConcurrent: Joi.number().integer().min(1).max(50).optional().messages({
+        'number.min': 'Max concurrent assignments must be at least 1',
+        'number.max': 'Max concurrent assignments cannot exceed 50'
+      }),
+      maxPerDay: Joi.number().integer().min(1).max(24).optional().messages({
+        'number.min': 'Max assignments per day must be at least 1',
+        'number.max': 'Max assignments per day cannot exceed 24'
+      })
+    }).min(1).optional(),
   }).min(1).messages({
     'object.min': 'At least one field must be provided for update'
   }),
@@ -169,8 +477,7 @@ const schemas = {
     }),
     types: Joi.array().items(
       Joi.object({
-        typeName: Joi.string().valid(...Object.values(INSPECTION_TYPES)).required().messages({
-          'any.only': `Type must be one of: ${Object.values(INSPECTION_TYPES).join(', ')}`,
+        typeName: inspectionTypeName().required().messages({
           'any.required': 'Type name is required'
         }),
         checklistItems: Joi.array().items(
@@ -188,7 +495,11 @@ const schemas = {
             description: Joi.string().max(500).trim().allow('').optional().messages({
               'string.max': 'Description cannot exceed 500 characters'
             }),
-            isRequired: Joi.boolean().default(true)
+            isRequired: Joi.boolean().default(true),
+            weight: scoringWeight(),
+            critical: Joi.boolean().default(false),
+            ...templateItemAnswerFields,
+            visibleWhen: visibleWhenSchema.optional()
           })
         ).min(1).required().messages({
           'array.min': 'At least one checklist item is required per type',
@@ -201,7 +512,9 @@ const schemas = {
           'number.base': 'Max videos must be a number',
           'number.min': 'Max videos cannot be negative',
           'number.max': 'Max videos cannot exceed 10'
-        })
+        }),
+        weight: scoringWeight(),
+        visibleWhen: visibleWhenSchema.optional()
       })
     ).min(1).required().messages({
       'array.min': 'At least one type is required',
@@ -219,8 +532,7 @@ const schemas = {
     }),
     types: Joi.array().items(
       Joi.object({
-        typeName: Joi.string().valid(...Object.values(INSPECTION_TYPES)).required().messages({
-          'any.only': `Type must be one of: ${Object.values(INSPECTION_TYPES).join(', ')}`,
+        typeName: inspectionTypeName().required().messages({
           'any.required': 'Type name is required'
         }),
         checklistItems: Joi.array().items(
@@ -238,7 +550,11 @@ const schemas = {
             description: Joi.string().max(500).trim().allow('').optional().messages({
               'string.max': 'Description cannot exceed 500 characters'
             }),
-            isRequired: Joi.boolean().default(true)
+            isRequired: Joi.boolean().default(true),
+            weight: scoringWeight(),
+            critical: Joi.boolean().default(false),
+            ...templateItemAnswerFields,
+            visibleWhen: visibleWhenSchema.optional()
           })
         ).min(1).required().messages({
           'array.min': 'At least one checklist item is required per type',
@@ -247,16 +563,29 @@ const schemas = {
         allowOverallRemarks: Joi.boolean().default(true),
         allowOverallPhotos: Joi.boolean().default(true),
         allowVideos: Joi.boolean().default(false),
-        maxVideos: Joi.number().integer().min(0).max(10).default(2)
+        maxVideos: Joi.number().integer().min(0).max(10).default(2),
+        weight: scoringWeight(),
+        visibleWhen: visibleWhenSchema.optional()
       })
     ).min(1).optional().messages({
       'array.min': 'At least one type is required'
     }),
-    isActive: Joi.boolean().optional()
+    isActive: Joi.boolean().optional(),
+    // Publish the draft (including types sent here) right away
+    publish: Joi.boolean().optional()
   }).min(1).messages({
     'object.min': 'At least one field must be provided for update'
   }),
 
+  templateVersionDiff: Joi.object({
+    from: Joi.number().integer().min(1).required().messages({
+      'any.required': 'from version is required'
+    }),
+    to: Joi.number().integer().min(1).required().messages({
+      'any.required': 'to version is required'
+    })
+  }),
+
   listTemplates: Joi.object({
     page: Joi.number().integer().min(1).default(1).messages({
       'number.base': 'Page must be a number',
@@ -301,9 +630,7 @@ const schemas = {
         'number.min': 'Year must be at least 1900',
         'number.max': 'Year cannot be in the future'
       }),
-      vin: Joi.string().max(17).trim().uppercase().allow('').optional().messages({
-        'string.max': 'VIN cannot exceed 17 characters'
-      }),
+      vin: vinString().allow('').optional(),
       licensePlate: Joi.string().max(20).trim().uppercase().allow('').optional().messages({
         'string.max': 'License plate cannot exceed 20 characters'
       }),
@@ -319,11 +646,12 @@ const schemas = {
     serviceWarrantyOverview: Joi.object().unknown(true).allow(null).optional(),
     interiorDetails: Joi.object().unknown(true).allow(null).optional(),
     exteriorDetails: Joi.object().unknown(true).allow(null).optional(),
-    damaged_coordinates: Joi.object().unknown(true).allow(null).optional(),
+    damages: Joi.array().items(damageSchema).max(DAMAGE.MAX_DAMAGES).optional().messages({
+      'array.max': `Maximum ${DAMAGE.MAX_DAMAGES} damages allowed per inspection`
+    }),
     types: Joi.array().items(
       Joi.object({
-        typeName: Joi.string().valid(...Object.values(INSPECTION_TYPES)).required().messages({
-          'any.only': `Type must be one of: ${Object.values(INSPECTION_TYPES).join(', ')}`,
+        typeName: inspectionTypeName().required().messages({
           'any.required': 'Type name is required'
         }),
         checklistItems: Joi.array().items(
@@ -336,10 +664,11 @@ const schemas = {
             label: Joi.string().required().messages({
               'any.required': 'Label is required'
             }),
-            status: Joi.string().valid(...Object.values(CHECKLIST_STATUS)).required().messages({
-              'any.only': `Status must be one of: ${Object.values(CHECKLIST_STATUS).join(', ')}`,
-              'any.required': 'Status is required'
+            // Required for status items; derived from the answer for typed items
+            status: Joi.string().valid(...Object.values(CHECKLIST_STATUS)).optional().messages({
+              'any.only': `Status must be one of: ${Object.values(CHECKLIST_STATUS).join(', ')}`
             }),
+            answer: checklistAnswer().optional(),
             rating: Joi.number().min(0).max(5).allow(null).optional().messages({
               'number.base': 'Rating must be a number',
               'number.min': 'Rating must be at least 0',
@@ -384,7 +713,7 @@ const schemas = {
       make: Joi.string().max(50).trim().allow('').optional(),
       model: Joi.string().max(50).trim().allow('').optional(),
       year: Joi.number().integer().min(1900).max(new Date().getFullYear() + 1).optional(),
-      vin: Joi.string().max(17).trim().uppercase().allow('').optional(),
+      vin: vinString().allow('').optional(),
       licensePlate: Joi.string().max(20).trim().uppercase().allow('').optional(),
       mileage: Joi.number().min(0).optional(),
       color: Joi.string().max(30).trim().allow('').optional()
@@ -393,15 +722,18 @@ const schemas = {
     serviceWarrantyOverview: Joi.object().unknown(true).allow(null).optional(),
     interiorDetails: Joi.object().unknown(true).allow(null).optional(),
     exteriorDetails: Joi.object().unknown(true).allow(null).optional(),
-    damaged_coordinates: Joi.object().unknown(true).allow(null).optional(),
+    damages: Joi.array().items(damageSchema).max(DAMAGE.MAX_DAMAGES).optional().messages({
+      'array.max': `Maximum ${DAMAGE.MAX_DAMAGES} damages allowed per inspection`
+    }),
     types: Joi.array().items(
       Joi.object({
-        typeName: Joi.string().valid(...Object.values(INSPECTION_TYPES)).required(),
+        typeName: inspectionTypeName().required(),
         checklistItems: Joi.array().items(
           Joi.object({
             position: Joi.number().integer().min(1).required(),
             label: Joi.string().required(),
-            status: Joi.string().valid(...Object.values(CHECKLIST_STATUS)).required(),
+            status: Joi.string().valid(...Object.values(CHECKLIST_STATUS)).optional(),
+            answer: checklistAnswer().optional(),
             rating: Joi.number().min(0).max(5).allow(null).optional(),
             remarks: Joi.string().max(1000).trim().allow('', null).optional(),
             photos: Joi.array().items(Joi.string()).max(20).optional()
@@ -413,11 +745,97 @@ const schemas = {
       })
     ).min(1).optional(),
     status: Joi.string().valid('draft', 'completed', 'submitted').optional(),
-    notes: Joi.string().max(5000).trim().allow('', null).optional()
+    notes: Joi.string().max(5000).trim().allow('', null).optional(),
+    // Optional optimistic concurrency check
+    revision: Joi.number().integer().min(0).optional()
   }).min(1).messages({
     'object.min': 'At least one field must be provided for update'
   }),
 
+  patchInspection: Joi.object({
+    revision: Joi.number().integer().min(0).required().messages({
+      'any.required': 'revision is required'
+    }),
+    operations: Joi.array().items(
+      Joi.object({
+        op: Joi.string().valid('add', 'remove', 'replace', 'test').required().messages({
+          'any.only': 'op must be one of: add, remove, replace, test'
+        }),
+        path: Joi.string().max(300).required(),
+        value: Joi.any().when('op', {
+          is: 'remove',
+          then: Joi.forbidden(),
+          otherwise: Joi.required()
+        })
+      })
+    ).min(1).max(100).required()
+  }),
+
+  updateChecklistItem: Joi.object({
+    revision: Joi.number().integer().min(0).required().messages({
+      'any.required': 'revision is required'
+    }),
+    status: Joi.string().valid(...Object.values(CHECKLIST_STATUS)).optional(),
+    rating: Joi.number().min(0).max(5).allow(null).optional(),
+    answer: checklistAnswer().optional(),
+    remarks: Joi.string().max(1000).trim().allow('', null).optional(),
+    photos: Joi.array().items(Joi.string()).max(20).optional()
+  }).or('status', 'rating', 'answer', 'remarks', 'photos').messages({
+    'object.missing': 'At least one of status, rating, answer, remarks or photos must be provided'
+  }),
+
+  syncInspection: Joi.object({
+    baseRevision: Joi.number().integer().min(0).required().messages({
+      'any.required': 'baseRevision is required'
+    }),
+    deviceId: Joi.string().max(100).trim().optional(),
+    operations: Joi.array().items(
+      Joi.object({
+        opId: Joi.string().min(1).max(100).trim().required().messages({
+          'any.required': 'Operation opId is required'
+        }),
+        typeName: inspectionTypeName().required(),
+        position: Joi.number().integer().min(1).required(),
+        clientTimestamp: Joi.date().iso().required().messages({
+          'any.required': 'Operation clientTimestamp is required'
+        }),
+        changes: Joi.object({
+          status: Joi.string().valid(...Object.values(CHECKLIST_STATUS)).optional(),
+          rating: Joi.number().min(0).max(5).allow(null).optional(),
+          answer: checklistAnswer().optional(),
+          remarks: Joi.string().max(1000).trim().allow('', null).optional(),
+          photos: Joi.array().items(Joi.string()).max(20).optional(),
+          addPhotos: Joi.array().items(Joi.string()).max(20).optional(),
+          removePhotos: Joi.array().items(Joi.string()).max(20).optional()
+        }).min(1).required().messages({
+          'object.min': 'Operation changes cannot be empty'
+        })
+      })
+    ).min(1).max(INSPECTION_SYNC.MAX_OPERATIONS).required().messages({
+      'array.max': `A sync batch cannot exceed ${INSPECTION_SYNC.MAX_OPERATIONS} operations`
+    })
+  }),
+
+  inspectionChanges: Joi.object({
+    sinceRevision: Joi.number().integer().min(0).default(0).messages({
+      'number.base': 'sinceRevision must be a number'
+    })
+  }),
+
+  compareInspections: Joi.object({
+    a: Joi.string().hex().length(24).required().messages({
+      'any.required': 'Inspection a is required',
+      'string.hex': 'Inspection a must be a valid ID',
+      'string.length': 'Inspection a must be a valid ID'
+    }),
+    b: Joi.string().hex().length(24).invalid(Joi.ref('a')).required().messages({
+      'any.required': 'Inspection b is required',
+      'any.invalid': 'Choose two different inspections to compare',
+      'string.hex': 'Inspection b must be a valid ID',
+      'string.length': 'Inspection b must be a valid ID'
+    })
+  }),
+
   listInspections: Joi.object({
     page: Joi.number().integer().min(1).default(1).messages({
       'number.base': 'Page must be a number',
@@ -432,6 +850,10 @@ const schemas = {
       'any.only': 'Status must be one of: draft, completed, submitted'
     }),
     templateId: Joi.string().optional(),
+    // Damage filters match a single damage: damagePanel=roof&damageType=repaint finds repainted roofs
+    damagePanel: Joi.string().valid(...DAMAGE.PANELS).optional(),
+    damageType: Joi.string().valid(...Object.values(DAMAGE.TYPES)).optional(),
+    damageSeverity: Joi.string().valid(...Object.values(DAMAGE.SEVERITIES)).optional(),
     sortBy: Joi.string().valid('id', 'inspectionDate', 'createdAt', 'overallRating').default('inspectionDate').messages({
       'any.only': 'Sort field must be one of: id, inspectionDate, createdAt, overallRating'
     }),
@@ -472,7 +894,7 @@ const schemas = {
         'number.min': 'Year must be at least 1900',
         'number.max': 'Year cannot be in the future'
       }),
-      vin: Joi.string().max(17).trim().uppercase().allow('', null).optional(),
+      vin: vinString().allow('', null).optional(),
       licensePlate: Joi.string().max(20).trim().uppercase().allow('', null).optional(),
       mileage: Joi.number().min(0).allow(null).optional(),
       color: Joi.string().max(30).trim().allow('', null).optional()
@@ -480,11 +902,20 @@ const schemas = {
     reason: Joi.string().max(1000).trim().allow('', null).optional(),
     preferredDate: Joi.date().optional().allow(null),
     preferredTime: Joi.string().max(20).trim().allow('').optional(),
+    scheduledStart: Joi.date().iso().greater('now').optional().allow(null).messages({
+      'date.greater': 'Scheduled start must be in the future',
+      'date.format': 'Scheduled start must be an ISO 8601 date-time'
+    }),
+    estimatedDurationMinutes: Joi.number().integer().min(SCHEDULING.MIN_DURATION_MINUTES).max(SCHEDULING.MAX_DURATION_MINUTES).optional().messages({
+      'number.min': `Estimated duration must be at least ${SCHEDULING.MIN_DURATION_MINUTES} minutes`,
+      'number.max': `Estimated duration cannot exceed ${SCHEDULING.MAX_DURATION_MINUTES} minutes`
+    }),
     location: Joi.object({
       address: Joi.string().max(200).trim().allow('').optional(),
       city: Joi.string().max(50).trim().allow('').optional(),
       state: Joi.string().max(50).trim().allow('').optional(),
-      zipCode: Joi.string().max(10).trim().allow('').optional()
+      zipCode: Joi.string().max(10).trim().allow('').optional(),
+      coordinates: coordinatesSchema.optional()
     }).optional(),
     notes: Joi.string().max(1000).trim().allow('').optional()
   }),
@@ -492,12 +923,36 @@ const schemas = {
   listInspectionRequests: Joi.object({
     page: Joi.number().integer().min(1).default(1),
     limit: Joi.number().integer().min(1).max(100).default(10),
-    status: Joi.string().valid('pending', 'assigned', 'in_progress', 'completed', 'cancelled').optional(),
+    status: Joi.string().valid(...Object.values(REQUEST_STATUS)).optional(),
     sortBy: Joi.string().valid('id', 'createdAt', 'preferredDate', 'status').default('createdAt'),
     sortOrder: Joi.string().valid('ASC', 'DESC').default('DESC')
   }),
 
-  // Get available inspectors (admin): role=inspector, status=active, is_assigned=false; optional availableStatus filter
+  // Admin list: listInspectionRequests plus near=lat,lng&radiusKm= (requests with coordinates only)
+  listAdminInspectionRequests: Joi.object({
+    page: Joi.number().integer().min(1).default(1),
+    limit: Joi.number().integer().min(1).max(100).default(10),
+    status: Joi.string().valid(...Object.values(REQUEST_STATUS)).optional(),
+    sortBy: Joi.string().valid('id', 'createdAt', 'preferredDate', 'status').default('createdAt'),
+    sortOrder: Joi.string().valid('ASC', 'DESC').default('DESC'),
+    near: Joi.string().trim().custom((value, helpers) => {
+      const match = /^(-?\d+(?:\.\d+)?)\s*,\s*(-?\d+(?:\.\d+)?)$/.exec(value);
+      const lat = match && Number(match[1]);
+      const lng = match && Number(match[2]);
+      if (!match || Math.abs(lat) > 90 || Math.abs(lng) > 180) {
+        return helpers.error('near.invalid');
+      }
+      return { lat, lng };
+    }).optional().messages({
+      'near.invalid': 'near must be "lat,lng" with latitude -90..90 and longitude -180..180'
+    }),
+    radiusKm: Joi.number().positive().max(SERVICE_AREAS.MAX_NEAR_RADIUS_KM).optional().messages({
+      'number.positive': 'radiusKm must be greater than 0',
+      'number.max': `radiusKm cannot exceed ${SERVICE_AREAS.MAX_NEAR_RADIUS_KM}`
+    })
+  }).with('radiusKm', 'near'),
+
+  // Get available inspectors (admin): active inspectors below capacity; optional availableStatus filter
   listAvailableInspectors: Joi.object({
     page: Joi.number().integer().min(1).default(1).messages({
       'number.base': 'Page must be a number',
@@ -510,6 +965,14 @@ const schemas = {
     }),
     availableStatus: Joi.string().max(50).trim().allow('').optional().messages({
       'string.max': 'Available status must not exceed 50 characters'
+    }),
+    // ISO start of the slot to check; when set, working hours, bookings and the daily limit are honored too
+    slot: Joi.date().iso().optional().messages({
+      'date.format': 'slot must be an ISO 8601 date-time'
+    }),
+    durationMinutes: Joi.number().integer().min(SCHEDULING.MIN_DURATION_MINUTES).max(SCHEDULING.MAX_DURATION_MINUTES).optional().messages({
+      'number.min': `Duration must be at least ${SCHEDULING.MIN_DURATION_MINUTES} minutes`,
+      'number.max': `Duration cannot exceed ${SCHEDULING.MAX_DURATION_MINUTES} minutes`
     })
   }),
 
@@ -530,7 +993,7 @@ const schemas = {
         'number.min': 'Year must be at least 1900',
         'number.max': 'Year cannot be in the future'
       }),
-      vin: Joi.string().max(17).trim().uppercase().allow('', null).optional(),
+      vin: vinString().allow('', null).optional(),
       licensePlate: Joi.string().max(20).trim().uppercase().allow('', null).optional(),
       mileage: Joi.number().min(0).allow(null).optional(),
       color: Joi.string().max(30).trim().allow('', null).optional()
@@ -538,21 +1001,135 @@ const schemas = {
     reason: Joi.string().max(1000).trim().allow('', null).optional(),
     preferredDate: Joi.date().optional().allow(null),
     preferredTime: Joi.string().max(20).trim().allow('').optional(),
+    scheduledStart: Joi.date().iso().greater('now').optional().allow(null).messages({
+      'date.greater': 'Scheduled start must be in the future',
+      'date.format': 'Scheduled start must be an ISO 8601 date-time'
+    }),
+    estimatedDurationMinutes: Joi.number().integer().min(SCHEDULING.MIN_DURATION_MINUTES).max(SCHEDULING.MAX_DURATION_MINUTES).optional().messages({
+      'number.min': `Estimated duration must be at least ${SCHEDULING.MIN_DURATION_MINUTES} minutes`,
+      'number.max': `Estimated duration cannot exceed ${SCHEDULING.MAX_DURATION_MINUTES} minutes`
+    }),
     location: Joi.object({
       address: Joi.string().max(200).trim().allow('').optional(),
       city: Joi.string().max(50).trim().allow('').optional(),
       state: Joi.string().max(50).trim().allow('').optional(),
-      zipCode: Joi.string().max(10).trim().allow('').optional()
+      zipCode: Joi.string().max(10).trim().allow('').optional(),
+      coordinates: coordinatesSchema.optional()
     }).optional(),
     notes: Joi.string().max(1000).trim().allow('').optional()
   }).min(1).messages({
     'object.min': 'At least one field must be provided for update'
   }),
 
-  // Assign inspector to inspection request (admin only). Body: { inspectorId }
+  // Assign inspector to inspection request (admin only). Body: { inspectorId, scheduledStart?, estimatedDurationMinutes? }
   assignInspector: Joi.object({
     inspectorId: Joi.string().trim().required().messages({
       'any.required': 'Inspector ID is required'
+    }),
+    scheduledStart: Joi.date().iso().optional().messages({
+      'date.format': 'Scheduled start must be an ISO 8601 date-time'
+    }),
+    estimatedDurationMinutes: Joi.number().integer().min(SCHEDULING.MIN_DURATION_MINUTES).max(SCHEDULING.MAX_DURATION_MINUTES).optional().messages({
+      'number.min': `Estimated duration must be at least ${SCHEDULING.MIN_DURATION_MINUTES} minutes`,
+      'number.max': `Estimated duration cannot exceed ${SCHEDULING.MAX_DURATION_MINUTES} minutes`
+    })
+  }),
+
+  // Approve inspection request (admin only). Body (optional): { autoAssign } dispatches the best-ranked inspector
+  approveInspectionRequest: Joi.object({
+    autoAssign: Joi.boolean().default(false)
+  }),
+
+  // Dry-run dispatch ranking (admin only)
+  dispatchCandidates: Joi.object({
+    limit: Joi.number().integer().min(1).max(50).default(10).messages({
+      'number.min': 'Limit must be at least 1',
+      'number.max': 'Limit cannot exceed 50'
+    }),
+    includeIneligible: Joi.boolean().default(false)
+  }),
+
+  // Customer feedback on a completed request. Body: { rating (1-5), comment? }
+  submitRequestFeedback: Joi.object({
+    rating: Joi.number().integer().min(1).max(5).required().messages({
+      'number.min': 'Rating must be between 1 and 5',
+      'number.max': 'Rating must be between 1 and 5',
+      'any.required': 'Rating is required'
+    }),
+    comment: Joi.string().max(500).trim().allow('').optional().messages({
+      'string.max': 'Comment cannot exceed 500 characters'
+    })
+  }),
+
+  // Admin status change through the request state machine (in_progress/completed come from the inspector flow)
+  changeInspectionRequestStatus: Joi.object({
+    status: Joi.string()
+      .valid(REQUEST_STATUS.PENDING, REQUEST_STATUS.ASSIGNED, REQUEST_STATUS.ON_HOLD, REQUEST_STATUS.RESCHEDULED, REQUEST_STATUS.CANCELLED)
+      .required()
+      .messages({
+        'any.required': 'Status is required',
+        'any.only': 'Status must be one of: pending, assigned, on_hold, rescheduled, cancelled'
+      }),
+    reason: Joi.string().max(500).trim().allow('').optional().messages({
+      'string.max': 'Reason cannot exceed 500 characters'
+    }),
+    preferredDate: Joi.date().optional(),
+    preferredTime: Joi.string().max(20).trim().allow('').optional(),
+    scheduledStart: Joi.date().iso().optional().messages({
+      'date.format': 'Scheduled start must be an ISO 8601 date-time'
+    }),
+    estimatedDurationMinutes: Joi.number().integer().min(SCHEDULING.MIN_DURATION_MINUTES).max(SCHEDULING.MAX_DURATION_MINUTES).optional().messages({
+      'number.min': `Estimated duration must be at least ${SCHEDULING.MIN_DURATION_MINUTES} minutes`,
+      'number.max': `Estimated duration cannot exceed ${SCHEDULING.MAX_DURATION_MINUTES} minutes`
+    })
+  }),
+
+  // Inspector calendar range (defaults to the next 7 days)
+  inspectorCalendar: Joi.object({
+    from: Joi.date().iso().optional().messages({
+      'date.format': 'from must be an ISO 8601 date-time'
+    }),
+    to: Joi.date().iso().optional().messages({
+      'date.format': 'to must be an ISO 8601 date-time'
+    })
+  }),
+
+  // Inspector publishes working hours / time zone. Times are "HH:mm" in that time zone; dayOfWeek 0 = Sunday
+  updateInspectorAvailability: Joi.object({
+    timezone: Joi.string().max(64).trim().optional(),
+    workingHours: Joi.array().max(21).items(
+      Joi.object({
+        dayOfWeek: Joi.number().integer().min(0).max(6).required().messages({
+          'any.required': 'dayOfWeek is required',
+          'number.min': 'dayOfWeek must be between 0 (Sunday) and 6 (Saturday)',
+          'number.max': 'dayOfWeek must be between 0 (Sunday) and 6 (Saturday)'
+        }),
+        start: Joi.string().pattern(/^([01]\d|2[0-3]):[0-5]\d$/).required().messages({
+          'any.required': 'start is required',
+          'string.pattern.base': 'start must be in HH:mm format'
+        }),
+        end: Joi.string().pattern(/^([01]\d|2[0-3]):[0-5]\d$/).required().messages({
+          'any.required': 'end is required',
+          'string.pattern.base': 'end must be in HH:mm format'
+        })
+      })
+    ).optional()
+  }).min(1).messages({
+    'object.min': 'At least one of timezone or workingHours must be provided'
+  }),
+
+  addInspectorTimeOff: Joi.object({
+    start: Joi.date().iso().required().messages({
+      'any.required': 'start is required',
+      'date.format': 'start must be an ISO 8601 date-time'
+    }),
+    end: Joi.date().iso().greater(Joi.ref('start')).required().messages({
+      'any.required': 'end is required',
+      'date.greater': 'end must be after start',
+      'date.format': 'end must be an ISO 8601 date-time'
+    }),
+    reason: Joi.string().max(200).trim().allow('').optional().messages({
+      'string.max': 'Reason cannot exceed 200 characters'
     })
   }),
 
@@ -594,9 +1171,8 @@ const schemas = {
     inspectionRequestId: Joi.string().min(1).max(50).trim().optional().messages({
       'string.max': 'inspectionRequestId cannot exceed 50 characters'
     }),
-    typeName: Joi.string().valid(...Object.values(INSPECTION_TYPES)).required().messages({
-      'any.required': 'typeName is required (e.g. Interior, Exterior, Engine)',
-      'any.only': `typeName must be one of: ${Object.values(INSPECTION_TYPES).join(', ')}`
+    typeName: inspectionTypeName().required().messages({
+      'any.required': 'typeName is required (e.g. Interior, Exterior, Engine)'
     }),
     fileName: Joi.string().min(1).max(255).trim().required().messages({
       'any.required': 'fileName is required',
@@ -622,9 +1198,8 @@ const schemas = {
     inspectionRequestId: Joi.string().min(1).max(50).trim().optional().messages({
       'string.max': 'inspectionRequestId cannot exceed 50 characters'
     }),
-    typeName: Joi.string().valid(...Object.values(INSPECTION_TYPES)).required().messages({
-      'any.required': 'typeName is required',
-      'any.only': `typeName must be one of: ${Object.values(INSPECTION_TYPES).join(', ')}`
+    typeName: inspectionTypeName().required().messages({
+      'any.required': 'typeName is required'
     }),
     fileName: Joi.string().min(1).max(255).trim().required().messages({
       'any.required': 'fileName is required'
@@ -733,7 +1308,238 @@ const schemas = {
     })
   }),
 
+  // Shareable report link schemas
+  createReportShare: Joi.object({
+    expiresInDays: Joi.number().integer().min(1).max(REPORT_SHARE.MAX_EXPIRES_IN_DAYS).optional().messages({
+      'number.base': 'expiresInDays must be a number',
+      'number.min': 'expiresInDays must be at least 1',
+      'number.max': `expiresInDays cannot exceed ${REPORT_SHARE.MAX_EXPIRES_IN_DAYS}`
+    })
+  }),
+
+  listReportShares: Joi.object({
+    page: Joi.number().integer().min(1).default(1).messages({
+      'number.base': 'Page must be a number',
+      'number.min': 'Page must be at least 1'
+    }),
+    limit: Joi.number().integer().min(1).max(100).default(10).messages({
+      'number.base': 'Limit must be a number',
+      'number.min': 'Limit must be at least 1',
+      'number.max': 'Limit cannot exceed 100'
+    }),
+    inspectionId: Joi.string().trim().optional(),
+    state: Joi.string().valid('active', 'revoked', 'expired').optional().messages({
+      'any.only': 'state must be one of: active, revoked, expired'
+    }),
+    sortOrder: Joi.string().valid('ASC', 'DESC').default('DESC').messages({
+      'any.only': 'sortOrder must be ASC or DESC'
+    })
+  }),
+
+  revokeReportShare: Joi.object({
+    reason: Joi.string().max(500).trim().optional().allow('').messages({
+      'string.max': 'Reason cannot exceed 500 characters'
+    })
+  }),
+
+  // Notification template schemas
+  updateNotificationTemplate: Joi.object({
+    subject: Joi.string().min(1).max(200).trim().optional().messages({
+      'string.min': 'Subject cannot be empty',
+      'string.max': 'Subject cannot exceed 200 characters'
+    }),
+    html: Joi.string().min(1).max(20000).optional().messages({
+      'string.min': 'HTML body cannot be empty',
+      'string.max': 'HTML body cannot exceed 20000 characters'
+    }),
+    text: Joi.string().max(10000).optional().allow('').messages({
+      'string.max': 'Text body cannot exceed 10000 characters'
+    }),
+    isActive: Joi.boolean().optional()
+  }).min(1).messages({
+    'object.min': 'At least one field must be provided for update'
+  }),
+
+  previewNotificationTemplate: Joi.object({
+    variables: Joi.object().pattern(Joi.string(), Joi.alternatives().try(Joi.string().allow(''), Joi.number(), Joi.boolean())).optional().default({})
+  }),
+
   // Make management schemas
+  // Service areas (admin). polygon for type=polygon, zipCodes for type=zip_codes
+  createServiceArea: Joi.object({
+    name: Joi.string().min(1).max(100).trim().required().messages({
+      'any.required': 'Service area name is required',
+      'string.max': 'Service area name cannot exceed 100 characters'
+    }),
+    description: Joi.string().max(500).trim().allow('').optional(),
+    type: Joi.string().valid(...Object.values(SERVICE_AREAS.TYPES)).required().messages({
+      'any.only': `Type must be one of: ${Object.values(SERVICE_AREAS.TYPES).join(', ')}`,
+      'any.required': 'Type is required'
+    }),
+    polygon: polygonSchema.when('type', {
+      is: SERVICE_AREAS.TYPES.POLYGON,
+      then: Joi.required(),
+      otherwise: Joi.forbidden()
+    }),
+    zipCodes: Joi.array().items(Joi.string().max(10).trim()).min(1).max(5000).when('type', {
+      is: SERVICE_AREAS.TYPES.ZIP_CODES,
+      then: Joi.required(),
+      otherwise: Joi.forbidden()
+    }),
+    surcharge: Joi.number().min(0).precision(2).optional().messages({
+      'number.min': 'Surcharge cannot be negative'
+    }),
+    isActive: Joi.boolean().optional()
+  }),
+
+  updateServiceArea: Joi.object({
+    name: Joi.string().min(1).max(100).trim().optional(),
+    description: Joi.string().max(500).trim().allow('').optional(),
+    type: Joi.string().valid(...Object.values(SERVICE_AREAS.TYPES)).optional().messages({
+      'any.only': `Type must be one of: ${Object.values(SERVICE_AREAS.TYPES).join(', ')}`
+    }),
+    polygon: polygonSchema.optional(),
+    zipCodes: Joi.array().items(Joi.string().max(10).trim()).min(1).max(5000).optional(),
+    surcharge: Joi.number().min(0).precision(2).optional().messages({
+      'number.min': 'Surcharge cannot be negative'
+    }),
+    isActive: Joi.boolean().optional()
+  }).min(1).messages({
+    'object.min': 'At least one field must be provided for update'
+  }),
+
+  listServiceAreas: Joi.object({
+    isActive: Joi.boolean().optional()
+  }),
+
+  // Public coverage check: zipCode and/or lat+lng
+  checkServiceCoverage: Joi.object({
+    zipCode: Joi.string().max(10).trim().optional(),
+    lat: Joi.number().min(-90).max(90).optional(),
+    lng: Joi.number().min(-180).max(180).optional()
+  }).and('lat', 'lng').or('zipCode', 'lat').messages({
+    'object.missing': 'Provide zipCode or lat and lng'
+  }),
+
+  createInspectionCategory: Joi.object({
+    name: Joi.string().min(1).max(100).trim().pattern(/^[^/\\]+$/).required().messages({
+      'any.required': 'Category name is required',
+      'string.max': 'Category name cannot exceed 100 characters',
+      'string.pattern.base': 'Category name cannot contain slashes'
+    }),
+    description: Joi.string().max(500).trim().allow('').optional(),
+    order: Joi.number().integer().optional(),
+    media: inspectionMediaRulesSchema.optional(),
+    isActive: Joi.boolean().optional()
+  }),
+
+  updateInspectionCategory: Joi.object({
+    name: Joi.string().min(1).max(100).trim().pattern(/^[^/\\]+$/).optional().messages({
+      'string.max': 'Category name cannot exceed 100 characters',
+      'string.pattern.base': 'Category name cannot contain slashes'
+    }),
+    description: Joi.string().max(500).trim().allow('').optional(),
+    order: Joi.number().integer().optional(),
+    media: inspectionMediaRulesSchema.optional(),
+    isActive: Joi.boolean().optional()
+  }).min(1).messages({
+    'object.min': 'At least one field must be provided for update'
+  }),
+
+  listInspectionCategories: Joi.object({
+    isActive: Joi.boolean().optional()
+  }),
+
+  createRole: Joi.object({
+    name: Joi.string().max(50).trim().lowercase().pattern(/^[a-z][a-z0-9-]*$/).required().messages({
+      'any.required': 'Role name is required',
+      'string.max': 'Role name cannot exceed 50 characters',
+      'string.pattern.base': 'Role name may only contain lowercase letters, digits and hyphens'
+    }),
+    description: Joi.string().max(500).trim().allow('').optional(),
+    permissions: Joi.array().items(Joi.string().valid(...ALL_PERMISSIONS)).unique().required().messages({
+      'any.required': 'Permissions are required',
+      'any.only': `Permissions must be among: ${ALL_PERMISSIONS.join(', ')}`
+    })
+  }),
+
+  updateRole: Joi.object({
+    description: Joi.string().max(500).trim().allow('').optional(),
+    permissions: Joi.array().items(Joi.string().valid(...ALL_PERMISSIONS)).unique().optional().messages({
+      'any.only': `Permissions must be among: ${ALL_PERMISSIONS.join(', ')}`
+    })
+  }).min(1).messages({
+    'object.min': 'At least one field must be provided for update'
+  }),
+
+  createVehiclePrice: Joi.object({
+    makeId: Joi.string().hex().length(24).required().messages({
+      'any.required': 'Make ID is required',
+      'string.hex': 'Invalid make ID',
+      'string.length': 'Invalid make ID'
+    }),
+    modelId: Joi.string().hex().length(24).required().messages({
+      'any.required': 'Model ID is required',
+      'string.hex': 'Invalid model ID',
+      'string.length': 'Invalid model ID'
+    }),
+    year: vehiclePriceYear().required().messages({
+      'any.required': 'Year is required'
+    }),
+    basePrice: Joi.number().positive().required().messages({
+      'any.required': 'Base price is required',
+      'number.positive': 'Base price must be positive'
+    }),
+    depreciation: valuationDepreciationSchema.optional(),
+    conditionAdjustments: valuationConditionSchema.optional(),
+    isActive: Joi.boolean().optional()
+  }),
+
+  updateVehiclePrice: Joi.object({
+    makeId: Joi.string().hex().length(24).optional().messages({
+      'string.hex': 'Invalid make ID',
+      'string.length': 'Invalid make ID'
+    }),
+    modelId: Joi.string().hex().length(24).optional().messages({
+      'string.hex': 'Invalid model ID',
+      'string.length': 'Invalid model ID'
+    }),
+    year: vehiclePriceYear().optional(),
+    basePrice: Joi.number().positive().optional().messages({
+      'number.positive': 'Base price must be positive'
+    }),
+    depreciation: valuationDepreciationSchema.optional(),
+    conditionAdjustments: valuationConditionSchema.optional(),
+    isActive: Joi.boolean().optional()
+  }).min(1).messages({
+    'object.min': 'At least one field must be provided for update'
+  }),
+
+  listVehiclePrices: Joi.object({
+    makeId: Joi.string().hex().length(24).optional(),
+    modelId: Joi.string().hex().length(24).optional(),
+    year: vehiclePriceYear().optional(),
+    isActive: Joi.boolean().optional()
+  }),
+
+  requestValuationQuery: Joi.object({
+    refresh: Joi.boolean().default(false)
+  }),
+
+  decodeVin: Joi.object({
+    vin: vinString().required().messages({
+      'any.required': 'VIN is required'
+    })
+  }),
+
+  listVehicles: Joi.object({
+    page: Joi.number().integer().min(1).default(1),
+    limit: Joi.number().integer().min(1).max(100).default(10),
+    vin: Joi.string().trim().max(17).optional(),
+    plate: Joi.string().trim().max(20).optional(),
+    odometerRollback: Joi.boolean().optional()
+  }),
+
   createMake: Joi.object({
     name: Joi.string().min(1).max(50).trim().required().messages({
       'any.required': 'Make name is required',
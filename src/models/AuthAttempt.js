@@ -0,0 +1,65 @@
+/**
+ * Auth Attempt Model
+ * Mongoose schema for the sign-in audit log: one entry per OTP send, OTP verification and password login attempt,
+ * including rate-limited and locked-out ones. Entries are removed after AUTH_PROTECTION.AUDIT_RETENTION_DAYS.
+ */
+
+const mongoose = require('mongoose');
+const { AUTH_PROTECTION } = require('../config/constants');
+
+const authAttemptSchema = new mongoose.Schema({
+  action: {
+    type: String,
+    enum: Object.values(AUTH_PROTECTION.ACTIONS),
+    required: [true, 'Action is required']
+  },
+  outcome: {
+    type: String,
+    enum: Object.values(AUTH_PROTECTION.OUTCOMES),
+    required: [true, 'Outcome is required']
+  },
+  // Why the attempt failed (e.g. invalid_otp, invalid_password, unknown_email)
+  reason: {
+    type: String,
+    default: ''
+  },
+  email: {
+    type: String,
+    lowercase: true,
+    trim: true,
+    default: ''
+  },
+  // Null when the email does not belong to an account
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  ip: {
+    type: String,
+    default: ''
+  },
+  userAgent: {
+    type: String,
+    default: ''
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false },
+  toJSON: {
+    transform: function(doc, ret) {
+      ret.id = ret._id;
+      delete ret._id;
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+authAttemptSchema.index({ createdAt: 1 }, { expireAfterSeconds: AUTH_PROTECTION.AUDIT_RETENTION_DAYS * 24 * 60 * 60 });
+authAttemptSchema.index({ email: 1, createdAt: -1 });
+authAttemptSchema.index({ userId: 1, createdAt: -1 });
+authAttemptSchema.index({ ip: 1, createdAt: -1 });
+
+const AuthAttempt = mongoose.model('AuthAttempt', authAttemptSchema);
+
+module.exports = AuthAttempt;
@@ -5,7 +5,126 @@
  */
 
 const mongoose = require('mongoose');
-const { INSPECTION_TYPES, CHECKLIST_STATUS, VIDEO_ALLOWED_TYPES } = require('../config/constants');
+const {
+  CHECKLIST_ANSWER_TYPES,
+  ANSWER_RESULTS,
+  TEXT_ANSWER_MAX_LENGTH,
+  CHECKLIST_CONDITIONS,
+  INSPECTION_SCORING
+} = require('../config/constants');
+
+// Relative weight of a type or item in the weighted score (0 = not scored)
+const weightField = {
+  type: Number,
+  min: [0, 'Weight cannot be negative'],
+  max: [INSPECTION_SCORING.MAX_WEIGHT, `Weight cannot exceed ${INSPECTION_SCORING.MAX_WEIGHT}`],
+  default: INSPECTION_SCORING.DEFAULT_WEIGHT
+};
+const { checkAnswerConfig } = require('../utils/checklistAnswers');
+
+const answerResultField = {
+  type: String,
+  enum: {
+    values: Object.values(ANSWER_RESULTS),
+    message: `Result must be one of: ${Object.values(ANSWER_RESULTS).join(', ')}`
+  }
+};
+
+// Number answers: value range [min, max] scored by the first threshold band containing it
+const thresholdSchema = new mongoose.Schema({
+  result: { ...answerResultField, required: [true, 'Threshold result is required'] },
+  min: Number,
+  max: Number
+}, { _id: false });
+
+// Select answers: choosable options, optionally scored
+const answerOptionSchema = new mongoose.Schema({
+  value: {
+    type: String,
+    required: [true, 'Option value is required'],
+    trim: true,
+    maxlength: [100, 'Option value cannot exceed 100 characters']
+  },
+  label: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Option label cannot exceed 200 characters']
+  },
+  result: answerResultField
+}, { _id: false });
+
+// Settings of typed answers; which fields apply depends on answerType (see utils/checklistAnswers)
+const answerConfigSchema = new mongoose.Schema({
+  unit: {
+    type: String,
+    trim: true,
+    maxlength: [20, 'Unit cannot exceed 20 characters']
+  },
+  min: Number,
+  max: Number,
+  thresholds: {
+    type: [thresholdSchema],
+    default: undefined
+  },
+  // Boolean answers: the value that passes (the other fails); unscored when unset
+  expected: Boolean,
+  options: {
+    type: [answerOptionSchema],
+    default: undefined
+  },
+  maxLength: {
+    type: Number,
+    min: [1, 'Max length must be at least 1'],
+    max: [TEXT_ANSWER_MAX_LENGTH, `Max length cannot exceed ${TEXT_ANSWER_MAX_LENGTH}`]
+  }
+}, { _id: false });
+
+// Visibility rule: tests a vehicle field, or the answer of an earlier item (typeName defaults to the item's own type)
+const conditionRuleSchema = new mongoose.Schema({
+  vehicleField: {
+    type: String,
+    enum: {
+      values: CHECKLIST_CONDITIONS.VEHICLE_FIELDS,
+      message: `Vehicle field must be one of: ${CHECKLIST_CONDITIONS.VEHICLE_FIELDS.join(', ')}`
+    }
+  },
+  typeName: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Type name cannot exceed 100 characters']
+  },
+  position: {
+    type: Number,
+    min: [1, 'Position must be at least 1']
+  },
+  operator: {
+    type: String,
+    required: [true, 'Condition operator is required'],
+    enum: {
+      values: Object.values(CHECKLIST_CONDITIONS.OPERATORS),
+      message: `Operator must be one of: ${Object.values(CHECKLIST_CONDITIONS.OPERATORS).join(', ')}`
+    }
+  },
+  value: mongoose.Schema.Types.Mixed
+}, { _id: false });
+
+// Type or item visibility; see utils/checklistVisibility
+const visibleWhenSchema = new mongoose.Schema({
+  match: {
+    type: String,
+    enum: Object.values(CHECKLIST_CONDITIONS.MATCH),
+    default: CHECKLIST_CONDITIONS.MATCH.ALL
+  },
+  rules: {
+    type: [conditionRuleSchema],
+    validate: {
+      validator: function(rules) {
+        return rules.length > 0 && rules.length <= CHECKLIST_CONDITIONS.MAX_RULES;
+      },
+      message: `A condition needs 1 to ${CHECKLIST_CONDITIONS.MAX_RULES} rules`
+    }
+  }
+}, { _id: false });
 
 // Sub-schema for checklist item within a type
 const checklistItemSchema = new mongoose.Schema({
@@ -29,18 +148,47 @@ const checklistItemSchema = new mongoose.Schema({
   isRequired: {
     type: Boolean,
     default: true
+  },
+  weight: weightField,
+  // A failed critical item caps the overall score (INSPECTION_SCORING.CRITICAL_FAIL_CAP)
+  critical: {
+    type: Boolean,
+    default: false
+  },
+  answerType: {
+    type: String,
+    enum: {
+      values: Object.values(CHECKLIST_ANSWER_TYPES),
+      message: `Answer type must be one of: ${Object.values(CHECKLIST_ANSWER_TYPES).join(', ')}`
+    },
+    default: CHECKLIST_ANSWER_TYPES.STATUS
+  },
+  answerConfig: {
+    type: answerConfigSchema,
+    default: undefined
+  },
+  visibleWhen: {
+    type: visibleWhenSchema,
+    default: undefined
   }
 }, { _id: false }); // No separate _id for subdocuments
 
+checklistItemSchema.pre('validate', function(next) {
+  const problem = checkAnswerConfig(this);
+  if (problem) {
+    this.invalidate('answerConfig', problem);
+  }
+  next();
+});
+
 // Sub-schema for type configuration
 const typeConfigSchema = new mongoose.Schema({
+  // InspectionCategory name (validated against the categories by the checklist service)
   typeName: {
     type: String,
     required: [true, 'Type name is required'],
-    enum: {
-      values: Object.values(INSPECTION_TYPES),
-      message: 'Invalid inspection type'
-    }
+    trim: true,
+    maxlength: [100, 'Type name cannot exceed 100 characters']
   },
   checklistItems: {
     type: [checklistItemSchema],
@@ -60,25 +208,21 @@ const typeConfigSchema = new mongoose.Schema({
     type: Boolean,
     default: true
   },
+  // Only honoured when the category allows videos
   allowVideos: {
     type: Boolean,
-    default: false,
-    validate: {
-      validator: function(allow) {
-        // Videos only allowed for Interior and Exterior
-        if (allow) {
-          return VIDEO_ALLOWED_TYPES.includes(this.typeName);
-        }
-        return true;
-      },
-      message: 'Videos are only allowed for Interior and Exterior types'
-    }
+    default: false
   },
   maxVideos: {
     type: Number,
     default: 2,
     min: [0, 'Max videos cannot be negative'],
     max: [10, 'Max videos cannot exceed 10']
+  },
+  weight: weightField,
+  visibleWhen: {
+    type: visibleWhenSchema,
+    default: undefined
   }
 }, { _id: false });
 
@@ -154,16 +298,6 @@ checklistTemplateSchema.index({ isActive: 1, createdAt: -1 });
 checklistTemplateSchema.index({ createdBy: 1 });
 checklistTemplateSchema.index({ name: 'text', description: 'text' }); // Text search
 
-// Pre-save hook to validate video settings
-checklistTemplateSchema.pre('save', function(next) {
-  this.types.forEach(typeConfig => {
-    if (typeConfig.allowVideos && !VIDEO_ALLOWED_TYPES.includes(typeConfig.typeName)) {
-      return next(new Error(`Videos are only allowed for ${VIDEO_ALLOWED_TYPES.join(' and ')} types`));
-    }
-  });
-  next();
-});
-
 // Method to get template for inspector (only active templates)
 checklistTemplateSchema.statics.getActiveTemplate = function(templateId) {
   return this.findOne({ _id: templateId, isActive: true });
@@ -0,0 +1,113 @@
+/**
+ * ChecklistTemplateVersion Model
+ * Snapshots of a checklist template. Admins edit a draft; publishing freezes it and archives the previously
+ * published version. Inspections are pinned to the version they were filled against.
+ */
+
+const mongoose = require('mongoose');
+const ChecklistTemplate = require('./ChecklistTemplate');
+const { TEMPLATE_VERSION_STATUS } = require('../config/constants');
+
+// Same type/checklist item structure as the template
+const typeConfigSchema = ChecklistTemplate.schema.path('types').schema;
+
+const FROZEN_FIELDS = ['name', 'description', 'types'];
+
+const checklistTemplateVersionSchema = new mongoose.Schema({
+  templateId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ChecklistTemplate',
+    required: [true, 'Template ID is required']
+  },
+  version: {
+    type: Number,
+    required: [true, 'Version is required'],
+    min: [1, 'Version must be at least 1']
+  },
+  status: {
+    type: String,
+    enum: {
+      values: Object.values(TEMPLATE_VERSION_STATUS),
+      message: `Status must be one of: ${Object.values(TEMPLATE_VERSION_STATUS).join(', ')}`
+    },
+    default: TEMPLATE_VERSION_STATUS.DRAFT
+  },
+  name: {
+    type: String,
+    required: [true, 'Template name is required'],
+    trim: true,
+    maxlength: [100, 'Template name cannot exceed 100 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot exceed 500 characters'],
+    default: ''
+  },
+  types: {
+    type: [typeConfigSchema],
+    required: [true, 'At least one type is required'],
+    validate: {
+      validator: function(types) {
+        const typeNames = types.map(t => t.typeName);
+        return types.length > 0 && new Set(typeNames).size === typeNames.length;
+      },
+      message: 'At least one type is required and duplicate type names are not allowed'
+    }
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  publishedAt: {
+    type: Date,
+    default: null
+  },
+  publishedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  archivedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      ret.id = ret._id;
+      delete ret._id;
+      delete ret.__v;
+      return ret;
+    }
+  },
+  toObject: {
+    transform: function(doc, ret) {
+      ret.id = ret._id;
+      delete ret._id;
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+checklistTemplateVersionSchema.index({ templateId: 1, version: 1 }, { unique: true });
+// At most one draft per template
+checklistTemplateVersionSchema.index(
+  { templateId: 1 },
+  { unique: true, partialFilterExpression: { status: TEMPLATE_VERSION_STATUS.DRAFT } }
+);
+
+// Published snapshots are immutable (only the status may move on to archived)
+checklistTemplateVersionSchema.pre('save', function(next) {
+  if (!this.isNew && this.publishedAt && FROZEN_FIELDS.some(field => this.isModified(field))) {
+    return next(new Error(`Template version ${this.version} is published and cannot be modified`));
+  }
+  next();
+});
+
+const ChecklistTemplateVersion = mongoose.model('ChecklistTemplateVersion', checklistTemplateVersionSchema);
+
+module.exports = ChecklistTemplateVersion;
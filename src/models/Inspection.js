@@ -5,7 +5,16 @@
  */
 
 const mongoose = require('mongoose');
-const { CHECKLIST_STATUS, VIDEO_ALLOWED_TYPES, STATUS_EXCLUDED_FROM_AVERAGE } = require('../config/constants');
+const {
+  CHECKLIST_STATUS,
+  INSPECTION_CATEGORIES,
+  INSPECTION_SCORING,
+  CHECKLIST_ANSWER_TYPES,
+  ANSWER_RESULTS,
+  DAMAGE
+} = require('../config/constants');
+const { scoreInspection } = require('../utils/inspectionScoring');
+const { summarizeDamages } = require('../utils/damageSummary');
 
 // Sub-schema for checklist item response
 const checklistItemResponseSchema = new mongoose.Schema({
@@ -45,6 +54,36 @@ const checklistItemResponseSchema = new mongoose.Schema({
     default: '',
     set: function(v) { return v == null ? '' : v; }
   },
+  // Typed items (answerType other than status): answer and its pass/warn/fail result, copied unit from the template.
+  // Their status and rating are derived from the result by the checklist service (see utils/checklistAnswers).
+  answerType: {
+    type: String,
+    enum: Object.values(CHECKLIST_ANSWER_TYPES),
+    default: CHECKLIST_ANSWER_TYPES.STATUS
+  },
+  answer: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  unit: {
+    type: String,
+    default: ''
+  },
+  result: {
+    type: String,
+    enum: [...Object.values(ANSWER_RESULTS), null],
+    default: null
+  },
+  // Scoring settings copied from the template item
+  weight: {
+    type: Number,
+    min: [0, 'Weight cannot be negative'],
+    default: INSPECTION_SCORING.DEFAULT_WEIGHT
+  },
+  critical: {
+    type: Boolean,
+    default: false
+  },
   photos: {
     type: [String], // Array of photo URLs/paths
     default: [],
@@ -54,6 +93,15 @@ const checklistItemResponseSchema = new mongoose.Schema({
       },
       message: 'Maximum 20 photos allowed per checklist item'
     }
+  },
+  // Inspection revision at which this item last changed, and when (client time for offline sync). Set in pre-save.
+  revision: {
+    type: Number,
+    default: null
+  },
+  updatedAt: {
+    type: Date,
+    default: null
   }
 }, { _id: false });
 
@@ -94,21 +142,21 @@ const typeInspectionSchema = new mongoose.Schema({
   videos: {
     type: [String], // Array of video URLs/paths
     default: [],
+    // Per-category rules are enforced by the checklist service; this is the hard limit
     validate: {
       validator: function(videos) {
-        // Videos only allowed for Interior and Exterior
-        if (videos.length > 0 && !VIDEO_ALLOWED_TYPES.includes(this.typeName)) {
-          return false;
-        }
-        // Max 2 videos for allowed types
-        if (VIDEO_ALLOWED_TYPES.includes(this.typeName)) {
-          return videos.length <= 2;
-        }
-        return videos.length === 0;
+        return videos.length <= INSPECTION_CATEGORIES.MAX_VIDEOS;
       },
-      message: 'Videos are only allowed for Interior and Exterior types (max 2 videos)'
+      message: `Maximum ${INSPECTION_CATEGORIES.MAX_VIDEOS} videos allowed per type`
     }
   },
+  // Copied from the template type
+  weight: {
+    type: Number,
+    min: [0, 'Weight cannot be negative'],
+    default: INSPECTION_SCORING.DEFAULT_WEIGHT
+  },
+  // Weighted average rating of the type's rated items
   averageRating: {
     type: Number,
     default: 0,
@@ -122,6 +170,74 @@ const typeInspectionSchema = new mongoose.Schema({
 }, { _id: false });
 
 // Main Inspection schema
+// Sub-schema for one damage on the vehicle diagram
+const damageSchema = new mongoose.Schema({
+  panel: {
+    type: String,
+    required: [true, 'Damage panel is required'],
+    enum: {
+      values: DAMAGE.PANELS,
+      message: 'Invalid damage panel: {VALUE}'
+    }
+  },
+  type: {
+    type: String,
+    required: [true, 'Damage type is required'],
+    enum: {
+      values: Object.values(DAMAGE.TYPES),
+      message: 'Invalid damage type: {VALUE}'
+    }
+  },
+  severity: {
+    type: String,
+    required: [true, 'Damage severity is required'],
+    enum: {
+      values: Object.values(DAMAGE.SEVERITIES),
+      message: 'Invalid damage severity: {VALUE}'
+    }
+  },
+  size: {
+    type: String,
+    enum: {
+      values: [...Object.values(DAMAGE.SIZES), null],
+      message: 'Invalid damage size: {VALUE}'
+    },
+    default: null
+  },
+  // Where on the panel's diagram outline, as fractions of its width and height
+  location: {
+    x: {
+      type: Number,
+      min: [0, 'Location x must be between 0 and 1'],
+      max: [1, 'Location x must be between 0 and 1']
+    },
+    y: {
+      type: Number,
+      min: [0, 'Location y must be between 0 and 1'],
+      max: [1, 'Location y must be between 0 and 1']
+    }
+  },
+  photos: {
+    type: [String],
+    default: [],
+    validate: {
+      validator: (photos) => photos.length <= DAMAGE.MAX_PHOTOS_PER_DAMAGE,
+      message: `Maximum ${DAMAGE.MAX_PHOTOS_PER_DAMAGE} photos allowed per damage`
+    }
+  },
+  estimatedRepairCost: {
+    type: Number,
+    min: [0, 'Estimated repair cost cannot be negative'],
+    default: null
+  },
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Damage notes cannot exceed 500 characters'],
+    default: ''
+  }
+}, { _id: false });
+
 const inspectionSchema = new mongoose.Schema({
   checklistTemplateId: {
     type: mongoose.Schema.Types.ObjectId,
@@ -129,12 +245,29 @@ const inspectionSchema = new mongoose.Schema({
     required: [true, 'Checklist template ID is required'],
     index: true
   },
+  // Template version the inspection was filled against (null for inspections created before versioning)
+  templateVersion: {
+    type: Number,
+    default: null
+  },
+  templateVersionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ChecklistTemplateVersion',
+    default: null
+  },
   inspectorId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
     required: [true, 'Inspector ID is required'],
     index: true
   },
+  // Registry entry for the vehicle (matched by VIN or license plate; see vehicleService)
+  vehicleId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Vehicle',
+    default: null,
+    index: true
+  },
   vehicleInfo: {  
     make: {
       type: String,
@@ -193,6 +326,17 @@ const inspectionSchema = new mongoose.Schema({
       return Math.round(value * 100) / 100;
     }
   },
+  // Grade band of overallRating (INSPECTION_SCORING.GRADE_BANDS)
+  grade: {
+    type: String,
+    default: null,
+    index: true
+  },
+  // How overallRating was computed: { weightedScore, cap, score, grade, criticalFailures, types } (utils/inspectionScoring)
+  scoreBreakdown: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
   status: {
     type: String,
     enum: ['draft', 'completed', 'submitted'],
@@ -233,9 +377,29 @@ const inspectionSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.Mixed,
     default: null
   },
+  // Legacy free-form damage data, kept for inspections created before `damages`; no longer written
   damaged_coordinates: {
     type: mongoose.Schema.Types.Mixed,
     default: null
+  },
+  damages: {
+    type: [damageSchema],
+    default: [],
+    validate: {
+      validator: (damages) => damages.length <= DAMAGE.MAX_DAMAGES,
+      message: `Maximum ${DAMAGE.MAX_DAMAGES} damages allowed per inspection`
+    }
+  },
+  // Aggregate of `damages` (utils/damageSummary), recalculated on save
+  damageSummary: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  // Incremented on every change; offline clients sync against it (see checklistService.syncInspection)
+  revision: {
+    type: Number,
+    default: 0,
+    min: 0
   }
 }, {
   timestamps: true,
@@ -260,61 +424,50 @@ const inspectionSchema = new mongoose.Schema({
 // Indexes for performance
 inspectionSchema.index({ inspectorId: 1, inspectionDate: -1 });
 inspectionSchema.index({ checklistTemplateId: 1 });
+inspectionSchema.index({ checklistTemplateId: 1, templateVersion: 1 });
 inspectionSchema.index({ status: 1, createdAt: -1 });
 inspectionSchema.index({ 'vehicleInfo.vin': 1 });
 inspectionSchema.index({ 'vehicleInfo.licensePlate': 1 });
+inspectionSchema.index({ 'damages.panel': 1, 'damages.type': 1 });
 
-// Pre-save hook to calculate average ratings (exclude Not Applicable / Not Checked from average)
+// Pre-save hook to calculate weighted ratings and grade (Not Applicable / Not Checked items are excluded)
 inspectionSchema.pre('save', function(next) {
-  const excludedSet = new Set(STATUS_EXCLUDED_FROM_AVERAGE || []);
-  this.types.forEach(typeInspection => {
-    if (typeInspection.checklistItems && typeInspection.checklistItems.length > 0) {
-      const included = typeInspection.checklistItems.filter(
-        item => !excludedSet.has(item.status)
-      );
-      if (included.length > 0) {
-        const totalRating = included.reduce((sum, item) => sum + (Number(item.rating) || 0), 0);
-        typeInspection.averageRating = Math.round((totalRating / included.length) * 100) / 100;
-      } else {
-        typeInspection.averageRating = 0;
-      }
-    }
-  });
-
-  // Calculate overall rating (average of all type ratings)
-  if (this.types && this.types.length > 0) {
-    const totalTypeRating = this.types.reduce((sum, type) => sum + type.averageRating, 0);
-    this.overallRating = totalTypeRating / this.types.length;
-  }
+  this.calculateRatings();
+  this.damageSummary = summarizeDamages(this.damages);
 
   // Set completedAt if status is completed or submitted
   if ((this.status === 'completed' || this.status === 'submitted') && !this.completedAt) {
     this.completedAt = new Date();
   }
 
+  // New revision per save; items without one (new or replaced) changed in it
+  if (!this.isNew) {
+    this.revision = (this.revision || 0) + 1;
+  }
+  const now = new Date();
+  this.types.forEach(typeInspection => {
+    (typeInspection.checklistItems || []).forEach(item => {
+      if (item.revision == null) {
+        item.revision = this.revision;
+        item.updatedAt = now;
+      }
+    });
+  });
+
   next();
 });
 
-// Method to calculate and update ratings (can be called manually if needed)
+// Method to calculate and update ratings, grade and score breakdown (also run by the pre-save hook)
 inspectionSchema.methods.calculateRatings = function() {
-  const excludedSet = new Set(STATUS_EXCLUDED_FROM_AVERAGE || []);
-  this.types.forEach(typeInspection => {
-    if (typeInspection.checklistItems && typeInspection.checklistItems.length > 0) {
-      const included = typeInspection.checklistItems.filter(item => !excludedSet.has(item.status));
-      if (included.length > 0) {
-        const totalRating = included.reduce((sum, item) => sum + (Number(item.rating) || 0), 0);
-        typeInspection.averageRating = Math.round((totalRating / included.length) * 100) / 100;
-      } else {
-        typeInspection.averageRating = 0;
-      }
-    }
-  });
+  if (!this.types || this.types.length === 0) return;
 
-  // Calculate overall rating
-  if (this.types && this.types.length > 0) {
-    const totalTypeRating = this.types.reduce((sum, type) => sum + type.averageRating, 0);
-    this.overallRating = totalTypeRating / this.types.length;
-  }
+  const { typeScores, overallRating, grade, breakdown } = scoreInspection(this.types);
+  this.types.forEach((typeInspection, index) => {
+    typeInspection.averageRating = typeScores[index];
+  });
+  this.overallRating = overallRating;
+  this.grade = grade;
+  this.scoreBreakdown = breakdown;
 };
 
 // Static method to get inspections by inspector
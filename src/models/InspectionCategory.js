@@ -0,0 +1,98 @@
+/**
+ * InspectionCategory Model
+ * Admin-managed inspection categories (e.g. Exterior, Engine, EV Battery). The category name is the `typeName`
+ * used by checklist templates, inspections and upload folders. Media rules bound what inspections may attach.
+ */
+
+const mongoose = require('mongoose');
+const { INSPECTION_CATEGORIES } = require('../config/constants');
+
+const mediaRulesSchema = new mongoose.Schema({
+  videosAllowed: {
+    type: Boolean,
+    default: false
+  },
+  maxVideos: {
+    type: Number,
+    default: INSPECTION_CATEGORIES.DEFAULT_MAX_VIDEOS,
+    min: [0, 'Max videos cannot be negative'],
+    max: [INSPECTION_CATEGORIES.MAX_VIDEOS, `Max videos cannot exceed ${INSPECTION_CATEGORIES.MAX_VIDEOS}`]
+  },
+  maxPhotosPerItem: {
+    type: Number,
+    default: INSPECTION_CATEGORIES.DEFAULT_MAX_PHOTOS_PER_ITEM,
+    min: [0, 'Max photos per item cannot be negative'],
+    max: [INSPECTION_CATEGORIES.MAX_PHOTOS_PER_ITEM, `Max photos per item cannot exceed ${INSPECTION_CATEGORIES.MAX_PHOTOS_PER_ITEM}`]
+  },
+  maxOverallPhotos: {
+    type: Number,
+    default: INSPECTION_CATEGORIES.DEFAULT_MAX_OVERALL_PHOTOS,
+    min: [0, 'Max overall photos cannot be negative'],
+    max: [INSPECTION_CATEGORIES.MAX_OVERALL_PHOTOS, `Max overall photos cannot exceed ${INSPECTION_CATEGORIES.MAX_OVERALL_PHOTOS}`]
+  }
+}, { _id: false });
+
+const inspectionCategorySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Category name is required'],
+    unique: true,
+    trim: true,
+    maxlength: [100, 'Category name cannot exceed 100 characters'],
+    // Used as an S3 folder name
+    match: [/^[^/\\]+$/, 'Category name cannot contain slashes']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot exceed 500 characters'],
+    default: ''
+  },
+  // Display order (ascending)
+  order: {
+    type: Number,
+    default: 0
+  },
+  media: {
+    type: mediaRulesSchema,
+    default: () => ({})
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      ret.id = ret._id;
+      delete ret._id;
+      delete ret.__v;
+      return ret;
+    }
+  },
+  toObject: {
+    transform: function(doc, ret) {
+      ret.id = ret._id;
+      delete ret._id;
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+inspectionCategorySchema.index({ isActive: 1, order: 1 });
+
+const InspectionCategory = mongoose.model('InspectionCategory', inspectionCategorySchema);
+
+module.exports = InspectionCategory;
@@ -5,7 +5,127 @@
  */
 
 const mongoose = require('mongoose');
-const { USER_ROLES } = require('../config/constants');
+const { USER_ROLES, REQUEST_STATUS, SCHEDULING, VALUATION } = require('../config/constants');
+const { hasCoordinates } = require('../utils/geo');
+
+// Sub-schema for status transition audit entries (see utils/requestStateMachine.js)
+const statusHistorySchema = new mongoose.Schema({
+  from: {
+    type: String,
+    default: null
+  },
+  to: {
+    type: String,
+    required: [true, 'Target status is required']
+  },
+  changedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  changedByRole: {
+    type: String,
+    default: 'system'
+  },
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Reason cannot exceed 500 characters'],
+    default: ''
+  },
+  changedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+const valuationAdjustmentSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['depreciation', 'mileage', 'condition', 'damage'],
+    required: true
+  },
+  label: {
+    type: String,
+    default: ''
+  },
+  // Fraction of the base price (depreciation) or of the depreciated value (others)
+  rate: {
+    type: Number,
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true
+  }
+}, { _id: false });
+
+const valuationSchema = new mongoose.Schema({
+  estimate: {
+    type: Number,
+    required: true
+  },
+  low: {
+    type: Number,
+    required: true
+  },
+  high: {
+    type: Number,
+    required: true
+  },
+  currency: {
+    type: String,
+    default: VALUATION.CURRENCY
+  },
+  basePrice: {
+    type: Number,
+    required: true
+  },
+  // Model year of the price table entry used (nearest available to the vehicle's year)
+  basePriceYear: {
+    type: Number,
+    default: null
+  },
+  priceId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'VehiclePrice',
+    default: null
+  },
+  ageYears: {
+    type: Number,
+    default: 0
+  },
+  mileage: {
+    type: Number,
+    default: null
+  },
+  grade: {
+    type: String,
+    default: null
+  },
+  overallRating: {
+    type: Number,
+    default: null
+  },
+  damageCount: {
+    type: Number,
+    default: 0
+  },
+  adjustments: {
+    type: [valuationAdjustmentSchema],
+    default: []
+  },
+  // Inspection the valuation was computed from
+  inspectionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Inspection',
+    default: null
+  },
+  computedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
 
 const inspectionRequestSchema = new mongoose.Schema({
   requestId: {
@@ -90,6 +210,21 @@ const inspectionRequestSchema = new mongoose.Schema({
     maxlength: [20, 'Preferred time cannot exceed 20 characters'],
     default: ''
   },
+  // Booked time slot (see services/schedulingService.js); scheduledEnd = scheduledStart + estimatedDurationMinutes
+  scheduledStart: {
+    type: Date,
+    default: null
+  },
+  scheduledEnd: {
+    type: Date,
+    default: null
+  },
+  estimatedDurationMinutes: {
+    type: Number,
+    min: [SCHEDULING.MIN_DURATION_MINUTES, `Estimated duration must be at least ${SCHEDULING.MIN_DURATION_MINUTES} minutes`],
+    max: [SCHEDULING.MAX_DURATION_MINUTES, `Estimated duration cannot exceed ${SCHEDULING.MAX_DURATION_MINUTES} minutes`],
+    default: SCHEDULING.DEFAULT_DURATION_MINUTES
+  },
   location: {
     address: {
       type: String,
@@ -114,6 +249,49 @@ const inspectionRequestSchema = new mongoose.Schema({
       trim: true,
       maxlength: [10, 'Zip code cannot exceed 10 characters'],
       default: ''
+    },
+    // Geocoded position (optional); used for dispatch distance when the inspector's home base has one too
+    coordinates: {
+      lat: {
+        type: Number,
+        min: [-90, 'Latitude must be between -90 and 90'],
+        max: [90, 'Latitude must be between -90 and 90'],
+        default: null
+      },
+      lng: {
+        type: Number,
+        min: [-180, 'Longitude must be between -180 and 180'],
+        max: [180, 'Longitude must be between -180 and 180'],
+        default: null
+      }
+    },
+    // GeoJSON point derived from coordinates (pre-save); backs the 2dsphere index. Do not set directly.
+    geo: {
+      type: {
+        type: String,
+        enum: ['Point']
+      },
+      coordinates: {
+        type: [Number],
+        default: undefined
+      }
+    }
+  },
+  // Service area the location resolved to at creation/update (see services/serviceAreaService.js)
+  serviceArea: {
+    areaId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ServiceArea',
+      default: null
+    },
+    name: {
+      type: String,
+      default: null
+    },
+    surcharge: {
+      type: Number,
+      min: [0, 'Surcharge cannot be negative'],
+      default: 0
     }
   },
   inspectionStartTime: {
@@ -134,13 +312,20 @@ const inspectionRequestSchema = new mongoose.Schema({
       return value != null ? Math.round(value) : null;
     }
   },
-  /** status: pending | assigned | in_progress | completed | cancelled. Set to completed when linked inspection is submitted. */
+  /**
+   * status: pending | assigned | in_progress | completed | cancelled | rescheduled | on_hold.
+   * Only change it through utils/requestStateMachine.js so transitions are validated and recorded in statusHistory.
+   */
   status: {
     type: String,
-    enum: ['pending', 'assigned', 'in_progress', 'completed', 'cancelled'],
-    default: 'pending',
+    enum: Object.values(REQUEST_STATUS),
+    default: REQUEST_STATUS.PENDING,
     index: true
   },
+  statusHistory: {
+    type: [statusHistorySchema],
+    default: []
+  },
   assignedInspectorId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
@@ -161,6 +346,13 @@ const inspectionRequestSchema = new mongoose.Schema({
     default: null,
     index: true
   },
+  // Registry entry for the vehicle (matched by VIN or license plate; see vehicleService)
+  vehicleId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Vehicle',
+    default: null,
+    index: true
+  },
   notes: {
     type: String,
     trim: true,
@@ -176,6 +368,30 @@ const inspectionRequestSchema = new mongoose.Schema({
     trim: true,
     maxlength: [500, 'Cancellation reason cannot exceed 500 characters'],
     default: ''
+  },
+  // Price range of 'car valuation' requests, computed when the inspection completes (see valuationService)
+  valuation: {
+    type: valuationSchema,
+    default: null
+  },
+  // Customer's rating of the completed inspection; feeds the inspector's dispatch rating
+  customerFeedback: {
+    rating: {
+      type: Number,
+      min: [1, 'Rating must be between 1 and 5'],
+      max: [5, 'Rating must be between 1 and 5'],
+      default: null
+    },
+    comment: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Feedback comment cannot exceed 500 characters'],
+      default: ''
+    },
+    submittedAt: {
+      type: Date,
+      default: null
+    }
   }
 }, {
   timestamps: true,
@@ -202,7 +418,38 @@ inspectionRequestSchema.index({ requestId: 1 }, { unique: true, sparse: true });
 inspectionRequestSchema.index({ userId: 1, createdAt: -1 });
 inspectionRequestSchema.index({ status: 1, createdAt: -1 });
 inspectionRequestSchema.index({ assignedInspectorId: 1 });
+inspectionRequestSchema.index({ assignedInspectorId: 1, scheduledStart: 1 });
 inspectionRequestSchema.index({ 'vehicleInfo.licensePlate': 1 });
+inspectionRequestSchema.index({ 'location.geo': '2dsphere' });
+
+// Record the initial status as the first history entry (requests are created by/for the customer)
+inspectionRequestSchema.pre('save', function(next) {
+  if (this.isNew && (!this.statusHistory || this.statusHistory.length === 0)) {
+    this.statusHistory = [{
+      from: null,
+      to: this.status,
+      changedBy: this.userId || null,
+      changedByRole: USER_ROLES.USER,
+      reason: 'Request created',
+      changedAt: new Date()
+    }];
+  }
+  // Keep the booked slot's end in sync with its start and duration
+  if (this.isModified('scheduledStart') || this.isModified('estimatedDurationMinutes')) {
+    const duration = this.estimatedDurationMinutes || SCHEDULING.DEFAULT_DURATION_MINUTES;
+    this.scheduledEnd = this.scheduledStart
+      ? new Date(this.scheduledStart.getTime() + duration * 60 * 1000)
+      : null;
+  }
+  // GeoJSON is [lng, lat]
+  if (this.isModified('location')) {
+    const coordinates = this.location?.coordinates;
+    this.set('location.geo', hasCoordinates(coordinates)
+      ? { type: 'Point', coordinates: [coordinates.lng, coordinates.lat] }
+      : undefined);
+  }
+  next();
+});
 
 const InspectionRequest = mongoose.model('InspectionRequest', inspectionRequestSchema);
 
@@ -0,0 +1,70 @@
+/**
+ * InspectionSyncOperation Model
+ * Log of client-generated offline sync operations per inspection, so a retried batch returns the original outcome
+ * instead of applying an operation twice. Entries expire after INSPECTION_SYNC.OPERATION_TTL_DAYS.
+ */
+
+const mongoose = require('mongoose');
+const { INSPECTION_SYNC } = require('../config/constants');
+
+const inspectionSyncOperationSchema = new mongoose.Schema({
+  inspectionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Inspection',
+    required: [true, 'Inspection ID is required']
+  },
+  opId: {
+    type: String,
+    required: [true, 'Operation ID is required'],
+    trim: true,
+    maxlength: [100, 'Operation ID cannot exceed 100 characters']
+  },
+  inspectorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  deviceId: {
+    type: String,
+    trim: true,
+    default: null
+  },
+  // Outcome returned to the client: { status: applied|conflict|rejected, code?, message? }
+  result: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  // Inspection revision after the batch that carried this operation
+  revision: {
+    type: Number,
+    required: true
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      ret.id = ret._id;
+      delete ret._id;
+      delete ret.__v;
+      return ret;
+    }
+  },
+  toObject: {
+    transform: function(doc, ret) {
+      ret.id = ret._id;
+      delete ret._id;
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+inspectionSyncOperationSchema.index({ inspectionId: 1, opId: 1 }, { unique: true });
+inspectionSyncOperationSchema.index(
+  { createdAt: 1 },
+  { expireAfterSeconds: INSPECTION_SYNC.OPERATION_TTL_DAYS * 24 * 60 * 60 }
+);
+
+const InspectionSyncOperation = mongoose.model('InspectionSyncOperation', inspectionSyncOperationSchema);
+
+module.exports = InspectionSyncOperation;
@@ -0,0 +1,92 @@
+/**
+ * InspectorAvailability Model
+ * Mongoose schema for an inspector's published working hours and time-off (one document per inspector)
+ * Working hours are wall-clock "HH:mm" ranges in the inspector's time zone; time-off entries are absolute instants.
+ */
+
+const mongoose = require('mongoose');
+const { SCHEDULING } = require('../config/constants');
+
+const TIME_OF_DAY = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// Sub-schema for one weekly working-hours block
+const workingHoursSchema = new mongoose.Schema({
+  dayOfWeek: {
+    type: Number,
+    required: [true, 'Day of week is required'],
+    min: [0, 'Day of week must be between 0 (Sunday) and 6 (Saturday)'],
+    max: [6, 'Day of week must be between 0 (Sunday) and 6 (Saturday)']
+  },
+  start: {
+    type: String,
+    required: [true, 'Start time is required'],
+    match: [TIME_OF_DAY, 'Start time must be in HH:mm format']
+  },
+  end: {
+    type: String,
+    required: [true, 'End time is required'],
+    match: [TIME_OF_DAY, 'End time must be in HH:mm format']
+  }
+}, { _id: false });
+
+// Sub-schema for a time-off period (keeps _id so entries can be removed individually)
+const timeOffSchema = new mongoose.Schema({
+  start: {
+    type: Date,
+    required: [true, 'Time-off start is required']
+  },
+  end: {
+    type: Date,
+    required: [true, 'Time-off end is required']
+  },
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Reason cannot exceed 200 characters'],
+    default: ''
+  }
+});
+
+const inspectorAvailabilitySchema = new mongoose.Schema({
+  inspectorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Inspector ID is required'],
+    unique: true
+  },
+  timezone: {
+    type: String,
+    trim: true,
+    default: SCHEDULING.DEFAULT_TIMEZONE
+  },
+  workingHours: {
+    type: [workingHoursSchema],
+    default: () => SCHEDULING.DEFAULT_WORKING_HOURS.map(h => ({ ...h }))
+  },
+  timeOff: {
+    type: [timeOffSchema],
+    default: []
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      ret.id = ret._id;
+      delete ret._id;
+      delete ret.__v;
+      return ret;
+    }
+  },
+  toObject: {
+    transform: function(doc, ret) {
+      ret.id = ret._id;
+      delete ret._id;
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+const InspectorAvailability = mongoose.model('InspectorAvailability', inspectorAvailabilitySchema);
+
+module.exports = InspectorAvailability;
@@ -0,0 +1,67 @@
+/**
+ * NotificationTemplate Model
+ * Mongoose schema for admin-edited email templates
+ * Only overrides are stored; events without a document use the defaults in config/notificationTemplates.js
+ */
+
+const mongoose = require('mongoose');
+const { NOTIFICATION_EVENTS } = require('../config/constants');
+
+const notificationTemplateSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: [true, 'Template key is required'],
+    enum: {
+      values: Object.values(NOTIFICATION_EVENTS),
+      message: 'Invalid notification template key'
+    },
+    unique: true
+  },
+  subject: {
+    type: String,
+    required: [true, 'Subject is required'],
+    trim: true,
+    maxlength: [200, 'Subject cannot exceed 200 characters']
+  },
+  html: {
+    type: String,
+    required: [true, 'HTML body is required'],
+    maxlength: [20000, 'HTML body cannot exceed 20000 characters']
+  },
+  text: {
+    type: String,
+    maxlength: [10000, 'Text body cannot exceed 10000 characters'],
+    default: ''
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      ret.id = ret._id;
+      delete ret._id;
+      delete ret.__v;
+      return ret;
+    }
+  },
+  toObject: {
+    transform: function(doc, ret) {
+      ret.id = ret._id;
+      delete ret._id;
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+const NotificationTemplate = mongoose.model('NotificationTemplate', notificationTemplateSchema);
+
+module.exports = NotificationTemplate;
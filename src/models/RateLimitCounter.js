@@ -0,0 +1,36 @@
+/**
+ * Rate Limit Counter Model
+ * Mongoose schema for fixed-window attempt counters (services/authProtectionService.js)
+ * One document per key and window; MongoDB removes it once the window has passed
+ */
+
+const mongoose = require('mongoose');
+
+const rateLimitCounterSchema = new mongoose.Schema({
+  // `<action>:<email|ip>:<hash of the email or IP>`
+  key: {
+    type: String,
+    required: [true, 'Key is required']
+  },
+  windowStart: {
+    type: Date,
+    required: [true, 'Window start is required']
+  },
+  count: {
+    type: Number,
+    default: 0
+  },
+  expiresAt: {
+    type: Date,
+    required: [true, 'Expiry date is required']
+  }
+}, {
+  versionKey: false
+});
+
+rateLimitCounterSchema.index({ key: 1, windowStart: 1 }, { unique: true });
+rateLimitCounterSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const RateLimitCounter = mongoose.model('RateLimitCounter', rateLimitCounterSchema);
+
+module.exports = RateLimitCounter;
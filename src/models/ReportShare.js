@@ -0,0 +1,90 @@
+/**
+ * ReportShare Model
+ * Mongoose schema for shareable inspection report links
+ * The signed token handed to customers references a ReportShare, so a link can be revoked server-side
+ */
+
+const mongoose = require('mongoose');
+
+const reportShareSchema = new mongoose.Schema({
+  inspectionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Inspection',
+    required: [true, 'Inspection ID is required'],
+    index: true
+  },
+  inspectionRequestId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'InspectionRequest',
+    default: null
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Creator is required']
+  },
+  expiresAt: {
+    type: Date,
+    required: [true, 'Expiry date is required'],
+    index: true
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  revokedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  revokedReason: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Revoke reason cannot exceed 500 characters'],
+    default: ''
+  },
+  accessCount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  lastAccessedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    virtuals: true,
+    transform: function(doc, ret) {
+      ret.id = ret._id;
+      delete ret._id;
+      delete ret.__v;
+      return ret;
+    }
+  },
+  toObject: {
+    virtuals: true,
+    transform: function(doc, ret) {
+      ret.id = ret._id;
+      delete ret._id;
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+reportShareSchema.index({ createdAt: -1 });
+
+/**
+ * Share state: active, revoked or expired
+ */
+reportShareSchema.virtual('state').get(function() {
+  if (this.revokedAt) return 'revoked';
+  if (this.expiresAt && this.expiresAt.getTime() <= Date.now()) return 'expired';
+  return 'active';
+});
+
+const ReportShare = mongoose.model('ReportShare', reportShareSchema);
+
+module.exports = ReportShare;
@@ -0,0 +1,71 @@
+/**
+ * Role Model
+ * A named bundle of permissions (config/permissions.js). The built-in roles (admin, inspector, user) match the
+ * account types and are seeded; custom roles such as "dispatcher" are assigned to users via User.customRole.
+ */
+
+const mongoose = require('mongoose');
+const { ALL_PERMISSIONS } = require('../config/permissions');
+
+const roleSchema = new mongoose.Schema({
+  // Slug referenced by User.customRole; cannot change once created
+  name: {
+    type: String,
+    required: [true, 'Role name is required'],
+    unique: true,
+    trim: true,
+    lowercase: true,
+    maxlength: [50, 'Role name cannot exceed 50 characters'],
+    match: [/^[a-z][a-z0-9-]*$/, 'Role name may only contain lowercase letters, digits and hyphens']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot exceed 500 characters'],
+    default: ''
+  },
+  permissions: {
+    type: [{
+      type: String,
+      enum: ALL_PERMISSIONS
+    }],
+    default: []
+  },
+  // Built-in roles cannot be deleted
+  isSystem: {
+    type: Boolean,
+    default: false
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      ret.id = ret._id;
+      delete ret._id;
+      delete ret.__v;
+      return ret;
+    }
+  },
+  toObject: {
+    transform: function(doc, ret) {
+      ret.id = ret._id;
+      delete ret._id;
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+const Role = mongoose.model('Role', roleSchema);
+
+module.exports = Role;
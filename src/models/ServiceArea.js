@@ -0,0 +1,105 @@
+/**
+ * ServiceArea Model
+ * Admin-managed coverage areas. A request location is covered when its coordinates fall inside an active polygon
+ * area or its zip code is listed by an active zip_codes area. Each area can add a surcharge to requests it covers.
+ */
+
+const mongoose = require('mongoose');
+const { SERVICE_AREAS } = require('../config/constants');
+
+const serviceAreaSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Service area name is required'],
+    unique: true,
+    trim: true,
+    maxlength: [100, 'Service area name cannot exceed 100 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot exceed 500 characters'],
+    default: ''
+  },
+  type: {
+    type: String,
+    enum: {
+      values: Object.values(SERVICE_AREAS.TYPES),
+      message: `Type must be one of: ${Object.values(SERVICE_AREAS.TYPES).join(', ')}`
+    },
+    required: [true, 'Service area type is required']
+  },
+  // GeoJSON Polygon ([lng, lat] positions, closed rings); type=polygon only
+  polygon: {
+    type: {
+      type: String,
+      enum: ['Polygon']
+    },
+    coordinates: {
+      type: [[[Number]]],
+      default: undefined
+    }
+  },
+  // Normalized (trimmed, upper-case) zip codes; type=zip_codes only
+  zipCodes: {
+    type: [String],
+    default: undefined
+  },
+  // Flat amount added to requests in this area
+  surcharge: {
+    type: Number,
+    min: [0, 'Surcharge cannot be negative'],
+    default: 0
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      ret.id = ret._id;
+      delete ret._id;
+      delete ret.__v;
+      return ret;
+    }
+  },
+  toObject: {
+    transform: function(doc, ret) {
+      ret.id = ret._id;
+      delete ret._id;
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+// The definition must match the type
+serviceAreaSchema.pre('validate', function(next) {
+  if (this.type === SERVICE_AREAS.TYPES.POLYGON && !this.polygon?.coordinates?.length) {
+    this.invalidate('polygon', 'Polygon is required for polygon service areas');
+  }
+  if (this.type === SERVICE_AREAS.TYPES.ZIP_CODES && !this.zipCodes?.length) {
+    this.invalidate('zipCodes', 'At least one zip code is required for zip code service areas');
+  }
+  next();
+});
+
+serviceAreaSchema.index({ polygon: '2dsphere' });
+serviceAreaSchema.index({ zipCodes: 1 });
+serviceAreaSchema.index({ isActive: 1 });
+
+const ServiceArea = mongoose.model('ServiceArea', serviceAreaSchema);
+
+module.exports = ServiceArea;
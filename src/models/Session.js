@@ -0,0 +1,102 @@
+/**
+ * Session Model
+ * Mongoose schema for sign-in sessions
+ * Access tokens carry the session ID, so revoking a session ends its access token too; the refresh token is stored
+ * hashed and replaced on every refresh (a replaced token that is used again revokes the session)
+ */
+
+const mongoose = require('mongoose');
+
+const sessionSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required'],
+    index: true
+  },
+  // SHA-256 of the current refresh token secret
+  refreshTokenHash: {
+    type: String,
+    required: true,
+    select: false
+  },
+  device: {
+    userAgent: {
+      type: String,
+      default: ''
+    },
+    browser: {
+      type: String,
+      default: ''
+    },
+    os: {
+      type: String,
+      default: ''
+    },
+    ip: {
+      type: String,
+      default: ''
+    }
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Refresh tokens stop working after this date; extended on every refresh
+  expiresAt: {
+    type: Date,
+    required: [true, 'Expiry date is required']
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  revokedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  revokedReason: {
+    type: String,
+    default: ''
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    virtuals: true,
+    transform: function(doc, ret) {
+      ret.id = ret._id;
+      delete ret._id;
+      delete ret.__v;
+      delete ret.refreshTokenHash;
+      return ret;
+    }
+  },
+  toObject: {
+    virtuals: true,
+    transform: function(doc, ret) {
+      ret.id = ret._id;
+      delete ret._id;
+      delete ret.__v;
+      delete ret.refreshTokenHash;
+      return ret;
+    }
+  }
+});
+
+// Expired sessions (revoked ones included) are removed by MongoDB
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+sessionSchema.index({ userId: 1, revokedAt: 1, lastUsedAt: -1 });
+
+/**
+ * Session state: active, revoked or expired
+ */
+sessionSchema.virtual('state').get(function() {
+  if (this.revokedAt) return 'revoked';
+  if (this.expiresAt && this.expiresAt.getTime() <= Date.now()) return 'expired';
+  return 'active';
+});
+
+const Session = mongoose.model('Session', sessionSchema);
+
+module.exports = Session;
@@ -6,17 +6,32 @@
 
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
-const { USER_ROLES, USER_STATUS } = require('../config/constants');
+const { USER_ROLES, USER_STATUS, CAPACITY } = require('../config/constants');
+const { passwordPolicyErrors } = require('../utils/passwordPolicy');
 
 const SALT_ROUNDS = 12;
 
 const userSchema = new mongoose.Schema({
+  // bcrypt hash; new passwords are checked against PASSWORD_POLICY before hashing (see pre-save below)
   password: {
     type: String,
     select: false,
-    default: null,
-    minlength: [8, 'Password must be at least 8 characters'],
-    maxlength: [128, 'Password cannot exceed 128 characters']
+    default: null
+  },
+  passwordChangedAt: {
+    type: Date,
+    default: null
+  },
+  // SHA-256 of the pending forgot-password token (single use; cleared when used or replaced)
+  passwordResetTokenHash: {
+    type: String,
+    select: false,
+    default: null
+  },
+  passwordResetExpires: {
+    type: Date,
+    select: false,
+    default: null
   },
   email: {
     type: String,
@@ -45,17 +60,75 @@ const userSchema = new mongoose.Schema({
     default: USER_ROLES.USER,
     required: true
   },
+  // Role (Role.name) whose permissions replace those of the account type's role; null = use the account type's
+  customRole: {
+    type: String,
+    trim: true,
+    lowercase: true,
+    default: null
+  },
   status: {
     type: String,
     enum: Object.values(USER_STATUS),
     default: USER_STATUS.ACTIVE,
     required: true
   },
+  // Derived: true while the inspector has open requests (see services/capacityService.js). Do not set directly.
   is_assigned: {
     type: Boolean,
     default: false,
     required: true
   },
+  // Inspector workload limits: open requests at once and requests per day
+  capacity: {
+    maxConcurrent: {
+      type: Number,
+      min: [1, 'Max concurrent assignments must be at least 1'],
+      max: [50, 'Max concurrent assignments cannot exceed 50'],
+      default: CAPACITY.DEFAULT_MAX_CONCURRENT
+    },
+    maxPerDay: {
+      type: Number,
+      min: [1, 'Max assignments per day must be at least 1'],
+      max: [24, 'Max assignments per day cannot exceed 24'],
+      default: CAPACITY.DEFAULT_MAX_PER_DAY
+    }
+  },
+  // Inspector's base location, used to rank inspectors by distance when dispatching
+  homeBase: {
+    city: {
+      type: String,
+      trim: true,
+      maxlength: [50, 'City cannot exceed 50 characters'],
+      default: ''
+    },
+    state: {
+      type: String,
+      trim: true,
+      maxlength: [50, 'State cannot exceed 50 characters'],
+      default: ''
+    },
+    zipCode: {
+      type: String,
+      trim: true,
+      maxlength: [10, 'Zip code cannot exceed 10 characters'],
+      default: ''
+    },
+    coordinates: {
+      lat: {
+        type: Number,
+        min: [-90, 'Latitude must be between -90 and 90'],
+        max: [90, 'Latitude must be between -90 and 90'],
+        default: null
+      },
+      lng: {
+        type: Number,
+        min: [-180, 'Longitude must be between -180 and 180'],
+        max: [180, 'Longitude must be between -180 and 180'],
+        default: null
+      }
+    }
+  },
   phone: {
     type: String,
     trim: true,
@@ -69,6 +142,7 @@ const userSchema = new mongoose.Schema({
     trim: true,
     maxlength: [50, 'Available status cannot exceed 50 characters']
   },
+  // HMAC of the pending OTP (never the code itself)
   otpCode: {
     type: String,
     select: false,
@@ -79,9 +153,65 @@ const userSchema = new mongoose.Schema({
     select: false,
     default: null
   },
+  // Wrong codes entered for the pending OTP
+  otpAttempts: {
+    type: Number,
+    select: false,
+    default: 0
+  },
   otpVerified: {
     type: Boolean,
     default: false
+  },
+  // Brute-force protection (services/authProtectionService.js): consecutive failed sign-ins, lockouts since the last
+  // successful sign-in (each one lasts longer) and the end of the current lockout
+  failedLoginAttempts: {
+    type: Number,
+    select: false,
+    default: 0
+  },
+  lockoutCount: {
+    type: Number,
+    select: false,
+    default: 0
+  },
+  lockedUntil: {
+    type: Date,
+    select: false,
+    default: null
+  },
+  // TOTP two-factor authentication (services/twoFactorService.js): secrets are encrypted, recovery codes hashed
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    enabledAt: {
+      type: Date,
+      default: null
+    },
+    secret: {
+      type: String,
+      select: false,
+      default: null
+    },
+    // Secret from setup, until a first code confirms it
+    pendingSecret: {
+      type: String,
+      select: false,
+      default: null
+    },
+    recoveryCodeHashes: {
+      type: [String],
+      select: false,
+      default: []
+    },
+    // Time step of the last accepted code; a code is never accepted twice
+    lastUsedStep: {
+      type: Number,
+      select: false,
+      default: null
+    }
   }
 }, {
   timestamps: true, // Automatically adds createdAt and updatedAt
@@ -105,11 +235,23 @@ const userSchema = new mongoose.Schema({
   }
 });
 
-// Hash password before save when password is modified (admin/inspector only)
+// Check the password policy and hash password before save when password is modified (admin/inspector only)
 userSchema.pre('save', async function (next) {
   if (!this.isModified('password') || !this.password) return next();
+
+  const policyErrors = passwordPolicyErrors(this.password);
+  if (policyErrors.length > 0) {
+    const validationError = new mongoose.Error.ValidationError(this);
+    validationError.addError('password', new mongoose.Error.ValidatorError({
+      path: 'password',
+      message: policyErrors.join('; ')
+    }));
+    return next(validationError);
+  }
+
   try {
     this.password = await bcrypt.hash(this.password, SALT_ROUNDS);
+    if (!this.isNew) this.passwordChangedAt = new Date();
     next();
   } catch (err) {
     next(err);
@@ -126,10 +268,24 @@ userSchema.methods.comparePassword = async function (candidatePassword) {
   return bcrypt.compare(candidatePassword, this.password);
 };
 
+/**
+ * Whether a user signs in with a password (admins and inspectors) rather than an emailed OTP (customers)
+ * @param {Object} user - User document or lean object ({ role })
+ * @returns {boolean}
+ */
+userSchema.statics.usesPassword = function (user) {
+  return user.role === USER_ROLES.ADMIN || user.role === USER_ROLES.INSPECTOR;
+};
+
 // Index for faster queries
 // email already has an index via `unique: true` on the field; avoid duplicate index warning
 userSchema.index({ role: 1 });
+userSchema.index({ customRole: 1 });
 userSchema.index({ status: 1 });
+userSchema.index(
+  { passwordResetTokenHash: 1 },
+  { partialFilterExpression: { passwordResetTokenHash: { $type: 'string' } } }
+);
 
 const User = mongoose.model('User', userSchema);
 
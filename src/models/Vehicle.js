@@ -0,0 +1,137 @@
+/**
+ * Vehicle Model
+ * One physical vehicle, identified by VIN or (when the VIN is unknown) license plate. Inspection requests and
+ * inspections point to it through `vehicleId`; their mileage readings build the odometer history.
+ */
+
+const mongoose = require('mongoose');
+const { VEHICLE_HISTORY } = require('../config/constants');
+
+// Sub-schema for one odometer reading (one per request/inspection that reported mileage)
+const mileageReadingSchema = new mongoose.Schema({
+  mileage: {
+    type: Number,
+    required: true,
+    min: [0, 'Mileage cannot be negative']
+  },
+  recordedAt: {
+    type: Date,
+    required: true
+  },
+  source: {
+    type: String,
+    enum: Object.values(VEHICLE_HISTORY.SOURCES),
+    required: true
+  },
+  sourceId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  // Lower than an earlier reading
+  rollback: {
+    type: Boolean,
+    default: false
+  }
+}, { _id: false });
+
+const vehicleSchema = new mongoose.Schema({
+  vin: {
+    type: String,
+    trim: true,
+    uppercase: true,
+    maxlength: [17, 'VIN cannot exceed 17 characters'],
+    default: null
+  },
+  licensePlate: {
+    type: String,
+    trim: true,
+    uppercase: true,
+    maxlength: [20, 'License plate cannot exceed 20 characters'],
+    default: ''
+  },
+  // License plate without spaces and punctuation, for matching and search
+  plateKey: {
+    type: String,
+    default: '',
+    index: true
+  },
+  make: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  model: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  year: {
+    type: Number,
+    default: null
+  },
+  color: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  mileageReadings: {
+    type: [mileageReadingSchema],
+    default: []
+  },
+  latestMileage: {
+    type: Number,
+    default: null
+  },
+  // Any reading lower than an earlier one
+  odometerRollback: {
+    type: Boolean,
+    default: false,
+    index: true
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      ret.id = ret._id;
+      delete ret._id;
+      delete ret.__v;
+      return ret;
+    }
+  },
+  toObject: {
+    transform: function(doc, ret) {
+      ret.id = ret._id;
+      delete ret._id;
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+// VIN is unique when known
+vehicleSchema.index({ vin: 1 }, { unique: true, partialFilterExpression: { vin: { $type: 'string' } } });
+
+// Keep readings in date order and flag rollbacks (pre-save)
+vehicleSchema.methods.recalculateMileage = function() {
+  const readings = [...this.mileageReadings].sort((a, b) => a.recordedAt - b.recordedAt);
+  let highest = -Infinity;
+  readings.forEach((reading) => {
+    reading.rollback = reading.mileage < highest;
+    highest = Math.max(highest, reading.mileage);
+  });
+  this.mileageReadings = readings;
+  this.latestMileage = readings.length ? readings[readings.length - 1].mileage : null;
+  this.odometerRollback = readings.some(reading => reading.rollback);
+};
+
+vehicleSchema.pre('save', function(next) {
+  this.plateKey = (this.licensePlate || '').replace(/[^A-Z0-9]/g, '');
+  if (this.isModified('mileageReadings')) {
+    this.recalculateMileage();
+  }
+  next();
+});
+
+const Vehicle = mongoose.model('Vehicle', vehicleSchema);
+
+module.exports = Vehicle;
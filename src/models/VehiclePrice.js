@@ -0,0 +1,107 @@
+/**
+ * VehiclePrice Model
+ * Admin-maintained base-price table for car valuations: the price of a Make/Model for a model year when new.
+ * Entries may override the default depreciation and condition adjustment rules (VALUATION in constants).
+ */
+
+const mongoose = require('mongoose');
+const { VALUATION } = require('../config/constants');
+
+const rateField = (label) => ({
+  type: Number,
+  min: [0, `${label} cannot be negative`],
+  max: [1, `${label} cannot exceed 1`],
+  default: null
+});
+
+// Unset fields fall back to VALUATION.DEPRECIATION
+const depreciationSchema = new mongoose.Schema({
+  firstYearRate: rateField('First year rate'),
+  annualRate: rateField('Annual rate'),
+  maxRate: rateField('Max rate')
+}, { _id: false });
+
+const adjustmentField = {
+  type: Number,
+  min: [-1, 'Condition adjustment cannot be below -1'],
+  max: [1, 'Condition adjustment cannot exceed 1'],
+  default: null
+};
+
+// Unset grades fall back to VALUATION.CONDITION_ADJUSTMENTS
+const conditionAdjustmentsSchema = new mongoose.Schema(
+  Object.fromEntries(Object.keys(VALUATION.CONDITION_ADJUSTMENTS).map(grade => [grade, adjustmentField])),
+  { _id: false }
+);
+
+const vehiclePriceSchema = new mongoose.Schema({
+  makeId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Make',
+    required: [true, 'Make ID is required'],
+    index: true
+  },
+  modelId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Model',
+    required: [true, 'Model ID is required']
+  },
+  year: {
+    type: Number,
+    required: [true, 'Year is required'],
+    min: [1900, 'Year must be at least 1900'],
+    max: [new Date().getFullYear() + 1, 'Year cannot be in the future']
+  },
+  basePrice: {
+    type: Number,
+    required: [true, 'Base price is required'],
+    min: [1, 'Base price must be positive']
+  },
+  depreciation: {
+    type: depreciationSchema,
+    default: () => ({})
+  },
+  conditionAdjustments: {
+    type: conditionAdjustmentsSchema,
+    default: () => ({})
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      ret.id = ret._id;
+      delete ret._id;
+      delete ret.__v;
+      return ret;
+    }
+  },
+  toObject: {
+    transform: function(doc, ret) {
+      ret.id = ret._id;
+      delete ret._id;
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+// One price per model and model year
+vehiclePriceSchema.index({ modelId: 1, year: 1 }, { unique: true });
+
+const VehiclePrice = mongoose.model('VehiclePrice', vehiclePriceSchema);
+
+module.exports = VehiclePrice;
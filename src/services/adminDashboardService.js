@@ -60,7 +60,7 @@ class AdminDashboardService {
           { $group: { _id: '$status', count: { $sum: 1 } } }
         ]).exec(),
 
-        // Inspectors by status and busy: active, busy (is_assigned), inactive, blocked, total
+        // Inspectors by status and busy: active, busy (is_assigned, derived from open requests), inactive, blocked, total
         User.aggregate([
           { $match: { role: USER_ROLES.INSPECTOR } },
           {
@@ -76,7 +76,7 @@ class AdminDashboardService {
           }
         ]).exec(),
 
-        // Inspection requests by status: pending, assigned, in_progress, completed, cancelled, total
+        // Inspection requests by status: pending, assigned, in_progress, completed, cancelled, on_hold, rescheduled, total
         InspectionRequest.aggregate([
           { $group: { _id: '$status', count: { $sum: 1 } } }
         ]).exec(),
@@ -84,9 +84,9 @@ class AdminDashboardService {
         // Get all inspection requests for statistics
         InspectionRequest.find().lean(),
 
-        // Count open requests (pending + assigned + in_progress)
+        // Count open requests (everything not completed or cancelled)
         InspectionRequest.countDocuments({
-          status: { $in: ['pending', 'assigned', 'in_progress'] }
+          status: { $in: ['pending', 'assigned', 'in_progress', 'on_hold', 'rescheduled'] }
         }),
 
         // Recent user registrations (last 24 hours, most recent 10) - only USER role
@@ -246,7 +246,7 @@ class AdminDashboardService {
         total: totalInspectorsCount
       };
 
-      // Inspection requests by status: pending, assigned, in_progress, completed, cancelled, total
+      // Inspection requests by status: pending, assigned, in_progress, completed, cancelled, on_hold, rescheduled, total
       const requestStatusMap = (requestStatusCounts || []).reduce((acc, { _id, count }) => {
         acc[_id] = count;
         return acc;
@@ -258,6 +258,8 @@ class AdminDashboardService {
         in_progress: requestStatusMap.in_progress ?? 0,
         completed: requestStatusMap.completed ?? 0,
         cancelled: requestStatusMap.cancelled ?? 0,
+        on_hold: requestStatusMap.on_hold ?? 0,
+        rescheduled: requestStatusMap.rescheduled ?? 0,
         total: totalRequests
       };
 
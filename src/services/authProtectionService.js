@@ -0,0 +1,181 @@
+/**
+ * Auth Protection Service
+ * Brute-force protection for sign-in: per-email and per-IP rate limits (fixed windows counted in MongoDB),
+ * progressive account lockout after consecutive failed sign-ins, and an audit log entry (models/AuthAttempt) for
+ * every attempt. Limits and lockout durations are in AUTH_PROTECTION (config/constants.js).
+ */
+
+const crypto = require('crypto');
+const RateLimitCounter = require('../models/RateLimitCounter');
+const AuthAttempt = require('../models/AuthAttempt');
+const User = require('../models/User');
+const { AUTH_PROTECTION } = require('../config/constants');
+const { TooManyRequestsError, DatabaseError } = require('../utils/errors');
+const logger = require('../utils/logger');
+
+const { RATE_LIMITS, OUTCOMES, LOCKOUT_THRESHOLD, LOCKOUT_BASE_MINUTES, LOCKOUT_MAX_MINUTES } = AUTH_PROTECTION;
+
+const MINUTE_MS = 60 * 1000;
+
+// Counter keys hold a hash so emails and IPs are not stored in plain text
+const keyFor = (action, kind, value) =>
+  `${action}:${kind}:${crypto.createHash('sha256').update(value).digest('hex')}`;
+
+const secondsUntil = (date) => Math.max(1, Math.ceil((date.getTime() - Date.now()) / 1000));
+
+/** Length of the nth lockout since the last successful sign-in: doubles each time, up to the maximum. */
+const lockoutMinutes = (count) => Math.min(LOCKOUT_BASE_MINUTES * 2 ** (count - 1), LOCKOUT_MAX_MINUTES);
+
+/**
+ * Auth Protection Service Class
+ */
+class AuthProtectionService {
+  /**
+   * Count an attempt against the per-email and per-IP limits of an action
+   * @param {string} action - AUTH_PROTECTION.ACTIONS value
+   * @param {Object} attempt - { email, client } (client from utils/clientInfo)
+   * @returns {Promise<void>}
+   * @throws {TooManyRequestsError} Either limit exceeded (audited as rate_limited)
+   */
+  async consume(action, { email, client = {} }) {
+    const limits = RATE_LIMITS[action];
+    const windowMs = limits.windowMinutes * MINUTE_MS;
+    const checks = [
+      email && limits.perEmail && { key: keyFor(action, 'email', email), limit: limits.perEmail },
+      client.ip && limits.perIp && { key: keyFor(action, 'ip', client.ip), limit: limits.perIp }
+    ].filter(Boolean);
+
+    const counters = await Promise.all(checks.map(check => this._hit(check.key, windowMs)));
+    const exceeded = counters.filter((counter, i) => counter.count > checks[i].limit);
+    if (exceeded.length) {
+      await this.record(action, OUTCOMES.RATE_LIMITED, { email, client, reason: 'rate_limit' });
+      throw new TooManyRequestsError(
+        'Too many attempts. Please try again later.',
+        Math.max(...exceeded.map(counter => secondsUntil(counter.resetAt)))
+      );
+    }
+  }
+
+  /**
+   * Increment the counter of a key in the current window
+   * @param {string} key - Counter key
+   * @param {number} windowMs - Window length
+   * @returns {Promise<Object>} { count, resetAt }
+   */
+  async _hit(key, windowMs) {
+    const now = Date.now();
+    const windowStart = new Date(now - (now % windowMs));
+    const resetAt = new Date(windowStart.getTime() + windowMs);
+    const increment = () => RateLimitCounter.findOneAndUpdate(
+      { key, windowStart },
+      { $inc: { count: 1 }, $setOnInsert: { expiresAt: resetAt } },
+      { upsert: true, new: true }
+    ).lean();
+
+    try {
+      let counter;
+      try {
+        counter = await increment();
+      } catch (error) {
+        // Another request created the window's counter at the same time
+        if (error.code !== 11000) throw error;
+        counter = await increment();
+      }
+      return { count: counter.count, resetAt };
+    } catch (error) {
+      logger.error('Error updating rate limit counter', error, { key });
+      throw new DatabaseError('Failed to check rate limit', error);
+    }
+  }
+
+  /**
+   * Throw while the account is locked out
+   * @param {Object} user - User selected with +lockedUntil
+   * @param {string} action - AUTH_PROTECTION.ACTIONS value
+   * @param {Object} client - Caller details
+   * @returns {Promise<void>}
+   * @throws {TooManyRequestsError} Account locked (audited as locked)
+   */
+  async assertNotLocked(user, action, client = {}) {
+    if (!user.lockedUntil || user.lockedUntil <= new Date()) return;
+
+    await this.record(action, OUTCOMES.LOCKED, { email: user.email, userId: user._id, client, reason: 'account_locked' });
+    throw new TooManyRequestsError(
+      'Account temporarily locked after too many failed sign-in attempts. Please try again later.',
+      secondsUntil(user.lockedUntil)
+    );
+  }
+
+  /**
+   * Record a failed sign-in; the account is locked once LOCKOUT_THRESHOLD failures happen in a row
+   * @param {string} action - AUTH_PROTECTION.ACTIONS value
+   * @param {Object} attempt - { user (null for unknown emails), email, client, reason }
+   * @returns {Promise<void>}
+   */
+  async recordFailure(action, { user = null, email, client = {}, reason = '' }) {
+    if (user) {
+      try {
+        const updated = await User.findByIdAndUpdate(
+          user._id,
+          { $inc: { failedLoginAttempts: 1 } },
+          { new: true }
+        ).select('+failedLoginAttempts +lockoutCount');
+
+        if (updated && updated.failedLoginAttempts >= LOCKOUT_THRESHOLD) {
+          const lockoutCount = (updated.lockoutCount || 0) + 1;
+          const lockedUntil = new Date(Date.now() + lockoutMinutes(lockoutCount) * MINUTE_MS);
+          await User.updateOne({ _id: user._id }, { $set: { failedLoginAttempts: 0, lockoutCount, lockedUntil } });
+          logger.warn('Account locked after failed sign-ins', { userId: updated.id, lockoutCount, lockedUntil });
+        }
+      } catch (error) {
+        logger.error('Error recording failed sign-in', error, { userId: user._id?.toString() });
+        throw new DatabaseError('Failed to record sign-in attempt', error);
+      }
+    }
+    await this.record(action, OUTCOMES.FAILURE, { email: email || user?.email, userId: user?._id, client, reason });
+  }
+
+  /**
+   * Record a successful sign-in step and clear the account's failure count and lockouts
+   * @param {string} action - AUTH_PROTECTION.ACTIONS value
+   * @param {Object} attempt - { user, client }
+   * @returns {Promise<void>}
+   */
+  async recordSuccess(action, { user, client = {} }) {
+    try {
+      await User.updateOne(
+        { _id: user._id },
+        { $set: { failedLoginAttempts: 0, lockoutCount: 0, lockedUntil: null } }
+      );
+    } catch (error) {
+      logger.error('Error clearing failed sign-ins', error, { userId: user.id });
+      throw new DatabaseError('Failed to record sign-in attempt', error);
+    }
+    await this.record(action, OUTCOMES.SUCCESS, { email: user.email, userId: user._id, client });
+  }
+
+  /**
+   * Add an audit log entry. Failures are logged, never thrown: auditing does not block sign-in.
+   * @param {string} action - AUTH_PROTECTION.ACTIONS value
+   * @param {string} outcome - AUTH_PROTECTION.OUTCOMES value
+   * @param {Object} details - { email, userId, client, reason }
+   * @returns {Promise<void>}
+   */
+  async record(action, outcome, { email = '', userId = null, client = {}, reason = '' } = {}) {
+    try {
+      await AuthAttempt.create({
+        action,
+        outcome,
+        reason,
+        email: email || '',
+        userId,
+        ip: client.ip || '',
+        userAgent: client.userAgent || ''
+      });
+    } catch (error) {
+      logger.error('Error writing sign-in audit log', error, { action, outcome });
+    }
+  }
+}
+
+module.exports = new AuthProtectionService();
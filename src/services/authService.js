@@ -1,34 +1,49 @@
 /**
  * Authentication Service
  * Admin/Inspector: email + password login. User: OTP-only login.
+ * A successful sign-in starts a session (see sessionService): access token plus refresh token.
+ * OTP sends, OTP checks and password logins are rate limited, audited and lock the account after repeated failures
+ * (see authProtectionService). Accounts with two-factor authentication finish password login with a TOTP code
+ * (see twoFactorService).
  */
 
 const User = require('../models/User');
 const userService = require('./userService');
-const { generateToken } = require('../middleware/auth');
+const sessionService = require('./sessionService');
 const otpService = require('./otpService');
-const { USER_ROLES } = require('../config/constants');
+const authProtectionService = require('./authProtectionService');
+const twoFactorService = require('./twoFactorService');
+const { AUTH_PROTECTION } = require('../config/constants');
 const { BadRequestError, UnauthorizedError } = require('../utils/errors');
 
+const { ACTIONS, OUTCOMES } = AUTH_PROTECTION;
+
 class AuthService {
   /**
    * Register new user
-   * Admin/Inspector: password required → create as ACTIVE, return user + token
+   * Admin/Inspector: password required → create as ACTIVE, return user + tokens
    * User: no password → create as INACTIVE, send OTP, return otpRequired
+   * @param {Object} client - Caller details for the session (utils/clientInfo)
    */
-  async register(userData) {
+  async register(userData, client) {
     const user = await userService.register(userData);
-    const isPasswordRole = user.role === USER_ROLES.ADMIN || user.role === USER_ROLES.INSPECTOR;
 
-    if (isPasswordRole) {
-      const token = generateToken(user.id);
-      return { user, token, otpRequired: false, message: 'Registration successful' };
+    if (User.usesPassword(user)) {
+      const tokens = await sessionService.createSession(user, client);
+      return {
+        user,
+        ...tokens,
+        otpRequired: false,
+        twoFactorSetupRequired: await twoFactorService.isSetupRequired(user),
+        message: 'Registration successful'
+      };
     }
 
-    await otpService.issueOtp(user.email);
+    await this._issueOtp(user, client);
     return {
       user,
       token: null,
+      refreshToken: null,
       otpRequired: true,
       message: 'OTP sent to email; verify to complete registration'
     };
@@ -36,32 +51,79 @@ class AuthService {
 
   /**
    * Login
-   * Admin/Inspector: email + password → return token
+   * Admin/Inspector: email + password → return tokens, or with 2FA enabled twoFactorRequired + challengeToken
    * User: email only → send OTP, return otpRequired
+   * @param {Object} client - Caller details for the session (utils/clientInfo)
    */
-  async login(email, password) {
-    const userBasic = await User.findOne({ email: email.toLowerCase() });
+  async login(email, password, client = {}) {
+    const normalizedEmail = email.toLowerCase();
+    const userBasic = await User.findOne({ email: normalizedEmail }).select('+lockedUntil');
     if (!userBasic) {
+      const action = password ? ACTIONS.PASSWORD_LOGIN : ACTIONS.OTP_SEND;
+      await authProtectionService.consume(action, { email: normalizedEmail, client });
+      await authProtectionService.recordFailure(action, { email: normalizedEmail, client, reason: 'unknown_email' });
       throw new UnauthorizedError('Invalid email or password');
     }
 
-    const isPasswordRole = userBasic.role === USER_ROLES.ADMIN || userBasic.role === USER_ROLES.INSPECTOR;
-
-    if (isPasswordRole) {
+    if (User.usesPassword(userBasic)) {
       if (!password || typeof password !== 'string' || !password.trim()) {
         throw new BadRequestError('Password is required for this account');
       }
-      const user = await userService.loginWithPassword(email, password);
-      const token = generateToken(user.id);
-      return { user, token, otpRequired: false, message: 'Login successful' };
+      await authProtectionService.consume(ACTIONS.PASSWORD_LOGIN, { email: normalizedEmail, client });
+      await authProtectionService.assertNotLocked(userBasic, ACTIONS.PASSWORD_LOGIN, client);
+
+      let user;
+      try {
+        user = await userService.loginWithPassword(email, password);
+      } catch (error) {
+        if (error instanceof UnauthorizedError) {
+          await authProtectionService.recordFailure(ACTIONS.PASSWORD_LOGIN, {
+            user: userBasic,
+            client,
+            reason: 'invalid_password'
+          });
+        }
+        throw error;
+      }
+
+      // Failures are only cleared once the second step succeeds, so code guesses still lead to lockout
+      if (user.twoFactor?.enabled) {
+        await authProtectionService.record(ACTIONS.PASSWORD_LOGIN, OUTCOMES.SUCCESS, {
+          email: normalizedEmail,
+          userId: user._id,
+          client,
+          reason: 'two_factor_pending'
+        });
+        return {
+          user,
+          token: null,
+          refreshToken: null,
+          otpRequired: false,
+          twoFactorRequired: true,
+          ...twoFactorService.createChallenge(user),
+          message: 'Enter the code from your authenticator app to complete login'
+        };
+      }
+      await authProtectionService.recordSuccess(ACTIONS.PASSWORD_LOGIN, { user, client });
+
+      const tokens = await sessionService.createSession(user, client);
+      return {
+        user,
+        ...tokens,
+        otpRequired: false,
+        twoFactorRequired: false,
+        twoFactorSetupRequired: await twoFactorService.isSetupRequired(user),
+        message: 'Login successful'
+      };
     }
 
-    // User role: OTP flow (normalize email so DB lookup and send match)
-    await otpService.issueOtp(email.toLowerCase());
+    // User role: OTP flow
+    await this._issueOtp(userBasic, client);
     const user = await userService.getByEmail(email);
     return {
       user,
       token: null,
+      refreshToken: null,
       otpRequired: true,
       message: 'OTP sent to email; verify to complete login'
     };
@@ -69,39 +131,98 @@ class AuthService {
 
   /**
    * Send OTP - allowed only for user role (OTP-based accounts)
+   * @param {Object} client - Caller details for rate limiting and the audit log (utils/clientInfo)
    */
-  async sendOtp(email) {
-    const user = await User.findOne({ email: email.toLowerCase() });
+  async sendOtp(email, client = {}) {
+    const normalizedEmail = email.toLowerCase();
+    const user = await User.findOne({ email: normalizedEmail });
     if (!user) {
+      await authProtectionService.consume(ACTIONS.OTP_SEND, { email: normalizedEmail, client });
+      await authProtectionService.recordFailure(ACTIONS.OTP_SEND, { email: normalizedEmail, client, reason: 'unknown_email' });
       throw new UnauthorizedError('Invalid email');
     }
-    if (user.role === USER_ROLES.ADMIN || user.role === USER_ROLES.INSPECTOR) {
+    if (User.usesPassword(user)) {
       throw new BadRequestError('This account uses password login. Use email and password to sign in.');
     }
-    return otpService.issueOtp(email);
+    return this._issueOtp(user, client);
   }
 
   /**
-   * Verify OTP and return token - allowed only for user role
+   * Verify OTP and return tokens - allowed only for user role
+   * @param {Object} client - Caller details for the session (utils/clientInfo)
    */
-  async verifyOtp(email, otp) {
-    const userBasic = await User.findOne({ email: email.toLowerCase() });
+  async verifyOtp(email, otp, client = {}) {
+    const normalizedEmail = email.toLowerCase();
+    await authProtectionService.consume(ACTIONS.OTP_VERIFY, { email: normalizedEmail, client });
+
+    const userBasic = await User.findOne({ email: normalizedEmail }).select('+lockedUntil');
     if (!userBasic) {
+      await authProtectionService.recordFailure(ACTIONS.OTP_VERIFY, { email: normalizedEmail, client, reason: 'unknown_email' });
       throw new UnauthorizedError('Invalid email');
     }
-    if (userBasic.role === USER_ROLES.ADMIN || userBasic.role === USER_ROLES.INSPECTOR) {
+    if (User.usesPassword(userBasic)) {
       throw new BadRequestError('OTP login is not available for this account. Use email and password to sign in.');
     }
+    await authProtectionService.assertNotLocked(userBasic, ACTIONS.OTP_VERIFY, client);
 
-    const user = await otpService.verifyOtp(email.toLowerCase(), otp);
+    let user;
+    try {
+      user = await otpService.verifyOtp(normalizedEmail, otp);
+    } catch (error) {
+      if (error instanceof UnauthorizedError) {
+        await authProtectionService.recordFailure(ACTIONS.OTP_VERIFY, { user: userBasic, client, reason: 'invalid_otp' });
+      }
+      throw error;
+    }
+    await authProtectionService.recordSuccess(ACTIONS.OTP_VERIFY, { user, client });
 
     if (user.status !== 'active') {
       user.status = 'active';
       await user.save();
     }
 
-    const token = generateToken(user.id);
-    return { user, token };
+    const tokens = await sessionService.createSession(user, client);
+    return { user, ...tokens };
+  }
+
+  /**
+   * Second login step for accounts with two-factor authentication: answer the challenge and start a session
+   * @param {string} challengeToken - Token from login
+   * @param {Object} answer - { code?, recoveryCode? }
+   * @param {Object} client - Caller details for the session (utils/clientInfo)
+   */
+  async verifyTwoFactor(challengeToken, answer, client = {}) {
+    const { user, usedRecoveryCode, recoveryCodesRemaining } =
+      await twoFactorService.verifyChallenge(challengeToken, answer, client);
+    const tokens = await sessionService.createSession(user, client);
+    return { user, ...tokens, usedRecoveryCode, recoveryCodesRemaining };
+  }
+
+  /**
+   * Email an OTP to an OTP-based account, within the send rate limits
+   * @param {Object} user - User
+   * @param {Object} client - Caller details
+   * @returns {Promise<Object>} { message, expiresAt }
+   */
+  async _issueOtp(user, client = {}) {
+    await authProtectionService.consume(ACTIONS.OTP_SEND, { email: user.email, client });
+    const result = await otpService.issueOtp(user.email);
+    await authProtectionService.record(ACTIONS.OTP_SEND, OUTCOMES.SUCCESS, { email: user.email, userId: user._id, client });
+    return result;
+  }
+
+  /**
+   * Exchange a refresh token for new tokens (the refresh token is rotated)
+   */
+  async refresh(refreshToken, client) {
+    return sessionService.refresh(refreshToken, client);
+  }
+
+  /**
+   * Sign out the current session (by access token) or the session of a refresh token
+   */
+  async logout({ sessionId, refreshToken }) {
+    return sessionService.logout({ sessionId, refreshToken });
   }
 }
 
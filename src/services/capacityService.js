@@ -0,0 +1,200 @@
+/**
+ * Capacity Service
+ * Inspector workload: open requests (CAPACITY.OPEN_STATUSES) against User.capacity.maxConcurrent and
+ * requests on one day (CAPACITY.DAILY_STATUSES, by scheduledStart or preferredDate) against capacity.maxPerDay.
+ * User.is_assigned is derived from the open count and kept in sync by syncAssignedFlags.
+ */
+
+const mongoose = require('mongoose');
+const InspectionRequest = require('../models/InspectionRequest');
+const InspectorAvailability = require('../models/InspectorAvailability');
+const User = require('../models/User');
+const { ConflictError } = require('../utils/errors');
+const { CAPACITY, SCHEDULING } = require('../config/constants');
+const schedule = require('../utils/schedule');
+const logger = require('../utils/logger');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/** Cast IDs for aggregation pipelines (no automatic casting there). */
+function toObjectIds(ids) {
+  return ids.map(id => (id instanceof mongoose.Types.ObjectId ? id : new mongoose.Types.ObjectId(String(id))));
+}
+
+/** Local calendar day containing date, as a UTC interval, in the given time zone. */
+function dayWindow(date, timeZone) {
+  const { year, month, day } = schedule.getZonedParts(new Date(date), timeZone);
+  const start = schedule.zonedTimeToUtc({ year, month, day }, timeZone);
+  const next = schedule.getZonedParts(new Date(start.getTime() + DAY_MS + 2 * 60 * 60 * 1000), timeZone);
+  return { start, end: schedule.zonedTimeToUtc({ year: next.year, month: next.month, day: next.day }, timeZone) };
+}
+
+/**
+ * Capacity Service Class
+ */
+class CapacityService {
+  /**
+   * Effective limits of an inspector (stored capacity or defaults)
+   * @param {Object} inspector - User (lean or document)
+   * @returns {Object} { maxConcurrent, maxPerDay }
+   */
+  limitsOf(inspector) {
+    return {
+      maxConcurrent: inspector?.capacity?.maxConcurrent || CAPACITY.DEFAULT_MAX_CONCURRENT,
+      maxPerDay: inspector?.capacity?.maxPerDay || CAPACITY.DEFAULT_MAX_PER_DAY
+    };
+  }
+
+  /**
+   * Open request count per inspector
+   * @param {Array<string>} inspectorIds - Inspector IDs
+   * @param {Object} options - { excludeRequestId }
+   * @returns {Promise<Map<string, number>>} Count by inspector ID (missing = 0)
+   */
+  async getOpenCounts(inspectorIds, { excludeRequestId = null } = {}) {
+    const match = {
+      assignedInspectorId: { $in: toObjectIds(inspectorIds) },
+      status: { $in: CAPACITY.OPEN_STATUSES }
+    };
+    if (excludeRequestId) {
+      match._id = { $ne: toObjectIds([excludeRequestId])[0] };
+    }
+    const rows = await InspectionRequest.aggregate([
+      { $match: match },
+      { $group: { _id: '$assignedInspectorId', count: { $sum: 1 } } }
+    ]).exec();
+    return new Map(rows.map(r => [String(r._id), r.count]));
+  }
+
+  /**
+   * Requests per inspector on the local day (inspector's time zone) containing date
+   * @param {Array<string>} inspectorIds - Inspector IDs
+   * @param {Date} date - Any instant on the day
+   * @param {Object} options - { excludeRequestId }
+   * @returns {Promise<Map<string, number>>} Count by inspector ID (missing = 0)
+   */
+  async getDailyCounts(inspectorIds, date, { excludeRequestId = null } = {}) {
+    const day = new Date(date);
+    // Widest possible window across time zones; narrowed per inspector below
+    const range = { $gte: new Date(day.getTime() - 2 * DAY_MS), $lt: new Date(day.getTime() + 2 * DAY_MS) };
+    const filter = {
+      assignedInspectorId: { $in: inspectorIds },
+      status: { $in: CAPACITY.DAILY_STATUSES },
+      $or: [
+        { scheduledStart: range },
+        { scheduledStart: null, preferredDate: range }
+      ]
+    };
+    if (excludeRequestId) {
+      filter._id = { $ne: excludeRequestId };
+    }
+
+    const [requests, availability] = await Promise.all([
+      InspectionRequest.find(filter).select('assignedInspectorId scheduledStart preferredDate').lean(),
+      InspectorAvailability.find({ inspectorId: { $in: inspectorIds } }).select('inspectorId timezone').lean()
+    ]);
+    const timezoneById = new Map(availability.map(a => [String(a.inspectorId), a.timezone]));
+
+    const counts = new Map();
+    for (const id of inspectorIds.map(String)) {
+      const window = dayWindow(day, timezoneById.get(id) || SCHEDULING.DEFAULT_TIMEZONE);
+      const count = requests.filter((r) => {
+        if (String(r.assignedInspectorId) !== id) return false;
+        const at = r.scheduledStart || r.preferredDate;
+        return at >= window.start && at < window.end;
+      }).length;
+      counts.set(id, count);
+    }
+    return counts;
+  }
+
+  /**
+   * Workload of several inspectors
+   * @param {Array<Object>} inspectors - Users (need _id and capacity)
+   * @param {Object} options - { date } (daily figures only when set), { excludeRequestId }
+   * @returns {Promise<Map<string, Object>>} { openCount, maxConcurrent, remaining, dayCount, maxPerDay } by inspector ID
+   */
+  async getWorkloads(inspectors, { date = null, excludeRequestId = null } = {}) {
+    const ids = inspectors.map(i => i._id);
+    if (ids.length === 0) return new Map();
+
+    const [openCounts, dailyCounts] = await Promise.all([
+      this.getOpenCounts(ids, { excludeRequestId }),
+      date ? this.getDailyCounts(ids, date, { excludeRequestId }) : Promise.resolve(null)
+    ]);
+
+    return new Map(inspectors.map((inspector) => {
+      const id = String(inspector._id);
+      const { maxConcurrent, maxPerDay } = this.limitsOf(inspector);
+      const openCount = openCounts.get(id) || 0;
+      const workload = { openCount, maxConcurrent, remaining: Math.max(0, maxConcurrent - openCount) };
+      if (dailyCounts) {
+        workload.dayCount = dailyCounts.get(id) || 0;
+        workload.maxPerDay = maxPerDay;
+      }
+      return [id, workload];
+    }));
+  }
+
+  /**
+   * Reasons an inspector cannot take one more request (empty when within capacity)
+   * @param {Object} workload - From getWorkloads
+   * @returns {Array<Object>} [{ code, message }]
+   */
+  evaluate(workload) {
+    const reasons = [];
+    if (workload.openCount >= workload.maxConcurrent) {
+      reasons.push({
+        code: 'concurrent_capacity',
+        message: `Inspector already has ${workload.openCount} open assignment(s) (limit ${workload.maxConcurrent})`
+      });
+    }
+    if (workload.maxPerDay != null && workload.dayCount >= workload.maxPerDay) {
+      reasons.push({
+        code: 'daily_capacity',
+        message: `Inspector already has ${workload.dayCount} inspection(s) that day (limit ${workload.maxPerDay})`
+      });
+    }
+    return reasons;
+  }
+
+  /**
+   * Throw ConflictError when the inspector is at capacity
+   * @param {Object} inspector - User with _id and capacity
+   * @param {Object} options - { date, excludeRequestId } (the request being assigned is excluded from counts)
+   * @returns {Promise<Object>} Workload
+   */
+  async assertCapacity(inspector, options = {}) {
+    const workload = (await this.getWorkloads([inspector], options)).get(String(inspector._id));
+    const reasons = this.evaluate(workload);
+    if (reasons.length) {
+      throw new ConflictError(
+        'Inspector has reached their assignment capacity',
+        reasons.map(r => ({ field: 'inspectorId', code: r.code, message: r.message }))
+      );
+    }
+    return workload;
+  }
+
+  /**
+   * Recompute the derived is_assigned flag (open count > 0) for the given inspectors. Never throws.
+   * @param {Array<string>} inspectorIds - Inspector IDs (falsy entries ignored)
+   */
+  async syncAssignedFlags(inspectorIds) {
+    const ids = [...new Set(inspectorIds.filter(Boolean).map(String))];
+    if (ids.length === 0) return;
+    try {
+      const openCounts = await this.getOpenCounts(ids);
+      await User.bulkWrite(ids.map(id => ({
+        updateOne: {
+          filter: { _id: id },
+          update: { $set: { is_assigned: (openCounts.get(id) || 0) > 0 } }
+        }
+      })));
+    } catch (error) {
+      logger.error('Failed to sync inspector is_assigned flags', error, { inspectorIds: ids });
+    }
+  }
+}
+
+module.exports = new CapacityService();
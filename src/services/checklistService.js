@@ -7,6 +7,8 @@
 const ChecklistTemplate = require('../models/ChecklistTemplate');
 const Inspection = require('../models/Inspection');
 const InspectionRequest = require('../models/InspectionRequest');
+const InspectionSyncOperation = require('../models/InspectionSyncOperation');
+const ChecklistTemplateVersion = require('../models/ChecklistTemplateVersion');
 const {
   NotFoundError,
   ConflictError,
@@ -14,7 +16,28 @@ const {
   ForbiddenError,
   DatabaseError
 } = require('../utils/errors');
-const { INSPECTION_TYPES, VIDEO_ALLOWED_TYPES, STATUS_RATING_MAP, USER_ROLES } = require('../config/constants');
+const {
+  CHECKLIST_STATUS,
+  STATUS_RATING_MAP,
+  REQUEST_STATUS,
+  INSPECTION_SYNC,
+  TEMPLATE_VERSION_STATUS,
+  INSPECTION_CATEGORIES,
+  INSPECTION_SCORING,
+  VEHICLE_HISTORY
+} = require('../config/constants');
+const requestStateMachine = require('../utils/requestStateMachine');
+const { isTypedItem, checkAnswer, resolveTypedItem } = require('../utils/checklistAnswers');
+const { itemAnswer, visibleChecklist, checkTemplateConditions } = require('../utils/checklistVisibility');
+const { compareInspections } = require('../utils/inspectionComparison');
+const notificationService = require('./notificationService');
+const capacityService = require('./capacityService');
+const templateVersionService = require('./templateVersionService');
+const inspectionCategoryService = require('./inspectionCategoryService');
+const vehicleService = require('./vehicleService');
+const valuationService = require('./valuationService');
+const policy = require('../middleware/policy');
+const { PERMISSIONS } = require('../config/permissions');
 const logger = require('../utils/logger');
 
 /** Derive rating from status when rating is null (e.g. Not Applicable -> 0). Excellent=5, Good=4, Average=3, Poor=1. */
@@ -24,26 +47,474 @@ function resolveItemRating(item) {
   return STATUS_RATING_MAP[item.status] ?? 0;
 }
 
-/** Normalize types array: ensure each checklist item has a numeric rating (from status when null). Preserves schema shape. */
-function normalizeTypesRatings(types) {
+/** Scoring settings an inspection item copies from its template item. */
+const scoringOf = (templateItem) => ({
+  weight: templateItem?.weight ?? INSPECTION_SCORING.DEFAULT_WEIGHT,
+  critical: Boolean(templateItem?.critical)
+});
+
+/** Template item at a position of a type (null when the template has none). */
+const templateItemFor = (template, typeName, position) =>
+  template?.types?.find(t => t.typeName === typeName)?.checklistItems.find(i => i.position === position) || null;
+
+/**
+ * Normalize types array to the schema shape. Status items get a numeric rating (from status when null);
+ * typed items are validated and scored against the template item at the same position.
+ * @throws {BadRequestError} Invalid answer, or status item without status
+ */
+function normalizeTypes(types, template) {
   if (!Array.isArray(types)) return types;
-  return types.map(type => ({
+  return types.map((type, typeIndex) => ({
     typeName: type.typeName,
-    checklistItems: (type.checklistItems || []).map(item => ({
-      position: item.position,
-      label: item.label,
-      status: item.status,
-      rating: resolveItemRating(item),
-      remarks: item.remarks != null ? String(item.remarks) : '',
-      photos: Array.isArray(item.photos) ? item.photos : []
-    })),
+    checklistItems: (type.checklistItems || []).map((item, itemIndex) => {
+      const templateItem = templateItemFor(template, type.typeName, item.position);
+      const field = `types[${typeIndex}].checklistItems[${itemIndex}]`;
+      const problem = checkAnswer(templateItem || {}, item.answer ?? null);
+      if (problem) {
+        throw new BadRequestError('Invalid checklist answer', [{ field: `${field}.answer`, message: problem }]);
+      }
+
+      const base = {
+        position: item.position,
+        label: item.label,
+        remarks: item.remarks != null ? String(item.remarks) : '',
+        photos: Array.isArray(item.photos) ? item.photos : [],
+        ...scoringOf(templateItem)
+      };
+      if (isTypedItem(templateItem)) {
+        return {
+          ...base,
+          answerType: templateItem.answerType,
+          unit: templateItem.answerConfig?.unit || '',
+          ...resolveTypedItem(templateItem, item)
+        };
+      }
+      if (!item.status) {
+        throw new BadRequestError('Invalid checklist item', [{ field: `${field}.status`, message: 'Status is required' }]);
+      }
+      return { ...base, status: item.status, rating: resolveItemRating(item) };
+    }),
     overallRemarks: type.overallRemarks != null ? String(type.overallRemarks) : '',
     overallPhotos: Array.isArray(type.overallPhotos) ? type.overallPhotos : [],
     videos: Array.isArray(type.videos) ? type.videos : [],
+    weight: template?.types?.find(t => t.typeName === type.typeName)?.weight ?? INSPECTION_SCORING.DEFAULT_WEIGHT,
     averageRating: type.averageRating != null ? Number(type.averageRating) : 0
   }));
 }
 
+/** Vehicle data visibility conditions read, from an inspection or an inspection payload. */
+const vehicleOf = (source) => ({ details: source.vehicleDetails, info: source.vehicleInfo });
+
+/**
+ * Whether two inspections are of the same vehicle: same registry vehicle, else same VIN, else same plate.
+ * Inspections without any identifier are not rejected.
+ */
+function isSameVehicle(a, b) {
+  if (a.vehicleId && b.vehicleId) return a.vehicleId.toString() === b.vehicleId.toString();
+  const identifier = (inspection, field) => String(inspection.vehicleInfo?.[field] || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+  for (const field of ['vin', 'licensePlate']) {
+    if (identifier(a, field) && identifier(b, field)) return identifier(a, field) === identifier(b, field);
+  }
+  return true;
+}
+
+const byPosition = (a, b) => a.position - b.position;
+
+/** Unanswered (Not Checked) checklist item for a template item. */
+function blankItem(templateItem) {
+  const item = { position: templateItem.position, label: templateItem.label, remarks: '', photos: [], ...scoringOf(templateItem) };
+  if (isTypedItem(templateItem)) {
+    return {
+      ...item,
+      answerType: templateItem.answerType,
+      unit: templateItem.answerConfig?.unit || '',
+      ...resolveTypedItem(templateItem, {})
+    };
+  }
+  return { ...item, status: CHECKLIST_STATUS.NOT_CHECKED, rating: 0 };
+}
+
+/**
+ * Keep the template types and items visible for the vehicle and the answers given, in template order.
+ * Hidden types and items are dropped; visible items that are missing are added unanswered and reported.
+ * @param {Array} types - Normalized types (plain objects)
+ * @param {Object} template - Template or pinned version
+ * @param {Object} vehicle - { details, info } (see vehicleOf)
+ * @returns {Object} { types, changed, missing: [{ typeName, positions, typeMissing }] }
+ */
+function applyVisibility(types, template, vehicle) {
+  const byType = new Map(types.map(type => [type.typeName, type]));
+  const answerOf = (typeName, position) => {
+    const item = byType.get(typeName)?.checklistItems.find(i => i.position === position);
+    return item ? itemAnswer(item) : null;
+  };
+  const visible = visibleChecklist(template.types, { vehicle, answerOf });
+
+  const missing = [];
+  const result = [];
+  let reused = 0;
+  template.types.forEach((templateType) => {
+    const positions = visible.get(templateType.typeName);
+    if (!positions || positions.size === 0) return;
+
+    const type = byType.get(templateType.typeName);
+    const items = new Map((type?.checklistItems || []).map(item => [item.position, item]));
+    const absent = [];
+    const checklistItems = [...templateType.checklistItems]
+      .sort(byPosition)
+      .filter(templateItem => positions.has(templateItem.position))
+      .map((templateItem) => {
+        if (items.has(templateItem.position)) {
+          reused++;
+          return items.get(templateItem.position);
+        }
+        absent.push(templateItem.position);
+        return blankItem(templateItem);
+      });
+    if (absent.length > 0) {
+      missing.push({ typeName: templateType.typeName, positions: absent, typeMissing: !type });
+    }
+    result.push(type
+      ? { ...type, checklistItems }
+      : {
+        typeName: templateType.typeName,
+        checklistItems,
+        overallRemarks: '',
+        overallPhotos: [],
+        videos: [],
+        weight: templateType.weight ?? INSPECTION_SCORING.DEFAULT_WEIGHT
+      });
+  });
+
+  const given = types.reduce((sum, type) => sum + type.checklistItems.length, 0);
+  return { types: result, changed: missing.length > 0 || reused !== given, missing };
+}
+
+/** Reject checklist items whose position is not in the template type. */
+function assertKnownItems(typeInspection, templateType) {
+  const positions = new Set(templateType.checklistItems.map(item => item.position));
+  const unknown = (typeInspection.checklistItems || []).find(item => !positions.has(item.position));
+  if (unknown) {
+    throw new BadRequestError(`Unknown checklist item position ${unknown.position} for type: ${typeInspection.typeName}`);
+  }
+}
+
+// Hard limit of the Inspection model; categories may allow fewer
+const MAX_ITEM_PHOTOS = INSPECTION_CATEGORIES.MAX_PHOTOS_PER_ITEM;
+
+const itemKey = (typeName, position) => `${typeName}#${position}`;
+
+const sameList = (a = [], b = []) => a.length === b.length && a.every((value, i) => value === b[i]);
+
+/** Keep revision/updatedAt of items a full update leaves unchanged, so offline clients do not see false conflicts. */
+function carryItemRevisions(previousTypes, nextTypes) {
+  const previous = new Map();
+  (previousTypes || []).forEach(type => {
+    (type.checklistItems || []).forEach(item => previous.set(itemKey(type.typeName, item.position), item));
+  });
+  nextTypes.forEach(type => {
+    type.checklistItems.forEach(item => {
+      const old = previous.get(itemKey(type.typeName, item.position));
+      if (
+        old &&
+        old.status === item.status &&
+        old.rating === item.rating &&
+        old.remarks === item.remarks &&
+        JSON.stringify(old.answer ?? null) === JSON.stringify(item.answer ?? null) &&
+        sameList([...(old.photos || [])], item.photos)
+      ) {
+        item.revision = old.revision;
+        item.updatedAt = old.updatedAt;
+      }
+    });
+  });
+  return nextTypes;
+}
+
+/**
+ * Photo limit per checklist item for each of the inspection's types, from its category (the model's hard limit for
+ * types without one). Patch, single-item and sync writes all check item photos against these; full updates check
+ * the same category rule (inspectionCategoryService.assertInspectionMedia).
+ * @returns {Promise<Map>} typeName -> limit
+ */
+async function photoLimitsFor(inspection) {
+  const limits = new Map();
+  for (const type of inspection.types || []) {
+    const category = await inspectionCategoryService.findByName(type.typeName);
+    limits.set(type.typeName, category ? category.media.maxPhotosPerItem : MAX_ITEM_PHOTOS);
+  }
+  return limits;
+}
+
+/**
+ * Value a completed 'car valuation' request and store the result on it. A vehicle without a base price must not
+ * fail the inspection write: the valuation is then left for a later refresh.
+ */
+async function storeRequestValuation(inspectionRequest, inspection) {
+  try {
+    await valuationService.storeValuation(
+      inspectionRequest.toObject({ transform: false }),
+      inspection.toObject({ transform: false })
+    );
+  } catch (error) {
+    logger.warn('Request valuation not computed', {
+      inspectionRequestId: inspectionRequest.id,
+      inspectionId: inspection.id,
+      reason: error.message
+    });
+  }
+}
+
+/** Template content an inspection is filled against: its pinned version, or the template for older inspections. */
+async function getPinnedTemplate(inspection) {
+  const template = inspection.templateVersionId
+    ? await ChecklistTemplateVersion.findById(inspection.templateVersionId).lean()
+    : await ChecklistTemplate.findById(inspection.checklistTemplateId).lean();
+  if (!template) {
+    throw new NotFoundError('Checklist template not found');
+  }
+  return template;
+}
+
+/** Checklist item as exchanged with sync clients. */
+function toSyncItem(typeName, item) {
+  return {
+    typeName,
+    position: item.position,
+    label: item.label,
+    status: item.status,
+    rating: item.rating,
+    answer: item.answer ?? null,
+    result: item.result ?? null,
+    remarks: item.remarks,
+    photos: [...(item.photos || [])],
+    revision: item.revision || 0,
+    updatedAt: item.updatedAt
+  };
+}
+
+/** Optimistic concurrency: the client must have edited the revision currently stored. */
+function assertRevision(expected, current) {
+  if (expected !== current) {
+    throw new ConflictError(
+      `Inspection has been modified (current revision ${current}). Reload and retry.`,
+      [{ field: 'revision', message: `Expected revision ${current}` }]
+    );
+  }
+}
+
+/** Filter matching an inspection still at the given revision (documents created before revisions have none). */
+function revisionFilter(revision) {
+  return revision === 0
+    ? { $or: [{ revision: 0 }, { revision: { $exists: false } }] }
+    : { revision };
+}
+
+/**
+ * Apply one offline operation to a checklist item (in memory).
+ * A conflict is reported when the item changed on the server after the client's baseRevision and that change is
+ * newer than the operation (last writer wins otherwise). addPhotos/removePhotos-only operations never conflict.
+ * @returns {Object} { status: applied|conflict|rejected, code?, message?, item? }
+ */
+function applySyncOperation(item, op, { baseRevision, newRevision, now, maxPhotos = MAX_ITEM_PHOTOS, templateItem = null }) {
+  if (!item) {
+    return { status: 'rejected', code: 'item_not_found', message: `No checklist item ${op.position} in ${op.typeName}` };
+  }
+
+  const { changes } = op;
+  const answerProblem = changes.answer !== undefined ? checkAnswer(templateItem || {}, changes.answer) : null;
+  if (answerProblem) {
+    return { status: 'rejected', code: 'invalid_answer', message: answerProblem };
+  }
+  // Device clocks can run ahead; never let an operation claim to be newer than the server
+  const clientAt = new Date(Math.min(new Date(op.clientTimestamp).getTime(), now.getTime()));
+  const setsFields = ['status', 'rating', 'remarks', 'photos', 'answer'].some(field => changes[field] !== undefined);
+  const changedSinceBase = (item.revision || 0) > baseRevision;
+  if (setsFields && changedSinceBase && item.updatedAt && item.updatedAt > clientAt) {
+    return {
+      status: 'conflict',
+      code: 'item_changed',
+      message: `Item was changed on the server at revision ${item.revision}`,
+      item: toSyncItem(op.typeName, item)
+    };
+  }
+
+  let photos = changes.photos !== undefined ? [...changes.photos] : [...(item.photos || [])];
+  if (changes.addPhotos) {
+    photos.push(...changes.addPhotos.filter(photo => !photos.includes(photo)));
+  }
+  if (changes.removePhotos) {
+    photos = photos.filter(photo => !changes.removePhotos.includes(photo));
+  }
+  if (photos.length > maxPhotos) {
+    return { status: 'rejected', code: 'too_many_photos', message: `Maximum ${maxPhotos} photos allowed per checklist item` };
+  }
+
+  applyItemChanges(item, { ...changes, photos }, templateItem);
+  item.revision = newRevision;
+  item.updatedAt = clientAt;
+  return { status: 'applied' };
+}
+
+/**
+ * Set status/rating/answer/remarks/photos on a checklist item.
+ * A status change without a rating re-derives the rating from the status, as on create/update.
+ * Typed items take an answer instead; their status and rating follow from it (a status only marks them Not Applicable).
+ */
+function applyItemChanges(item, changes, templateItem = null) {
+  if (isTypedItem(templateItem)) {
+    if (changes.answer !== undefined || changes.status !== undefined) {
+      const answer = changes.answer !== undefined ? changes.answer : item.answer;
+      // Clearing the answer resets the item to Not Checked unless a status comes with it
+      const status = changes.status ?? (changes.answer !== undefined ? null : item.status);
+      Object.assign(item, resolveTypedItem(templateItem, { answer, status }));
+    }
+  } else {
+    if (changes.status !== undefined) {
+      item.status = changes.status;
+    }
+    if (changes.rating !== undefined || changes.status !== undefined) {
+      item.rating = resolveItemRating({ status: item.status, rating: changes.rating ?? null });
+    }
+  }
+  if (changes.remarks !== undefined) {
+    item.remarks = changes.remarks ?? '';
+  }
+  if (changes.photos !== undefined) {
+    item.photos = changes.photos;
+  }
+}
+
+// JSON Pointer to a checklist item field: /types/{typeName}/items/{position}/{field}[/{index}|/-]
+const ITEM_PATCH_PATH = /^\/types\/([^/]+)\/items\/(\d+)\/(status|rating|answer|remarks|photos)(?:\/(-|\d+))?$/;
+
+const unescapePointer = (segment) => segment.replace(/~1/g, '/').replace(/~0/g, '~');
+
+/** Validate a value written to an item field; returns an error message or null. */
+function checkItemValue(field, value, maxPhotos = MAX_ITEM_PHOTOS) {
+  switch (field) {
+    case 'status':
+      return Object.values(CHECKLIST_STATUS).includes(value)
+        ? null
+        : `Status must be one of: ${Object.values(CHECKLIST_STATUS).join(', ')}`;
+    case 'rating':
+      return value === null || (typeof value === 'number' && value >= 0 && value <= 5)
+        ? null
+        : 'Rating must be a number between 0 and 5, or null';
+    case 'answer':
+      // Checked against the item's answer type when the patch is applied
+      return null;
+    case 'remarks':
+      return value === null || (typeof value === 'string' && value.length <= 1000)
+        ? null
+        : 'Remarks must be a string of at most 1000 characters';
+    default:
+      return Array.isArray(value) && value.length <= maxPhotos && value.every(photo => typeof photo === 'string')
+        ? null
+        : `Photos must be an array of at most ${maxPhotos} URLs`;
+  }
+}
+
+/**
+ * Apply one JSON Patch operation to the working copy of a checklist item.
+ * Operations run in order, so a `test` sees the effect of earlier operations in the same patch.
+ * @param {Object} inspection - Inspection document
+ * @param {Map} working - itemKey -> { typeName, item, values, changes }
+ * @param {Object} operation - { op: add|remove|replace|test, path, value? }
+ * @param {number} index - Operation index (for error fields)
+ * @param {Map} photoLimits - typeName -> photos allowed per item (photoLimitsFor)
+ */
+function applyPatchOperation(inspection, working, operation, index, photoLimits) {
+  const field = `operations[${index}]`;
+  const invalid = (message, suffix = 'path') => new BadRequestError('Invalid patch operation', [{ field: `${field}.${suffix}`, message }]);
+
+  const match = ITEM_PATCH_PATH.exec(operation.path);
+  if (!match) {
+    throw invalid('Path must be /types/{typeName}/items/{position}/{status|rating|answer|remarks|photos}');
+  }
+  const typeName = unescapePointer(match[1]);
+  const position = Number(match[2]);
+  const name = match[3];
+  const photoIndex = match[4];
+  const key = itemKey(typeName, position);
+
+  if (!working.has(key)) {
+    const type = inspection.types.find(t => t.typeName === typeName);
+    const item = type?.checklistItems.find(i => i.position === position);
+    if (!item) {
+      throw new NotFoundError(`Checklist item ${position} not found in ${typeName}`);
+    }
+    working.set(key, {
+      typeName,
+      item,
+      values: {
+        status: item.status,
+        rating: item.rating,
+        answer: item.answer ?? null,
+        remarks: item.remarks,
+        photos: [...(item.photos || [])]
+      },
+      changes: {}
+    });
+  }
+  const entry = working.get(key);
+  const { op, value } = operation;
+  const maxPhotos = photoLimits.get(typeName) ?? MAX_ITEM_PHOTOS;
+
+  // Single photo: /photos/- (append) or /photos/{index}
+  if (photoIndex !== undefined) {
+    if (name !== 'photos') {
+      throw invalid(`${name} has no elements`);
+    }
+    const photos = [...entry.values.photos];
+    const at = photoIndex === '-' ? photos.length : Number(photoIndex);
+    const inRange = op === 'add' ? at <= photos.length : photoIndex !== '-' && at < photos.length;
+    if (!inRange) {
+      throw invalid(`Photo index ${photoIndex} is out of range`);
+    }
+    if (op !== 'remove' && typeof value !== 'string') {
+      throw invalid('Photo must be a URL string', 'value');
+    }
+    if (op === 'test') {
+      if (photos[at] !== value) {
+        throw new ConflictError(`Patch test failed at ${operation.path}`);
+      }
+      return;
+    }
+    if (op === 'add') photos.splice(at, 0, value);
+    if (op === 'remove') photos.splice(at, 1);
+    if (op === 'replace') photos[at] = value;
+    if (photos.length > maxPhotos) {
+      throw invalid(`Maximum ${maxPhotos} photos allowed per checklist item`, 'value');
+    }
+    entry.values.photos = photos;
+    entry.changes.photos = photos;
+    return;
+  }
+
+  if (op === 'test') {
+    if (JSON.stringify(entry.values[name]) !== JSON.stringify(value)) {
+      throw new ConflictError(`Patch test failed at ${operation.path}`);
+    }
+    return;
+  }
+
+  let next = value;
+  if (op === 'remove') {
+    if (name === 'status') {
+      throw invalid('Status cannot be removed', 'op');
+    }
+    // Removing clears the field; a cleared rating is derived from the status again
+    next = { rating: null, answer: null, remarks: '', photos: [] }[name];
+  }
+  const problem = checkItemValue(name, next, maxPhotos);
+  if (problem) {
+    throw invalid(problem, 'value');
+  }
+  entry.values[name] = next;
+  entry.changes[name] = next;
+}
+
 /**
  * Checklist Service Class
  */
@@ -61,12 +532,8 @@ class ChecklistService {
         throw new BadRequestError('At least one type is required');
       }
 
-      // Validate video settings
-      templateData.types.forEach(typeConfig => {
-        if (typeConfig.allowVideos && !VIDEO_ALLOWED_TYPES.includes(typeConfig.typeName)) {
-          throw new BadRequestError(`Videos are only allowed for ${VIDEO_ALLOWED_TYPES.join(' and ')} types`);
-        }
-      });
+      // Validate categories and video settings; types follow category order
+      templateData.types = await inspectionCategoryService.validateTemplateTypes(templateData.types);
 
       // Ensure positions are unique within each type
       templateData.types.forEach(typeConfig => {
@@ -77,6 +544,12 @@ class ChecklistService {
         }
       });
 
+      // Visibility conditions may only depend on earlier items
+      const conditionProblem = checkTemplateConditions(templateData.types);
+      if (conditionProblem) {
+        throw new BadRequestError(conditionProblem);
+      }
+
       const template = await ChecklistTemplate.create({
         name: templateData.name,
         description: templateData.description || '',
@@ -85,6 +558,7 @@ class ChecklistService {
         isActive: true,
         version: 1
       });
+      await templateVersionService.recordInitialVersion(template, currentUser);
 
       logger.info('Checklist template created successfully', {
         templateId: template.id,
@@ -223,13 +697,19 @@ class ChecklistService {
 
   /**
    * Update checklist template (admin only)
+   * Name, description and isActive change in place. Checklist types are saved to the template's draft version
+   * and only reach inspectors once published (here with `publish: true`, or via the publish endpoint).
    * @param {string} templateId - Template ID
    * @param {Object} updateData - Update data
    * @param {Object} currentUser - Current authenticated user
-   * @returns {Promise<Object>} Updated template
+   * @returns {Promise<Object>} { template, draft } (draft is null when none is open)
    */
   async updateTemplate(templateId, updateData, currentUser) {
     try {
+      if (updateData.publish) {
+        policy.assertCan(currentUser, PERMISSIONS.TEMPLATES_PUBLISH, 'You do not have permission to publish templates');
+      }
+
       const template = await ChecklistTemplate.findById(templateId);
       
       if (!template) {
@@ -242,12 +722,8 @@ class ChecklistService {
           throw new BadRequestError('At least one type is required');
         }
 
-        // Validate video settings
-        updateData.types.forEach(typeConfig => {
-          if (typeConfig.allowVideos && !VIDEO_ALLOWED_TYPES.includes(typeConfig.typeName)) {
-            throw new BadRequestError(`Videos are only allowed for ${VIDEO_ALLOWED_TYPES.join(' and ')} types`);
-          }
-        });
+        // Validate categories and video settings; types follow category order
+        updateData.types = await inspectionCategoryService.validateTemplateTypes(updateData.types);
 
         // Ensure positions are unique within each type
         updateData.types.forEach(typeConfig => {
@@ -258,31 +734,53 @@ class ChecklistService {
           }
         });
 
-        // Increment version if types changed
-        template.version += 1;
+        // Visibility conditions may only depend on earlier items
+        const conditionProblem = checkTemplateConditions(updateData.types);
+        if (conditionProblem) {
+          throw new BadRequestError(conditionProblem);
+        }
       }
 
       // Update fields
       if (updateData.name !== undefined) template.name = updateData.name;
       if (updateData.description !== undefined) template.description = updateData.description;
-      if (updateData.types !== undefined) template.types = updateData.types;
       if (updateData.isActive !== undefined) template.isActive = updateData.isActive;
 
       await template.save();
+      if (updateData.name !== undefined || updateData.description !== undefined) {
+        await templateVersionService.syncDraftDetails(template);
+      }
+
+      let draft = updateData.types !== undefined
+        ? await templateVersionService.saveDraft(template, { types: updateData.types }, currentUser)
+        : await ChecklistTemplateVersion.findOne({ templateId: template._id, status: TEMPLATE_VERSION_STATUS.DRAFT });
+
+      let updatedTemplate = template;
+      if (updateData.publish && draft) {
+        ({ template: updatedTemplate } = await templateVersionService.publish(template._id, draft.version, currentUser));
+        draft = null;
+      }
 
       logger.info('Template updated successfully', {
         templateId: template.id,
-        updatedBy: currentUser.id
+        updatedBy: currentUser.id,
+        draftVersion: draft?.version || null,
+        publishedVersion: updatedTemplate.version
       });
 
-      return template;
+      return { template: updatedTemplate, draft };
     } catch (error) {
       logger.error('Error updating template', error, { templateId });
       
-      if (error instanceof NotFoundError || error instanceof BadRequestError) {
+      if (error instanceof NotFoundError || error instanceof BadRequestError || error instanceof ConflictError ||
+        error instanceof ForbiddenError) {
         throw error;
       }
       
+      if (error.name === 'ValidationError') {
+        throw new BadRequestError(error.message);
+      }
+      
       throw new DatabaseError('Failed to update template', error);
     }
   }
@@ -307,6 +805,7 @@ class ChecklistService {
       }
 
       await ChecklistTemplate.findByIdAndDelete(templateId);
+      await ChecklistTemplateVersion.deleteMany({ templateId: template._id });
 
       logger.info('Template deleted successfully', { templateId });
     } catch (error) {
@@ -354,73 +853,61 @@ class ChecklistService {
         throw new BadRequestError('Checklist template has no types defined');
       }
 
-      // Validate that all required types are present
-      const templateTypeNames = template.types.map(t => t.typeName);
-      const inspectionTypeNames = inspectionData.types.map(t => t.typeName);
-      
-      const missingTypes = templateTypeNames.filter(name => !inspectionTypeNames.includes(name));
-      if (missingTypes.length > 0) {
-        throw new BadRequestError(`Missing required types: ${missingTypes.join(', ')}`);
-      }
-
       // Validate each type inspection
       inspectionData.types.forEach(typeInspection => {
         const templateType = template.types.find(t => t.typeName === typeInspection.typeName);
         if (!templateType) {
           throw new BadRequestError(`Invalid type: ${typeInspection.typeName}`);
         }
-
-        // Validate checklist items match template
-        if (typeInspection.checklistItems.length !== templateType.checklistItems.length) {
-          throw new BadRequestError(`Checklist items count mismatch for type: ${typeInspection.typeName}`);
-        }
-
-        // Validate videos
-        if (typeInspection.videos && typeInspection.videos.length > 0) {
-          if (!VIDEO_ALLOWED_TYPES.includes(typeInspection.typeName)) {
-            throw new BadRequestError(`Videos are only allowed for ${VIDEO_ALLOWED_TYPES.join(' and ')} types`);
-          }
-          if (typeInspection.videos.length > templateType.maxVideos) {
-            throw new BadRequestError(`Maximum ${templateType.maxVideos} videos allowed for ${typeInspection.typeName}`);
-          }
-        }
+        assertKnownItems(typeInspection, templateType);
 
         // Rating is 0–5 (decimal allowed); no strict match to status
       });
 
-      // Normalize: derive rating from status when rating is null (e.g. "Not Applicable" -> 0). Excellent=5, Good=4, Average=3, Poor=1.
-      const normalizedTypes = (inspectionData.types || []).map(type => ({
-        typeName: type.typeName,
-        checklistItems: (type.checklistItems || []).map(item => ({
-          position: item.position,
-          label: item.label,
-          status: item.status,
-          rating: resolveItemRating(item),
-          remarks: item.remarks != null ? String(item.remarks) : '',
-          photos: Array.isArray(item.photos) ? item.photos : []
-        })),
-        overallRemarks: type.overallRemarks != null ? String(type.overallRemarks) : '',
-        overallPhotos: Array.isArray(type.overallPhotos) ? type.overallPhotos : [],
-        videos: Array.isArray(type.videos) ? type.videos : [],
-        averageRating: type.averageRating != null ? Number(type.averageRating) : 0
-      }));
+      // Validate videos and photos against the category media rules
+      for (const typeInspection of inspectionData.types) {
+        const templateType = template.types.find(t => t.typeName === typeInspection.typeName);
+        await inspectionCategoryService.assertInspectionMedia(typeInspection, templateType);
+      }
+
+      // Normalize: derive rating from status when rating is null (e.g. "Not Applicable" -> 0); score typed answers
+      // Only the types and items visible for this vehicle and these answers are required (hidden ones are dropped)
+      const { types: normalizedTypes, missing } = applyVisibility(
+        normalizeTypes(inspectionData.types || [], template),
+        template,
+        vehicleOf(inspectionData)
+      );
+      const missingTypes = missing.filter(m => m.typeMissing).map(m => m.typeName);
+      if (missingTypes.length > 0) {
+        throw new BadRequestError(`Missing required types: ${missingTypes.join(', ')}`);
+      }
+      if (missing.length > 0) {
+        throw new BadRequestError(
+          `Checklist items missing for type: ${missing[0].typeName} (positions ${missing[0].positions.join(', ')})`
+        );
+      }
 
       const inspectorId = currentUser._id || currentUser.id;
       if (!inspectorId) {
         throw new BadRequestError('Invalid user: inspector ID is missing');
       }
 
+      // Pin the inspection to the published template version it is filled against
+      const pinnedVersion = await templateVersionService.getPublishedVersion(template);
+
       // Create inspection (ratings will be calculated in pre-save hook)
       const inspectionStatus = inspectionData.status || 'draft';
       const inspection = await Inspection.create({
         checklistTemplateId: inspectionData.checklistTemplateId,
+        templateVersion: template.version,
+        templateVersionId: pinnedVersion?._id || null,
         inspectorId,
         vehicleInfo: inspectionData.vehicleInfo || {},
         vehicleDetails: inspectionData.vehicleDetails ?? null,
         serviceWarrantyOverview: inspectionData.serviceWarrantyOverview ?? null,
         interiorDetails: inspectionData.interiorDetails ?? null,
         exteriorDetails: inspectionData.exteriorDetails ?? null,
-        damaged_coordinates: inspectionData.damaged_coordinates ?? null,
+        damages: inspectionData.damages || [],
         types: normalizedTypes,
         status: inspectionStatus,
         inspectionDate: inspectionData.inspectionDate || new Date(),
@@ -439,19 +926,23 @@ class ChecklistService {
         const requestFilter = {
           _id: requestIdObj,
           assignedInspectorId: inspectorIdObj,
-          status: { $in: ['assigned', 'in_progress', 'pending'] }
+          status: { $in: [REQUEST_STATUS.ASSIGNED, REQUEST_STATUS.IN_PROGRESS, REQUEST_STATUS.PENDING] }
         };
 
         const inspectionRequest = await InspectionRequest.findOne(requestFilter);
         if (inspectionRequest) {
-          const isSubmitting = inspectionStatus === 'completed' || inspectionStatus === 'submitted';
+          const isSubmitting = (inspectionStatus === 'completed' || inspectionStatus === 'submitted') &&
+            requestStateMachine.canTransition(inspectionRequest.status, REQUEST_STATUS.COMPLETED);
           const previousRequestStatus = inspectionRequest.status;
           
           inspectionRequest.inspectionId = inspection._id;
           
           if (isSubmitting) {
             const endTime = new Date();
-            inspectionRequest.status = 'completed';
+            requestStateMachine.transition(inspectionRequest, REQUEST_STATUS.COMPLETED, {
+              actor: currentUser,
+              reason: 'Inspection submitted'
+            });
             inspectionRequest.inspectionEndTime = endTime;
             
             if (inspectionRequest.inspectionStartTime) {
@@ -473,6 +964,9 @@ class ChecklistService {
               inspectionEndTime: inspectionRequest.inspectionEndTime,
               timeTaken: inspectionRequest.timeTaken
             });
+            await capacityService.syncAssignedFlags([inspectionRequest.assignedInspectorId]);
+            await storeRequestValuation(inspectionRequest, inspection);
+            await notificationService.notifyRequestCompleted(inspectionRequest, currentUser);
           } else {
             logger.info('Inspection request linked to inspection', {
               inspectionRequestId: inspectionRequest.id,
@@ -488,6 +982,8 @@ class ChecklistService {
         }
       }
 
+      await vehicleService.linkRecord(VEHICLE_HISTORY.SOURCES.INSPECTION, inspection);
+
       logger.info('Inspection created successfully', {
         inspectionId: inspection.id,
         inspectorId: currentUser.id,
@@ -527,23 +1023,23 @@ class ChecklistService {
       }
 
       // Verify the request is assigned to the current inspector
-      if (inspectionRequest.assignedInspectorId.toString() !== currentUser.id) {
+      if (inspectionRequest.assignedInspectorId?.toString() !== currentUser.id) {
         throw new ForbiddenError('You do not have permission to start this inspection request');
       }
 
-      // Only allow starting if status is assigned or pending
-      if (!['assigned', 'pending'].includes(inspectionRequest.status)) {
-        throw new BadRequestError(`Cannot start. Request status is '${inspectionRequest.status}'. Expected 'assigned' or 'pending'.`);
-      }
-
-      // Prevent overwriting if inspection has already been started
-      if (inspectionRequest.inspectionStartTime) {
+      // Prevent restarting; resuming a request that was put on hold keeps the original start time
+      if (inspectionRequest.inspectionStartTime && inspectionRequest.status !== REQUEST_STATUS.ON_HOLD) {
         throw new BadRequestError('Inspection has already been started');
       }
 
-      // Set status to in_progress and record start time
-      inspectionRequest.status = 'in_progress';
-      inspectionRequest.inspectionStartTime = new Date();
+      // Set status to in_progress (validated by the state machine) and record start time
+      requestStateMachine.transition(inspectionRequest, REQUEST_STATUS.IN_PROGRESS, {
+        actor: currentUser,
+        reason: inspectionRequest.inspectionStartTime ? 'Inspection resumed' : 'Inspection started'
+      });
+      if (!inspectionRequest.inspectionStartTime) {
+        inspectionRequest.inspectionStartTime = new Date();
+      }
       await inspectionRequest.save();
 
       logger.info('Inspection request started successfully', {
@@ -552,6 +1048,10 @@ class ChecklistService {
         startTime: inspectionRequest.inspectionStartTime
       });
 
+      // Resuming from on_hold makes the request open again
+      await capacityService.syncAssignedFlags([inspectionRequest.assignedInspectorId]);
+      await notificationService.notifyRequestStarted(inspectionRequest);
+
       return inspectionRequest;
     } catch (error) {
       logger.error('Error starting inspection request', error, { inspectionRequestId });
@@ -644,12 +1144,13 @@ class ChecklistService {
   // }
 
   /**
-   * Get inspection by ID
+   * Get inspection by ID (policy.canViewInspection; with `report`, policy.canViewInspectionReport)
    * @param {string} inspectionId - Inspection ID
    * @param {Object} currentUser - Current authenticated user
+   * @param {Object} options - { report: access for report download/sharing }
    * @returns {Promise<Object>} Inspection
    */
-  async getInspectionById(inspectionId, currentUser) {
+  async getInspectionById(inspectionId, currentUser, { report = false } = {}) {
     try {
       const inspection = await Inspection.findById(inspectionId)
         .populate('checklistTemplateId', 'name description version')
@@ -660,24 +1161,18 @@ class ChecklistService {
         throw new NotFoundError('Inspection not found');
       }
 
-      // Admin can view any inspection
-      if (currentUser.role === USER_ROLES.ADMIN) {
+      const canView = report ? policy.canViewInspectionReport : policy.canViewInspection;
+      if (canView(currentUser, inspection)) {
         return inspection;
       }
-      // Inspector can view if they created it
-      if (currentUser.role === USER_ROLES.INSPECTOR && inspection.inspectorId._id.toString() === currentUser.id) {
+      // The customer can view it when it belongs to their inspection request
+      const request = await InspectionRequest.findOne({
+        inspectionId: inspectionId,
+        userId: currentUser.id
+      }).select('userId').lean();
+      if (request && canView(currentUser, inspection, request)) {
         return inspection;
       }
-      // User (customer) can view if this inspection is linked to their inspection request
-      if (currentUser.role === USER_ROLES.USER) {
-        const request = await InspectionRequest.findOne({
-          inspectionId: inspectionId,
-          userId: currentUser.id
-        }).lean();
-        if (request) {
-          return inspection;
-        }
-      }
 
       throw new ForbiddenError('You do not have permission to view this inspection');
     } catch (error) {
@@ -691,6 +1186,25 @@ class ChecklistService {
     }
   }
 
+  /**
+   * Compare two inspections of the same vehicle. Both must be viewable under the getInspectionById rules.
+   * @param {string} aId - Baseline inspection ID
+   * @param {string} bId - Inspection compared against the baseline
+   * @param {Object} currentUser - Current authenticated user
+   * @returns {Promise<Object>} Comparison (see utils/inspectionComparison)
+   */
+  async compareInspections(aId, bId, currentUser) {
+    const [a, b] = await Promise.all([
+      this.getInspectionById(aId, currentUser),
+      this.getInspectionById(bId, currentUser)
+    ]);
+
+    if (!isSameVehicle(a, b)) {
+      throw new BadRequestError('Only inspections of the same vehicle can be compared');
+    }
+    return compareInspections(a, b);
+  }
+
   /**
    * Get all inspections with pagination
    * @param {Object} queryParams - Query parameters
@@ -704,6 +1218,9 @@ class ChecklistService {
         limit = 10,
         status = null,
         templateId = null,
+        damagePanel = null,
+        damageType = null,
+        damageSeverity = null,
         sortBy = 'inspectionDate',
         sortOrder = 'DESC'
       } = queryParams;
@@ -711,8 +1228,8 @@ class ChecklistService {
       // Build filter
       const filter = {};
       
-      // Inspectors can only see their own inspections
-      if (currentUser.role !== 'admin') {
+      // Without inspections:read-all, inspectors only see their own inspections
+      if (!policy.can(currentUser, PERMISSIONS.INSPECTIONS_READ_ALL)) {
         filter.inspectorId = currentUser.id;
       }
 
@@ -724,6 +1241,14 @@ class ChecklistService {
         filter.checklistTemplateId = templateId;
       }
 
+      const damageMatch = {};
+      if (damagePanel) damageMatch.panel = damagePanel;
+      if (damageType) damageMatch.type = damageType;
+      if (damageSeverity) damageMatch.severity = damageSeverity;
+      if (Object.keys(damageMatch).length > 0) {
+        filter.damages = { $elemMatch: damageMatch };
+      }
+
       // Build sort
       const sort = {};
       const sortField = sortBy === 'id' ? '_id' : sortBy;
@@ -768,6 +1293,9 @@ class ChecklistService {
         filters: {
           status: status || null,
           templateId: templateId || null,
+          damagePanel: damagePanel || null,
+          damageType: damageType || null,
+          damageSeverity: damageSeverity || null,
           sortBy,
           sortOrder
         }
@@ -794,7 +1322,7 @@ class ChecklistService {
       }
 
       // Only inspector who created it can update
-      if (inspection.inspectorId.toString() !== currentUser.id) {
+      if (!policy.canEditInspection(currentUser, inspection)) {
         throw new ForbiddenError('You do not have permission to update this inspection');
       }
 
@@ -803,12 +1331,17 @@ class ChecklistService {
         throw new BadRequestError('Only draft inspections can be updated');
       }
 
+      const loadedRevision = inspection.revision || 0;
+      if (updateData.revision !== undefined) {
+        assertRevision(updateData.revision, loadedRevision);
+        inspection.$where = revisionFilter(loadedRevision);
+      }
+
       // If updating types, validate against template
+      let template = null;
       if (updateData.types) {
-        const template = await ChecklistTemplate.findById(inspection.checklistTemplateId);
-        if (!template) {
-          throw new NotFoundError('Checklist template not found');
-        }
+        // Validate against the version the inspection is pinned to, not the template's latest content
+        template = await getPinnedTemplate(inspection);
 
         // Validate types (similar to create)
         updateData.types.forEach(typeInspection => {
@@ -816,19 +1349,16 @@ class ChecklistService {
           if (!templateType) {
             throw new BadRequestError(`Invalid type: ${typeInspection.typeName}`);
           }
-
-          // Validate videos
-          if (typeInspection.videos && typeInspection.videos.length > 0) {
-            if (!VIDEO_ALLOWED_TYPES.includes(typeInspection.typeName)) {
-              throw new BadRequestError(`Videos are only allowed for ${VIDEO_ALLOWED_TYPES.join(' and ')} types`);
-            }
-            if (typeInspection.videos.length > templateType.maxVideos) {
-              throw new BadRequestError(`Maximum ${templateType.maxVideos} videos allowed for ${typeInspection.typeName}`);
-            }
-          }
+          assertKnownItems(typeInspection, templateType);
 
           // Rating is 0–5 (decimal allowed); no strict match to status
         });
+
+        // Validate videos and photos against the category media rules
+        for (const typeInspection of updateData.types) {
+          const templateType = template.types.find(t => t.typeName === typeInspection.typeName);
+          await inspectionCategoryService.assertInspectionMedia(typeInspection, templateType);
+        }
       }
 
       // Track if status is changing to completed/submitted
@@ -840,9 +1370,6 @@ class ChecklistService {
       if (updateData.vehicleInfo !== undefined) {
         inspection.vehicleInfo = { ...inspection.vehicleInfo, ...updateData.vehicleInfo };
       }
-      if (updateData.types !== undefined) {
-        inspection.types = normalizeTypesRatings(updateData.types);
-      }
       if (updateData.status !== undefined) {
         inspection.status = updateData.status;
       }
@@ -861,11 +1388,24 @@ class ChecklistService {
       if (updateData.exteriorDetails !== undefined) {
         inspection.exteriorDetails = updateData.exteriorDetails;
       }
-      if (updateData.damaged_coordinates !== undefined) {
-        inspection.damaged_coordinates = updateData.damaged_coordinates;
+      if (updateData.damages !== undefined) {
+        inspection.damages = updateData.damages;
+      }
+      // Vehicle details and answers decide which items apply: hidden ones are dropped, missing ones added unanswered
+      const vehicleChanged = updateData.vehicleInfo !== undefined || updateData.vehicleDetails !== undefined;
+      if (updateData.types !== undefined) {
+        const { types } = applyVisibility(normalizeTypes(updateData.types, template), template, vehicleOf(inspection));
+        inspection.types = carryItemRevisions(inspection.types, types);
+      } else if (vehicleChanged) {
+        template = await getPinnedTemplate(inspection);
+        const { types, changed } = applyVisibility(inspection.toObject({ transform: false }).types, template, vehicleOf(inspection));
+        if (changed) inspection.types = types;
       }
 
       await inspection.save(); // Pre-save hook will recalculate ratings
+      if (updateData.vehicleInfo !== undefined) {
+        await vehicleService.linkRecord(VEHICLE_HISTORY.SOURCES.INSPECTION, inspection);
+      }
 
       // When inspection is completed/submitted, ALWAYS update linked InspectionRequest
       // Check actual saved status (not just updateData) to catch any edge cases
@@ -881,10 +1421,22 @@ class ChecklistService {
             inspectionId: inspection._id
           });
 
-          if (inspectionRequest) {
+          if (inspectionRequest?.status === REQUEST_STATUS.COMPLETED) {
+            // Changes after completion revalue the request
+            await storeRequestValuation(inspectionRequest, inspection);
+          } else if (inspectionRequest && !requestStateMachine.canTransition(inspectionRequest.status, REQUEST_STATUS.COMPLETED)) {
+            logger.warn('Inspection request not marked completed (illegal transition)', {
+              inspectionRequestId: inspectionRequest.id,
+              inspectionId: inspection.id,
+              currentStatus: inspectionRequest.status
+            });
+          } else if (inspectionRequest) {
             const previousRequestStatus = inspectionRequest.status;
             const endTime = new Date();
-            inspectionRequest.status = 'completed';
+            requestStateMachine.transition(inspectionRequest, REQUEST_STATUS.COMPLETED, {
+              actor: currentUser,
+              reason: 'Inspection submitted'
+            });
             inspectionRequest.inspectionEndTime = endTime;
             
             if (inspectionRequest.inspectionStartTime) {
@@ -905,6 +1457,9 @@ class ChecklistService {
               timeTaken: inspectionRequest.timeTaken,
               hadStartTime: !!inspectionRequest.inspectionStartTime
             });
+            await capacityService.syncAssignedFlags([inspectionRequest.assignedInspectorId]);
+            await storeRequestValuation(inspectionRequest, inspection);
+            await notificationService.notifyRequestCompleted(inspectionRequest, currentUser);
           } else {
             logger.warn('No inspection request found for this inspection', {
               inspectionId: inspection.id,
@@ -931,14 +1486,303 @@ class ChecklistService {
     } catch (error) {
       logger.error('Error updating inspection', error, { inspectionId });
       
-      if (error instanceof NotFoundError || error instanceof BadRequestError || error instanceof ForbiddenError) {
+      if (
+        error instanceof NotFoundError ||
+        error instanceof BadRequestError ||
+        error instanceof ForbiddenError ||
+        error instanceof ConflictError
+      ) {
         throw error;
       }
+      if (error.name === 'DocumentNotFoundError') {
+        throw new ConflictError('Inspection was modified by another request. Reload and retry.');
+      }
       
       throw new DatabaseError('Failed to update inspection', error);
     }
   }
 
+  /**
+   * Apply JSON Patch operations to checklist items (assigned inspector only, draft inspections)
+   * Paths address items by type name and position: /types/{typeName}/items/{position}/{status|rating|answer|remarks|photos}.
+   * The patch is applied atomically and only if the inspection is still at `revision`.
+   * @param {string} inspectionId - Inspection ID
+   * @param {Object} body - { revision, operations: [{ op, path, value? }] }
+   * @param {Object} currentUser - Current authenticated user
+   * @returns {Promise<Object>} Updated inspection (ratings recalculated, revision incremented)
+   */
+  async patchInspection(inspectionId, { revision, operations }, currentUser) {
+    try {
+      const inspection = await Inspection.findById(inspectionId);
+      if (!inspection) {
+        throw new NotFoundError('Inspection not found');
+      }
+      if (!policy.canEditInspection(currentUser, inspection)) {
+        throw new ForbiddenError('You do not have permission to update this inspection');
+      }
+      if (inspection.status !== 'draft') {
+        throw new BadRequestError('Only draft inspections can be updated');
+      }
+
+      const loadedRevision = inspection.revision || 0;
+      assertRevision(revision, loadedRevision);
+
+      const working = new Map();
+      const photoLimits = await photoLimitsFor(inspection);
+      operations.forEach((operation, index) => applyPatchOperation(inspection, working, operation, index, photoLimits));
+
+      const template = await getPinnedTemplate(inspection);
+      let changedItems = 0;
+      for (const { typeName, item, changes } of working.values()) {
+        if (Object.keys(changes).length === 0) continue;
+        const templateItem = templateItemFor(template, typeName, item.position);
+        const answerProblem = changes.answer !== undefined ? checkAnswer(templateItem || {}, changes.answer) : null;
+        if (answerProblem) {
+          throw new BadRequestError('Invalid checklist answer', [{
+            field: `/types/${typeName}/items/${item.position}/answer`,
+            message: answerProblem
+          }]);
+        }
+        applyItemChanges(item, changes, templateItem);
+        item.revision = null; // stamped with the new revision on save
+        changedItems++;
+      }
+
+      if (changedItems > 0) {
+        // Answers can show or hide dependent items
+        const { types, changed } = applyVisibility(inspection.toObject({ transform: false }).types, template, vehicleOf(inspection));
+        if (changed) inspection.types = types;
+        inspection.$where = revisionFilter(loadedRevision);
+        await inspection.save(); // Pre-save hook will recalculate ratings
+      }
+
+      logger.info('Inspection patched', {
+        inspectionId: inspection.id,
+        updatedBy: currentUser.id,
+        operations: operations.length,
+        changedItems,
+        revision: inspection.revision
+      });
+
+      return inspection;
+    } catch (error) {
+      if (
+        error instanceof NotFoundError ||
+        error instanceof BadRequestError ||
+        error instanceof ForbiddenError ||
+        error instanceof ConflictError
+      ) {
+        throw error;
+      }
+      if (error.name === 'DocumentNotFoundError') {
+        throw new ConflictError('Inspection was modified by another request. Reload and retry.');
+      }
+      logger.error('Error patching inspection', error, { inspectionId });
+      throw new DatabaseError('Failed to update inspection', error);
+    }
+  }
+
+  /**
+   * Update a single checklist item (assigned inspector only, draft inspections)
+   * @param {string} inspectionId - Inspection ID
+   * @param {string} typeName - Inspection type name
+   * @param {number} position - Item position within the type
+   * @param {Object} body - { revision, status?, rating?, answer?, remarks?, photos? }
+   * @param {Object} currentUser - Current authenticated user
+   * @returns {Promise<Object>} Updated inspection
+   */
+  async updateChecklistItem(inspectionId, typeName, position, body, currentUser) {
+    const { revision, ...changes } = body;
+    const base = `/types/${typeName.replace(/~/g, '~0').replace(/\//g, '~1')}/items/${position}`;
+    const operations = Object.entries(changes).map(([name, value]) => ({ op: 'replace', path: `${base}/${name}`, value }));
+    return this.patchInspection(inspectionId, { revision, operations }, currentUser);
+  }
+
+  /**
+   * Apply a batch of offline checklist item operations (assigned inspector only, draft inspections)
+   * Operations are applied in clientTimestamp order and recorded by opId, so a retried batch is not applied twice.
+   * The batch is written only if no other write landed since it was read; otherwise it is re-applied on a fresh copy.
+   * @param {string} inspectionId - Inspection ID
+   * @param {Object} body - { baseRevision, deviceId?, operations: [{ opId, typeName, position, clientTimestamp, changes }] }
+   * @param {Object} currentUser - Current authenticated user
+   * @returns {Promise<Object>} { inspectionId, revision, serverTime, summary, results } (results in request order)
+   */
+  async syncInspection(inspectionId, body, currentUser) {
+    const { baseRevision, deviceId = null, operations } = body;
+    try {
+      const opIds = operations.map(op => op.opId);
+      if (new Set(opIds).size !== opIds.length) {
+        throw new BadRequestError('Operation IDs must be unique within a batch');
+      }
+
+      let template = null;
+      for (let attempt = 1; attempt <= INSPECTION_SYNC.MAX_ATTEMPTS; attempt++) {
+        const inspection = await Inspection.findById(inspectionId);
+        if (!inspection) {
+          throw new NotFoundError('Inspection not found');
+        }
+        if (!policy.canEditInspection(currentUser, inspection)) {
+          throw new ForbiddenError('You do not have permission to update this inspection');
+        }
+        if (inspection.status !== 'draft') {
+          throw new BadRequestError('Only draft inspections can be updated');
+        }
+
+        const loadedRevision = inspection.revision || 0;
+        if (baseRevision > loadedRevision) {
+          throw new BadRequestError(`baseRevision ${baseRevision} is ahead of the server revision ${loadedRevision}`);
+        }
+
+        template = template || await getPinnedTemplate(inspection);
+        const photoLimits = await photoLimitsFor(inspection);
+        const known = await InspectionSyncOperation.find({ inspectionId: inspection._id, opId: { $in: opIds } }).lean();
+        const knownById = new Map(known.map(op => [op.opId, op]));
+        const pending = operations
+          .filter(op => !knownById.has(op.opId))
+          .sort((a, b) => new Date(a.clientTimestamp) - new Date(b.clientTimestamp));
+
+        const now = new Date();
+        const newRevision = loadedRevision + 1;
+        const results = new Map();
+        for (const op of pending) {
+          const type = inspection.types.find(t => t.typeName === op.typeName);
+          const item = type?.checklistItems.find(i => i.position === op.position);
+          const maxPhotos = photoLimits.get(op.typeName);
+          const templateItem = templateItemFor(template, op.typeName, op.position);
+          results.set(op.opId, applySyncOperation(item, op, { baseRevision, newRevision, now, maxPhotos, templateItem }));
+        }
+
+        const appliedCount = [...results.values()].filter(r => r.status === 'applied').length;
+        let revision = loadedRevision;
+        if (appliedCount > 0) {
+          // Answers can show or hide dependent items; newly shown ones change in this revision
+          const { types, changed } = applyVisibility(inspection.toObject({ transform: false }).types, template, vehicleOf(inspection));
+          if (changed) {
+            inspection.types = types;
+            inspection.types.forEach(type => type.checklistItems.forEach((item) => {
+              if (item.revision == null) {
+                item.revision = newRevision;
+                item.updatedAt = now;
+              }
+            }));
+          }
+          inspection.calculateRatings();
+          inspection.revision = newRevision;
+          await inspection.validate();
+          const { modifiedCount } = await Inspection.updateOne(
+            { _id: inspection._id, ...revisionFilter(loadedRevision) },
+            {
+              $set: {
+                types: inspection.toObject({ transform: false }).types,
+                overallRating: inspection.overallRating,
+                grade: inspection.grade,
+                scoreBreakdown: inspection.scoreBreakdown,
+                revision: newRevision
+              }
+            }
+          );
+          if (modifiedCount === 0) {
+            logger.warn('Inspection changed during sync, retrying', { inspectionId, attempt });
+            continue;
+          }
+          revision = newRevision;
+        }
+
+        if (pending.length > 0) {
+          try {
+            await InspectionSyncOperation.insertMany(pending.map(op => {
+              const { item, ...result } = results.get(op.opId);
+              return { inspectionId: inspection._id, opId: op.opId, inspectorId: currentUser.id, deviceId, result, revision };
+            }), { ordered: false });
+          } catch (error) {
+            // A concurrent retry of the same batch already recorded these operations
+            if (!(error.code === 11000 || error.writeErrors?.every(e => e.code === 11000))) {
+              throw error;
+            }
+          }
+        }
+
+        const summary = { applied: appliedCount, conflicts: 0, rejected: 0, duplicates: known.length };
+        const ordered = operations.map((op) => {
+          const stored = knownById.get(op.opId);
+          if (stored) {
+            return { opId: op.opId, ...stored.result, duplicate: true };
+          }
+          const result = results.get(op.opId);
+          if (result.status === 'conflict') summary.conflicts++;
+          if (result.status === 'rejected') summary.rejected++;
+          return { opId: op.opId, ...result };
+        });
+
+        logger.info('Inspection synced', { inspectionId, deviceId, revision, ...summary });
+
+        return {
+          inspectionId: inspection._id,
+          revision,
+          serverTime: now,
+          summary,
+          results: ordered
+        };
+      }
+
+      throw new ConflictError('Inspection is being updated concurrently. Retry the sync.');
+    } catch (error) {
+      if (
+        error instanceof NotFoundError ||
+        error instanceof BadRequestError ||
+        error instanceof ForbiddenError ||
+        error instanceof ConflictError
+      ) {
+        throw error;
+      }
+      logger.error('Error syncing inspection', error, { inspectionId });
+      throw new DatabaseError('Failed to sync inspection', error);
+    }
+  }
+
+  /**
+   * Checklist items changed after a revision, so an offline client can resume
+   * @param {string} inspectionId - Inspection ID
+   * @param {Object} queryParams - { sinceRevision } (0 returns every item)
+   * @param {Object} currentUser - Inspection's inspector, or a user with inspections:read-all
+   * @returns {Promise<Object>} { inspectionId, revision, status, overallRating, items }
+   */
+  async getInspectionChanges(inspectionId, { sinceRevision = 0 } = {}, currentUser) {
+    try {
+      const inspection = await Inspection.findById(inspectionId).lean();
+      if (!inspection) {
+        throw new NotFoundError('Inspection not found');
+      }
+      if (!policy.canViewInspection(currentUser, inspection)) {
+        throw new ForbiddenError('You do not have permission to view this inspection');
+      }
+
+      const items = [];
+      inspection.types.forEach(type => {
+        type.checklistItems.forEach(item => {
+          if ((item.revision || 0) > sinceRevision || sinceRevision === 0) {
+            items.push(toSyncItem(type.typeName, item));
+          }
+        });
+      });
+
+      return {
+        inspectionId: inspection._id,
+        revision: inspection.revision || 0,
+        status: inspection.status,
+        overallRating: inspection.overallRating,
+        serverTime: new Date(),
+        items
+      };
+    } catch (error) {
+      if (error instanceof NotFoundError || error instanceof ForbiddenError) {
+        throw error;
+      }
+      logger.error('Error fetching inspection changes', error, { inspectionId });
+      throw new DatabaseError('Failed to fetch inspection changes', error);
+    }
+  }
+
   /**
    * Delete inspection (inspector only, only if draft)
    * @param {string} inspectionId - Inspection ID
@@ -954,7 +1798,7 @@ class ChecklistService {
       }
 
       // Only inspector who created it can delete
-      if (inspection.inspectorId.toString() !== currentUser.id) {
+      if (!policy.canEditInspection(currentUser, inspection)) {
         throw new ForbiddenError('You do not have permission to delete this inspection');
       }
 
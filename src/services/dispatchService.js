@@ -0,0 +1,223 @@
+/**
+ * Dispatch Service
+ * Ranks active inspectors for an inspection request. Each component scores 0..1 and is weighted by DISPATCH.WEIGHTS:
+ * - distance: request location vs inspector home base (coordinates, else zip/city/state match)
+ * - workload: free share of the inspector's concurrent capacity
+ * - rating: customer feedback average, smoothed towards DISPATCH.RATING_PRIOR
+ * - availability: declared availableStatus
+ * Inspectors at capacity, not free for the booked slot or declared unavailable are ineligible.
+ */
+
+const mongoose = require('mongoose');
+const InspectionRequest = require('../models/InspectionRequest');
+const User = require('../models/User');
+const { NotFoundError, BadRequestError, DatabaseError } = require('../utils/errors');
+const { USER_ROLES, USER_STATUS, REQUEST_STATUS, DISPATCH } = require('../config/constants');
+const capacityService = require('./capacityService');
+const schedulingService = require('./schedulingService');
+const geo = require('../utils/geo');
+const logger = require('../utils/logger');
+
+// Requests that can no longer be dispatched
+const CLOSED_STATUSES = [REQUEST_STATUS.COMPLETED, REQUEST_STATUS.CANCELLED];
+
+const round = (value, digits = 3) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+const normalize = (value) => String(value || '').trim().toLowerCase();
+
+/** Proximity of an inspector's home base to the request location. */
+function scoreDistance(location = {}, homeBase = {}) {
+  if (geo.hasCoordinates(location.coordinates) && geo.hasCoordinates(homeBase.coordinates)) {
+    const distanceKm = geo.haversineKm(location.coordinates, homeBase.coordinates);
+    return {
+      score: Math.max(0, 1 - distanceKm / DISPATCH.MAX_DISTANCE_KM),
+      basis: 'coordinates',
+      distanceKm: round(distanceKm, 1)
+    };
+  }
+
+  const scores = DISPATCH.LOCATION_MATCH_SCORES;
+  const zip = normalize(location.zipCode);
+  const baseZip = normalize(homeBase.zipCode);
+  const sameState = normalize(location.state) !== '' && normalize(location.state) === normalize(homeBase.state);
+  let basis = 'none';
+  if (zip && zip === baseZip) {
+    basis = 'zip';
+  } else if (zip.length >= 3 && zip.slice(0, 3) === baseZip.slice(0, 3)) {
+    basis = 'zip_prefix';
+  } else if (sameState && normalize(location.city) !== '' && normalize(location.city) === normalize(homeBase.city)) {
+    basis = 'city';
+  } else if (sameState) {
+    basis = 'state';
+  }
+  return { score: scores[basis], basis, distanceKm: null };
+}
+
+/** Free share of concurrent capacity. */
+function scoreWorkload(workload) {
+  return {
+    score: workload.maxConcurrent > 0 ? workload.remaining / workload.maxConcurrent : 0,
+    openCount: workload.openCount,
+    maxConcurrent: workload.maxConcurrent
+  };
+}
+
+/** Smoothed customer rating mapped from 1..5 to 0..1. */
+function scoreRating(stats = { average: null, count: 0 }) {
+  const weight = DISPATCH.RATING_PRIOR_WEIGHT;
+  const smoothed = (DISPATCH.RATING_PRIOR * weight + (stats.average || 0) * stats.count) / (weight + stats.count);
+  return {
+    score: (smoothed - 1) / 4,
+    average: stats.average != null ? round(stats.average, 2) : null,
+    count: stats.count
+  };
+}
+
+/** Declared availableStatus. */
+function scoreAvailability(availableStatus) {
+  const status = normalize(availableStatus);
+  const score = Object.prototype.hasOwnProperty.call(DISPATCH.AVAILABLE_STATUS_SCORES, status)
+    ? DISPATCH.AVAILABLE_STATUS_SCORES[status]
+    : DISPATCH.DEFAULT_AVAILABILITY_SCORE;
+  return { score, availableStatus: availableStatus || null };
+}
+
+/**
+ * Dispatch Service Class
+ */
+class DispatchService {
+  /**
+   * Customer rating average and count per inspector
+   * @param {Array<string>} inspectorIds - Inspector IDs
+   * @returns {Promise<Map<string, Object>>} { average, count } by inspector ID
+   */
+  async _getRatingStats(inspectorIds) {
+    const rows = await InspectionRequest.aggregate([
+      {
+        $match: {
+          assignedInspectorId: { $in: inspectorIds.map(id => new mongoose.Types.ObjectId(String(id))) },
+          'customerFeedback.rating': { $ne: null }
+        }
+      },
+      { $group: { _id: '$assignedInspectorId', average: { $avg: '$customerFeedback.rating' }, count: { $sum: 1 } } }
+    ]).exec();
+    return new Map(rows.map(r => [String(r._id), { average: r.average, count: r.count }]));
+  }
+
+  /**
+   * Score and rank all active inspectors for a request (no DB writes)
+   * @param {Object} request - Inspection request (document or lean)
+   * @returns {Promise<Array<Object>>} Candidates, eligible first, each sorted by score (desc)
+   */
+  async rankInspectors(request) {
+    const inspectors = await User.find({ role: USER_ROLES.INSPECTOR, status: USER_STATUS.ACTIVE })
+      .select('firstName lastName email phone availableStatus homeBase capacity')
+      .lean();
+    if (inspectors.length === 0) return [];
+
+    const ids = inspectors.map(i => i._id);
+    const slot = request.scheduledStart
+      ? schedulingService.buildSlot(request.scheduledStart, request.estimatedDurationMinutes)
+      : null;
+
+    const [workloads, ratings, slotChecks] = await Promise.all([
+      capacityService.getWorkloads(inspectors, {
+        date: request.scheduledStart || request.preferredDate,
+        excludeRequestId: request._id
+      }),
+      this._getRatingStats(ids),
+      slot
+        ? Promise.all(ids.map(id => schedulingService.checkSlot(id, slot, { excludeRequestId: request._id })))
+        : Promise.resolve(null)
+    ]);
+
+    const candidates = inspectors.map((inspector, index) => {
+      const id = String(inspector._id);
+      const workload = workloads.get(id);
+
+      const reasons = capacityService.evaluate(workload);
+      if (slotChecks) {
+        reasons.push(...slotChecks[index].reasons);
+      }
+      if (DISPATCH.UNAVAILABLE_STATUSES.includes(normalize(inspector.availableStatus))) {
+        reasons.push({
+          code: 'declared_unavailable',
+          message: `Inspector has declared themselves "${inspector.availableStatus}"`
+        });
+      }
+
+      const components = {
+        distance: scoreDistance(request.location || {}, inspector.homeBase || {}),
+        workload: scoreWorkload(workload),
+        rating: scoreRating(ratings.get(id)),
+        availability: scoreAvailability(inspector.availableStatus)
+      };
+      const breakdown = {};
+      let score = 0;
+      for (const [name, component] of Object.entries(components)) {
+        const weight = DISPATCH.WEIGHTS[name];
+        const weighted = weight * component.score;
+        breakdown[name] = { ...component, score: round(component.score), weight, weighted: round(weighted) };
+        score += weighted;
+      }
+
+      return {
+        inspector: {
+          id,
+          firstName: inspector.firstName,
+          lastName: inspector.lastName,
+          email: inspector.email,
+          phone: inspector.phone,
+          availableStatus: inspector.availableStatus,
+          homeBase: inspector.homeBase || null
+        },
+        score: round(score),
+        eligible: reasons.length === 0,
+        reasons,
+        breakdown,
+        current: request.assignedInspectorId != null && String(request.assignedInspectorId._id || request.assignedInspectorId) === id
+      };
+    });
+
+    return candidates.sort((a, b) => (b.eligible - a.eligible) || (b.score - a.score));
+  }
+
+  /**
+   * Ranked candidates for a request (admin dry run)
+   * @param {string} requestId - Inspection request ID (MongoDB _id)
+   * @param {Object} queryParams - { limit, includeIneligible }
+   * @returns {Promise<Object>} { requestId, weights, candidates, eligibleCount, evaluatedCount }
+   */
+  async getCandidates(requestId, { limit = 10, includeIneligible = false } = {}) {
+    try {
+      const request = await InspectionRequest.findById(requestId).lean();
+      if (!request) {
+        throw new NotFoundError('Inspection request not found');
+      }
+      if (CLOSED_STATUSES.includes(request.status)) {
+        throw new BadRequestError(`Cannot dispatch a ${request.status} request`);
+      }
+
+      const ranked = await this.rankInspectors(request);
+      const eligibleCount = ranked.filter(c => c.eligible).length;
+      const candidates = (includeIneligible ? ranked : ranked.filter(c => c.eligible)).slice(0, limit);
+
+      return {
+        requestId: request._id,
+        requestRequestId: request.requestId,
+        weights: DISPATCH.WEIGHTS,
+        evaluatedCount: ranked.length,
+        eligibleCount,
+        candidates
+      };
+    } catch (error) {
+      if (error instanceof NotFoundError || error instanceof BadRequestError) {
+        throw error;
+      }
+      logger.error('Error ranking dispatch candidates', error, { requestId });
+      throw new DatabaseError('Failed to rank dispatch candidates', error);
+    }
+  }
+}
+
+module.exports = new DispatchService();
@@ -0,0 +1,335 @@
+/**
+ * Inspection Category Service
+ * Admin management of inspection categories and the rules templates, inspections and uploads are validated against.
+ * The collection is seeded from INSPECTION_TYPES / VIDEO_ALLOWED_TYPES the first time it is read while empty.
+ * Categories are cached per Lambda instance for INSPECTION_CATEGORIES.CACHE_TTL_MS.
+ */
+
+const InspectionCategory = require('../models/InspectionCategory');
+const ChecklistTemplate = require('../models/ChecklistTemplate');
+const Inspection = require('../models/Inspection');
+const {
+  NotFoundError,
+  BadRequestError,
+  ConflictError,
+  DatabaseError
+} = require('../utils/errors');
+const { INSPECTION_TYPES, VIDEO_ALLOWED_TYPES, INSPECTION_CATEGORIES } = require('../config/constants');
+const logger = require('../utils/logger');
+
+const MEDIA_FIELDS = ['videosAllowed', 'maxVideos', 'maxPhotosPerItem', 'maxOverallPhotos'];
+
+const sortCategories = (a, b) => (a.order - b.order) || a.name.localeCompare(b.name);
+
+/**
+ * Inspection Category Service Class
+ */
+class InspectionCategoryService {
+  constructor() {
+    this._cache = null;
+    this._cachedAt = 0;
+  }
+
+  /**
+   * Insert the default categories when none exist
+   * @returns {Promise<void>}
+   */
+  async _seedDefaults() {
+    if (await InspectionCategory.exists({})) return;
+
+    const defaults = Object.values(INSPECTION_TYPES).map((name, index) => {
+      const videosAllowed = VIDEO_ALLOWED_TYPES.includes(name);
+      return {
+        name,
+        order: (index + 1) * 10,
+        media: {
+          videosAllowed,
+          maxVideos: videosAllowed ? INSPECTION_CATEGORIES.DEFAULT_MAX_VIDEOS : 0
+        }
+      };
+    });
+    try {
+      await InspectionCategory.insertMany(defaults, { ordered: false });
+      logger.info('Default inspection categories seeded', { count: defaults.length });
+    } catch (error) {
+      // Seeded concurrently
+      if (!(error.code === 11000 || error.writeErrors?.every(e => e.code === 11000))) {
+        throw error;
+      }
+    }
+  }
+
+  /**
+   * All categories (active and inactive), ordered
+   * @param {Object} options - { fresh: bypass the cache }
+   * @returns {Promise<Array>} Lean categories
+   */
+  async getCategories({ fresh = false } = {}) {
+    const expired = Date.now() - this._cachedAt > INSPECTION_CATEGORIES.CACHE_TTL_MS;
+    if (!this._cache || expired || fresh) {
+      await this._seedDefaults();
+      const categories = await InspectionCategory.find().lean();
+      this._cache = categories.sort(sortCategories);
+      this._cachedAt = Date.now();
+    }
+    return this._cache;
+  }
+
+  _invalidate() {
+    this._cache = null;
+    this._cachedAt = 0;
+  }
+
+  /**
+   * Category by name (active or not)
+   * @param {string} name - Category name (typeName)
+   * @returns {Promise<Object|null>} Lean category
+   */
+  async findByName(name) {
+    const categories = await this.getCategories();
+    return categories.find(c => c.name === name) || null;
+  }
+
+  /**
+   * Active category by name, or throw
+   * @param {string} name - Category name (typeName)
+   * @param {string} field - Field name for the error details
+   * @returns {Promise<Object>} Lean category
+   * @throws {BadRequestError} Unknown or inactive category
+   */
+  async requireActive(name, field = 'typeName') {
+    const category = await this.findByName((name || '').trim());
+    if (!category || !category.isActive) {
+      const active = (await this.getCategories()).filter(c => c.isActive).map(c => c.name);
+      throw new BadRequestError(`Invalid inspection category: ${name}`, [{
+        field,
+        message: `${field} must be one of: ${active.join(', ')}`
+      }]);
+    }
+    return category;
+  }
+
+  /**
+   * Validate template types against active categories and their media rules
+   * @param {Array} types - Template type configs
+   * @returns {Promise<Array>} The types sorted by category order
+   * @throws {BadRequestError} Unknown/inactive category or video settings the category does not allow
+   */
+  async validateTemplateTypes(types) {
+    const orderByName = new Map();
+    for (const [index, typeConfig] of types.entries()) {
+      const category = await this.requireActive(typeConfig.typeName, `types[${index}].typeName`);
+      if (typeConfig.allowVideos && !category.media.videosAllowed) {
+        throw new BadRequestError(`Videos are not allowed for ${category.name}`);
+      }
+      if (typeConfig.allowVideos && typeConfig.maxVideos > category.media.maxVideos) {
+        throw new BadRequestError(`Maximum ${category.media.maxVideos} videos allowed for ${category.name}`);
+      }
+      orderByName.set(category.name, category.order);
+    }
+    return [...types].sort((a, b) => orderByName.get(a.typeName) - orderByName.get(b.typeName));
+  }
+
+  /**
+   * Check an inspection type's media against its category (inactive categories still apply to existing templates)
+   * @param {Object} typeInspection - { typeName, checklistItems, overallPhotos, videos }
+   * @param {Object} templateType - Matching template type config ({ allowVideos, maxVideos })
+   * @throws {BadRequestError} When a limit is exceeded
+   */
+  async assertInspectionMedia(typeInspection, templateType = {}) {
+    const category = await this.findByName(typeInspection.typeName);
+    if (!category) {
+      throw new BadRequestError(`Invalid inspection category: ${typeInspection.typeName}`);
+    }
+    const { media } = category;
+    const name = category.name;
+
+    const videos = typeInspection.videos || [];
+    if (videos.length > 0) {
+      if (!media.videosAllowed || templateType.allowVideos === false) {
+        throw new BadRequestError(`Videos are not allowed for ${name}`);
+      }
+      const maxVideos = Math.min(media.maxVideos, templateType.maxVideos ?? media.maxVideos);
+      if (videos.length > maxVideos) {
+        throw new BadRequestError(`Maximum ${maxVideos} videos allowed for ${name}`);
+      }
+    }
+    if ((typeInspection.overallPhotos || []).length > media.maxOverallPhotos) {
+      throw new BadRequestError(`Maximum ${media.maxOverallPhotos} overall photos allowed for ${name}`);
+    }
+    const crowded = (typeInspection.checklistItems || []).find(item => (item.photos || []).length > media.maxPhotosPerItem);
+    if (crowded) {
+      throw new BadRequestError(
+        `Maximum ${media.maxPhotosPerItem} photos allowed per checklist item in ${name} (item ${crowded.position})`
+      );
+    }
+  }
+
+  /**
+   * Create a category (admin only)
+   * @param {Object} data - { name, description?, order?, media?, isActive? }
+   * @param {Object} currentUser - Authenticated admin
+   * @returns {Promise<Object>} Created category
+   */
+  async createCategory(data, currentUser) {
+    try {
+      await this._seedDefaults();
+      const category = await InspectionCategory.create({
+        name: data.name,
+        description: data.description || '',
+        order: data.order ?? 0,
+        media: data.media || {},
+        isActive: data.isActive ?? true,
+        createdBy: currentUser.id,
+        updatedBy: currentUser.id
+      });
+      this._invalidate();
+
+      logger.info('Inspection category created', { categoryId: category.id, name: category.name });
+      return category;
+    } catch (error) {
+      throw this._mapWriteError(error, 'Failed to create inspection category', { name: data.name });
+    }
+  }
+
+  /**
+   * List categories, ordered
+   * @param {Object} options - { isActive?: boolean }
+   * @returns {Promise<Array>} Categories
+   */
+  async getAllCategories(options = {}) {
+    try {
+      const categories = await this.getCategories({ fresh: true });
+      return options.isActive === undefined
+        ? categories
+        : categories.filter(c => c.isActive === options.isActive);
+    } catch (error) {
+      logger.error('Error fetching inspection categories', error);
+      throw new DatabaseError('Failed to fetch inspection categories', error);
+    }
+  }
+
+  /**
+   * Active categories, ordered (for inspector and admin apps)
+   * @returns {Promise<Array>} Categories
+   */
+  async getActiveCategories() {
+    try {
+      return (await this.getCategories()).filter(c => c.isActive);
+    } catch (error) {
+      logger.error('Error fetching active inspection categories', error);
+      throw new DatabaseError('Failed to fetch inspection categories', error);
+    }
+  }
+
+  /**
+   * Get a category by ID
+   * @param {string} categoryId - Category ID
+   * @returns {Promise<Object>} Category
+   */
+  async getCategoryById(categoryId) {
+    try {
+      const category = await InspectionCategory.findById(categoryId);
+      if (!category) {
+        throw new NotFoundError('Inspection category not found');
+      }
+      return category;
+    } catch (error) {
+      if (error instanceof NotFoundError) {
+        throw error;
+      }
+      logger.error('Error fetching inspection category', error, { categoryId });
+      throw new DatabaseError('Failed to fetch inspection category', error);
+    }
+  }
+
+  /**
+   * Update a category (admin only). A category used by templates or inspections cannot be renamed.
+   * @param {string} categoryId - Category ID
+   * @param {Object} data - Any create field; media fields are merged
+   * @param {Object} currentUser - Authenticated admin
+   * @returns {Promise<Object>} Updated category
+   */
+  async updateCategory(categoryId, data, currentUser) {
+    try {
+      const category = await InspectionCategory.findById(categoryId);
+      if (!category) {
+        throw new NotFoundError('Inspection category not found');
+      }
+
+      if (data.name !== undefined && data.name !== category.name && await this._isInUse(category.name)) {
+        throw new ConflictError('Cannot rename a category used by templates or inspections');
+      }
+
+      ['name', 'description', 'order', 'isActive'].forEach((key) => {
+        if (data[key] !== undefined) category[key] = data[key];
+      });
+      MEDIA_FIELDS.forEach((key) => {
+        if (data.media?.[key] !== undefined) category.set(`media.${key}`, data.media[key]);
+      });
+      category.updatedBy = currentUser.id;
+      await category.save();
+      this._invalidate();
+
+      logger.info('Inspection category updated', { categoryId: category.id, name: category.name });
+      return category;
+    } catch (error) {
+      throw this._mapWriteError(error, 'Failed to update inspection category', { categoryId });
+    }
+  }
+
+  /**
+   * Delete a category (admin only). Categories in use must be deactivated instead.
+   * @param {string} categoryId - Category ID
+   * @returns {Promise<void>}
+   */
+  async deleteCategory(categoryId) {
+    try {
+      const category = await InspectionCategory.findById(categoryId);
+      if (!category) {
+        throw new NotFoundError('Inspection category not found');
+      }
+      if (await this._isInUse(category.name)) {
+        throw new ConflictError('Cannot delete a category used by templates or inspections. Deactivate it instead.');
+      }
+
+      await InspectionCategory.deleteOne({ _id: category._id });
+      this._invalidate();
+      logger.info('Inspection category deleted', { categoryId, name: category.name });
+    } catch (error) {
+      if (error instanceof NotFoundError || error instanceof ConflictError) {
+        throw error;
+      }
+      logger.error('Error deleting inspection category', error, { categoryId });
+      throw new DatabaseError('Failed to delete inspection category', error);
+    }
+  }
+
+  async _isInUse(name) {
+    const [template, inspection] = await Promise.all([
+      ChecklistTemplate.exists({ 'types.typeName': name }),
+      Inspection.exists({ 'types.typeName': name })
+    ]);
+    return Boolean(template || inspection);
+  }
+
+  /** Translate write failures into API errors. */
+  _mapWriteError(error, message, context) {
+    if (error instanceof NotFoundError || error instanceof BadRequestError || error instanceof ConflictError) {
+      return error;
+    }
+    if (error.code === 11000) {
+      return new ConflictError('An inspection category with this name already exists');
+    }
+    if (error.name === 'ValidationError') {
+      return new BadRequestError(
+        'Invalid inspection category',
+        Object.values(error.errors).map(e => ({ field: e.path, message: e.message }))
+      );
+    }
+    logger.error(message, error, context);
+    return new DatabaseError(message, error);
+  }
+}
+
+module.exports = new InspectionCategoryService();
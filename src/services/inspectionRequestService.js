@@ -11,11 +11,36 @@ const {
   NotFoundError,
   BadRequestError,
   ForbiddenError,
+  ConflictError,
   DatabaseError
 } = require('../utils/errors');
-const { USER_ROLES, USER_STATUS } = require('../config/constants');
+const {
+  USER_ROLES,
+  USER_STATUS,
+  REQUEST_STATUS,
+  SCHEDULING,
+  CAPACITY,
+  DISPATCH,
+  SERVICE_AREAS,
+  VEHICLE_HISTORY
+} = require('../config/constants');
+const requestStateMachine = require('../utils/requestStateMachine');
+const notificationService = require('./notificationService');
+const schedulingService = require('./schedulingService');
+const capacityService = require('./capacityService');
+const dispatchService = require('./dispatchService');
+const serviceAreaService = require('./serviceAreaService');
+const vehicleService = require('./vehicleService');
+const policy = require('../middleware/policy');
+const { PERMISSIONS } = require('../config/permissions');
 const logger = require('../utils/logger');
 
+// Mean Earth radius used by MongoDB $centerSphere (radians = km / radius)
+const EARTH_RADIUS_KM = 6378.1;
+
+// Statuses in which an inspector can be swapped without a status change
+const REASSIGNABLE_STATUSES = [REQUEST_STATUS.ASSIGNED, REQUEST_STATUS.IN_PROGRESS];
+
 /**
  * Inspection Request Service Class
  */
@@ -81,6 +106,7 @@ class InspectionRequestService {
    * @returns {Promise<Object>} Created request with user info
    */
   async createRequest(requestData) {
+    let serviceArea = null;
     try {
       const email = requestData.email?.toLowerCase().trim();
       
@@ -88,6 +114,9 @@ class InspectionRequestService {
         throw new BadRequestError('Email is required');
       }
 
+      // Reject locations outside the active service areas before creating anything
+      serviceArea = await serviceAreaService.assertCovered(requestData.location || {});
+
       // Find or create user
       let user = await User.findOne({ email });
 
@@ -151,9 +180,12 @@ class InspectionRequestService {
             requestType: requestData.requestType || 'car inspection',
             vehicleInfo: requestData.vehicleInfo,
             reason: requestData.reason ?? '',
-            preferredDate: requestData.preferredDate || null,
+            preferredDate: requestData.preferredDate || requestData.scheduledStart || null,
             preferredTime: requestData.preferredTime || '',
+            scheduledStart: requestData.scheduledStart || null,
+            estimatedDurationMinutes: requestData.estimatedDurationMinutes || SCHEDULING.DEFAULT_DURATION_MINUTES,
             location: requestData.location || {},
+            serviceArea,
             notes: requestData.notes || '',
             status: 'pending'
           });
@@ -171,9 +203,12 @@ class InspectionRequestService {
                 requestType: requestData.requestType || 'car inspection',
                 vehicleInfo: requestData.vehicleInfo,
                 reason: requestData.reason ?? '',
-                preferredDate: requestData.preferredDate || null,
+                preferredDate: requestData.preferredDate || requestData.scheduledStart || null,
                 preferredTime: requestData.preferredTime || '',
+                scheduledStart: requestData.scheduledStart || null,
+                estimatedDurationMinutes: requestData.estimatedDurationMinutes || SCHEDULING.DEFAULT_DURATION_MINUTES,
                 location: requestData.location || {},
+                serviceArea,
                 notes: requestData.notes || '',
                 status: 'pending'
               });
@@ -199,6 +234,9 @@ class InspectionRequestService {
         userCreated: !user.createdAt || (Date.now() - new Date(user.createdAt).getTime()) < 5000
       });
 
+      await vehicleService.linkRecord(VEHICLE_HISTORY.SOURCES.REQUEST, request);
+      await notificationService.notifyRequestCreated(request);
+
       return request;
     } catch (error) {
       if (error instanceof ForbiddenError || error instanceof BadRequestError) {
@@ -220,14 +258,19 @@ class InspectionRequestService {
             requestType: requestData.requestType || 'car inspection',
             vehicleInfo: requestData.vehicleInfo,
             reason: requestData.reason ?? '',
-            preferredDate: requestData.preferredDate || null,
+            preferredDate: requestData.preferredDate || requestData.scheduledStart || null,
             preferredTime: requestData.preferredTime || '',
+            scheduledStart: requestData.scheduledStart || null,
+            estimatedDurationMinutes: requestData.estimatedDurationMinutes || SCHEDULING.DEFAULT_DURATION_MINUTES,
             location: requestData.location || {},
+            serviceArea,
             notes: requestData.notes || '',
             status: 'pending'
           });
 
           await request.populate('userId', 'firstName lastName email phone role status');
+          await vehicleService.linkRecord(VEHICLE_HISTORY.SOURCES.REQUEST, request);
+          await notificationService.notifyRequestCreated(request);
           return request;
         }
       }
@@ -267,8 +310,8 @@ class InspectionRequestService {
       // Build filter
       const filter = {};
       
-      // "My requests" (meOnly) or non-admin: only current user's requests; admin (non-meOnly): all requests
-      const onlyMyRequests = options.meOnly === true || currentUser.role !== USER_ROLES.ADMIN;
+      // "My requests" (meOnly) or without requests:read-all: only current user's requests; otherwise all requests
+      const onlyMyRequests = options.meOnly === true || !policy.can(currentUser, PERMISSIONS.REQUESTS_READ_ALL);
       if (onlyMyRequests) {
         // Use _id (ObjectId) for query, fallback to id (string) if _id not available
         // Mongoose will handle string to ObjectId conversion automatically
@@ -339,9 +382,9 @@ class InspectionRequestService {
   }
 
   /**
-   * Get inspection requests assigned to the current inspector (inspector only)
+   * Get inspection requests assigned to the current inspector (requires requests:read-assigned)
    * @param {Object} queryParams - Query parameters (page, limit, status, sortBy, sortOrder)
-   * @param {Object} currentUser - Current authenticated user (must be inspector)
+   * @param {Object} currentUser - Current authenticated user with requests:read-assigned
    * @returns {Promise<Object>} Paginated requests list
    */
   async getAssignedRequestsForInspector(queryParams = {}, currentUser) {
@@ -349,9 +392,7 @@ class InspectionRequestService {
       if (!currentUser) {
         throw new BadRequestError('User authentication required');
       }
-      if (currentUser.role !== USER_ROLES.INSPECTOR) {
-        throw new ForbiddenError('Only inspectors can view their assigned requests');
-      }
+      policy.assertCan(currentUser, PERMISSIONS.REQUESTS_READ_ASSIGNED, 'Only inspectors can view their assigned requests');
 
       const inspectorId = currentUser._id || currentUser.id;
       if (!inspectorId) {
@@ -442,16 +483,7 @@ class InspectionRequestService {
         throw new NotFoundError('Inspection request not found');
       }
 
-      // Authorization: Admin can view all; owner (userId) or assigned inspector can view
-      const currentUserId = currentUser._id?.toString() || currentUser.id?.toString();
-      const requestUserId = request.userId._id?.toString() || request.userId.id?.toString();
-      const assignedInspectorIdStr = request.assignedInspectorId?._id?.toString() || request.assignedInspectorId?.id?.toString() || request.assignedInspectorId?.toString();
-
-      const canView =
-        currentUser.role === USER_ROLES.ADMIN ||
-        currentUserId === requestUserId ||
-        currentUserId === assignedInspectorIdStr;
-      if (!canView) {
+      if (!policy.canViewRequest(currentUser, request)) {
         throw new ForbiddenError('You do not have permission to view this inspection request');
       }
 
@@ -475,7 +507,7 @@ class InspectionRequestService {
   /**
    * Update inspection request (user edits own request; only when status is pending)
    * @param {string} requestId - Request ID (MongoDB _id)
-   * @param {Object} updateData - Allowed fields: requestType, vehicleInfo, preferredDate, preferredTime, location, notes
+   * @param {Object} updateData - Allowed fields: requestType, vehicleInfo, preferredDate, preferredTime, scheduledStart, estimatedDurationMinutes, location, notes
    * @param {Object} currentUser - Authenticated user
    * @returns {Promise<Object>} Updated request
    */
@@ -486,12 +518,7 @@ class InspectionRequestService {
         throw new NotFoundError('Inspection request not found');
       }
 
-      const currentUserId = (currentUser._id || currentUser.id)?.toString();
-      const requestUserId = request.userId?.toString();
-      const isOwner = currentUserId === requestUserId;
-      const isAdmin = currentUser.role === USER_ROLES.ADMIN;
-
-      if (!isAdmin && !isOwner) {
+      if (!policy.canEditRequest(currentUser, request)) {
         throw new ForbiddenError('You can only edit your own inspection requests');
       }
 
@@ -501,7 +528,9 @@ class InspectionRequestService {
         );
       }
 
-      const allowedFields = ['requestType', 'preferredDate', 'preferredTime', 'notes', 'reason'];
+      const allowedFields = [
+        'requestType', 'preferredDate', 'preferredTime', 'scheduledStart', 'estimatedDurationMinutes', 'notes', 'reason'
+      ];
       for (const key of allowedFields) {
         if (updateData[key] !== undefined) {
           request[key] = updateData[key];
@@ -528,10 +557,15 @@ class InspectionRequestService {
         if (loc.city !== undefined) locObj.city = loc.city;
         if (loc.state !== undefined) locObj.state = loc.state;
         if (loc.zipCode !== undefined) locObj.zipCode = loc.zipCode;
+        if (loc.coordinates !== undefined) locObj.coordinates = loc.coordinates || { lat: null, lng: null };
         request.location = locObj;
+        request.serviceArea = await serviceAreaService.assertCovered(locObj);
       }
 
       await request.save();
+      if (updateData.vehicleInfo && typeof updateData.vehicleInfo === 'object') {
+        await vehicleService.linkRecord(VEHICLE_HISTORY.SOURCES.REQUEST, request);
+      }
 
       await request.populate('userId', 'firstName lastName email phone');
       await request.populate('assignedInspectorId', 'firstName lastName email');
@@ -555,18 +589,18 @@ class InspectionRequestService {
   }
 
   /**
-   * Assign or reassign an inspector to an inspection request (admin only)
-   * Allowed for any status (admin can reassign at any time). When reassigning, previous inspector's is_assigned is cleared.
+   * Assign or reassign an inspector to an inspection request (requires requests:assign)
+   * pending/rescheduled/on_hold requests move to assigned; assigned/in_progress requests keep their status (reassignment).
+   * Completed and cancelled requests cannot be assigned. The inspector must be within capacity (open and daily limits),
+   * and when the request has a booked slot (or body books one), free for it (ConflictError otherwise).
    * @param {string} requestId - Inspection request ID (MongoDB _id)
-   * @param {Object} body - { inspectorId }
-   * @param {Object} currentUser - Authenticated user (must be admin)
+   * @param {Object} body - { inspectorId, scheduledStart?, estimatedDurationMinutes? }
+   * @param {Object} currentUser - Authenticated user with requests:assign
    * @returns {Promise<Object>} Updated request with populated assignedInspectorId
    */
   async assignInspector(requestId, body, currentUser) {
     try {
-      if (currentUser.role !== USER_ROLES.ADMIN) {
-        throw new ForbiddenError('Only admins can assign inspectors to requests');
-      }
+      policy.assertCan(currentUser, PERMISSIONS.REQUESTS_ASSIGN, 'You do not have permission to assign inspectors to requests');
 
       const request = await InspectionRequest.findById(requestId);
       if (!request) {
@@ -578,7 +612,7 @@ class InspectionRequestService {
         throw new BadRequestError('Inspector ID is required');
       }
 
-      const inspector = await User.findById(inspectorId).select('role status is_assigned').exec();
+      const inspector = await User.findById(inspectorId).select('role status capacity').exec();
       if (!inspector) {
         throw new NotFoundError('Inspector not found');
       }
@@ -590,18 +624,36 @@ class InspectionRequestService {
       }
 
       const previousInspectorId = request.assignedInspectorId?.toString?.() || request.assignedInspectorId;
-      if (previousInspectorId && previousInspectorId !== inspectorId) {
-        await User.findByIdAndUpdate(previousInspectorId, { is_assigned: false });
+
+      if (body.scheduledStart) {
+        request.scheduledStart = body.scheduledStart;
+      }
+      if (body.estimatedDurationMinutes) {
+        request.estimatedDurationMinutes = body.estimatedDurationMinutes;
+      }
+      if (request.scheduledStart) {
+        await schedulingService.assertSlotAvailable(
+          inspectorId,
+          schedulingService.buildSlot(request.scheduledStart, request.estimatedDurationMinutes),
+          { excludeRequestId: request._id }
+        );
       }
+      await capacityService.assertCapacity(inspector, {
+        date: request.scheduledStart || request.preferredDate,
+        excludeRequestId: request._id
+      });
 
       request.assignedInspectorId = inspectorId;
       request.assignedAt = new Date();
-      if (request.status === 'pending') {
-        request.status = 'assigned';
+      if (!REASSIGNABLE_STATUSES.includes(request.status)) {
+        requestStateMachine.transition(request, REQUEST_STATUS.ASSIGNED, {
+          actor: currentUser,
+          reason: body.reason || 'Inspector assigned'
+        });
       }
       await request.save();
 
-      await User.findByIdAndUpdate(inspectorId, { is_assigned: true });
+      await capacityService.syncAssignedFlags([inspectorId, previousInspectorId]);
 
       await request.populate('userId', 'firstName lastName email phone');
       await request.populate('assignedInspectorId', 'firstName lastName email phone');
@@ -614,12 +666,15 @@ class InspectionRequestService {
         adminId: currentUser._id || currentUser.id
       });
 
+      await notificationService.notifyInspectorAssigned(request, { previousInspectorId });
+
       return request;
     } catch (error) {
       if (
         error instanceof NotFoundError ||
         error instanceof ForbiddenError ||
-        error instanceof BadRequestError
+        error instanceof BadRequestError ||
+        error instanceof ConflictError
       ) {
         throw error;
       }
@@ -629,16 +684,17 @@ class InspectionRequestService {
   }
 
   /**
-   * Approve an inspection request (admin only). Request must be pending.
+   * Approve an inspection request (requires requests:approve). Request must be pending.
+   * With autoAssign, the best-ranked eligible inspector (see dispatchService) is assigned right away;
+   * when none is eligible the request stays approved and pending.
    * @param {string} requestId - Inspection request ID (MongoDB _id)
-   * @param {Object} currentUser - Authenticated user (must be admin)
-   * @returns {Promise<Object>} Updated request
+   * @param {Object} body - { autoAssign?: boolean }
+   * @param {Object} currentUser - Authenticated user with requests:approve
+   * @returns {Promise<Object>} { request, dispatch } (dispatch is null without autoAssign)
    */
-  async approveRequest(requestId, currentUser) {
+  async approveRequest(requestId, body, currentUser) {
     try {
-      if (currentUser.role !== USER_ROLES.ADMIN) {
-        throw new ForbiddenError('Only admins can approve inspection requests');
-      }
+      policy.assertCan(currentUser, PERMISSIONS.REQUESTS_APPROVE, 'You do not have permission to approve inspection requests');
 
       const request = await InspectionRequest.findById(requestId);
       if (!request) {
@@ -664,7 +720,12 @@ class InspectionRequestService {
         adminId: currentUser._id || currentUser.id
       });
 
-      return request;
+      await notificationService.notifyRequestApproved(request);
+
+      if (!body?.autoAssign) {
+        return { request, dispatch: null };
+      }
+      return await this._autoAssign(request, currentUser);
     } catch (error) {
       if (
         error instanceof NotFoundError ||
@@ -679,40 +740,138 @@ class InspectionRequestService {
   }
 
   /**
-   * Reject an inspection request (admin only). Sets status to cancelled.
+   * Assign the best-ranked eligible inspector. Tries up to DISPATCH.MAX_ATTEMPTS candidates in order,
+   * skipping any that became unavailable since ranking (409 from assignInspector).
+   * @param {Object} request - Approved inspection request
+   * @param {Object} currentUser - Authenticated admin
+   * @returns {Promise<Object>} { request, dispatch: { assigned, inspectorId, score, breakdown, evaluatedCount, eligibleCount } }
+   */
+  async _autoAssign(request, currentUser) {
+    const ranked = await dispatchService.rankInspectors(request);
+    const eligible = ranked.filter(c => c.eligible);
+    const dispatch = {
+      assigned: false,
+      inspectorId: null,
+      score: null,
+      breakdown: null,
+      evaluatedCount: ranked.length,
+      eligibleCount: eligible.length
+    };
+
+    for (const candidate of eligible.slice(0, DISPATCH.MAX_ATTEMPTS)) {
+      try {
+        const assigned = await this.assignInspector(
+          request._id,
+          { inspectorId: candidate.inspector.id, reason: `Auto-dispatched (score ${candidate.score})` },
+          currentUser
+        );
+        logger.info('Inspector auto-dispatched', {
+          requestId: request.id,
+          inspectorId: candidate.inspector.id,
+          score: candidate.score
+        });
+        return {
+          request: assigned,
+          dispatch: {
+            ...dispatch,
+            assigned: true,
+            inspectorId: candidate.inspector.id,
+            score: candidate.score,
+            breakdown: candidate.breakdown
+          }
+        };
+      } catch (error) {
+        if (!(error instanceof ConflictError)) {
+          throw error;
+        }
+        logger.warn('Auto-dispatch candidate no longer available', { requestId: request.id, inspectorId: candidate.inspector.id });
+      }
+    }
+
+    logger.warn('Auto-dispatch found no eligible inspector', { requestId: request.id, evaluatedCount: ranked.length });
+    return { request, dispatch };
+  }
+
+  /**
+   * Submit (or replace) the customer's feedback on a completed request (request owner only)
+   * @param {string} requestId - Inspection request ID (MongoDB _id)
+   * @param {Object} body - { rating: 1-5, comment? }
+   * @param {Object} currentUser - Authenticated user (must own the request)
+   * @returns {Promise<Object>} Updated request
+   */
+  async submitFeedback(requestId, body, currentUser) {
+    try {
+      const request = await InspectionRequest.findById(requestId);
+      if (!request) {
+        throw new NotFoundError('Inspection request not found');
+      }
+
+      const currentUserId = currentUser._id?.toString() || currentUser.id?.toString();
+      if (request.userId?.toString() !== currentUserId) {
+        throw new ForbiddenError('You can only rate your own inspection requests');
+      }
+      if (request.status !== REQUEST_STATUS.COMPLETED) {
+        throw new BadRequestError(`Feedback can only be given on completed requests. Current status: ${request.status}`);
+      }
+
+      request.customerFeedback = {
+        rating: body.rating,
+        comment: body.comment || '',
+        submittedAt: new Date()
+      };
+      await request.save();
+
+      await request.populate('userId', 'firstName lastName email phone');
+      await request.populate('assignedInspectorId', 'firstName lastName email');
+      await request.populate('inspectionId', 'status overallRating');
+
+      logger.info('Inspection request feedback submitted', {
+        requestId: request.id,
+        rating: body.rating,
+        inspectorId: request.assignedInspectorId?._id
+      });
+
+      return request;
+    } catch (error) {
+      if (
+        error instanceof NotFoundError ||
+        error instanceof ForbiddenError ||
+        error instanceof BadRequestError
+      ) {
+        throw error;
+      }
+      logger.error('Error submitting inspection request feedback', error, { requestId });
+      throw new DatabaseError('Failed to submit feedback', error);
+    }
+  }
+
+  /**
+   * Reject an inspection request (requires requests:reject). Sets status to cancelled.
    * @param {string} requestId - Inspection request ID (MongoDB _id)
    * @param {Object} body - { reason?: string }
-   * @param {Object} currentUser - Authenticated user (must be admin)
+   * @param {Object} currentUser - Authenticated user with requests:reject
    * @returns {Promise<Object>} Updated request
    */
   async rejectRequest(requestId, body, currentUser) {
     try {
-      if (currentUser.role !== USER_ROLES.ADMIN) {
-        throw new ForbiddenError('Only admins can reject inspection requests');
-      }
+      policy.assertCan(currentUser, PERMISSIONS.REQUESTS_REJECT, 'You do not have permission to reject inspection requests');
 
       const request = await InspectionRequest.findById(requestId);
       if (!request) {
         throw new NotFoundError('Inspection request not found');
       }
 
-      if (request.status === 'cancelled') {
-        throw new BadRequestError('Request is already cancelled');
-      }
-
       const reason = (body.reason || '').trim().slice(0, 500);
 
-      request.status = 'cancelled';
+      requestStateMachine.transition(request, REQUEST_STATUS.CANCELLED, { actor: currentUser, reason });
       request.cancelledAt = new Date();
       request.cancelledReason = reason || undefined;
 
-      // If an inspector was assigned, unassign them so they become available again
-      if (request.assignedInspectorId) {
-        await User.findByIdAndUpdate(request.assignedInspectorId, { is_assigned: false });
-      }
-
       await request.save();
 
+      // The cancelled request no longer counts towards the inspector's open assignments
+      await capacityService.syncAssignedFlags([request.assignedInspectorId]);
+
       await request.populate('userId', 'firstName lastName email phone');
       await request.populate('assignedInspectorId', 'firstName lastName email');
       await request.populate('inspectionId', 'status overallRating');
@@ -723,6 +882,8 @@ class InspectionRequestService {
         adminId: currentUser._id || currentUser.id
       });
 
+      await notificationService.notifyRequestRejected(request);
+
       return request;
     } catch (error) {
       if (
@@ -737,9 +898,166 @@ class InspectionRequestService {
     }
   }
 
+  /**
+   * Change request status through the state machine (requires requests:change-status).
+   * Used for the branches that have no dedicated endpoint: on_hold, rescheduled, back to pending/assigned, cancelled.
+   * @param {string} requestId - Inspection request ID (MongoDB _id)
+   * @param {Object} body - { status, reason?, preferredDate?, preferredTime? }
+   * @param {Object} currentUser - Authenticated user with requests:change-status
+   * @returns {Promise<Object>} Updated request
+   */
+  async changeStatus(requestId, body, currentUser) {
+    try {
+      policy.assertCan(currentUser, PERMISSIONS.REQUESTS_CHANGE_STATUS, 'You do not have permission to change inspection request status');
+
+      const request = await InspectionRequest.findById(requestId);
+      if (!request) {
+        throw new NotFoundError('Inspection request not found');
+      }
+
+      const reason = (body.reason || '').trim().slice(0, 500);
+      const previousStatus = request.status;
+      const previousInspectorId = request.assignedInspectorId;
+
+      if (body.status === REQUEST_STATUS.RESCHEDULED && !body.preferredDate && !body.scheduledStart) {
+        throw new BadRequestError('A new preferredDate or scheduledStart is required to reschedule a request');
+      }
+
+      requestStateMachine.transition(request, body.status, { actor: currentUser, reason });
+
+      if (body.status === REQUEST_STATUS.RESCHEDULED) {
+        request.preferredDate = body.preferredDate || body.scheduledStart;
+        if (body.preferredTime !== undefined) {
+          request.preferredTime = body.preferredTime;
+        }
+        if (body.scheduledStart) {
+          request.scheduledStart = body.scheduledStart;
+        }
+        if (body.estimatedDurationMinutes) {
+          request.estimatedDurationMinutes = body.estimatedDurationMinutes;
+        }
+        // The inspector keeps the request, so the new slot must fit their calendar
+        if (request.assignedInspectorId && request.scheduledStart) {
+          await schedulingService.assertSlotAvailable(
+            request.assignedInspectorId,
+            schedulingService.buildSlot(request.scheduledStart, request.estimatedDurationMinutes),
+            { excludeRequestId: request._id }
+          );
+        }
+      }
+      if (body.status === REQUEST_STATUS.PENDING && request.assignedInspectorId) {
+        // Back to the queue: release the inspector
+        request.assignedInspectorId = null;
+        request.assignedAt = null;
+      }
+      if (body.status === REQUEST_STATUS.CANCELLED) {
+        request.cancelledAt = new Date();
+        request.cancelledReason = reason || undefined;
+      }
+      // Re-opening work (e.g. on_hold -> assigned) must fit the inspector's capacity
+      if (
+        request.assignedInspectorId &&
+        CAPACITY.OPEN_STATUSES.includes(request.status) &&
+        !CAPACITY.OPEN_STATUSES.includes(previousStatus)
+      ) {
+        const inspector = await User.findById(request.assignedInspectorId).select('capacity').lean();
+        await capacityService.assertCapacity(inspector, {
+          date: request.scheduledStart || request.preferredDate,
+          excludeRequestId: request._id
+        });
+      }
+
+      await request.save();
+
+      await capacityService.syncAssignedFlags([previousInspectorId, request.assignedInspectorId]);
+
+      await request.populate('userId', 'firstName lastName email phone');
+      await request.populate('assignedInspectorId', 'firstName lastName email');
+      await request.populate('inspectionId', 'status overallRating');
+
+      logger.info('Inspection request status changed by admin', {
+        requestId: request.id,
+        requestRequestId: request.requestId,
+        from: previousStatus,
+        to: request.status,
+        adminId: currentUser._id || currentUser.id
+      });
+
+      if (request.status === REQUEST_STATUS.CANCELLED) {
+        await notificationService.notifyRequestRejected(request);
+      }
+
+      return request;
+    } catch (error) {
+      if (
+        error instanceof NotFoundError ||
+        error instanceof ForbiddenError ||
+        error instanceof BadRequestError ||
+        error instanceof ConflictError
+      ) {
+        throw error;
+      }
+      logger.error('Error changing inspection request status', error, { requestId, status: body?.status });
+      throw new DatabaseError('Failed to change inspection request status', error);
+    }
+  }
+
+  /**
+   * Get status transition history of a request (same access rules as getRequestById)
+   * @param {string} requestId - Inspection request ID (MongoDB _id)
+   * @param {Object} currentUser - Authenticated user
+   * @returns {Promise<Object>} { id, requestId, status, history }
+   */
+  async getStatusHistory(requestId, currentUser) {
+    try {
+      const request = await InspectionRequest.findById(requestId)
+        .select('requestId status userId assignedInspectorId statusHistory')
+        .populate('statusHistory.changedBy', 'firstName lastName email role')
+        .lean();
+
+      if (!request) {
+        throw new NotFoundError('Inspection request not found');
+      }
+
+      if (!policy.canViewRequest(currentUser, request)) {
+        throw new ForbiddenError('You do not have permission to view this inspection request');
+      }
+
+      const history = (request.statusHistory || []).map(entry => ({
+        from: entry.from,
+        to: entry.to,
+        changedBy: entry.changedBy
+          ? {
+            id: entry.changedBy._id,
+            firstName: entry.changedBy.firstName,
+            lastName: entry.changedBy.lastName,
+            ...(policy.can(currentUser, PERMISSIONS.USERS_READ) && { email: entry.changedBy.email })
+          }
+          : null,
+        changedByRole: entry.changedByRole,
+        reason: entry.reason,
+        changedAt: entry.changedAt
+      }));
+
+      return {
+        id: request._id,
+        requestId: request.requestId,
+        status: request.status,
+        allowedTransitions: requestStateMachine.getAllowedTransitions(request.status),
+        history
+      };
+    } catch (error) {
+      if (error instanceof NotFoundError || error instanceof ForbiddenError) {
+        throw error;
+      }
+      logger.error('Error fetching inspection request history', error, { requestId });
+      throw new DatabaseError('Failed to fetch inspection request history', error);
+    }
+  }
+
   /**
    * Get all requests for admin dashboard
-   * @param {Object} queryParams - Query parameters
+   * @param {Object} queryParams - Query parameters; near ({ lat, lng }) with radiusKm keeps requests with coordinates in range
    * @returns {Promise<Object>} All requests with statistics
    */
   async getAllRequestsForAdmin(queryParams = {}) {
@@ -749,13 +1067,21 @@ class InspectionRequestService {
         limit = 10,
         status = null,
         sortBy = 'createdAt',
-        sortOrder = 'DESC'
+        sortOrder = 'DESC',
+        near = null,
+        radiusKm = SERVICE_AREAS.DEFAULT_NEAR_RADIUS_KM
       } = queryParams;
 
       const filter = {};
       if (status) {
         filter.status = status;
       }
+      // $geoWithin (unlike $near) works with countDocuments and a custom sort
+      if (near) {
+        filter['location.geo'] = {
+          $geoWithin: { $centerSphere: [[near.lng, near.lat], radiusKm / EARTH_RADIUS_KM] }
+        };
+      }
 
       const sort = {};
       const sortField = sortBy === 'id' ? '_id' : sortBy;
@@ -781,13 +1107,17 @@ class InspectionRequestService {
         assignedCount,
         inProgressCount,
         completedCount,
-        cancelledCount
+        cancelledCount,
+        onHoldCount,
+        rescheduledCount
       ] = await Promise.all([
         InspectionRequest.countDocuments({ status: 'pending' }),
         InspectionRequest.countDocuments({ status: 'assigned' }),
         InspectionRequest.countDocuments({ status: 'in_progress' }),
         InspectionRequest.countDocuments({ status: 'completed' }),
-        InspectionRequest.countDocuments({ status: 'cancelled' })
+        InspectionRequest.countDocuments({ status: 'cancelled' }),
+        InspectionRequest.countDocuments({ status: 'on_hold' }),
+        InspectionRequest.countDocuments({ status: 'rescheduled' })
       ]);
 
       const totalPages = Math.ceil(totalCount / limit);
@@ -800,7 +1130,9 @@ class InspectionRequestService {
           assigned: assignedCount,
           inProgress: inProgressCount,
           completed: completedCount,
-          cancelled: cancelledCount
+          cancelled: cancelledCount,
+          onHold: onHoldCount,
+          rescheduled: rescheduledCount
         },
         pagination: {
           currentPage: parseInt(page),
@@ -812,6 +1144,8 @@ class InspectionRequestService {
         },
         filters: {
           status: status || null,
+          near: near || null,
+          radiusKm: near ? radiusKm : null,
           sortBy,
           sortOrder
         }
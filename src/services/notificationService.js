@@ -0,0 +1,426 @@
+/**
+ * Notification Service
+ * Templated email notifications for inspection request milestones.
+ * Templates come from the NotificationTemplate collection (admin overrides) or config/notificationTemplates.js.
+ * Delivery goes through utils/mailer.js, whose transport can be swapped (e.g. in-memory in tests).
+ * Sending never throws: a failed email is logged and must not fail the request that triggered it.
+ */
+
+const InspectionRequest = require('../models/InspectionRequest');
+const InspectorAvailability = require('../models/InspectorAvailability');
+const User = require('../models/User');
+const NotificationTemplate = require('../models/NotificationTemplate');
+const defaultTemplates = require('../config/notificationTemplates');
+const { sendMail } = require('../utils/mailer');
+const {
+  NotFoundError,
+  DatabaseError
+} = require('../utils/errors');
+const { NOTIFICATION_EVENTS, NOTIFICATIONS } = require('../config/constants');
+const logger = require('../utils/logger');
+
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+/** Escape a value for interpolation into HTML. */
+function escapeHtml(value) {
+  return String(value).replace(/[&<>"']/g, (ch) => HTML_ESCAPES[ch]);
+}
+
+/** True when a template variable should count as set for {{#name}} sections. */
+function isSet(value) {
+  return value !== undefined && value !== null && value !== '' && value !== false;
+}
+
+/**
+ * Render a template string: {{#name}}...{{/name}} sections are kept only when name is set,
+ * then {{name}} placeholders are replaced (unknown names become empty strings).
+ * @param {string} template - Template string
+ * @param {Object} variables - Values by name
+ * @param {boolean} html - Escape interpolated values for HTML
+ * @returns {string} Rendered string
+ */
+function renderString(template, variables, html = false) {
+  if (!template) return '';
+  return template
+    .replace(/\{\{#(\w+)\}\}([\s\S]*?)\{\{\/\1\}\}/g, (match, name, inner) => (isSet(variables[name]) ? inner : ''))
+    .replace(/\{\{(\w+)\}\}/g, (match, name) => {
+      const value = isSet(variables[name]) ? variables[name] : '';
+      return html ? escapeHtml(value) : String(value);
+    });
+}
+
+/** Format a date/time for emails (in the configured time zone unless one is given). */
+function formatDateTime(date, withTime = true, timeZone = NOTIFICATIONS.TIMEZONE) {
+  if (!date) return '';
+  const options = { timeZone, dateStyle: 'medium', ...(withTime && { timeStyle: 'short' }) };
+  return new Intl.DateTimeFormat('en-US', options).format(new Date(date));
+}
+
+function fullName(user) {
+  if (!user || typeof user !== 'object') return '';
+  return [user.firstName, user.lastName].filter(Boolean).join(' ');
+}
+
+function formatVehicle(vehicleInfo = {}) {
+  return [vehicleInfo.year, vehicleInfo.make, vehicleInfo.model].filter(Boolean).join(' ') || 'vehicle';
+}
+
+function formatLocation(location = {}) {
+  return [location.address, location.city, location.state, location.zipCode].filter(Boolean).join(', ');
+}
+
+/**
+ * Human-readable scheduled time of a request: the booked slot in the given time zone, e.g.
+ * "Jan 5, 2026, 9:00 – 10:30 AM (America/New_York)", or the customer's preferences when no slot is booked.
+ */
+function formatScheduledTime(request, timeZone) {
+  if (request.scheduledStart) {
+    const formatter = new Intl.DateTimeFormat('en-US', { timeZone, dateStyle: 'medium', timeStyle: 'short' });
+    const start = new Date(request.scheduledStart);
+    const slot = request.scheduledEnd
+      ? formatter.formatRange(start, new Date(request.scheduledEnd))
+      : formatter.format(start);
+    return `${slot} (${timeZone})`;
+  }
+  if (!request.preferredDate) return request.preferredTime || '';
+  return [formatDateTime(request.preferredDate, false), request.preferredTime].filter(Boolean).join(' ');
+}
+
+/**
+ * Variables shared by every request notification
+ * @param {Object} request - Request loaded by _loadRequest
+ * @param {string} timeZone - Time zone of the booked slot
+ */
+function requestVariables(request, timeZone = NOTIFICATIONS.TIMEZONE) {
+  return {
+    requestId: request.requestId || String(request._id),
+    customerName: fullName(request.userId) || 'there',
+    vehicle: formatVehicle(request.vehicleInfo),
+    location: formatLocation(request.location),
+    inspectorName: fullName(request.assignedInspectorId),
+    preferredDate: request.preferredDate ? formatDateTime(request.preferredDate, false) : '',
+    preferredTime: request.preferredTime || '',
+    scheduledTime: formatScheduledTime(request, timeZone)
+  };
+}
+
+/** Merge a stored override with its default for API responses. */
+function toTemplateView(key, override) {
+  const defaults = defaultTemplates[key];
+  return {
+    key,
+    description: defaults.description,
+    variables: defaults.variables,
+    subject: override ? override.subject : defaults.subject,
+    html: override ? override.html : defaults.html,
+    text: override ? override.text : defaults.text,
+    isActive: override ? override.isActive : true,
+    customized: !!override,
+    updatedAt: override ? override.updatedAt : null
+  };
+}
+
+/**
+ * Notification Service Class
+ */
+class NotificationService {
+  /**
+   * Resolve the template for an event (stored override or built-in default)
+   * @param {string} key - Notification event key
+   * @returns {Promise<Object>} Template view
+   */
+  async _resolveTemplate(key) {
+    const override = await NotificationTemplate.findOne({ key }).lean();
+    return toTemplateView(key, override);
+  }
+
+  /**
+   * Render and send one notification. Never throws.
+   * @param {string} key - Notification event key
+   * @param {string} to - Recipient email
+   * @param {Object} variables - Template variables
+   * @returns {Promise<boolean>} true when the email was handed to the transport
+   */
+  async send(key, to, variables = {}) {
+    if (!NOTIFICATIONS.ENABLED) return false;
+    if (!to) {
+      logger.warn('Notification skipped: recipient has no email', { key });
+      return false;
+    }
+
+    try {
+      const template = await this._resolveTemplate(key);
+      if (!template.isActive) {
+        logger.info('Notification skipped: template disabled', { key, to });
+        return false;
+      }
+
+      await sendMail({
+        to,
+        subject: renderString(template.subject, variables),
+        html: renderString(template.html, variables, true),
+        text: renderString(template.text, variables)
+      });
+
+      logger.info('Notification sent', { key, to });
+      return true;
+    } catch (error) {
+      logger.error('Failed to send notification', error, { key, to });
+      return false;
+    }
+  }
+
+  /**
+   * Load a request with the customer and inspector needed by the templates
+   * @param {Object|string} request - InspectionRequest document or ID
+   * @returns {Promise<Object|null>} Lean request
+   */
+  async _loadRequest(request) {
+    const id = request?._id || request;
+    return InspectionRequest.findById(id)
+      .populate('userId', 'firstName lastName email')
+      .populate('assignedInspectorId', 'firstName lastName email')
+      .lean();
+  }
+
+  /**
+   * Template variables of a loaded request. A booked slot is shown in the inspector's time zone (the one their
+   * working hours and the slot were checked in), or NOTIFICATIONS.TIMEZONE when they have not published hours.
+   * @param {Object} request - Request loaded by _loadRequest
+   * @returns {Promise<Object>} Variables
+   */
+  async _requestVariables(request) {
+    const inspectorId = request.assignedInspectorId?._id;
+    const availability = request.scheduledStart && inspectorId
+      ? await InspectorAvailability.findOne({ inspectorId }).select('timezone').lean()
+      : null;
+    return requestVariables(request, availability?.timezone || NOTIFICATIONS.TIMEZONE);
+  }
+
+  /**
+   * Load the request and send one customer notification. Never throws.
+   * @param {string} key - Notification event key
+   * @param {Object|string} request - InspectionRequest document or ID
+   * @param {Object} extra - Extra template variables
+   * @returns {Promise<boolean>}
+   */
+  async _notifyCustomer(key, request, extra = {}) {
+    try {
+      const loaded = await this._loadRequest(request);
+      if (!loaded) return false;
+      return await this.send(key, loaded.userId?.email, { ...(await this._requestVariables(loaded)), ...extra });
+    } catch (error) {
+      logger.error('Failed to prepare notification', error, { key, requestId: request?._id || request });
+      return false;
+    }
+  }
+
+  /**
+   * Customer: request received
+   * @param {Object|string} request - InspectionRequest document or ID
+   */
+  async notifyRequestCreated(request) {
+    return this._notifyCustomer(NOTIFICATION_EVENTS.REQUEST_CREATED, request);
+  }
+
+  /**
+   * Customer: request approved by admin
+   * @param {Object|string} request - InspectionRequest document or ID
+   */
+  async notifyRequestApproved(request) {
+    return this._notifyCustomer(NOTIFICATION_EVENTS.REQUEST_APPROVED, request);
+  }
+
+  /**
+   * Assignment/reassignment: customer gets inspector name and time, the new inspector gets the job,
+   * and a previous inspector (on reassignment) is told the job moved. Never throws.
+   * @param {Object|string} request - InspectionRequest document or ID
+   * @param {Object} options - { previousInspectorId }
+   */
+  async notifyInspectorAssigned(request, { previousInspectorId = null } = {}) {
+    try {
+      const loaded = await this._loadRequest(request);
+      if (!loaded) return;
+
+      const variables = await this._requestVariables(loaded);
+      const inspector = loaded.assignedInspectorId;
+      const newInspectorId = inspector?._id ? String(inspector._id) : null;
+
+      await this.send(NOTIFICATION_EVENTS.REQUEST_ASSIGNED, loaded.userId?.email, variables);
+      await this.send(NOTIFICATION_EVENTS.INSPECTOR_ASSIGNED, inspector?.email, {
+        ...variables,
+        customerName: fullName(loaded.userId),
+        notes: loaded.notes || ''
+      });
+
+      if (previousInspectorId && String(previousInspectorId) !== newInspectorId) {
+        const previous = await User.findById(previousInspectorId).select('firstName lastName email').lean();
+        if (previous) {
+          await this.send(NOTIFICATION_EVENTS.INSPECTOR_UNASSIGNED, previous.email, {
+            ...variables,
+            inspectorName: fullName(previous)
+          });
+        }
+      }
+    } catch (error) {
+      logger.error('Failed to prepare assignment notifications', error, { requestId: request?._id || request });
+    }
+  }
+
+  /**
+   * Customer: inspection started
+   * @param {Object|string} request - InspectionRequest document or ID
+   */
+  async notifyRequestStarted(request) {
+    return this._notifyCustomer(NOTIFICATION_EVENTS.REQUEST_STARTED, request, {
+      startedAt: formatDateTime(request?.inspectionStartTime || new Date())
+    });
+  }
+
+  /**
+   * Customer: inspection completed, with a share link to the report. Never throws.
+   * @param {Object|string} request - InspectionRequest document or ID
+   * @param {Object} currentUser - User completing the inspection (creates the report link)
+   */
+  async notifyRequestCompleted(request, currentUser) {
+    const extra = {};
+    try {
+      const loaded = await this._loadRequest(request);
+      if (loaded?.inspectionId) {
+        // Required lazily: reportService depends on checklistService, which depends on this service
+        const reportService = require('./reportService');
+        const Inspection = require('../models/Inspection');
+        const [share, inspection] = await Promise.all([
+          reportService.createShare(
+            String(loaded.inspectionId),
+            { expiresInDays: NOTIFICATIONS.REPORT_LINK_EXPIRES_IN_DAYS },
+            currentUser
+          ),
+          Inspection.findById(loaded.inspectionId).select('overallRating').lean()
+        ]);
+        // Without REPORT_SHARE_BASE_URL there is no report page to link to: send the token for GET /api/reports/{token}
+        extra.reportUrl = share.url || '';
+        extra.reportToken = share.url ? '' : share.token;
+        extra.reportExpiresAt = formatDateTime(share.expiresAt, false);
+        extra.overallRating = inspection?.overallRating || '';
+      }
+    } catch (error) {
+      logger.error('Failed to create report link for completion email', error, { requestId: request?._id || request });
+    }
+    return this._notifyCustomer(NOTIFICATION_EVENTS.REQUEST_COMPLETED, request, extra);
+  }
+
+  /**
+   * Customer: request rejected/cancelled, with cancelledReason
+   * @param {Object|string} request - InspectionRequest document or ID
+   */
+  async notifyRequestRejected(request) {
+    return this._notifyCustomer(NOTIFICATION_EVENTS.REQUEST_REJECTED, request, {
+      cancelledReason: request?.cancelledReason || ''
+    });
+  }
+
+  /**
+   * List all templates (defaults merged with admin overrides)
+   * @returns {Promise<Array<Object>>} Templates
+   */
+  async getAllTemplates() {
+    try {
+      const overrides = await NotificationTemplate.find({}).lean();
+      const byKey = new Map(overrides.map(o => [o.key, o]));
+      return Object.values(NOTIFICATION_EVENTS).map(key => toTemplateView(key, byKey.get(key)));
+    } catch (error) {
+      logger.error('Error fetching notification templates', error);
+      throw new DatabaseError('Failed to fetch notification templates', error);
+    }
+  }
+
+  /**
+   * Get one template
+   * @param {string} key - Notification event key
+   * @returns {Promise<Object>} Template
+   */
+  async getTemplate(key) {
+    if (!defaultTemplates[key]) {
+      throw new NotFoundError('Notification template not found');
+    }
+    try {
+      return await this._resolveTemplate(key);
+    } catch (error) {
+      logger.error('Error fetching notification template', error, { key });
+      throw new DatabaseError('Failed to fetch notification template', error);
+    }
+  }
+
+  /**
+   * Create or update the override for a template (admin only)
+   * @param {string} key - Notification event key
+   * @param {Object} data - { subject?, html?, text?, isActive? }
+   * @param {Object} currentUser - Current authenticated user
+   * @returns {Promise<Object>} Updated template
+   */
+  async updateTemplate(key, data, currentUser) {
+    if (!defaultTemplates[key]) {
+      throw new NotFoundError('Notification template not found');
+    }
+    try {
+      const current = await this._resolveTemplate(key);
+      const update = {
+        subject: data.subject ?? current.subject,
+        html: data.html ?? current.html,
+        text: data.text ?? current.text,
+        isActive: data.isActive ?? current.isActive,
+        updatedBy: currentUser._id || currentUser.id
+      };
+
+      const override = await NotificationTemplate.findOneAndUpdate(
+        { key },
+        { $set: update },
+        { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+      ).lean();
+
+      logger.info('Notification template updated', { key, updatedBy: update.updatedBy });
+
+      return toTemplateView(key, override);
+    } catch (error) {
+      logger.error('Error updating notification template', error, { key });
+      throw new DatabaseError('Failed to update notification template', error);
+    }
+  }
+
+  /**
+   * Drop the override so the built-in default is used again (admin only)
+   * @param {string} key - Notification event key
+   * @returns {Promise<Object>} Default template
+   */
+  async resetTemplate(key) {
+    if (!defaultTemplates[key]) {
+      throw new NotFoundError('Notification template not found');
+    }
+    try {
+      await NotificationTemplate.deleteOne({ key });
+      logger.info('Notification template reset to default', { key });
+      return toTemplateView(key, null);
+    } catch (error) {
+      logger.error('Error resetting notification template', error, { key });
+      throw new DatabaseError('Failed to reset notification template', error);
+    }
+  }
+
+  /**
+   * Render a template with sample or supplied variables without sending it
+   * @param {string} key - Notification event key
+   * @param {Object} variables - Template variables
+   * @returns {Promise<Object>} { subject, html, text }
+   */
+  async previewTemplate(key, variables = {}) {
+    const template = await this.getTemplate(key);
+    return {
+      subject: renderString(template.subject, variables),
+      html: renderString(template.html, variables, true),
+      text: renderString(template.text, variables)
+    };
+  }
+}
+
+module.exports = new NotificationService();
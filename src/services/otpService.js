@@ -1,19 +1,31 @@
 /**
  * OTP Service
  * Handles OTP generation, storage, verification, and email delivery
+ * Codes come from a CSPRNG and only their HMAC is stored. Each OTP accepts OTP_MAX_ATTEMPTS wrong codes, then
+ * stops working. Rate limits and lockout are applied by the caller (services/authProtectionService.js).
  */
 const crypto = require('crypto');
 const User = require('../models/User');
 const { sendOtpEmail } = require('../utils/mailer');
+const { AUTH_PROTECTION } = require('../config/constants');
 const { UnauthorizedError, BadRequestError, DatabaseError } = require('../utils/errors');
 const logger = require('../utils/logger');
 
-const OTP_EXPIRY_MINUTES = 10;
+const { OTP_EXPIRY_MINUTES, OTP_MAX_ATTEMPTS } = AUTH_PROTECTION;
+
+const OTP_SECRET =
+  process.env.OTP_SECRET || process.env.JWT_SECRET || 'your-super-secret-jwt-key-change-in-production';
 
 const generateOtp = () => {
-  return String(100000 + Math.floor(Math.random() * 900000));
+  return String(crypto.randomInt(0, 1000000)).padStart(6, '0');
 };
 
+// Keyed by user so equal codes of different users do not share a hash
+const hashOtp = (userId, otp) =>
+  crypto.createHmac('sha256', OTP_SECRET).update(`${userId}:${otp}`).digest('hex');
+
+const sameHash = (a, b) => a.length === b.length && crypto.timingSafeEqual(Buffer.from(a), Buffer.from(b));
+
 class OtpService {
   async issueOtp(email) {
     const normalizedEmail = (email && typeof email === 'string') ? email.toLowerCase().trim() : '';
@@ -21,7 +33,7 @@ class OtpService {
       throw new UnauthorizedError('Invalid email');
     }
     try {
-      const user = await User.findOne({ email: normalizedEmail }).select('+otpCode +otpExpires');
+      const user = await User.findOne({ email: normalizedEmail }).select('+otpCode +otpExpires +otpAttempts');
       if (!user) {
         throw new UnauthorizedError('Invalid email');
       }
@@ -29,8 +41,9 @@ class OtpService {
       const otp = generateOtp();
       const expires = new Date(Date.now() + OTP_EXPIRY_MINUTES * 60 * 1000);
 
-      user.otpCode = otp;
+      user.otpCode = hashOtp(user.id, otp);
       user.otpExpires = expires;
+      user.otpAttempts = 0;
       user.otpVerified = false;
       await user.save();
 
@@ -66,13 +79,29 @@ class OtpService {
         throw new UnauthorizedError('OTP expired');
       }
 
-      if (user.otpCode !== otp) {
+      // Count the attempt before comparing, so parallel guesses cannot exceed the limit
+      const attempt = await User.findOneAndUpdate(
+        { _id: user._id, otpCode: user.otpCode, otpAttempts: { $not: { $gte: OTP_MAX_ATTEMPTS } } },
+        { $inc: { otpAttempts: 1 } },
+        { new: true }
+      ).select('+otpAttempts');
+      if (!attempt) {
+        await this._invalidate(user);
+        throw new UnauthorizedError('Too many invalid attempts. Request a new OTP.');
+      }
+
+      if (!sameHash(hashOtp(user.id, String(otp)), user.otpCode)) {
+        if (attempt.otpAttempts >= OTP_MAX_ATTEMPTS) {
+          await this._invalidate(user);
+          throw new UnauthorizedError('Invalid OTP. Too many invalid attempts; request a new OTP.');
+        }
         throw new UnauthorizedError('Invalid OTP');
       }
 
       user.otpVerified = true;
       user.otpCode = null;
       user.otpExpires = null;
+      user.otpAttempts = 0;
       await user.save();
 
       logger.info('OTP verified', { userId: user.id, email: normalizedEmail });
@@ -85,7 +114,19 @@ class OtpService {
       throw new DatabaseError('Failed to verify OTP', error);
     }
   }
+
+  /**
+   * Discard the pending OTP (only if it has not been replaced meanwhile)
+   * @param {Object} user - User selected with +otpCode
+   * @returns {Promise<void>}
+   */
+  async _invalidate(user) {
+    await User.updateOne(
+      { _id: user._id, otpCode: user.otpCode },
+      { $set: { otpCode: null, otpExpires: null } }
+    );
+    logger.warn('OTP invalidated after too many invalid attempts', { userId: user.id });
+  }
 }
 
 module.exports = new OtpService();
-
@@ -0,0 +1,196 @@
+/**
+ * Password Service
+ * Forgot-password (single-use reset tokens sent by email) and password change for password accounts (admin,
+ * inspector). A new password signs the user out of their other sessions. Attempts are rate limited and audited
+ * (see authProtectionService); new passwords must meet PASSWORD_POLICY (utils/passwordPolicy.js).
+ */
+
+const crypto = require('crypto');
+const User = require('../models/User');
+const sessionService = require('./sessionService');
+const authProtectionService = require('./authProtectionService');
+const { sendPasswordResetEmail } = require('../utils/mailer');
+const { passwordPolicyErrors } = require('../utils/passwordPolicy');
+const {
+  USER_STATUS,
+  AUTH_SESSIONS,
+  AUTH_PROTECTION,
+  PASSWORD_RESET
+} = require('../config/constants');
+const { BadRequestError, NotFoundError, DatabaseError } = require('../utils/errors');
+const logger = require('../utils/logger');
+
+const { ACTIONS, OUTCOMES } = AUTH_PROTECTION;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/** Reset page link for a token, or null when PASSWORD_RESET_BASE_URL is not set (the email carries the token). */
+const resetUrlFor = (token) => {
+  if (!PASSWORD_RESET.BASE_URL) return null;
+  const separator = PASSWORD_RESET.BASE_URL.includes('?') ? '&' : '?';
+  return `${PASSWORD_RESET.BASE_URL}${separator}token=${encodeURIComponent(token)}`;
+};
+
+/** Reject a new password that breaks the policy (before any state changes). */
+const assertPolicy = (password, field) => {
+  const errors = passwordPolicyErrors(password);
+  if (errors.length > 0) {
+    throw new BadRequestError('Password does not meet the password policy', errors.map(message => ({ field, message })));
+  }
+};
+
+/**
+ * Password Service Class
+ */
+class PasswordService {
+  /**
+   * Email a reset token to an active password account. Other emails get no email but the same response, so the
+   * caller cannot tell which emails have accounts.
+   * @param {string} email - Account email
+   * @param {Object} client - Caller details (utils/clientInfo)
+   * @returns {Promise<Object>} { expiresInMinutes }
+   */
+  async requestReset(email, client = {}) {
+    const normalizedEmail = email.toLowerCase().trim();
+    const expiresInMinutes = PASSWORD_RESET.TOKEN_TTL_MINUTES;
+    await authProtectionService.consume(ACTIONS.PASSWORD_RESET_REQUEST, { email: normalizedEmail, client });
+
+    try {
+      const user = await User.findOne({ email: normalizedEmail });
+      if (!user || !User.usesPassword(user) || user.status !== USER_STATUS.ACTIVE) {
+        await authProtectionService.record(ACTIONS.PASSWORD_RESET_REQUEST, OUTCOMES.FAILURE, {
+          email: normalizedEmail,
+          userId: user?._id,
+          client,
+          reason: user ? 'not_eligible' : 'unknown_email'
+        });
+        return { expiresInMinutes };
+      }
+
+      // Replaces any earlier token
+      const token = crypto.randomBytes(32).toString('base64url');
+      await User.updateOne({ _id: user._id }, {
+        $set: {
+          passwordResetTokenHash: hashToken(token),
+          passwordResetExpires: new Date(Date.now() + expiresInMinutes * 60 * 1000)
+        }
+      });
+      await sendPasswordResetEmail({ to: user.email, token, resetUrl: resetUrlFor(token), expiresInMinutes });
+
+      await authProtectionService.record(ACTIONS.PASSWORD_RESET_REQUEST, OUTCOMES.SUCCESS, {
+        email: normalizedEmail,
+        userId: user._id,
+        client
+      });
+      logger.info('Password reset requested', { userId: user.id });
+      return { expiresInMinutes };
+    } catch (error) {
+      logger.error('Error requesting password reset', error, { email: normalizedEmail });
+      throw new DatabaseError('Failed to send password reset email', error);
+    }
+  }
+
+  /**
+   * Set a new password with a reset token. The token works once; the account's sessions are revoked and any
+   * sign-in lockout is cleared.
+   * @param {string} token - Token from the reset email
+   * @param {string} newPassword - New password
+   * @param {Object} client - Caller details
+   * @returns {Promise<void>}
+   * @throws {BadRequestError} Invalid, used or expired token, or a password that breaks the policy
+   */
+  async resetPassword(token, newPassword, client = {}) {
+    await authProtectionService.consume(ACTIONS.PASSWORD_RESET, { client });
+    assertPolicy(newPassword, 'password');
+
+    try {
+      // Claim the token atomically so two requests cannot both use it
+      const user = await User.findOneAndUpdate(
+        { passwordResetTokenHash: hashToken(String(token)), passwordResetExpires: { $gt: new Date() } },
+        { $set: { passwordResetTokenHash: null, passwordResetExpires: null } },
+        { new: true }
+      ).select('+password');
+      if (!user || user.status !== USER_STATUS.ACTIVE) {
+        await authProtectionService.record(ACTIONS.PASSWORD_RESET, OUTCOMES.FAILURE, {
+          email: user?.email,
+          userId: user?._id,
+          client,
+          reason: user ? 'not_eligible' : 'invalid_token'
+        });
+        throw new BadRequestError('Invalid or expired reset token');
+      }
+
+      user.password = newPassword;
+      await user.save();
+      await sessionService.revokeAllSessions(user._id, AUTH_SESSIONS.REVOKE_REASONS.PASSWORD_CHANGED);
+      await authProtectionService.recordSuccess(ACTIONS.PASSWORD_RESET, { user, client });
+
+      logger.info('Password reset', { userId: user.id });
+    } catch (error) {
+      if (error instanceof BadRequestError) {
+        throw error;
+      }
+      logger.error('Error resetting password', error);
+      throw new DatabaseError('Failed to reset password', error);
+    }
+  }
+
+  /**
+   * Change the current user's password. Requires the current password; the user's other sessions are revoked.
+   * @param {Object} currentUser - Authenticated user
+   * @param {Object} data - { currentPassword, newPassword }
+   * @param {Object} context - { sessionId (kept signed in), client }
+   * @returns {Promise<Object>} { revokedSessions }
+   * @throws {BadRequestError} Wrong current password, unchanged password, policy violation or OTP account
+   */
+  async changePassword(currentUser, { currentPassword, newPassword }, { sessionId, client = {} } = {}) {
+    await authProtectionService.consume(ACTIONS.PASSWORD_CHANGE, { email: currentUser.email, client });
+    assertPolicy(newPassword, 'newPassword');
+
+    try {
+      const user = await User.findById(currentUser.id).select('+password');
+      if (!user) {
+        throw new NotFoundError('User not found');
+      }
+      if (!user.password) {
+        throw new BadRequestError('This account uses OTP login and has no password');
+      }
+
+      if (!(await user.comparePassword(currentPassword))) {
+        await authProtectionService.recordFailure(ACTIONS.PASSWORD_CHANGE, { user, client, reason: 'invalid_password' });
+        throw new BadRequestError('Current password is incorrect', [
+          { field: 'currentPassword', message: 'Current password is incorrect' }
+        ]);
+      }
+      if (await user.comparePassword(newPassword)) {
+        throw new BadRequestError('New password must be different from the current password', [
+          { field: 'newPassword', message: 'New password must be different from the current password' }
+        ]);
+      }
+
+      user.password = newPassword;
+      await user.save();
+      const revokedSessions = await sessionService.revokeAllSessions(
+        user._id,
+        AUTH_SESSIONS.REVOKE_REASONS.PASSWORD_CHANGED,
+        { revokedBy: user.id, exceptSessionId: sessionId }
+      );
+      await authProtectionService.record(ACTIONS.PASSWORD_CHANGE, OUTCOMES.SUCCESS, {
+        email: user.email,
+        userId: user._id,
+        client
+      });
+
+      logger.info('Password changed', { userId: user.id, revokedSessions });
+      return { revokedSessions };
+    } catch (error) {
+      if (error instanceof BadRequestError || error instanceof NotFoundError) {
+        throw error;
+      }
+      logger.error('Error changing password', error, { userId: currentUser.id });
+      throw new DatabaseError('Failed to change password', error);
+    }
+  }
+}
+
+module.exports = new PasswordService();
@@ -0,0 +1,372 @@
+/**
+ * Report Service
+ * Business logic for generating customer-facing inspection reports and shareable report links
+ */
+
+const jwt = require('jsonwebtoken');
+const Inspection = require('../models/Inspection');
+const InspectionRequest = require('../models/InspectionRequest');
+const ReportShare = require('../models/ReportShare');
+const checklistService = require('./checklistService');
+const { renderInspectionReport } = require('../utils/inspectionReportPdf');
+const {
+  NotFoundError,
+  BadRequestError,
+  UnauthorizedError,
+  ForbiddenError,
+  DatabaseError
+} = require('../utils/errors');
+const { REPORTABLE_INSPECTION_STATUSES, REPORT_SHARE } = require('../config/constants');
+const logger = require('../utils/logger');
+
+const SHARE_TOKEN_TYPE = 'report_share';
+const SHARE_TOKEN_SECRET =
+  process.env.REPORT_SHARE_SECRET || process.env.JWT_SECRET || 'your-super-secret-jwt-key-change-in-production';
+
+/** Sign a share token for the given ReportShare; expiry is enforced both by JWT and the stored expiresAt. */
+function signShareToken(share) {
+  const expiresInSeconds = Math.max(1, Math.floor((share.expiresAt.getTime() - Date.now()) / 1000));
+  return jwt.sign({ typ: SHARE_TOKEN_TYPE, sid: share._id.toString() }, SHARE_TOKEN_SECRET, {
+    expiresIn: expiresInSeconds
+  });
+}
+
+/** Verify a share token and return the share ID it references. */
+function verifyShareToken(token) {
+  let decoded;
+  try {
+    decoded = jwt.verify(token, SHARE_TOKEN_SECRET);
+  } catch (error) {
+    if (error.name === 'TokenExpiredError') {
+      throw new UnauthorizedError('This report link has expired');
+    }
+    throw new UnauthorizedError('Invalid report link');
+  }
+  if (decoded.typ !== SHARE_TOKEN_TYPE || !decoded.sid) {
+    throw new UnauthorizedError('Invalid report link');
+  }
+  return decoded.sid;
+}
+
+/** Build the public URL for a share token when a frontend base URL is configured. */
+function buildShareUrl(token) {
+  if (!REPORT_SHARE.BASE_URL) return null;
+  return `${REPORT_SHARE.BASE_URL.replace(/\/+$/, '')}/${token}`;
+}
+
+/**
+ * Build the read-only, redacted report view exposed through share links.
+ * Whitelists fields: no inspector email/phone, no customer contact details, no internal notes.
+ */
+function toPublicReport(inspection, request) {
+  const inspector = inspection.inspectorId && typeof inspection.inspectorId === 'object'
+    ? { firstName: inspection.inspectorId.firstName, lastName: inspection.inspectorId.lastName }
+    : null;
+
+  return {
+    reference: request?.requestId || null,
+    requestType: request?.requestType || null,
+    location: request?.location
+      ? { city: request.location.city || '', state: request.location.state || '' }
+      : null,
+    inspection: {
+      id: inspection._id,
+      status: inspection.status,
+      inspectionDate: inspection.inspectionDate,
+      completedAt: inspection.completedAt,
+      inspector,
+      template: inspection.checklistTemplateId?.name || null,
+      vehicleInfo: inspection.vehicleInfo || {},
+      vehicleDetails: inspection.vehicleDetails || null,
+      serviceWarrantyOverview: inspection.serviceWarrantyOverview || null,
+      interiorDetails: inspection.interiorDetails || null,
+      exteriorDetails: inspection.exteriorDetails || null,
+      damages: (inspection.damages || []).map(damage => ({
+        panel: damage.panel,
+        type: damage.type,
+        severity: damage.severity,
+        size: damage.size || null,
+        estimatedRepairCost: damage.estimatedRepairCost ?? null,
+        notes: damage.notes || '',
+        photos: damage.photos || []
+      })),
+      damageSummary: inspection.damageSummary || null,
+      damaged_coordinates: inspection.damaged_coordinates || null,
+      overallRating: inspection.overallRating,
+      grade: inspection.grade || null,
+      scoreBreakdown: inspection.scoreBreakdown || null,
+      types: (inspection.types || []).map(type => ({
+        typeName: type.typeName,
+        weight: type.weight,
+        averageRating: type.averageRating,
+        overallRemarks: type.overallRemarks,
+        overallPhotos: type.overallPhotos || [],
+        videos: type.videos || [],
+        checklistItems: (type.checklistItems || []).map(item => ({
+          position: item.position,
+          label: item.label,
+          status: item.status,
+          rating: item.rating,
+          answer: item.answer ?? null,
+          unit: item.unit || '',
+          result: item.result || null,
+          critical: Boolean(item.critical),
+          remarks: item.remarks,
+          photos: item.photos || []
+        }))
+      }))
+    }
+  };
+}
+
+/**
+ * Report Service Class
+ */
+class ReportService {
+  /**
+   * Generate the PDF report for a completed/submitted inspection.
+   * Access: policy.canViewInspectionReport (anyone who can view the inspection, or reports:view-all).
+   * @param {string} inspectionId - Inspection ID
+   * @param {Object} currentUser - Current authenticated user
+   * @returns {Promise<{buffer: Buffer, fileName: string}>} PDF contents and suggested file name
+   */
+  async generateInspectionReport(inspectionId, currentUser) {
+    try {
+      const inspection = await checklistService.getInspectionById(inspectionId, currentUser, { report: true });
+
+      if (!REPORTABLE_INSPECTION_STATUSES.includes(inspection.status)) {
+        throw new BadRequestError('Report is only available for completed or submitted inspections');
+      }
+
+      const request = await InspectionRequest.findOne({ inspectionId: inspection._id }).lean();
+
+      const buffer = await renderInspectionReport({ inspection, request });
+      const reference = request?.requestId || String(inspection._id);
+
+      logger.info('Inspection report generated', { inspectionId, userId: currentUser.id, size: buffer.length });
+
+      return {
+        buffer,
+        fileName: `inspection-report-${reference}.pdf`
+      };
+    } catch (error) {
+      logger.error('Error generating inspection report', error, { inspectionId });
+
+      if (error instanceof NotFoundError || error instanceof ForbiddenError || error instanceof BadRequestError) {
+        throw error;
+      }
+
+      throw new DatabaseError('Failed to generate inspection report', error);
+    }
+  }
+
+  /**
+   * Mint a shareable, expiring link for a completed inspection.
+   * Anyone allowed to download its report (policy.canViewInspectionReport) can share it.
+   * @param {string} inspectionId - Inspection ID
+   * @param {Object} options - { expiresInDays }
+   * @param {Object} currentUser - Current authenticated user
+   * @returns {Promise<Object>} { token, url, expiresAt, share }
+   */
+  async createShare(inspectionId, options = {}, currentUser) {
+    try {
+      const inspection = await checklistService.getInspectionById(inspectionId, currentUser, { report: true });
+
+      if (!REPORTABLE_INSPECTION_STATUSES.includes(inspection.status)) {
+        throw new BadRequestError('Only completed or submitted inspections can be shared');
+      }
+
+      const expiresInDays = options.expiresInDays || REPORT_SHARE.DEFAULT_EXPIRES_IN_DAYS;
+      const request = await InspectionRequest.findOne({ inspectionId: inspection._id }).select('_id').lean();
+
+      const share = await ReportShare.create({
+        inspectionId: inspection._id,
+        inspectionRequestId: request?._id || null,
+        createdBy: currentUser.id,
+        expiresAt: new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000)
+      });
+
+      const token = signShareToken(share);
+
+      logger.info('Report share created', {
+        shareId: share.id,
+        inspectionId,
+        createdBy: currentUser.id,
+        expiresAt: share.expiresAt
+      });
+
+      return {
+        token,
+        url: buildShareUrl(token),
+        expiresAt: share.expiresAt,
+        share
+      };
+    } catch (error) {
+      logger.error('Error creating report share', error, { inspectionId });
+
+      if (error instanceof NotFoundError || error instanceof ForbiddenError || error instanceof BadRequestError) {
+        throw error;
+      }
+
+      throw new DatabaseError('Failed to create report share', error);
+    }
+  }
+
+  /**
+   * Resolve a public share token into the redacted report view (no authentication)
+   * @param {string} token - Share token
+   * @returns {Promise<Object>} Redacted report
+   */
+  async getSharedReport(token) {
+    try {
+      const shareId = verifyShareToken(token);
+
+      const share = await ReportShare.findById(shareId);
+      if (!share) {
+        throw new NotFoundError('Report link not found');
+      }
+      if (share.revokedAt) {
+        throw new ForbiddenError('This report link has been revoked');
+      }
+      if (share.expiresAt.getTime() <= Date.now()) {
+        throw new UnauthorizedError('This report link has expired');
+      }
+
+      const inspection = await Inspection.findById(share.inspectionId)
+        .populate('checklistTemplateId', 'name')
+        .populate('inspectorId', 'firstName lastName')
+        .lean();
+
+      if (!inspection || !REPORTABLE_INSPECTION_STATUSES.includes(inspection.status)) {
+        throw new NotFoundError('Report not found');
+      }
+
+      const request = share.inspectionRequestId
+        ? await InspectionRequest.findById(share.inspectionRequestId).lean()
+        : await InspectionRequest.findOne({ inspectionId: inspection._id }).lean();
+
+      await ReportShare.updateOne(
+        { _id: share._id },
+        { $inc: { accessCount: 1 }, $set: { lastAccessedAt: new Date() } }
+      );
+
+      return {
+        ...toPublicReport(inspection, request),
+        expiresAt: share.expiresAt
+      };
+    } catch (error) {
+      if (error instanceof NotFoundError || error instanceof ForbiddenError || error instanceof UnauthorizedError) {
+        throw error;
+      }
+
+      logger.error('Error fetching shared report', error);
+      throw new DatabaseError('Failed to fetch shared report', error);
+    }
+  }
+
+  /**
+   * List report shares with pagination (admin only)
+   * @param {Object} queryParams - { page, limit, inspectionId, state, sortOrder }
+   * @returns {Promise<Object>} Paginated shares
+   */
+  async getAllShares(queryParams = {}) {
+    try {
+      const {
+        page = 1,
+        limit = 10,
+        inspectionId,
+        state,
+        sortOrder = 'DESC'
+      } = queryParams;
+
+      const pageNum = Math.max(1, parseInt(page) || 1);
+      const limitNum = Math.max(1, Math.min(100, parseInt(limit) || 10));
+      const now = new Date();
+
+      const filter = {};
+      if (inspectionId) {
+        filter.inspectionId = inspectionId;
+      }
+      if (state === 'active') {
+        filter.revokedAt = null;
+        filter.expiresAt = { $gt: now };
+      } else if (state === 'revoked') {
+        filter.revokedAt = { $ne: null };
+      } else if (state === 'expired') {
+        filter.revokedAt = null;
+        filter.expiresAt = { $lte: now };
+      }
+
+      const skip = (pageNum - 1) * limitNum;
+      const [shares, totalCount] = await Promise.all([
+        ReportShare.find(filter)
+          .populate('createdBy', 'firstName lastName email role')
+          .populate('revokedBy', 'firstName lastName email')
+          .sort({ createdAt: sortOrder === 'ASC' ? 1 : -1 })
+          .skip(skip)
+          .limit(limitNum)
+          .exec(),
+        ReportShare.countDocuments(filter)
+      ]);
+
+      const totalPages = Math.ceil(totalCount / limitNum);
+
+      return {
+        shares: shares.map(share => share.toJSON()),
+        pagination: {
+          currentPage: pageNum,
+          totalPages,
+          totalCount,
+          limit: limitNum,
+          hasNextPage: pageNum < totalPages,
+          hasPreviousPage: pageNum > 1
+        },
+        filters: {
+          inspectionId: inspectionId || null,
+          state: state || null,
+          sortOrder
+        }
+      };
+    } catch (error) {
+      logger.error('Error fetching report shares', error, { queryParams });
+      throw new DatabaseError('Failed to fetch report shares', error);
+    }
+  }
+
+  /**
+   * Revoke a report share (admin only). Revoking twice is a no-op.
+   * @param {string} shareId - ReportShare ID
+   * @param {Object} data - { reason }
+   * @param {Object} currentUser - Current authenticated user
+   * @returns {Promise<Object>} Updated share
+   */
+  async revokeShare(shareId, data = {}, currentUser) {
+    try {
+      const share = await ReportShare.findById(shareId);
+      if (!share) {
+        throw new NotFoundError('Report share not found');
+      }
+
+      if (!share.revokedAt) {
+        share.revokedAt = new Date();
+        share.revokedBy = currentUser.id;
+        share.revokedReason = data.reason || '';
+        await share.save();
+
+        logger.info('Report share revoked', { shareId, revokedBy: currentUser.id });
+      }
+
+      return share;
+    } catch (error) {
+      logger.error('Error revoking report share', error, { shareId });
+
+      if (error instanceof NotFoundError) {
+        throw error;
+      }
+
+      throw new DatabaseError('Failed to revoke report share', error);
+    }
+  }
+}
+
+module.exports = new ReportService();
@@ -0,0 +1,347 @@
+/**
+ * Role Service
+ * Roles as permission bundles (config/permissions.js) and the permissions a user holds. The built-in roles are
+ * seeded from DEFAULT_ROLE_PERMISSIONS the first time roles are read while none exist; admins edit their bundles
+ * (except admin's) and add custom roles. Roles are cached per Lambda instance for ROLE_CACHE_TTL_MS.
+ */
+
+const Role = require('../models/Role');
+const User = require('../models/User');
+const {
+  NotFoundError,
+  BadRequestError,
+  ConflictError,
+  ForbiddenError,
+  DatabaseError
+} = require('../utils/errors');
+const {
+  PERMISSIONS,
+  ALL_PERMISSIONS,
+  DEFAULT_ROLE_PERMISSIONS,
+  LOCKED_ROLE,
+  ROLE_CACHE_TTL_MS
+} = require('../config/permissions');
+const logger = require('../utils/logger');
+
+const BUILT_IN_DESCRIPTIONS = {
+  admin: 'Full access',
+  inspector: 'Performs assigned inspections',
+  user: 'Customer'
+};
+
+/** Permissions of a role; the locked role always has all of them. */
+const permissionsOf = (role) => (role.name === LOCKED_ROLE ? ALL_PERMISSIONS : role.permissions);
+
+/**
+ * Role Service Class
+ */
+class RoleService {
+  constructor() {
+    this._cache = null;
+    this._cachedAt = 0;
+  }
+
+  /**
+   * Insert the built-in roles when none exist
+   * @returns {Promise<void>}
+   */
+  async _seedDefaults() {
+    if (await Role.exists({ isSystem: true })) return;
+
+    const defaults = Object.entries(DEFAULT_ROLE_PERMISSIONS).map(([name, permissions]) => ({
+      name,
+      description: BUILT_IN_DESCRIPTIONS[name] || '',
+      permissions,
+      isSystem: true
+    }));
+    try {
+      await Role.insertMany(defaults, { ordered: false });
+      logger.info('Built-in roles seeded', { count: defaults.length });
+    } catch (error) {
+      // Seeded concurrently
+      if (!(error.code === 11000 || error.writeErrors?.every(e => e.code === 11000))) {
+        throw error;
+      }
+    }
+  }
+
+  /**
+   * All roles, built-in first
+   * @param {Object} options - { fresh: bypass the cache }
+   * @returns {Promise<Array>} Lean roles
+   */
+  async getRoles({ fresh = false } = {}) {
+    const expired = Date.now() - this._cachedAt > ROLE_CACHE_TTL_MS;
+    if (!this._cache || expired || fresh) {
+      await this._seedDefaults();
+      const roles = await Role.find().lean();
+      this._cache = roles.sort((a, b) => (b.isSystem - a.isSystem) || a.name.localeCompare(b.name));
+      this._cachedAt = Date.now();
+    }
+    return this._cache;
+  }
+
+  async _missingPermissions(permissions, user) {
+    const held = await this.permissionsFor(user);
+    return permissions.filter(permission => !held.includes(permission));
+  }
+
+  _invalidate() {
+    this._cache = null;
+    this._cachedAt = 0;
+  }
+
+  /**
+   * Permissions a user holds: those of their custom role, else of their account type's role
+   * @param {Object} user - User ({ role, customRole })
+   * @returns {Promise<Array>} Permission names
+   */
+  async permissionsFor(user) {
+    const roles = await this.getRoles();
+    const byName = (name) => roles.find(role => role.name === name);
+
+    if (user.customRole) {
+      const custom = byName(user.customRole);
+      if (custom) return permissionsOf(custom);
+      logger.warn('Custom role not found, using account type permissions', {
+        userId: user.id,
+        customRole: user.customRole
+      });
+    }
+    const base = byName(user.role);
+    return base ? permissionsOf(base) : (DEFAULT_ROLE_PERMISSIONS[user.role] || []);
+  }
+
+  /**
+   * Throw unless the grantor holds every given permission: nobody hands out access they do not have
+   * @param {Array} permissions - Permission names being granted
+   * @param {Object} grantor - Authenticated user granting them
+   * @throws {ForbiddenError} Permissions the grantor lacks
+   */
+  async assertGrantable(permissions, grantor) {
+    const missing = await this._missingPermissions(permissions, grantor);
+    if (missing.length > 0) {
+      throw new ForbiddenError(`You cannot grant permissions you do not hold: ${missing.join(', ')}`);
+    }
+  }
+
+  /**
+   * Throw unless the manager holds every permission of the target: nobody edits, blocks, deletes or resets an
+   * account with access they do not have themselves
+   * @param {Object} target - User being managed ({ role, customRole })
+   * @param {Object} manager - Authenticated user managing them
+   * @throws {ForbiddenError} Permissions of the target the manager lacks
+   */
+  async assertManageable(target, manager) {
+    const missing = await this._missingPermissions(await this.permissionsFor(target), manager);
+    if (missing.length > 0) {
+      throw new ForbiddenError(`You cannot manage a user with permissions you do not hold: ${missing.join(', ')}`);
+    }
+  }
+
+  /**
+   * Check the grantor may give an account type. The admin type always holds every permission, so only users who
+   * hold every permission create or promote admins; the other types are ordinary user management.
+   * @param {string} role - USER_ROLES value
+   * @param {Object} grantor - Authenticated user
+   * @throws {ForbiddenError} Admin type given by a user without every permission
+   */
+  async assertAccountTypeGrantable(role, grantor) {
+    if (role !== LOCKED_ROLE) return;
+    await this.assertGrantable(ALL_PERMISSIONS, grantor);
+  }
+
+  /**
+   * Check a custom role can be assigned by the grantor. The admin role is never a custom role (it is an account
+   * type), and the role may not grant more than the grantor holds.
+   * @param {string} name - Role name
+   * @param {Object} grantor - Authenticated user assigning the role
+   * @throws {BadRequestError} Unknown role
+   * @throws {ForbiddenError} Admin role or permissions the grantor lacks
+   */
+  async assertAssignable(name, grantor) {
+    const roles = await this.getRoles();
+    const role = roles.find(candidate => candidate.name === name);
+    if (!role) {
+      throw new BadRequestError(`Unknown role: ${name}`, [{
+        field: 'customRole',
+        message: `customRole must be one of: ${roles.map(candidate => candidate.name).join(', ')}`
+      }]);
+    }
+    if (role.name === LOCKED_ROLE) {
+      throw new ForbiddenError('The admin role cannot be assigned as a custom role');
+    }
+    await this.assertGrantable(permissionsOf(role), grantor);
+  }
+
+  /**
+   * Permission catalog, for building role editors
+   * @returns {Array} [{ key, permission }]
+   */
+  listPermissions() {
+    return Object.entries(PERMISSIONS).map(([key, permission]) => ({ key, permission }));
+  }
+
+  /**
+   * Create a custom role (admin only). It cannot hold permissions the creator lacks.
+   * @param {Object} data - { name, description?, permissions }
+   * @param {Object} currentUser - Authenticated admin
+   * @returns {Promise<Object>} Created role
+   */
+  async createRole(data, currentUser) {
+    try {
+      await this.assertGrantable(data.permissions, currentUser);
+      await this._seedDefaults();
+      const role = await Role.create({
+        name: data.name,
+        description: data.description || '',
+        permissions: [...new Set(data.permissions)],
+        isSystem: false,
+        createdBy: currentUser.id,
+        updatedBy: currentUser.id
+      });
+      this._invalidate();
+
+      logger.info('Role created', { roleId: role.id, name: role.name, createdBy: currentUser.id });
+      return role;
+    } catch (error) {
+      throw this._mapWriteError(error, 'Failed to create role', { name: data.name });
+    }
+  }
+
+  /**
+   * List roles with the number of users assigned to each custom role
+   * @returns {Promise<Array>} Roles
+   */
+  async getAllRoles() {
+    try {
+      const [roles, counts] = await Promise.all([
+        this.getRoles({ fresh: true }),
+        User.aggregate([
+          { $match: { customRole: { $ne: null } } },
+          { $group: { _id: '$customRole', count: { $sum: 1 } } }
+        ])
+      ]);
+      const countByName = new Map(counts.map(entry => [entry._id, entry.count]));
+      return roles.map(({ _id, __v, ...role }) => ({
+        id: _id,
+        ...role,
+        permissions: permissionsOf(role),
+        assignedUsers: countByName.get(role.name) || 0
+      }));
+    } catch (error) {
+      logger.error('Error fetching roles', error);
+      throw new DatabaseError('Failed to fetch roles', error);
+    }
+  }
+
+  /**
+   * Get a role by ID
+   * @param {string} roleId - Role ID
+   * @returns {Promise<Object>} Role
+   */
+  async getRoleById(roleId) {
+    try {
+      const role = await Role.findById(roleId);
+      if (!role) {
+        throw new NotFoundError('Role not found');
+      }
+      return role;
+    } catch (error) {
+      if (error instanceof NotFoundError) {
+        throw error;
+      }
+      logger.error('Error fetching role', error, { roleId });
+      throw new DatabaseError('Failed to fetch role', error);
+    }
+  }
+
+  /**
+   * Update a role's description or permissions (admin only). Names are fixed; the admin role's permissions cannot
+   * change, and a role cannot be given permissions the editor lacks.
+   * @param {string} roleId - Role ID
+   * @param {Object} data - { description?, permissions? }
+   * @param {Object} currentUser - Authenticated admin
+   * @returns {Promise<Object>} Updated role
+   */
+  async updateRole(roleId, data, currentUser) {
+    try {
+      const role = await Role.findById(roleId);
+      if (!role) {
+        throw new NotFoundError('Role not found');
+      }
+      if (data.permissions !== undefined && role.name === LOCKED_ROLE) {
+        throw new BadRequestError('The admin role always has every permission');
+      }
+      if (data.permissions !== undefined) {
+        await this.assertGrantable(data.permissions, currentUser);
+      }
+
+      if (data.description !== undefined) role.description = data.description;
+      if (data.permissions !== undefined) role.permissions = [...new Set(data.permissions)];
+      role.updatedBy = currentUser.id;
+      await role.save();
+      this._invalidate();
+
+      logger.info('Role updated', { roleId: role.id, name: role.name, updatedBy: currentUser.id });
+      return role;
+    } catch (error) {
+      throw this._mapWriteError(error, 'Failed to update role', { roleId });
+    }
+  }
+
+  /**
+   * Delete a custom role (admin only). Built-in roles and roles assigned to users cannot be deleted.
+   * @param {string} roleId - Role ID
+   * @returns {Promise<void>}
+   */
+  async deleteRole(roleId) {
+    try {
+      const role = await Role.findById(roleId);
+      if (!role) {
+        throw new NotFoundError('Role not found');
+      }
+      if (role.isSystem) {
+        throw new ConflictError('Built-in roles cannot be deleted');
+      }
+      if (await User.exists({ customRole: role.name })) {
+        throw new ConflictError('Cannot delete a role assigned to users. Reassign them first.');
+      }
+
+      await Role.deleteOne({ _id: role._id });
+      this._invalidate();
+      logger.info('Role deleted', { roleId, name: role.name });
+    } catch (error) {
+      if (error instanceof NotFoundError || error instanceof ConflictError) {
+        throw error;
+      }
+      logger.error('Error deleting role', error, { roleId });
+      throw new DatabaseError('Failed to delete role', error);
+    }
+  }
+
+  /** Translate write failures into API errors. */
+  _mapWriteError(error, message, context) {
+    if (
+      error instanceof NotFoundError ||
+      error instanceof BadRequestError ||
+      error instanceof ConflictError ||
+      error instanceof ForbiddenError
+    ) {
+      return error;
+    }
+    if (error.code === 11000) {
+      return new ConflictError('A role with this name already exists');
+    }
+    if (error.name === 'ValidationError') {
+      return new BadRequestError(
+        'Invalid role',
+        Object.values(error.errors).map(e => ({ field: e.path, message: e.message }))
+      );
+    }
+    logger.error(message, error, context);
+    return new DatabaseError(message, error);
+  }
+}
+
+module.exports = new RoleService();
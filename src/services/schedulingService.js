@@ -0,0 +1,462 @@
+/**
+ * Scheduling Service
+ * Inspector working hours, time-off and booked inspection slots.
+ * A slot is bookable for an inspector when it lies inside their working hours, outside any time-off,
+ * and does not overlap another request they are booked on (SCHEDULING.BOOKED_STATUSES).
+ */
+
+const InspectorAvailability = require('../models/InspectorAvailability');
+const InspectionRequest = require('../models/InspectionRequest');
+const User = require('../models/User');
+const {
+  NotFoundError,
+  BadRequestError,
+  ForbiddenError,
+  ConflictError,
+  DatabaseError
+} = require('../utils/errors');
+const { USER_ROLES, USER_STATUS, SCHEDULING } = require('../config/constants');
+const capacityService = require('./capacityService');
+const schedule = require('../utils/schedule');
+const policy = require('../middleware/policy');
+const logger = require('../utils/logger');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/** Availability view used when an inspector has not published their own hours. */
+function defaultAvailability(inspectorId) {
+  return {
+    inspectorId,
+    timezone: SCHEDULING.DEFAULT_TIMEZONE,
+    workingHours: SCHEDULING.DEFAULT_WORKING_HOURS.map(h => ({ ...h })),
+    timeOff: [],
+    published: false
+  };
+}
+
+/** Normalize a stored availability document (lean) into the view returned by the API. */
+function toAvailabilityView(doc) {
+  return {
+    inspectorId: doc.inspectorId,
+    timezone: doc.timezone,
+    workingHours: doc.workingHours,
+    timeOff: (doc.timeOff || []).map(t => ({ id: t._id, start: t.start, end: t.end, reason: t.reason })),
+    published: true,
+    updatedAt: doc.updatedAt
+  };
+}
+
+/** Validate weekly working hours: end after start, no overlapping blocks on the same day. */
+function assertValidWorkingHours(workingHours) {
+  const errors = [];
+  for (let day = 0; day <= 6; day++) {
+    const blocks = workingHours
+      .map((h, index) => ({ ...h, index }))
+      .filter(h => h.dayOfWeek === day)
+      .sort((a, b) => schedule.parseTimeOfDay(a.start) - schedule.parseTimeOfDay(b.start));
+    blocks.forEach((block, i) => {
+      if (schedule.parseTimeOfDay(block.end) <= schedule.parseTimeOfDay(block.start)) {
+        errors.push({ field: `workingHours.${block.index}`, message: 'End time must be after start time' });
+      }
+      const next = blocks[i + 1];
+      if (next && schedule.parseTimeOfDay(next.start) < schedule.parseTimeOfDay(block.end)) {
+        errors.push({ field: `workingHours.${next.index}`, message: 'Working hours overlap on the same day' });
+      }
+    });
+  }
+  if (errors.length) {
+    throw new BadRequestError('Invalid working hours', errors);
+  }
+}
+
+/** Booking summary exposed on calendars and conflict errors. */
+function toBookingView(request) {
+  return {
+    id: request._id,
+    requestId: request.requestId,
+    status: request.status,
+    scheduledStart: request.scheduledStart,
+    scheduledEnd: request.scheduledEnd,
+    estimatedDurationMinutes: request.estimatedDurationMinutes,
+    vehicleInfo: request.vehicleInfo
+      ? { make: request.vehicleInfo.make, model: request.vehicleInfo.model, year: request.vehicleInfo.year }
+      : null,
+    location: request.location ? { city: request.location.city || '', state: request.location.state || '' } : null
+  };
+}
+
+/**
+ * Scheduling Service Class
+ */
+class SchedulingService {
+  /**
+   * Build a slot from a start and duration
+   * @param {Date|string} start - Slot start
+   * @param {number} durationMinutes - Duration (defaults to SCHEDULING.DEFAULT_DURATION_MINUTES)
+   * @returns {Object} { start, end }
+   */
+  buildSlot(start, durationMinutes) {
+    const startDate = new Date(start);
+    if (Number.isNaN(startDate.getTime())) {
+      throw new BadRequestError('Invalid slot start');
+    }
+    return { start: startDate, end: schedule.addMinutes(startDate, durationMinutes || SCHEDULING.DEFAULT_DURATION_MINUTES) };
+  }
+
+  /**
+   * Availability of one inspector (published document or defaults)
+   * @param {string} inspectorId - Inspector user ID
+   * @returns {Promise<Object>} Availability view
+   */
+  async _getAvailability(inspectorId) {
+    const doc = await InspectorAvailability.findOne({ inspectorId }).lean();
+    return doc ? toAvailabilityView(doc) : defaultAvailability(inspectorId);
+  }
+
+  /**
+   * Requests booked for an inspector overlapping [from, to)
+   * @param {string|Array<string>} inspectorIds - Inspector ID(s)
+   * @param {Date} from - Range start
+   * @param {Date} to - Range end
+   * @param {Object} options - { excludeRequestId, statuses }
+   * @returns {Promise<Array<Object>>} Lean requests
+   */
+  async _getBookings(inspectorIds, from, to, { excludeRequestId = null, statuses = SCHEDULING.BOOKED_STATUSES } = {}) {
+    const filter = {
+      assignedInspectorId: Array.isArray(inspectorIds) ? { $in: inspectorIds } : inspectorIds,
+      status: { $in: statuses },
+      scheduledStart: { $lt: to },
+      scheduledEnd: { $gt: from }
+    };
+    if (excludeRequestId) {
+      filter._id = { $ne: excludeRequestId };
+    }
+    return InspectionRequest.find(filter)
+      .select('requestId status assignedInspectorId scheduledStart scheduledEnd estimatedDurationMinutes vehicleInfo location')
+      .sort({ scheduledStart: 1 })
+      .lean();
+  }
+
+  /**
+   * Evaluate a slot against availability and existing bookings (no DB access)
+   * @param {Object} availability - Availability view
+   * @param {Array<Object>} bookings - Overlapping bookings of the inspector
+   * @param {Object} slot - { start, end }
+   * @returns {Object} { available, reasons: Array<{ code, message }>, conflicts }
+   */
+  _evaluateSlot(availability, bookings, slot) {
+    const reasons = [];
+
+    const working = schedule.expandWorkingHours(availability.workingHours, availability.timezone, slot.start, slot.end);
+    if (!schedule.isContained(slot, working)) {
+      reasons.push({ code: 'outside_working_hours', message: 'Slot is outside the inspector\'s working hours' });
+    }
+
+    const timeOff = (availability.timeOff || []).filter(t => schedule.overlaps(slot, t));
+    if (timeOff.length) {
+      reasons.push({ code: 'time_off', message: 'Inspector is on time-off during this slot' });
+    }
+
+    const conflicts = bookings.filter(b => schedule.overlaps(slot, { start: b.scheduledStart, end: b.scheduledEnd }));
+    if (conflicts.length) {
+      reasons.push({
+        code: 'booking_conflict',
+        message: `Slot overlaps ${conflicts.length} existing booking(s): ${conflicts.map(c => c.requestId).join(', ')}`
+      });
+    }
+
+    return { available: reasons.length === 0, reasons, conflicts: conflicts.map(toBookingView) };
+  }
+
+  /**
+   * Check whether an inspector can take a slot
+   * @param {string} inspectorId - Inspector user ID
+   * @param {Object} slot - { start, end }
+   * @param {Object} options - { excludeRequestId } (the request being (re)booked)
+   * @returns {Promise<Object>} { available, reasons, conflicts }
+   */
+  async checkSlot(inspectorId, slot, { excludeRequestId = null } = {}) {
+    const [availability, bookings] = await Promise.all([
+      this._getAvailability(inspectorId),
+      this._getBookings(inspectorId, slot.start, slot.end, { excludeRequestId })
+    ]);
+    return this._evaluateSlot(availability, bookings, slot);
+  }
+
+  /**
+   * Throw ConflictError when an inspector cannot take a slot
+   * @param {string} inspectorId - Inspector user ID
+   * @param {Object} slot - { start, end }
+   * @param {Object} options - { excludeRequestId }
+   * @throws {ConflictError} With one entry per reason
+   */
+  async assertSlotAvailable(inspectorId, slot, options = {}) {
+    const result = await this.checkSlot(inspectorId, slot, options);
+    if (!result.available) {
+      throw new ConflictError(
+        'Inspector is not available for the requested slot',
+        result.reasons.map(r => ({ field: 'scheduledStart', code: r.code, message: r.message }))
+      );
+    }
+    return result;
+  }
+
+  /**
+   * Inspector calendar: working hours, time-off, bookings and free intervals in a range
+   * @param {string} inspectorId - Inspector user ID
+   * @param {Object} range - { from, to } (defaults to the next 7 days)
+   * @param {Object} currentUser - The inspector themselves, or a user with schedule:read-all
+   * @returns {Promise<Object>} Calendar
+   */
+  async getCalendar(inspectorId, range = {}, currentUser) {
+    try {
+      if (!policy.canViewCalendar(currentUser, inspectorId)) {
+        throw new ForbiddenError('You can only view your own calendar');
+      }
+
+      const inspector = await User.findById(inspectorId).select('firstName lastName role status').lean();
+      if (!inspector || inspector.role !== USER_ROLES.INSPECTOR) {
+        throw new NotFoundError('Inspector not found');
+      }
+
+      const from = range.from ? new Date(range.from) : new Date();
+      const to = range.to ? new Date(range.to) : new Date(from.getTime() + 7 * DAY_MS);
+      if (to <= from) {
+        throw new BadRequestError('"to" must be after "from"');
+      }
+      if (to - from > SCHEDULING.MAX_CALENDAR_RANGE_DAYS * DAY_MS) {
+        throw new BadRequestError(`Calendar range cannot exceed ${SCHEDULING.MAX_CALENDAR_RANGE_DAYS} days`);
+      }
+
+      const [availability, bookings] = await Promise.all([
+        this._getAvailability(inspectorId),
+        this._getBookings(inspectorId, from, to)
+      ]);
+
+      const timeOff = availability.timeOff.filter(t => schedule.overlaps({ start: from, end: to }, t));
+      const working = schedule.expandWorkingHours(availability.workingHours, availability.timezone, from, to);
+      const freeSlots = schedule.subtractIntervals(working, [
+        ...timeOff,
+        ...bookings.map(b => ({ start: b.scheduledStart, end: b.scheduledEnd }))
+      ]);
+
+      return {
+        inspector: { id: inspector._id, firstName: inspector.firstName, lastName: inspector.lastName, status: inspector.status },
+        range: { from, to },
+        timezone: availability.timezone,
+        published: availability.published,
+        workingHours: availability.workingHours,
+        timeOff,
+        bookings: bookings.map(toBookingView),
+        freeSlots
+      };
+    } catch (error) {
+      if (error instanceof NotFoundError || error instanceof ForbiddenError || error instanceof BadRequestError) {
+        throw error;
+      }
+      logger.error('Error fetching inspector calendar', error, { inspectorId });
+      throw new DatabaseError('Failed to fetch inspector calendar', error);
+    }
+  }
+
+  /**
+   * Active inspectors free for a slot (working hours, time-off, bookings and capacity all honored)
+   * @param {Object} queryParams - { slot, durationMinutes, availableStatus, page, limit }
+   * @returns {Promise<Object>} { inspectors, slot, pagination }
+   */
+  async getAvailableInspectorsForSlot(queryParams = {}) {
+    try {
+      const { availableStatus = null, page = 1, limit = 50 } = queryParams;
+      const slot = this.buildSlot(queryParams.slot, queryParams.durationMinutes);
+
+      const filter = { role: USER_ROLES.INSPECTOR, status: USER_STATUS.ACTIVE };
+      if (availableStatus != null && String(availableStatus).trim() !== '') {
+        filter.availableStatus = String(availableStatus).trim();
+      }
+
+      const inspectors = await User.find(filter)
+        .select('firstName lastName email phone availableStatus is_assigned capacity createdAt')
+        .sort({ firstName: 1, lastName: 1 })
+        .lean();
+      const inspectorIds = inspectors.map(i => i._id);
+
+      const [availabilityDocs, bookings, workloads] = await Promise.all([
+        InspectorAvailability.find({ inspectorId: { $in: inspectorIds } }).lean(),
+        this._getBookings(inspectorIds, slot.start, slot.end),
+        capacityService.getWorkloads(inspectors, { date: slot.start })
+      ]);
+      const availabilityById = new Map(availabilityDocs.map(d => [String(d.inspectorId), toAvailabilityView(d)]));
+
+      const available = inspectors
+        .map(inspector => ({ ...inspector, workload: workloads.get(String(inspector._id)) }))
+        .filter((inspector) => {
+          const id = String(inspector._id);
+          const availability = availabilityById.get(id) || defaultAvailability(inspector._id);
+          const ownBookings = bookings.filter(b => String(b.assignedInspectorId) === id);
+          return this._evaluateSlot(availability, ownBookings, slot).available &&
+            capacityService.evaluate(inspector.workload).length === 0;
+        });
+
+      const pageNum = Math.max(1, parseInt(page) || 1);
+      const limitNum = Math.max(1, Math.min(100, parseInt(limit) || 50));
+      const totalCount = available.length;
+      const totalPages = Math.ceil(totalCount / limitNum);
+
+      logger.info('Available inspectors listed for slot', {
+        slotStart: slot.start,
+        slotEnd: slot.end,
+        totalCount
+      });
+
+      return {
+        inspectors: available.slice((pageNum - 1) * limitNum, pageNum * limitNum),
+        slot,
+        pagination: {
+          currentPage: pageNum,
+          totalPages,
+          totalCount,
+          limit: limitNum,
+          hasNextPage: pageNum < totalPages,
+          hasPreviousPage: pageNum > 1
+        }
+      };
+    } catch (error) {
+      if (error instanceof BadRequestError) {
+        throw error;
+      }
+      logger.error('Error fetching available inspectors for slot', error, { slot: queryParams.slot });
+      throw new DatabaseError('Failed to fetch available inspectors', error);
+    }
+  }
+
+  /**
+   * Current inspector's availability
+   * @param {Object} currentUser - Authenticated inspector
+   * @returns {Promise<Object>} Availability view
+   */
+  async getMyAvailability(currentUser) {
+    try {
+      return await this._getAvailability(currentUser._id || currentUser.id);
+    } catch (error) {
+      logger.error('Error fetching inspector availability', error, { userId: currentUser.id });
+      throw new DatabaseError('Failed to fetch availability', error);
+    }
+  }
+
+  /**
+   * Publish working hours and/or time zone for the current inspector
+   * @param {Object} body - { timezone?, workingHours? }
+   * @param {Object} currentUser - Authenticated inspector
+   * @returns {Promise<Object>} Availability view
+   */
+  async updateMyAvailability(body, currentUser) {
+    try {
+      if (body.timezone !== undefined && !schedule.isValidTimeZone(body.timezone)) {
+        throw new BadRequestError('Invalid time zone', [{ field: 'timezone', message: `Unknown time zone '${body.timezone}'` }]);
+      }
+      if (body.workingHours !== undefined) {
+        assertValidWorkingHours(body.workingHours);
+      }
+
+      const inspectorId = currentUser._id || currentUser.id;
+      const update = {};
+      if (body.timezone !== undefined) update.timezone = body.timezone;
+      if (body.workingHours !== undefined) update.workingHours = body.workingHours;
+
+      const doc = await InspectorAvailability.findOneAndUpdate(
+        { inspectorId },
+        { $set: update },
+        { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+      ).lean();
+
+      logger.info('Inspector availability updated', { inspectorId, fields: Object.keys(update) });
+
+      return toAvailabilityView(doc);
+    } catch (error) {
+      if (error instanceof BadRequestError) {
+        throw error;
+      }
+      logger.error('Error updating inspector availability', error, { userId: currentUser.id });
+      throw new DatabaseError('Failed to update availability', error);
+    }
+  }
+
+  /**
+   * Add a time-off period for the current inspector.
+   * Existing bookings inside the period are not cancelled; they are returned so an admin can reassign them.
+   * @param {Object} body - { start, end, reason? }
+   * @param {Object} currentUser - Authenticated inspector
+   * @returns {Promise<Object>} { availability, timeOff, conflictingBookings }
+   */
+  async addTimeOff(body, currentUser) {
+    try {
+      const start = new Date(body.start);
+      const end = new Date(body.end);
+      if (end <= start) {
+        throw new BadRequestError('Time-off end must be after start');
+      }
+
+      const inspectorId = currentUser._id || currentUser.id;
+      const doc = await InspectorAvailability.findOneAndUpdate(
+        { inspectorId },
+        { $push: { timeOff: { start, end, reason: body.reason || '' } } },
+        { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+      ).lean();
+
+      const availability = toAvailabilityView(doc);
+      const conflictingBookings = await this._getBookings(inspectorId, start, end);
+
+      logger.info('Inspector time-off added', {
+        inspectorId,
+        start,
+        end,
+        conflictingBookings: conflictingBookings.length
+      });
+
+      return {
+        availability,
+        timeOff: availability.timeOff[availability.timeOff.length - 1],
+        conflictingBookings: conflictingBookings.map(toBookingView)
+      };
+    } catch (error) {
+      if (error instanceof BadRequestError) {
+        throw error;
+      }
+      logger.error('Error adding inspector time-off', error, { userId: currentUser.id });
+      throw new DatabaseError('Failed to add time-off', error);
+    }
+  }
+
+  /**
+   * Remove a time-off period of the current inspector
+   * @param {string} timeOffId - Time-off entry ID
+   * @param {Object} currentUser - Authenticated inspector
+   * @returns {Promise<Object>} Availability view
+   */
+  async removeTimeOff(timeOffId, currentUser) {
+    try {
+      const inspectorId = currentUser._id || currentUser.id;
+      const doc = await InspectorAvailability.findOneAndUpdate(
+        { inspectorId, 'timeOff._id': timeOffId },
+        { $pull: { timeOff: { _id: timeOffId } } },
+        { new: true }
+      ).lean();
+
+      if (!doc) {
+        throw new NotFoundError('Time-off entry not found');
+      }
+
+      logger.info('Inspector time-off removed', { inspectorId, timeOffId });
+
+      return toAvailabilityView(doc);
+    } catch (error) {
+      if (error instanceof NotFoundError) {
+        throw error;
+      }
+      logger.error('Error removing inspector time-off', error, { userId: currentUser.id, timeOffId });
+      throw new DatabaseError('Failed to remove time-off', error);
+    }
+  }
+}
+
+module.exports = new SchedulingService();
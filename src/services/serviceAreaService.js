@@ -0,0 +1,271 @@
+/**
+ * Service Area Service
+ * Admin management of coverage areas and resolution of request locations to an area.
+ * When several active areas cover a location, the one with the lowest surcharge wins.
+ */
+
+const ServiceArea = require('../models/ServiceArea');
+const {
+  NotFoundError,
+  BadRequestError,
+  ConflictError,
+  DatabaseError
+} = require('../utils/errors');
+const { SERVICE_AREAS } = require('../config/constants');
+const { hasCoordinates } = require('../utils/geo');
+const logger = require('../utils/logger');
+
+// MongoDB "Can't extract geo keys" (self-intersecting rings, out-of-range positions, ...)
+const GEO_KEY_ERROR_CODE = 16755;
+
+const normalizeZip = (zipCode) => String(zipCode || '').trim().toUpperCase();
+
+/** Close each ring of a GeoJSON polygon (first position repeated at the end). */
+function closePolygon(polygon) {
+  return {
+    type: 'Polygon',
+    coordinates: polygon.coordinates.map((ring) => {
+      const first = ring[0];
+      const last = ring[ring.length - 1];
+      const closed = first[0] === last[0] && first[1] === last[1];
+      return closed ? ring : [...ring, first];
+    })
+  };
+}
+
+/** Apply type-specific definition fields from a create/update body. */
+function applyDefinition(area, data) {
+  if (data.type !== undefined) area.type = data.type;
+  if (data.polygon !== undefined) area.polygon = data.polygon ? closePolygon(data.polygon) : undefined;
+  if (data.zipCodes !== undefined) area.zipCodes = [...new Set(data.zipCodes.map(normalizeZip).filter(Boolean))];
+
+  // Drop the definition that does not belong to the type
+  if (area.type === SERVICE_AREAS.TYPES.POLYGON) {
+    area.zipCodes = undefined;
+  } else {
+    area.polygon = undefined;
+  }
+}
+
+/**
+ * Service Area Service Class
+ */
+class ServiceAreaService {
+  /**
+   * Create a service area (admin only)
+   * @param {Object} data - { name, description?, type, polygon? | zipCodes?, surcharge?, isActive? }
+   * @param {Object} currentUser - Authenticated admin
+   * @returns {Promise<Object>} Created service area
+   */
+  async createArea(data, currentUser) {
+    try {
+      const area = new ServiceArea({
+        name: data.name,
+        description: data.description || '',
+        surcharge: data.surcharge ?? 0,
+        isActive: data.isActive ?? true,
+        createdBy: currentUser._id || currentUser.id,
+        updatedBy: currentUser._id || currentUser.id
+      });
+      applyDefinition(area, data);
+      await area.save();
+
+      logger.info('Service area created', { areaId: area.id, name: area.name, type: area.type });
+      return area;
+    } catch (error) {
+      throw this._mapWriteError(error, 'Failed to create service area', { name: data.name });
+    }
+  }
+
+  /**
+   * List service areas
+   * @param {Object} options - { isActive?: boolean }
+   * @returns {Promise<Array>} Service areas sorted by name
+   */
+  async getAllAreas(options = {}) {
+    try {
+      const query = {};
+      if (options.isActive !== undefined) {
+        query.isActive = options.isActive;
+      }
+      return await ServiceArea.find(query).sort({ name: 1 });
+    } catch (error) {
+      logger.error('Error fetching service areas', error);
+      throw new DatabaseError('Failed to fetch service areas', error);
+    }
+  }
+
+  /**
+   * Get a service area by ID
+   * @param {string} areaId - Service area ID
+   * @returns {Promise<Object>} Service area
+   */
+  async getAreaById(areaId) {
+    try {
+      const area = await ServiceArea.findById(areaId);
+      if (!area) {
+        throw new NotFoundError('Service area not found');
+      }
+      return area;
+    } catch (error) {
+      if (error instanceof NotFoundError) {
+        throw error;
+      }
+      logger.error('Error fetching service area', error, { areaId });
+      throw new DatabaseError('Failed to fetch service area', error);
+    }
+  }
+
+  /**
+   * Update a service area (admin only). Changing type requires the matching definition.
+   * @param {string} areaId - Service area ID
+   * @param {Object} data - Any create field
+   * @param {Object} currentUser - Authenticated admin
+   * @returns {Promise<Object>} Updated service area
+   */
+  async updateArea(areaId, data, currentUser) {
+    try {
+      const area = await ServiceArea.findById(areaId);
+      if (!area) {
+        throw new NotFoundError('Service area not found');
+      }
+
+      ['name', 'description', 'surcharge', 'isActive'].forEach((key) => {
+        if (data[key] !== undefined) area[key] = data[key];
+      });
+      applyDefinition(area, data);
+      area.updatedBy = currentUser._id || currentUser.id;
+      await area.save();
+
+      logger.info('Service area updated', { areaId: area.id, name: area.name });
+      return area;
+    } catch (error) {
+      throw this._mapWriteError(error, 'Failed to update service area', { areaId });
+    }
+  }
+
+  /**
+   * Delete a service area (admin only). Existing requests keep their recorded area snapshot.
+   * @param {string} areaId - Service area ID
+   * @returns {Promise<void>}
+   */
+  async deleteArea(areaId) {
+    try {
+      const area = await ServiceArea.findByIdAndDelete(areaId);
+      if (!area) {
+        throw new NotFoundError('Service area not found');
+      }
+      logger.info('Service area deleted', { areaId, name: area.name });
+    } catch (error) {
+      if (error instanceof NotFoundError) {
+        throw error;
+      }
+      logger.error('Error deleting service area', error, { areaId });
+      throw new DatabaseError('Failed to delete service area', error);
+    }
+  }
+
+  /**
+   * Find the active area covering a location
+   * @param {Object} location - { zipCode?, coordinates?: { lat, lng } }
+   * @returns {Promise<Object>} { covered, area (lean or null), areasConfigured }
+   */
+  async resolveForLocation(location = {}) {
+    const areasConfigured = (await ServiceArea.countDocuments({ isActive: true })) > 0;
+    if (!areasConfigured) {
+      return { covered: true, area: null, areasConfigured };
+    }
+
+    const clauses = [];
+    if (hasCoordinates(location.coordinates)) {
+      clauses.push({
+        type: SERVICE_AREAS.TYPES.POLYGON,
+        polygon: {
+          $geoIntersects: {
+            $geometry: { type: 'Point', coordinates: [location.coordinates.lng, location.coordinates.lat] }
+          }
+        }
+      });
+    }
+    const zip = normalizeZip(location.zipCode);
+    if (zip) {
+      clauses.push({ type: SERVICE_AREAS.TYPES.ZIP_CODES, zipCodes: zip });
+    }
+    if (clauses.length === 0) {
+      return { covered: false, area: null, areasConfigured };
+    }
+
+    const area = await ServiceArea.findOne({ isActive: true, $or: clauses })
+      .sort({ surcharge: 1, name: 1 })
+      .lean();
+    return { covered: area != null, area, areasConfigured };
+  }
+
+  /**
+   * Resolve a request location and reject it when outside every active area (SERVICE_AREAS.ENFORCED)
+   * @param {Object} location - Request location
+   * @returns {Promise<Object>} Snapshot stored on the request: { areaId, name, surcharge }
+   * @throws {BadRequestError} When the location is not covered
+   */
+  async assertCovered(location = {}) {
+    const { covered, area, areasConfigured } = await this.resolveForLocation(location);
+    if (!covered && SERVICE_AREAS.ENFORCED) {
+      const hasInput = hasCoordinates(location.coordinates) || normalizeZip(location.zipCode) !== '';
+      throw new BadRequestError('Location is outside our service areas', [{
+        field: 'location',
+        message: hasInput
+          ? 'We do not serve this location yet'
+          : 'Location zip code or coordinates are required to check service coverage'
+      }]);
+    }
+    if (!area) {
+      logger.info('Request location not matched to a service area', { areasConfigured });
+    }
+    return {
+      areaId: area?._id || null,
+      name: area?.name || null,
+      surcharge: area?.surcharge || 0
+    };
+  }
+
+  /**
+   * Public coverage check for a location (e.g. before submitting a request)
+   * @param {Object} location - { zipCode?, coordinates? }
+   * @returns {Promise<Object>} { covered, area: { name, surcharge } | null }
+   */
+  async checkCoverage(location) {
+    try {
+      const { covered, area } = await this.resolveForLocation(location);
+      return {
+        covered: covered || !SERVICE_AREAS.ENFORCED,
+        area: area ? { name: area.name, surcharge: area.surcharge } : null
+      };
+    } catch (error) {
+      logger.error('Error checking service coverage', error);
+      throw new DatabaseError('Failed to check service coverage', error);
+    }
+  }
+
+  /** Translate write failures into API errors. */
+  _mapWriteError(error, message, context) {
+    if (error instanceof NotFoundError || error instanceof BadRequestError) {
+      return error;
+    }
+    if (error.code === 11000) {
+      return new ConflictError('A service area with this name already exists');
+    }
+    if (error.name === 'ValidationError') {
+      return new BadRequestError(
+        'Invalid service area',
+        Object.values(error.errors).map(e => ({ field: e.path, message: e.message }))
+      );
+    }
+    if (error.code === GEO_KEY_ERROR_CODE) {
+      return new BadRequestError('Invalid polygon', [{ field: 'polygon', message: error.message }]);
+    }
+    logger.error(message, error, context);
+    return new DatabaseError(message, error);
+  }
+}
+
+module.exports = new ServiceAreaService();
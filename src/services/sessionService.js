@@ -0,0 +1,272 @@
+/**
+ * Session Service
+ * Sign-in sessions: short-lived JWT access tokens plus rotating refresh tokens stored (hashed) server-side.
+ * A refresh token is `<sessionId>.<secret>`; each refresh replaces the secret, and presenting a replaced one
+ * (a stolen copy or a replay) revokes the whole session.
+ */
+
+const crypto = require('crypto');
+const Session = require('../models/Session');
+const User = require('../models/User');
+const { generateToken } = require('../middleware/auth');
+const policy = require('../middleware/policy');
+const { PERMISSIONS } = require('../config/permissions');
+const { USER_STATUS, AUTH_SESSIONS, JWT_EXPIRES_IN } = require('../config/constants');
+const { UnauthorizedError, NotFoundError, ForbiddenError, DatabaseError } = require('../utils/errors');
+const logger = require('../utils/logger');
+
+const { REVOKE_REASONS } = AUTH_SESSIONS;
+
+const REFRESH_TOKEN_TTL_MS = AUTH_SESSIONS.REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000;
+
+const hashSecret = (secret) => crypto.createHash('sha256').update(secret).digest('hex');
+
+const newSecret = () => crypto.randomBytes(32).toString('base64url');
+
+/** Seconds in a jsonwebtoken expiresIn value ('15m', '24h', '7d', '900'). */
+const durationSeconds = (value) => {
+  const match = /^(\d+)\s*([smhd]?)$/.exec(String(value).trim());
+  if (!match) return null;
+  const units = { '': 1, s: 1, m: 60, h: 3600, d: 86400 };
+  return Number(match[1]) * units[match[2]];
+};
+
+/** Split a refresh token into session ID and secret (null when malformed). */
+const parseRefreshToken = (refreshToken) => {
+  const [sessionId, secret, extra] = String(refreshToken || '').split('.');
+  if (extra !== undefined || !/^[0-9a-f]{24}$/i.test(sessionId || '') || !secret) return null;
+  return { sessionId, secret };
+};
+
+const sameHash = (a, b) => a.length === b.length && crypto.timingSafeEqual(Buffer.from(a), Buffer.from(b));
+
+const activeFilter = (userId) => ({ userId, revokedAt: null, expiresAt: { $gt: new Date() } });
+
+/**
+ * Session Service Class
+ */
+class SessionService {
+  /**
+   * Start a session for a signed-in user
+   * @param {Object} user - Authenticated user
+   * @param {Object} client - { ip, userAgent, browser, os } (utils/clientInfo)
+   * @returns {Promise<Object>} { token, refreshToken, expiresIn, sessionId }
+   */
+  async createSession(user, client = {}) {
+    try {
+      const secret = newSecret();
+      const session = await Session.create({
+        userId: user._id || user.id,
+        refreshTokenHash: hashSecret(secret),
+        device: {
+          userAgent: client.userAgent || '',
+          browser: client.browser || '',
+          os: client.os || '',
+          ip: client.ip || ''
+        },
+        lastUsedAt: new Date(),
+        expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_MS)
+      });
+
+      await this._enforceSessionLimit(session.userId);
+
+      logger.info('Session created', { userId: session.userId.toString(), sessionId: session.id, ip: client.ip });
+      return this._tokensFor(session, secret);
+    } catch (error) {
+      logger.error('Error creating session', error, { userId: user.id });
+      throw new DatabaseError('Failed to create session', error);
+    }
+  }
+
+  /**
+   * Exchange a refresh token for a new access token and refresh token
+   * @param {string} refreshToken - Current refresh token
+   * @param {Object} client - { ip, userAgent, browser, os }
+   * @returns {Promise<Object>} { token, refreshToken, expiresIn, sessionId }
+   * @throws {UnauthorizedError} Unknown, revoked, expired or reused refresh token, or inactive user
+   */
+  async refresh(refreshToken, client = {}) {
+    const parsed = parseRefreshToken(refreshToken);
+    if (!parsed) {
+      throw new UnauthorizedError('Invalid refresh token');
+    }
+
+    try {
+      const session = await Session.findById(parsed.sessionId).select('+refreshTokenHash');
+      if (!session || session.state !== 'active') {
+        throw new UnauthorizedError('Invalid refresh token');
+      }
+
+      const presentedHash = hashSecret(parsed.secret);
+      const user = await User.findById(session.userId).select('status');
+      if (!user || user.status !== USER_STATUS.ACTIVE) {
+        await this._revoke({ _id: session._id }, REVOKE_REASONS.USER_DEACTIVATED);
+        throw new UnauthorizedError('User account is not active');
+      }
+
+      // Rotate only if the presented secret is still the current one (two refreshes with the same token: one wins)
+      const secret = newSecret();
+      const rotated = sameHash(presentedHash, session.refreshTokenHash) && await Session.findOneAndUpdate(
+        { _id: session._id, refreshTokenHash: presentedHash, revokedAt: null },
+        {
+          $set: {
+            refreshTokenHash: hashSecret(secret),
+            lastUsedAt: new Date(),
+            expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_MS),
+            ...(client.ip ? { 'device.ip': client.ip } : {})
+          }
+        },
+        { new: true }
+      );
+      if (!rotated) {
+        await this._revoke({ _id: session._id }, REVOKE_REASONS.TOKEN_REUSE);
+        logger.warn('Refresh token reuse detected, session revoked', {
+          sessionId: session.id,
+          userId: session.userId.toString(),
+          ip: client.ip
+        });
+        throw new UnauthorizedError('Refresh token has already been used; please sign in again');
+      }
+
+      return this._tokensFor(rotated, secret);
+    } catch (error) {
+      if (error instanceof UnauthorizedError) {
+        throw error;
+      }
+      logger.error('Error refreshing session', error, { sessionId: parsed.sessionId });
+      throw new DatabaseError('Failed to refresh session', error);
+    }
+  }
+
+  /**
+   * Sign out: revoke the session of the access token, or the one a refresh token belongs to
+   * @param {Object} options - { sessionId } (authenticated) or { refreshToken }
+   * @returns {Promise<void>}
+   */
+  async logout({ sessionId, refreshToken }) {
+    let filter;
+    if (sessionId) {
+      filter = { _id: sessionId };
+    } else {
+      const parsed = parseRefreshToken(refreshToken);
+      if (!parsed) {
+        throw new UnauthorizedError('Invalid refresh token');
+      }
+      filter = { _id: parsed.sessionId, refreshTokenHash: hashSecret(parsed.secret) };
+    }
+
+    try {
+      await this._revoke(filter, REVOKE_REASONS.LOGOUT);
+      logger.info('Session signed out', { sessionId: filter._id.toString() });
+    } catch (error) {
+      logger.error('Error signing out', error, { sessionId: filter._id.toString() });
+      throw new DatabaseError('Failed to sign out', error);
+    }
+  }
+
+  /**
+   * Active sessions of a user, most recently used first
+   * @param {string} userId - User ID
+   * @param {string} [currentSessionId] - Session of the caller (flagged as current)
+   * @returns {Promise<Array>} Sessions
+   */
+  async listSessions(userId, currentSessionId = null) {
+    try {
+      const sessions = await Session.find(activeFilter(userId)).sort({ lastUsedAt: -1 });
+      return sessions.map(session => ({
+        ...session.toJSON(),
+        current: session.id === String(currentSessionId)
+      }));
+    } catch (error) {
+      logger.error('Error fetching sessions', error, { userId });
+      throw new DatabaseError('Failed to fetch sessions', error);
+    }
+  }
+
+  /**
+   * Revoke one session. Users may revoke their own sessions; users:manage any session.
+   * @param {string} sessionId - Session ID
+   * @param {Object} currentUser - Authenticated user
+   * @returns {Promise<void>}
+   */
+  async revokeSession(sessionId, currentUser) {
+    try {
+      const session = await Session.findById(sessionId);
+      if (!session || session.state !== 'active') {
+        throw new NotFoundError('Session not found');
+      }
+
+      const isOwn = policy.isSelf(currentUser, session.userId);
+      if (!isOwn && !policy.can(currentUser, PERMISSIONS.USERS_MANAGE)) {
+        throw new ForbiddenError('You can only sign out your own sessions');
+      }
+
+      await this._revoke(
+        { _id: session._id },
+        isOwn ? REVOKE_REASONS.REVOKED_BY_USER : REVOKE_REASONS.FORCED_BY_ADMIN,
+        currentUser.id
+      );
+      logger.info('Session revoked', { sessionId, userId: session.userId.toString(), revokedBy: currentUser.id });
+    } catch (error) {
+      if (error instanceof NotFoundError || error instanceof ForbiddenError) {
+        throw error;
+      }
+      logger.error('Error revoking session', error, { sessionId });
+      throw new DatabaseError('Failed to revoke session', error);
+    }
+  }
+
+  /**
+   * Revoke every active session of a user (forced logout)
+   * @param {string} userId - User ID
+   * @param {string} reason - AUTH_SESSIONS.REVOKE_REASONS value
+   * @param {Object} options - { revokedBy?, exceptSessionId? }
+   * @returns {Promise<number>} Number of sessions revoked
+   */
+  async revokeAllSessions(userId, reason, options = {}) {
+    try {
+      const filter = activeFilter(userId);
+      if (options.exceptSessionId) {
+        filter._id = { $ne: options.exceptSessionId };
+      }
+      const revoked = await this._revoke(filter, reason, options.revokedBy);
+      logger.info('User sessions revoked', { userId: String(userId), reason, revoked });
+      return revoked;
+    } catch (error) {
+      logger.error('Error revoking user sessions', error, { userId });
+      throw new DatabaseError('Failed to revoke sessions', error);
+    }
+  }
+
+  /** Revoke matching unrevoked sessions; returns how many were revoked. */
+  async _revoke(filter, reason, revokedBy = null) {
+    const result = await Session.updateMany(
+      { ...filter, revokedAt: null },
+      { $set: { revokedAt: new Date(), revokedReason: reason, revokedBy } }
+    );
+    return result.modifiedCount;
+  }
+
+  /** Revoke the least recently used sessions beyond AUTH_SESSIONS.MAX_ACTIVE_PER_USER. */
+  async _enforceSessionLimit(userId) {
+    const excess = await Session.find(activeFilter(userId))
+      .sort({ lastUsedAt: -1 })
+      .skip(AUTH_SESSIONS.MAX_ACTIVE_PER_USER)
+      .select('_id')
+      .lean();
+    if (excess.length > 0) {
+      await this._revoke({ _id: { $in: excess.map(session => session._id) } }, REVOKE_REASONS.SESSION_LIMIT);
+    }
+  }
+
+  _tokensFor(session, secret) {
+    return {
+      token: generateToken(session.userId.toString(), session.id),
+      refreshToken: `${session.id}.${secret}`,
+      expiresIn: durationSeconds(JWT_EXPIRES_IN),
+      sessionId: session.id
+    };
+  }
+}
+
+module.exports = new SessionService();
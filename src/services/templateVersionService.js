@@ -0,0 +1,336 @@
+/**
+ * Template Version Service
+ * Draft / published / archived snapshots of checklist templates.
+ * The ChecklistTemplate document always mirrors the currently published version, so inspectors keep
+ * reading templates as before; edits to checklist content go to a draft until it is published.
+ * Templates created before versioning get their current content recorded as a published snapshot on first use.
+ */
+
+const ChecklistTemplate = require('../models/ChecklistTemplate');
+const ChecklistTemplateVersion = require('../models/ChecklistTemplateVersion');
+const Inspection = require('../models/Inspection');
+const {
+  NotFoundError,
+  BadRequestError,
+  ConflictError,
+  DatabaseError
+} = require('../utils/errors');
+const { TEMPLATE_VERSION_STATUS } = require('../config/constants');
+const { diffTemplates } = require('../utils/templateDiff');
+const inspectionCategoryService = require('./inspectionCategoryService');
+const logger = require('../utils/logger');
+
+const { DRAFT, PUBLISHED, ARCHIVED } = TEMPLATE_VERSION_STATUS;
+
+/** Plain snapshot content (name, description, types) of a template or version. */
+const snapshotOf = (source) => {
+  const plain = source.toObject ? source.toObject({ transform: false }) : source;
+  return {
+    name: plain.name,
+    description: plain.description || '',
+    types: plain.types || []
+  };
+};
+
+/**
+ * Template Version Service Class
+ */
+class TemplateVersionService {
+  /**
+   * Record the template's current content as its published version when it has no history yet
+   * @param {Object} template - ChecklistTemplate document
+   * @returns {Promise<void>}
+   */
+  async ensureHistory(template) {
+    const exists = await ChecklistTemplateVersion.exists({ templateId: template._id });
+    if (exists) return;
+
+    try {
+      await ChecklistTemplateVersion.create({
+        templateId: template._id,
+        version: template.version || 1,
+        status: template.isActive === false ? ARCHIVED : PUBLISHED,
+        ...snapshotOf(template),
+        createdBy: template.createdBy,
+        publishedAt: template.updatedAt || new Date(),
+        publishedBy: template.createdBy,
+        archivedAt: template.isActive === false ? new Date() : null
+      });
+      logger.info('Template version history initialized', { templateId: template.id, version: template.version });
+    } catch (error) {
+      // Initialized concurrently
+      if (error.code !== 11000) throw error;
+    }
+  }
+
+  /**
+   * Record version 1 of a newly created template as published
+   * @param {Object} template - Created ChecklistTemplate document
+   * @param {Object} currentUser - Authenticated admin
+   * @returns {Promise<Object>} Version document
+   */
+  async recordInitialVersion(template, currentUser) {
+    return ChecklistTemplateVersion.create({
+      templateId: template._id,
+      version: template.version,
+      status: PUBLISHED,
+      ...snapshotOf(template),
+      createdBy: currentUser.id,
+      publishedAt: new Date(),
+      publishedBy: currentUser.id
+    });
+  }
+
+  /**
+   * Create or update the template's draft version
+   * @param {Object} template - ChecklistTemplate document
+   * @param {Object} data - { name?, description?, types? }
+   * @param {Object} currentUser - Authenticated admin
+   * @returns {Promise<Object>} Draft version document
+   */
+  async saveDraft(template, data, currentUser) {
+    await this.ensureHistory(template);
+
+    let draft = await ChecklistTemplateVersion.findOne({ templateId: template._id, status: DRAFT });
+    if (!draft) {
+      const latest = await ChecklistTemplateVersion.findOne({ templateId: template._id }).sort({ version: -1 }).lean();
+      draft = new ChecklistTemplateVersion({
+        templateId: template._id,
+        version: (latest?.version || template.version || 0) + 1,
+        status: DRAFT,
+        ...snapshotOf(template),
+        createdBy: currentUser.id
+      });
+    }
+
+    if (data.name !== undefined) draft.name = data.name;
+    if (data.description !== undefined) draft.description = data.description;
+    if (data.types !== undefined) draft.types = data.types;
+
+    try {
+      await draft.save();
+    } catch (error) {
+      if (error.code === 11000) {
+        throw new ConflictError('The template draft was changed concurrently. Retry the update.');
+      }
+      throw error;
+    }
+
+    logger.info('Template draft saved', { templateId: template.id, version: draft.version, updatedBy: currentUser.id });
+    return draft;
+  }
+
+  /**
+   * Keep an open draft's name/description in step with the template's
+   * @param {Object} template - ChecklistTemplate document
+   * @returns {Promise<void>}
+   */
+  async syncDraftDetails(template) {
+    await ChecklistTemplateVersion.updateOne(
+      { templateId: template._id, status: DRAFT },
+      { $set: { name: template.name, description: template.description } }
+    );
+  }
+
+  /**
+   * Publish a draft: freeze it, archive the previously published version and mirror it on the template
+   * @param {string} templateId - Template ID
+   * @param {number} version - Draft version number
+   * @param {Object} currentUser - Authenticated admin
+   * @returns {Promise<Object>} { template, version }
+   */
+  async publish(templateId, version, currentUser) {
+    try {
+      const template = await this._getTemplate(templateId);
+      await this.ensureHistory(template);
+
+      const draft = await ChecklistTemplateVersion.findOne({ templateId: template._id, version });
+      if (!draft) {
+        throw new NotFoundError(`Template version ${version} not found`);
+      }
+      if (draft.status !== DRAFT) {
+        throw new BadRequestError(`Template version ${version} is ${draft.status}; only drafts can be published`);
+      }
+      // Categories may have been deactivated or restricted since the draft was saved
+      await inspectionCategoryService.validateTemplateTypes(snapshotOf(draft).types);
+
+      const now = new Date();
+      draft.status = PUBLISHED;
+      draft.publishedAt = now;
+      draft.publishedBy = currentUser.id;
+      await draft.save();
+
+      await ChecklistTemplateVersion.updateMany(
+        { templateId: template._id, status: PUBLISHED, _id: { $ne: draft._id } },
+        { $set: { status: ARCHIVED, archivedAt: now } }
+      );
+
+      Object.assign(template, snapshotOf(draft));
+      template.version = draft.version;
+      template.isActive = true;
+      await template.save();
+
+      logger.info('Template version published', { templateId: template.id, version, publishedBy: currentUser.id });
+      return { template, version: draft };
+    } catch (error) {
+      throw this._mapError(error, 'Failed to publish template version', { templateId, version });
+    }
+  }
+
+  /**
+   * Archive a version. Archiving a draft discards it; archiving the published version deactivates the template.
+   * Inspections pinned to an archived version keep it.
+   * @param {string} templateId - Template ID
+   * @param {number} version - Version number
+   * @param {Object} currentUser - Authenticated admin
+   * @returns {Promise<Object>} { template, version }
+   */
+  async archive(templateId, version, currentUser) {
+    try {
+      const template = await this._getTemplate(templateId);
+      await this.ensureHistory(template);
+
+      const target = await ChecklistTemplateVersion.findOne({ templateId: template._id, version });
+      if (!target) {
+        throw new NotFoundError(`Template version ${version} not found`);
+      }
+      if (target.status === ARCHIVED) {
+        throw new BadRequestError(`Template version ${version} is already archived`);
+      }
+
+      const wasPublished = target.status === PUBLISHED;
+      target.status = ARCHIVED;
+      target.archivedAt = new Date();
+      await target.save();
+
+      if (wasPublished && template.isActive) {
+        template.isActive = false;
+        await template.save();
+      }
+
+      logger.info('Template version archived', {
+        templateId: template.id,
+        version,
+        wasPublished,
+        archivedBy: currentUser.id
+      });
+      return { template, version: target };
+    } catch (error) {
+      throw this._mapError(error, 'Failed to archive template version', { templateId, version });
+    }
+  }
+
+  /**
+   * Version history of a template, newest first (without checklist content)
+   * @param {string} templateId - Template ID
+   * @returns {Promise<Object>} { templateId, currentVersion, versions }
+   */
+  async listVersions(templateId) {
+    try {
+      const template = await this._getTemplate(templateId);
+      await this.ensureHistory(template);
+
+      const [versions, usage] = await Promise.all([
+        ChecklistTemplateVersion.find({ templateId: template._id })
+          .populate('publishedBy', 'firstName lastName email')
+          .sort({ version: -1 })
+          .lean(),
+        Inspection.aggregate([
+          { $match: { checklistTemplateId: template._id } },
+          { $group: { _id: '$templateVersion', count: { $sum: 1 } } }
+        ])
+      ]);
+      const inspectionsByVersion = new Map(usage.map(row => [row._id, row.count]));
+
+      return {
+        templateId: template._id,
+        currentVersion: template.version,
+        versions: versions.map(({ _id, __v, types, ...version }) => ({
+          id: _id,
+          ...version,
+          typeCount: types.length,
+          itemCount: types.reduce((sum, type) => sum + type.checklistItems.length, 0),
+          inspectionCount: inspectionsByVersion.get(version.version) || 0
+        }))
+      };
+    } catch (error) {
+      throw this._mapError(error, 'Failed to fetch template versions', { templateId });
+    }
+  }
+
+  /**
+   * A single version snapshot
+   * @param {string} templateId - Template ID
+   * @param {number} version - Version number
+   * @returns {Promise<Object>} Version (lean)
+   */
+  async getVersion(templateId, version) {
+    try {
+      const template = await this._getTemplate(templateId);
+      await this.ensureHistory(template);
+
+      const snapshot = await ChecklistTemplateVersion.findOne({ templateId: template._id, version })
+        .populate('publishedBy', 'firstName lastName email')
+        .lean();
+      if (!snapshot) {
+        throw new NotFoundError(`Template version ${version} not found`);
+      }
+      return snapshot;
+    } catch (error) {
+      throw this._mapError(error, 'Failed to fetch template version', { templateId, version });
+    }
+  }
+
+  /**
+   * Differences between two versions of a template
+   * @param {string} templateId - Template ID
+   * @param {number} from - Older version
+   * @param {number} to - Newer version
+   * @returns {Promise<Object>} Diff (see utils/templateDiff)
+   */
+  async diffVersions(templateId, from, to) {
+    try {
+      const template = await this._getTemplate(templateId);
+      await this.ensureHistory(template);
+
+      const versions = await ChecklistTemplateVersion.find({ templateId: template._id, version: { $in: [from, to] } }).lean();
+      const byNumber = new Map(versions.map(v => [v.version, v]));
+      const missing = [from, to].filter(v => !byNumber.has(v));
+      if (missing.length > 0) {
+        throw new NotFoundError(`Template version ${missing[0]} not found`);
+      }
+      return diffTemplates(byNumber.get(from), byNumber.get(to));
+    } catch (error) {
+      throw this._mapError(error, 'Failed to compare template versions', { templateId, from, to });
+    }
+  }
+
+  /**
+   * Version an inspection is filled against: the template's published version
+   * @param {Object} template - Active ChecklistTemplate document
+   * @returns {Promise<Object>} Version document
+   */
+  async getPublishedVersion(template) {
+    await this.ensureHistory(template);
+    return ChecklistTemplateVersion.findOne({ templateId: template._id, version: template.version });
+  }
+
+  async _getTemplate(templateId) {
+    const template = await ChecklistTemplate.findById(templateId);
+    if (!template) {
+      throw new NotFoundError('Checklist template not found');
+    }
+    return template;
+  }
+
+  /** Pass API errors through; wrap anything else. */
+  _mapError(error, message, context) {
+    if (error instanceof NotFoundError || error instanceof BadRequestError || error instanceof ConflictError) {
+      return error;
+    }
+    logger.error(message, error, context);
+    return new DatabaseError(message, error);
+  }
+}
+
+module.exports = new TemplateVersionService();
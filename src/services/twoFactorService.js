@@ -0,0 +1,393 @@
+/**
+ * Two-Factor Service
+ * TOTP two-factor authentication for password accounts (admin, inspector). Users enroll with an authenticator app
+ * (setup returns an otpauth:// URI, enable confirms the first code and returns recovery codes). Password login for
+ * an enrolled user returns a short-lived challenge token instead of a session; the session starts once the challenge
+ * is answered with a code or a recovery code. With TWO_FACTOR.REQUIRED_FOR_ADMINS, admins must enroll: anyone whose
+ * permissions include an admin permission, including through a custom role.
+ * Code checks are rate limited, audited and count toward sign-in lockout (see authProtectionService).
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const authProtectionService = require('./authProtectionService');
+const roleService = require('./roleService');
+const totp = require('../utils/totp');
+const { USER_STATUS, TWO_FACTOR, AUTH_PROTECTION } = require('../config/constants');
+const { ADMIN_PERMISSIONS } = require('../config/permissions');
+const {
+  BadRequestError,
+  UnauthorizedError,
+  ForbiddenError,
+  NotFoundError,
+  ConflictError,
+  DatabaseError
+} = require('../utils/errors');
+const logger = require('../utils/logger');
+
+const { ACTIONS, OUTCOMES } = AUTH_PROTECTION;
+
+const TWO_FACTOR_KEY =
+  process.env.TWO_FACTOR_SECRET || process.env.JWT_SECRET || 'your-super-secret-jwt-key-change-in-production';
+// AES-256 key for stored TOTP secrets
+const ENCRYPTION_KEY = crypto.createHash('sha256').update(`totp-secret:${TWO_FACTOR_KEY}`).digest();
+const CHALLENGE_TOKEN_TYPE = '2fa_challenge';
+
+const TOTP_OPTIONS = {
+  window: TWO_FACTOR.WINDOW,
+  digits: TWO_FACTOR.DIGITS,
+  period: TWO_FACTOR.PERIOD_SECONDS
+};
+
+const SECRET_FIELDS = '+twoFactor.secret +twoFactor.pendingSecret +twoFactor.recoveryCodeHashes +twoFactor.lastUsedStep';
+
+/** Encrypt a TOTP secret (AES-256-GCM): `<iv>.<tag>.<ciphertext>`, base64url. */
+const encryptSecret = (secret) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', ENCRYPTION_KEY, iv);
+  const ciphertext = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), ciphertext].map(part => part.toString('base64url')).join('.');
+};
+
+const decryptSecret = (stored) => {
+  const [iv, tag, ciphertext] = stored.split('.').map(part => Buffer.from(part, 'base64url'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', ENCRYPTION_KEY, iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(ciphertext), decipher.final()]).toString('utf8');
+};
+
+const hashRecoveryCode = (code) =>
+  crypto.createHash('sha256').update(String(code).toLowerCase().replace(/[^a-z0-9]/g, '')).digest('hex');
+
+/** Recovery codes: `xxxxx-xxxxx` from the base32 alphabet (50 bits each). */
+const generateRecoveryCodes = () => Array.from({ length: TWO_FACTOR.RECOVERY_CODE_COUNT }, () => {
+  const code = totp.base32Encode(crypto.randomBytes(7)).slice(0, 10).toLowerCase();
+  return `${code.slice(0, 5)}-${code.slice(5)}`;
+});
+
+/**
+ * Two-Factor Service Class
+ */
+class TwoFactorService {
+  /**
+   * Whether 2FA is mandatory for the user: REQUIRED_FOR_ADMINS is on and their effective permissions include an
+   * admin permission
+   * @param {Object} user - User
+   * @param {Array} [permissions] - The user's permissions, when already resolved (roleService.permissionsFor)
+   * @returns {Promise<boolean>}
+   */
+  async isRequired(user, permissions = null) {
+    if (!TWO_FACTOR.REQUIRED_FOR_ADMINS) return false;
+    const held = permissions || await roleService.permissionsFor(user);
+    return held.some(permission => ADMIN_PERMISSIONS.includes(permission));
+  }
+
+  /**
+   * Whether 2FA is required for the user but not enabled yet (such users get no permissions until they enroll)
+   * @param {Object} user - User
+   * @param {Array} [permissions] - The user's permissions, when already resolved
+   * @returns {Promise<boolean>}
+   */
+  async isSetupRequired(user, permissions = null) {
+    if (user.twoFactor?.enabled) return false;
+    return this.isRequired(user, permissions);
+  }
+
+  /**
+   * 2FA status of the current user
+   * @param {Object} currentUser - Authenticated user
+   * @returns {Promise<Object>} { enabled, enabledAt, required, recoveryCodesRemaining }
+   */
+  async getStatus(currentUser) {
+    const user = await this._load(currentUser.id);
+    return {
+      enabled: Boolean(user.twoFactor?.enabled),
+      enabledAt: user.twoFactor?.enabledAt || null,
+      required: await this.isRequired(user),
+      recoveryCodesRemaining: user.twoFactor?.enabled ? user.twoFactor.recoveryCodeHashes.length : 0
+    };
+  }
+
+  /**
+   * Start enrollment: a new secret for the authenticator app. Calling it again replaces the pending secret.
+   * @param {Object} currentUser - Authenticated user (password account)
+   * @returns {Promise<Object>} { secret, otpauthUri }
+   */
+  async setup(currentUser) {
+    const user = await this._load(currentUser.id);
+    if (!User.usesPassword(user)) {
+      throw new BadRequestError('Two-factor authentication is available for password accounts only');
+    }
+    if (user.twoFactor?.enabled) {
+      throw new ConflictError('Two-factor authentication is already enabled');
+    }
+
+    const secret = totp.generateSecret();
+    await this._update(user._id, { 'twoFactor.pendingSecret': encryptSecret(secret) });
+
+    logger.info('Two-factor setup started', { userId: user.id });
+    return {
+      secret,
+      otpauthUri: totp.otpauthUri({
+        secret,
+        account: user.email,
+        issuer: TWO_FACTOR.ISSUER,
+        digits: TWO_FACTOR.DIGITS,
+        period: TWO_FACTOR.PERIOD_SECONDS
+      })
+    };
+  }
+
+  /**
+   * Finish enrollment with the first code from the app
+   * @param {Object} currentUser - Authenticated user
+   * @param {string} code - Current TOTP code
+   * @param {Object} client - Caller details
+   * @returns {Promise<Object>} { recoveryCodes } (shown once)
+   */
+  async enable(currentUser, code, client = {}) {
+    await authProtectionService.consume(ACTIONS.TWO_FACTOR_VERIFY, { email: currentUser.email, client });
+    const user = await this._load(currentUser.id);
+    if (user.twoFactor?.enabled) {
+      throw new ConflictError('Two-factor authentication is already enabled');
+    }
+    if (!user.twoFactor?.pendingSecret) {
+      throw new BadRequestError('Start two-factor setup first');
+    }
+
+    const secret = decryptSecret(user.twoFactor.pendingSecret);
+    const step = totp.verifyCode(secret, code, TOTP_OPTIONS);
+    if (step === null) {
+      await authProtectionService.record(ACTIONS.TWO_FACTOR_VERIFY, OUTCOMES.FAILURE, {
+        email: user.email,
+        userId: user._id,
+        client,
+        reason: 'invalid_setup_code'
+      });
+      throw new BadRequestError('Invalid code. Check the time on your device and try again.');
+    }
+
+    const recoveryCodes = generateRecoveryCodes();
+    await this._update(user._id, {
+      'twoFactor.enabled': true,
+      'twoFactor.enabledAt': new Date(),
+      'twoFactor.secret': user.twoFactor.pendingSecret,
+      'twoFactor.pendingSecret': null,
+      'twoFactor.recoveryCodeHashes': recoveryCodes.map(hashRecoveryCode),
+      'twoFactor.lastUsedStep': step
+    });
+
+    logger.info('Two-factor authentication enabled', { userId: user.id });
+    return { recoveryCodes };
+  }
+
+  /**
+   * Turn 2FA off. Requires the password and a code (or recovery code); not allowed while required for the user.
+   * @param {Object} currentUser - Authenticated user
+   * @param {Object} data - { password, code?, recoveryCode? }
+   * @param {Object} client - Caller details
+   * @returns {Promise<void>}
+   */
+  async disable(currentUser, { password, code, recoveryCode }, client = {}) {
+    if (await this.isRequired(currentUser)) {
+      throw new ForbiddenError('Two-factor authentication is required for accounts with admin permissions');
+    }
+    await authProtectionService.consume(ACTIONS.TWO_FACTOR_VERIFY, { email: currentUser.email, client });
+
+    const user = await this._load(currentUser.id, '+password');
+    if (!user.twoFactor?.enabled) {
+      throw new BadRequestError('Two-factor authentication is not enabled');
+    }
+    if (!(await user.comparePassword(password))) {
+      await authProtectionService.recordFailure(ACTIONS.TWO_FACTOR_VERIFY, { user, client, reason: 'invalid_password' });
+      throw new BadRequestError('Password is incorrect', [{ field: 'password', message: 'Password is incorrect' }]);
+    }
+    await this._assertSecondFactor(user, { code, recoveryCode }, client);
+
+    await this._clear(user._id);
+    logger.info('Two-factor authentication disabled', { userId: user.id });
+  }
+
+  /**
+   * Replace the recovery codes (the old ones stop working)
+   * @param {Object} currentUser - Authenticated user
+   * @param {string} code - Current TOTP code
+   * @param {Object} client - Caller details
+   * @returns {Promise<Object>} { recoveryCodes } (shown once)
+   */
+  async regenerateRecoveryCodes(currentUser, code, client = {}) {
+    await authProtectionService.consume(ACTIONS.TWO_FACTOR_VERIFY, { email: currentUser.email, client });
+    const user = await this._load(currentUser.id);
+    if (!user.twoFactor?.enabled) {
+      throw new BadRequestError('Two-factor authentication is not enabled');
+    }
+    await this._assertSecondFactor(user, { code }, client);
+
+    const recoveryCodes = generateRecoveryCodes();
+    await this._update(user._id, { 'twoFactor.recoveryCodeHashes': recoveryCodes.map(hashRecoveryCode) });
+
+    logger.info('Two-factor recovery codes regenerated', { userId: user.id });
+    return { recoveryCodes };
+  }
+
+  /**
+   * Challenge token for the second login step (after the password was verified)
+   * @param {Object} user - User who passed the password step
+   * @returns {Object} { challengeToken, challengeExpiresIn } (seconds)
+   */
+  createChallenge(user) {
+    const expiresIn = TWO_FACTOR.CHALLENGE_TTL_MINUTES * 60;
+    const challengeToken = jwt.sign({ typ: CHALLENGE_TOKEN_TYPE, userId: user.id }, TWO_FACTOR_KEY, { expiresIn });
+    return { challengeToken, challengeExpiresIn: expiresIn };
+  }
+
+  /**
+   * Answer a login challenge with a TOTP code or a recovery code
+   * @param {string} challengeToken - Token from the password step
+   * @param {Object} answer - { code?, recoveryCode? }
+   * @param {Object} client - Caller details
+   * @returns {Promise<Object>} { user, usedRecoveryCode, recoveryCodesRemaining }
+   * @throws {UnauthorizedError} Invalid or expired challenge, or wrong code
+   * @throws {TooManyRequestsError} Rate limited or account locked
+   */
+  async verifyChallenge(challengeToken, { code, recoveryCode }, client = {}) {
+    let decoded;
+    try {
+      decoded = jwt.verify(challengeToken, TWO_FACTOR_KEY);
+    } catch (error) {
+      throw new UnauthorizedError(error.name === 'TokenExpiredError'
+        ? 'Login challenge has expired. Sign in again.'
+        : 'Invalid login challenge');
+    }
+    if (decoded.typ !== CHALLENGE_TOKEN_TYPE || !decoded.userId) {
+      throw new UnauthorizedError('Invalid login challenge');
+    }
+
+    const user = await this._load(decoded.userId, '+lockedUntil');
+    await authProtectionService.consume(ACTIONS.TWO_FACTOR_VERIFY, { email: user.email, client });
+    await authProtectionService.assertNotLocked(user, ACTIONS.TWO_FACTOR_VERIFY, client);
+    if (user.status !== USER_STATUS.ACTIVE || !user.twoFactor?.enabled) {
+      throw new UnauthorizedError('Invalid login challenge');
+    }
+
+    let method;
+    try {
+      method = await this._assertSecondFactor(user, { code, recoveryCode }, client);
+    } catch (error) {
+      if (error instanceof BadRequestError) {
+        throw new UnauthorizedError(error.message);
+      }
+      throw error;
+    }
+    await authProtectionService.recordSuccess(ACTIONS.TWO_FACTOR_VERIFY, { user, client });
+
+    const remaining = user.twoFactor.recoveryCodeHashes.length - (method === 'recovery' ? 1 : 0);
+    return { user, usedRecoveryCode: method === 'recovery', recoveryCodesRemaining: remaining };
+  }
+
+  /**
+   * Remove another user's 2FA (e.g. lost device); they enroll again on their next sign-in
+   * @param {string} userId - Target user ID
+   * @param {Object} currentUser - Authenticated user with users:manage and every permission of the target
+   * @returns {Promise<Object>} Updated user
+   */
+  async resetForUser(userId, currentUser) {
+    if (String(userId) === String(currentUser.id)) {
+      throw new ForbiddenError('Use POST /api/auth/2fa/disable to turn off your own two-factor authentication');
+    }
+    const user = await this._load(userId);
+    // Resetting 2FA weakens the account's sign-in, so it is limited like editing the account
+    await roleService.assertManageable(user, currentUser);
+    if (!user.twoFactor?.enabled && !user.twoFactor?.pendingSecret) {
+      throw new BadRequestError('Two-factor authentication is not enabled for this user');
+    }
+
+    await this._clear(user._id);
+    await authProtectionService.record(ACTIONS.TWO_FACTOR_RESET, OUTCOMES.SUCCESS, {
+      email: user.email,
+      userId: user._id,
+      reason: `reset_by:${currentUser.id}`
+    });
+    logger.warn('Two-factor authentication reset by admin', { userId: user.id, resetBy: currentUser.id });
+    return this._load(userId);
+  }
+
+  /**
+   * Check a TOTP code (never one already used) or consume a recovery code; failures count toward lockout
+   * @returns {Promise<string>} 'totp' or 'recovery'
+   * @throws {BadRequestError} Wrong or missing code
+   */
+  async _assertSecondFactor(user, { code, recoveryCode }, client) {
+    try {
+      if (code) {
+        const step = totp.verifyCode(decryptSecret(user.twoFactor.secret), code, TOTP_OPTIONS);
+        // Claim the step atomically so a code cannot be replayed
+        const claimed = step !== null && await User.updateOne(
+          { _id: user._id, 'twoFactor.lastUsedStep': { $not: { $gte: step } } },
+          { $set: { 'twoFactor.lastUsedStep': step } }
+        );
+        if (claimed && claimed.modifiedCount === 1) return 'totp';
+      } else if (recoveryCode) {
+        const hash = hashRecoveryCode(recoveryCode);
+        const consumed = await User.updateOne(
+          { _id: user._id, 'twoFactor.recoveryCodeHashes': hash },
+          { $pull: { 'twoFactor.recoveryCodeHashes': hash } }
+        );
+        if (consumed.modifiedCount === 1) {
+          logger.warn('Two-factor recovery code used', { userId: user.id });
+          return 'recovery';
+        }
+      }
+    } catch (error) {
+      logger.error('Error checking two-factor code', error, { userId: user.id });
+      throw new DatabaseError('Failed to verify two-factor code', error);
+    }
+
+    await authProtectionService.recordFailure(ACTIONS.TWO_FACTOR_VERIFY, {
+      user,
+      client,
+      reason: code ? 'invalid_code' : 'invalid_recovery_code'
+    });
+    throw new BadRequestError(code ? 'Invalid two-factor code' : 'Invalid recovery code');
+  }
+
+  /** User with the 2FA secrets selected. */
+  async _load(userId, extraFields = '') {
+    try {
+      const user = await User.findById(userId).select(`${SECRET_FIELDS} ${extraFields}`.trim());
+      if (!user) {
+        throw new NotFoundError('User not found');
+      }
+      return user;
+    } catch (error) {
+      if (error instanceof NotFoundError) {
+        throw error;
+      }
+      logger.error('Error fetching user for two-factor', error, { userId });
+      throw new DatabaseError('Failed to fetch user', error);
+    }
+  }
+
+  async _update(userId, fields) {
+    try {
+      await User.updateOne({ _id: userId }, { $set: fields });
+    } catch (error) {
+      logger.error('Error updating two-factor settings', error, { userId: String(userId) });
+      throw new DatabaseError('Failed to update two-factor settings', error);
+    }
+  }
+
+  async _clear(userId) {
+    await this._update(userId, {
+      'twoFactor.enabled': false,
+      'twoFactor.enabledAt': null,
+      'twoFactor.secret': null,
+      'twoFactor.pendingSecret': null,
+      'twoFactor.recoveryCodeHashes': [],
+      'twoFactor.lastUsedStep': null
+    });
+  }
+}
+
+module.exports = new TwoFactorService();
@@ -17,11 +17,12 @@ const {
   INSPECTION_UPLOADS_PREFIX,
   DEFAULT_EXPIRES_IN_SECONDS,
   DEFAULT_VIDEO_EXPIRES_IN_SECONDS,
-  MULTIPART_PART_EXPIRES_IN_SECONDS,
-  VALID_TYPE_NAMES
+  MULTIPART_PART_EXPIRES_IN_SECONDS
 } = require('../utils/s3');
-const { BadRequestError, ForbiddenError } = require('../utils/errors');
-const { USER_ROLES } = require('../config/constants');
+const { BadRequestError } = require('../utils/errors');
+const { PERMISSIONS } = require('../config/permissions');
+const policy = require('../middleware/policy');
+const inspectionCategoryService = require('./inspectionCategoryService');
 const logger = require('../utils/logger');
 
 const ALLOWED_IMAGE_TYPES = [
@@ -48,11 +49,9 @@ function mediaTypeFromContentType(contentType) {
   return isVideoContentType(contentType) ? 'videos' : 'photos';
 }
 
-function assertInspectorOrAdmin(currentUser) {
+function assertCanUpload(currentUser) {
   if (!currentUser) throw new BadRequestError('Authentication required');
-  if (currentUser.role !== USER_ROLES.INSPECTOR && currentUser.role !== USER_ROLES.ADMIN) {
-    throw new ForbiddenError('Only inspectors and admins can upload inspection media');
-  }
+  policy.assertCan(currentUser, PERMISSIONS.UPLOADS_CREATE, 'You do not have permission to upload inspection media');
 }
 
 function validateContentType(contentType) {
@@ -65,12 +64,16 @@ function validateContentType(contentType) {
   return normalized;
 }
 
-function validateTypeName(typeName) {
-  const t = (typeName || '').trim();
-  if (!VALID_TYPE_NAMES.includes(t)) {
-    throw new BadRequestError(`typeName must be one of: ${VALID_TYPE_NAMES.join(', ')}`);
+/**
+ * typeName must be an active inspection category; videos only where the category allows them.
+ * Returns the category's stored name, which S3 keys must use (the client value may carry extra whitespace).
+ */
+async function validateTypeName(typeName, mediaType) {
+  const category = await inspectionCategoryService.requireActive(typeName);
+  if (mediaType === 'videos' && !category.media.videosAllowed) {
+    throw new BadRequestError(`Videos are not allowed for ${category.name}`);
   }
-  return t;
+  return category.name;
 }
 
 /**
@@ -79,7 +82,7 @@ function validateTypeName(typeName) {
  * For videos we use longer expiry (2h default) so 10+ min uploads have time.
  */
 async function getPresignedUploadUrl(params, currentUser) {
-  assertInspectorOrAdmin(currentUser);
+  assertCanUpload(currentUser);
 
   const {
     // inspectionId,
@@ -106,14 +109,14 @@ async function getPresignedUploadUrl(params, currentUser) {
   }
 
   const normalizedType = validateContentType(contentType);
-  validateTypeName(typeName);
 
   const mediaType = explicitMediaType === 'videos' || explicitMediaType === 'photos'
     ? explicitMediaType
     : mediaTypeFromContentType(normalizedType);
+  const categoryName = await validateTypeName(typeName, mediaType);
 
   // Use folderId (inspection or request ID) purely for S3 key organization
-  const key = buildInspectionMediaKey(folderId, typeName, mediaType, fileName);
+  const key = buildInspectionMediaKey(folderId, categoryName, mediaType, fileName);
 
   const isVideo = mediaType === 'videos';
   const defaultExpires = isVideo ? DEFAULT_VIDEO_EXPIRES_IN_SECONDS : DEFAULT_EXPIRES_IN_SECONDS;
@@ -128,7 +131,7 @@ async function getPresignedUploadUrl(params, currentUser) {
     // inspectionId,
     inspectionRequestId,
     folderId,
-    typeName,
+    typeName: categoryName,
     mediaType,
     contentType: normalizedType,
     userId: currentUser._id || currentUser.id
@@ -142,7 +145,7 @@ async function getPresignedUploadUrl(params, currentUser) {
  * Accepts either inspectionRequestId or inspectionId for folder grouping (same as getPresignedUploadUrl).
  */
 async function initMultipartUpload(params, currentUser) {
-  assertInspectorOrAdmin(currentUser);
+  assertCanUpload(currentUser);
 
   const { typeName, fileName, contentType } = params;
 
@@ -166,9 +169,9 @@ async function initMultipartUpload(params, currentUser) {
   if (!isVideoContentType(normalizedType)) {
     throw new BadRequestError('Multipart upload is only for videos. Use presigned PUT for images.');
   }
-  validateTypeName(typeName);
+  const categoryName = await validateTypeName(typeName, 'videos');
 
-  const key = buildInspectionMediaKey(folderId, typeName, 'videos', fileName);
+  const key = buildInspectionMediaKey(folderId, categoryName, 'videos', fileName);
   const { uploadId } = await createMultipartUpload(key, normalizedType);
   const fileUrl = getPublicUrl(key);
 
@@ -178,7 +181,7 @@ async function initMultipartUpload(params, currentUser) {
     folderId,
     inspectionRequestId: params.inspectionRequestId,
     inspectionId: params.inspectionId,
-    typeName,
+    typeName: categoryName,
     userId: currentUser._id || currentUser.id
   });
 
@@ -189,7 +192,7 @@ async function initMultipartUpload(params, currentUser) {
  * Get presigned URLs for one or more parts. parts: [1,2,3] -> [{ partNumber, uploadUrl }, ...]
  */
 async function getMultipartPartUrls(params, currentUser) {
-  assertInspectorOrAdmin(currentUser);
+  assertCanUpload(currentUser);
 
   const { key, uploadId, partNumbers, expiresIn } = params;
 
@@ -223,7 +226,7 @@ async function getMultipartPartUrls(params, currentUser) {
  * Complete multipart upload. parts: [{ partNumber, etag }]. Returns final fileUrl.
  */
 async function completeMultipart(params, currentUser) {
-  assertInspectorOrAdmin(currentUser);
+  assertCanUpload(currentUser);
 
   const { key, uploadId, parts } = params;
 
@@ -252,7 +255,7 @@ async function completeMultipart(params, currentUser) {
  * Abort multipart upload (cleanup if client gives up)
  */
 async function abortMultipart(params, currentUser) {
-  assertInspectorOrAdmin(currentUser);
+  assertCanUpload(currentUser);
 
   const { key, uploadId } = params;
   if (!key || !uploadId) {
@@ -268,7 +271,7 @@ async function abortMultipart(params, currentUser) {
  * Only keys under uploads/inspections/ can be deleted.
  */
 async function deleteMedia(params, currentUser) {
-  assertInspectorOrAdmin(currentUser);
+  assertCanUpload(currentUser);
 
   const { key, fileUrl } = params;
   let resolvedKey = null;
@@ -304,7 +307,7 @@ async function deleteMedia(params, currentUser) {
  * Only images allowed (no videos)
  */
 async function getSimpleImageUploadUrl(params, currentUser) {
-  assertInspectorOrAdmin(currentUser);
+  assertCanUpload(currentUser);
 
   const { fileName, contentType, expiresIn } = params;
 
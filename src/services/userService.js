@@ -5,14 +5,21 @@
  */
 
 const User = require('../models/User');
-const { USER_STATUS, USER_ROLES } = require('../config/constants');
+const { USER_STATUS, USER_ROLES, AUTH_SESSIONS } = require('../config/constants');
 const {
   NotFoundError,
   ConflictError,
   UnauthorizedError,
   ForbiddenError,
+  BadRequestError,
   DatabaseError
 } = require('../utils/errors');
+const schedulingService = require('./schedulingService');
+const capacityService = require('./capacityService');
+const sessionService = require('./sessionService');
+const roleService = require('./roleService');
+const policy = require('../middleware/policy');
+const { PERMISSIONS } = require('../config/permissions');
 const logger = require('../utils/logger');
 
 /**
@@ -130,9 +137,11 @@ class UserService {
    * Admin/Inspector: require password, create as ACTIVE
    * User: no password, create as INACTIVE (OTP on first login)
    * @param {Object} userData - User data (password required for admin/inspector)
+   * @param {Object} currentUser - Authenticated user creating the account
    * @returns {Promise<Object>} Created user
+   * @throws {ForbiddenError} Account type or custom role with permissions the creator lacks
    */
-  async createUser(userData) {
+  async createUser(userData, currentUser) {
     try {
       const existingUser = await User.findOne({ email: userData.email });
       if (existingUser) {
@@ -141,6 +150,12 @@ class UserService {
 
       const role = userData.role;
       const isPasswordRole = role === USER_ROLES.ADMIN || role === USER_ROLES.INSPECTOR;
+      // Nobody creates an account with more access than their own, by account type (admin) or custom role
+      await roleService.assertAccountTypeGrantable(role, currentUser);
+      if (userData.customRole) {
+        policy.assertCan(currentUser, PERMISSIONS.ROLES_MANAGE, 'Assigning custom roles requires roles:manage');
+        await roleService.assertAssignable(userData.customRole, currentUser);
+      }
 
       const createPayload = {
         email: userData.email,
@@ -148,9 +163,15 @@ class UserService {
         lastName: userData.lastName,
         phone: userData.phone,
         role,
+        customRole: userData.customRole || null,
         otpVerified: false
       };
 
+      if (role === USER_ROLES.INSPECTOR) {
+        if (userData.capacity) createPayload.capacity = userData.capacity;
+        if (userData.homeBase) createPayload.homeBase = userData.homeBase;
+      }
+
       if (isPasswordRole) {
         createPayload.password = userData.password;
         createPayload.status = USER_STATUS.ACTIVE;
@@ -169,7 +190,7 @@ class UserService {
       return user;
     } catch (error) {
       logger.error('Error creating user', error, { email: userData.email });
-      if (error instanceof ConflictError) {
+      if (error instanceof ConflictError || error instanceof BadRequestError || error instanceof ForbiddenError) {
         throw error;
       }
       // Handle MongoDB duplicate key error
@@ -195,11 +216,8 @@ class UserService {
         throw new NotFoundError('User not found');
       }
 
-      // Authorization: Non-admin users can only view their own profile
-      const currentUserId = currentUser._id?.toString() || currentUser.id?.toString();
-      const targetUserId = user._id?.toString() || user.id?.toString();
-      
-      if (currentUser.role !== USER_ROLES.ADMIN && currentUserId !== targetUserId) {
+      // Authorization: without users:read, users can only view their own profile
+      if (!policy.canViewUser(currentUser, user)) {
         throw new ForbiddenError('You can only view your own profile');
       }
 
@@ -229,17 +247,39 @@ class UserService {
         throw new NotFoundError('User not found');
       }
 
-      // Authorization check: Non-admin users can only update themselves
-      const currentUserId = currentUser._id?.toString() || currentUser.id?.toString();
-      const targetUserId = user._id?.toString() || user.id?.toString();
-      
-      if (currentUser.role !== USER_ROLES.ADMIN && currentUserId !== targetUserId) {
+      // Authorization check: without users:manage, users can only update themselves
+      if (!policy.canManageUser(currentUser, user)) {
         throw new ForbiddenError('You can only update your own profile');
       }
+      await roleService.assertManageable(user, currentUser);
 
-      // Admin can change roles, regular users cannot
-      if (currentUser.role !== USER_ROLES.ADMIN && updateData.role) {
+      // Roles need users:manage (custom roles also roles:manage) and never grant more than the editor holds;
+      // nobody changes their own custom role (it could remove their own access)
+      const canManageUsers = policy.can(currentUser, PERMISSIONS.USERS_MANAGE);
+      if (!canManageUsers) {
         delete updateData.role;
+        delete updateData.customRole;
+      }
+      if (updateData.role !== undefined && updateData.role !== user.role) {
+        await roleService.assertAccountTypeGrantable(updateData.role, currentUser);
+      }
+      if (updateData.customRole !== undefined && (updateData.customRole || null) !== (user.customRole || null)) {
+        if (policy.isSelf(currentUser, user)) {
+          throw new ForbiddenError('You cannot change your own role');
+        }
+        policy.assertCan(currentUser, PERMISSIONS.ROLES_MANAGE, 'Assigning custom roles requires roles:manage');
+        if (updateData.customRole) {
+          await roleService.assertAssignable(updateData.customRole, currentUser);
+        }
+      }
+
+      // Workload limits need users:manage; merge so one limit can change without the other
+      const { capacity } = updateData;
+      delete updateData.capacity;
+      if (capacity && canManageUsers) {
+        Object.keys(capacity).forEach(key => {
+          user.set(`capacity.${key}`, capacity[key]);
+        });
       }
 
       // Update user fields
@@ -247,12 +287,20 @@ class UserService {
         user[key] = updateData[key];
       });
 
+      const deactivated = user.isModified('status') && user.status !== USER_STATUS.ACTIVE;
       await user.save();
 
+      // Sign the user out everywhere when their access ends (password changes go through passwordService)
+      if (deactivated) {
+        await sessionService.revokeAllSessions(user._id, AUTH_SESSIONS.REVOKE_REASONS.USER_DEACTIVATED, {
+          revokedBy: currentUser.id
+        });
+      }
+
       logger.info('User updated successfully', { userId: user.id, updatedBy: currentUser.id });
       return user;
     } catch (error) {
-      if (error instanceof NotFoundError || error instanceof ForbiddenError) {
+      if (error instanceof NotFoundError || error instanceof ForbiddenError || error instanceof BadRequestError) {
         throw error;
       }
       
@@ -263,18 +311,20 @@ class UserService {
 
   /**
    * Toggle user status (admin only): active ↔ inactive.
-   * - If active → set to inactive
+   * - If active → set to inactive (all sessions are revoked)
    * - If inactive or blocked → set to active
    * @param {string} userId - User ID to toggle
+   * @param {Object} currentUser - Admin performing the change (must hold every permission of the user)
    * @returns {Promise<Object>} User with updated status
    */
-  async blockUser(userId) {
+  async blockUser(userId, currentUser) {
     try {
       const user = await User.findById(userId);
       
       if (!user) {
         throw new NotFoundError('User not found');
       }
+      await roleService.assertManageable(user, currentUser);
 
       const previousStatus = user.status;
       const newStatus = previousStatus === USER_STATUS.ACTIVE
@@ -284,10 +334,16 @@ class UserService {
       user.status = newStatus;
       await user.save();
 
+      if (newStatus !== USER_STATUS.ACTIVE) {
+        await sessionService.revokeAllSessions(user._id, AUTH_SESSIONS.REVOKE_REASONS.USER_DEACTIVATED, {
+          revokedBy: currentUser.id
+        });
+      }
+
       logger.info('User status toggled', { userId: user.id, previousStatus, newStatus });
       return user;
     } catch (error) {
-      if (error instanceof NotFoundError || error instanceof ConflictError) {
+      if (error instanceof NotFoundError || error instanceof ConflictError || error instanceof ForbiddenError) {
         throw error;
       }
       
@@ -299,19 +355,26 @@ class UserService {
   /**
    * Delete user (admin only)
    * @param {string} userId - User ID to delete
+   * @param {Object} currentUser - Admin deleting the user (must hold every permission of the user)
    * @returns {Promise<void>}
    */
-  async deleteUser(userId) {
+  async deleteUser(userId, currentUser) {
     try {
-      const user = await User.findByIdAndDelete(userId);
+      const user = await User.findById(userId);
       
       if (!user) {
         throw new NotFoundError('User not found');
       }
+      await roleService.assertManageable(user, currentUser);
+
+      await User.deleteOne({ _id: user._id });
+      await sessionService.revokeAllSessions(user._id, AUTH_SESSIONS.REVOKE_REASONS.USER_DEACTIVATED, {
+        revokedBy: currentUser.id
+      });
 
-      logger.info('User deleted successfully', { userId });
+      logger.info('User deleted successfully', { userId, deletedBy: currentUser.id });
     } catch (error) {
-      if (error instanceof NotFoundError) {
+      if (error instanceof NotFoundError || error instanceof ForbiddenError) {
         throw error;
       }
       
@@ -322,11 +385,16 @@ class UserService {
 
   /**
    * Get available inspectors for assignment (admin only)
-   * Criteria: role=inspector, status=active, is_assigned=false. Optionally filter by availableStatus.
-   * @param {Object} queryParams - Optional { availableStatus, page, limit }
-   * @returns {Promise<Object>} List of available inspectors (id, firstName, lastName, email, phone, availableStatus)
+   * Active inspectors below their concurrent capacity (open assigned/in_progress requests < capacity.maxConcurrent).
+   * With slot: additionally within the daily limit, working hours and time-off, with no overlapping booking (see schedulingService).
+   * Optionally filter by availableStatus. Each inspector carries its workload.
+   * @param {Object} queryParams - Optional { slot, durationMinutes, availableStatus, page, limit }
+   * @returns {Promise<Object>} List of available inspectors (id, firstName, lastName, email, phone, availableStatus, workload)
    */
   async getAvailableInspectors(queryParams = {}) {
+    if (queryParams.slot) {
+      return schedulingService.getAvailableInspectorsForSlot(queryParams);
+    }
     try {
       const {
         availableStatus = null,
@@ -336,8 +404,7 @@ class UserService {
 
       const filter = {
         role: USER_ROLES.INSPECTOR,
-        status: USER_STATUS.ACTIVE,
-        is_assigned: false
+        status: USER_STATUS.ACTIVE
       };
       if (availableStatus != null && String(availableStatus).trim() !== '') {
         filter.availableStatus = String(availableStatus).trim();
@@ -347,17 +414,19 @@ class UserService {
       const limitNum = Math.max(1, Math.min(100, parseInt(limit) || 50));
       const skip = (pageNum - 1) * limitNum;
 
-      const [inspectors, totalCount] = await Promise.all([
-        User.find(filter)
-          .select('firstName lastName email phone availableStatus is_assigned createdAt')
-          .sort({ firstName: 1, lastName: 1 })
-          .skip(skip)
-          .limit(limitNum)
-          .lean()
-          .exec(),
-        User.countDocuments(filter)
-      ]);
+      // Capacity depends on live request counts, so filter after loading (inspector lists are small)
+      const candidates = await User.find(filter)
+        .select('firstName lastName email phone availableStatus is_assigned capacity createdAt')
+        .sort({ firstName: 1, lastName: 1 })
+        .lean()
+        .exec();
+      const workloads = await capacityService.getWorkloads(candidates);
+      const available = candidates
+        .map(inspector => ({ ...inspector, workload: workloads.get(String(inspector._id)) }))
+        .filter(inspector => capacityService.evaluate(inspector.workload).length === 0);
 
+      const inspectors = available.slice(skip, skip + limitNum);
+      const totalCount = available.length;
       const totalPages = Math.ceil(totalCount / limitNum);
 
       logger.info('Available inspectors listed', {
@@ -385,16 +454,14 @@ class UserService {
   }
 
   /**
-   * Update current inspector's available status (inspector only)
+   * Update current inspector's available status (schedule:manage-own, so custom inspector roles qualify)
    * @param {Object} body - { availableStatus: string } (max 50 chars, optional empty string to clear)
-   * @param {Object} currentUser - Authenticated user (must be inspector)
+   * @param {Object} currentUser - Authenticated user with schedule:manage-own
    * @returns {Promise<Object>} Updated user (selected fields)
    */
   async updateMyAvailableStatus(body, currentUser) {
     try {
-      if (!currentUser || currentUser.role !== USER_ROLES.INSPECTOR) {
-        throw new ForbiddenError('Only inspectors can update their available status');
-      }
+      policy.assertCan(currentUser, PERMISSIONS.SCHEDULE_MANAGE_OWN, 'Updating your available status requires schedule:manage-own');
 
       const userId = currentUser._id || currentUser.id;
       if (!userId) {
@@ -0,0 +1,358 @@
+/**
+ * Valuation Service
+ * Admin-maintained vehicle base-price table and the valuation of 'car valuation' requests.
+ * A request is valued when its inspection is completed or submitted (checklistService calls storeValuation); the
+ * result is stored on the request and recomputed when the completed inspection changes, or on a refresh by a user
+ * with valuations:refresh (e.g. after price table edits). Reading a valuation never writes.
+ */
+
+const VehiclePrice = require('../models/VehiclePrice');
+const Make = require('../models/Make');
+const Model = require('../models/Model');
+const InspectionRequest = require('../models/InspectionRequest');
+const Inspection = require('../models/Inspection');
+const {
+  NotFoundError,
+  BadRequestError,
+  ConflictError,
+  ForbiddenError,
+  DatabaseError
+} = require('../utils/errors');
+const { VALUATION } = require('../config/constants');
+const { PERMISSIONS } = require('../config/permissions');
+const policy = require('../middleware/policy');
+const { calculateValuation } = require('../utils/valuation');
+const logger = require('../utils/logger');
+
+const VALUED_INSPECTION_STATUSES = ['completed', 'submitted'];
+
+/** Number of damages recorded on an inspection (legacy damaged_coordinates when it has no damage map). */
+const damageCountOf = (inspection) => {
+  if (inspection.damages?.length) return inspection.damages.length;
+  return Array.isArray(inspection.damaged_coordinates) ? inspection.damaged_coordinates.length : 0;
+};
+
+/** Lean price table entry with make/model names, for responses. */
+const toPriceResponse = (price) => {
+  const { _id, __v, makeId, modelId, ...rest } = price;
+  return {
+    id: _id.toString(),
+    ...rest,
+    makeId: (makeId?._id || makeId).toString(),
+    makeName: makeId?.name || null,
+    modelId: (modelId?._id || modelId).toString(),
+    modelName: modelId?.name || null
+  };
+};
+
+/**
+ * Valuation Service Class
+ */
+class ValuationService {
+  /**
+   * Create a price table entry (admin only)
+   * @param {Object} data - { makeId, modelId, year, basePrice, depreciation?, conditionAdjustments?, isActive? }
+   * @param {Object} currentUser - Authenticated admin
+   * @returns {Promise<Object>} Created entry
+   */
+  async createPrice(data, currentUser) {
+    try {
+      await this._assertMakeModel(data.makeId, data.modelId);
+      const price = await VehiclePrice.create({
+        makeId: data.makeId,
+        modelId: data.modelId,
+        year: data.year,
+        basePrice: data.basePrice,
+        depreciation: data.depreciation || {},
+        conditionAdjustments: data.conditionAdjustments || {},
+        isActive: data.isActive ?? true,
+        createdBy: currentUser.id,
+        updatedBy: currentUser.id
+      });
+
+      logger.info('Vehicle price created', { priceId: price.id, modelId: data.modelId, year: data.year });
+      return this.getPriceById(price.id);
+    } catch (error) {
+      throw this._mapWriteError(error, 'Failed to create vehicle price', { modelId: data.modelId, year: data.year });
+    }
+  }
+
+  /**
+   * List price table entries, ordered by make, model and year
+   * @param {Object} options - { makeId?, modelId?, year?, isActive? }
+   * @returns {Promise<Array>} Entries
+   */
+  async getAllPrices(options = {}) {
+    try {
+      const query = {};
+      ['makeId', 'modelId', 'year', 'isActive'].forEach((key) => {
+        if (options[key] !== undefined) query[key] = options[key];
+      });
+
+      const prices = await VehiclePrice.find(query)
+        .populate('makeId', 'name')
+        .populate('modelId', 'name')
+        .lean();
+
+      return prices
+        .map(toPriceResponse)
+        .sort((a, b) => (a.makeName || '').localeCompare(b.makeName || '') ||
+          (a.modelName || '').localeCompare(b.modelName || '') ||
+          b.year - a.year);
+    } catch (error) {
+      logger.error('Error fetching vehicle prices', error);
+      throw new DatabaseError('Failed to fetch vehicle prices', error);
+    }
+  }
+
+  /**
+   * Get a price table entry by ID
+   * @param {string} priceId - Entry ID
+   * @returns {Promise<Object>} Entry
+   */
+  async getPriceById(priceId) {
+    try {
+      const price = await VehiclePrice.findById(priceId)
+        .populate('makeId', 'name')
+        .populate('modelId', 'name')
+        .lean();
+      if (!price) {
+        throw new NotFoundError('Vehicle price not found');
+      }
+      return toPriceResponse(price);
+    } catch (error) {
+      if (error instanceof NotFoundError) {
+        throw error;
+      }
+      logger.error('Error fetching vehicle price', error, { priceId });
+      throw new DatabaseError('Failed to fetch vehicle price', error);
+    }
+  }
+
+  /**
+   * Update a price table entry (admin only). Rule overrides are merged; null restores the default.
+   * @param {string} priceId - Entry ID
+   * @param {Object} data - Any create field
+   * @param {Object} currentUser - Authenticated admin
+   * @returns {Promise<Object>} Updated entry
+   */
+  async updatePrice(priceId, data, currentUser) {
+    try {
+      const price = await VehiclePrice.findById(priceId);
+      if (!price) {
+        throw new NotFoundError('Vehicle price not found');
+      }
+
+      if (data.makeId !== undefined || data.modelId !== undefined) {
+        await this._assertMakeModel(data.makeId ?? price.makeId, data.modelId ?? price.modelId);
+      }
+      ['makeId', 'modelId', 'year', 'basePrice', 'isActive'].forEach((key) => {
+        if (data[key] !== undefined) price[key] = data[key];
+      });
+      ['depreciation', 'conditionAdjustments'].forEach((group) => {
+        Object.entries(data[group] || {}).forEach(([key, value]) => price.set(`${group}.${key}`, value));
+      });
+      price.updatedBy = currentUser.id;
+      await price.save();
+
+      logger.info('Vehicle price updated', { priceId });
+      return this.getPriceById(priceId);
+    } catch (error) {
+      throw this._mapWriteError(error, 'Failed to update vehicle price', { priceId });
+    }
+  }
+
+  /**
+   * Delete a price table entry (admin only). Stored valuations keep their figures.
+   * @param {string} priceId - Entry ID
+   * @returns {Promise<void>}
+   */
+  async deletePrice(priceId) {
+    try {
+      const result = await VehiclePrice.deleteOne({ _id: priceId });
+      if (result.deletedCount === 0) {
+        throw new NotFoundError('Vehicle price not found');
+      }
+      logger.info('Vehicle price deleted', { priceId });
+    } catch (error) {
+      if (error instanceof NotFoundError) {
+        throw error;
+      }
+      logger.error('Error deleting vehicle price', error, { priceId });
+      throw new DatabaseError('Failed to delete vehicle price', error);
+    }
+  }
+
+  /**
+   * Stored valuation of a 'car valuation' request. Access rules are the same as getRequestById.
+   * Only a user with valuations:refresh asking to refresh recomputes it (refresh is ignored for others).
+   * @param {string} requestId - Request ID (MongoDB _id)
+   * @param {Object} currentUser - Authenticated user
+   * @param {Object} options - { refresh?: boolean } (needs valuations:refresh)
+   * @returns {Promise<Object>} { requestId, requestType, valuation }
+   * @throws {NotFoundError} Not computed yet (e.g. no base price when the inspection completed)
+   */
+  async getRequestValuation(requestId, currentUser, options = {}) {
+    try {
+      const request = await InspectionRequest.findById(requestId)
+        .select('requestId userId assignedInspectorId requestType vehicleInfo inspectionId valuation')
+        .lean();
+      if (!request) {
+        throw new NotFoundError('Inspection request not found');
+      }
+
+      if (!policy.canViewRequest(currentUser, request)) {
+        throw new ForbiddenError('You do not have permission to view this inspection request');
+      }
+
+      if (request.requestType !== VALUATION.REQUEST_TYPE) {
+        throw new BadRequestError('Valuations are only available for car valuation requests');
+      }
+      const inspection = request.inspectionId
+        ? await Inspection.findById(request.inspectionId)
+          .select('status vehicleInfo overallRating grade damages damaged_coordinates updatedAt')
+          .lean()
+        : null;
+      if (!inspection || !VALUED_INSPECTION_STATUSES.includes(inspection.status)) {
+        throw new BadRequestError('The valuation is available once the inspection is completed');
+      }
+
+      let valuation = request.valuation;
+      if (options.refresh && policy.can(currentUser, PERMISSIONS.VALUATIONS_REFRESH)) {
+        valuation = await this.storeValuation(request, inspection);
+      }
+      if (!valuation) {
+        throw new NotFoundError('The valuation has not been computed yet');
+      }
+      return { requestId: request._id.toString(), requestType: request.requestType, valuation };
+    } catch (error) {
+      if (error instanceof NotFoundError || error instanceof ForbiddenError || error instanceof BadRequestError) {
+        throw error;
+      }
+      logger.error('Error computing request valuation', error, { requestId });
+      throw new DatabaseError('Failed to compute valuation', error);
+    }
+  }
+
+  /**
+   * Compute and store the valuation of a 'car valuation' request whose inspection is completed or submitted.
+   * Other requests and unfinished inspections are left alone.
+   * @param {Object} request - Lean request ({ _id, requestType, vehicleInfo })
+   * @param {Object} inspection - Lean inspection
+   * @returns {Promise<Object|null>} Stored valuation, or null when the request is not valued
+   * @throws {NotFoundError} No price table entry for the vehicle
+   */
+  async storeValuation(request, inspection) {
+    if (request.requestType !== VALUATION.REQUEST_TYPE || !VALUED_INSPECTION_STATUSES.includes(inspection.status)) {
+      return null;
+    }
+
+    const valuation = await this._valuate(request, inspection);
+    await InspectionRequest.updateOne({ _id: request._id }, { $set: { valuation } });
+
+    logger.info('Request valuation computed', {
+      requestId: request._id.toString(),
+      inspectionId: inspection._id.toString(),
+      estimate: valuation.estimate
+    });
+    return valuation;
+  }
+
+  /**
+   * Compute a valuation from the inspection's vehicle data (falling back to the request's)
+   * @throws {NotFoundError} No price table entry for the make/model
+   */
+  async _valuate(request, inspection) {
+    const vehicle = { ...request.vehicleInfo };
+    Object.entries(inspection.vehicleInfo || {}).forEach(([key, value]) => {
+      if (value != null && value !== '') vehicle[key] = value;
+    });
+
+    const price = await this._findPrice(vehicle);
+    const damageCount = damageCountOf(inspection);
+    const result = calculateValuation({
+      price,
+      vehicle: { year: vehicle.year, mileage: vehicle.mileage ?? null },
+      condition: { grade: inspection.grade, damageCount }
+    });
+
+    return {
+      ...result,
+      basePriceYear: price.year,
+      priceId: price._id,
+      mileage: vehicle.mileage ?? null,
+      grade: inspection.grade || null,
+      overallRating: inspection.overallRating ?? null,
+      damageCount,
+      inspectionId: inspection._id,
+      computedAt: new Date()
+    };
+  }
+
+  /**
+   * Active price table entry for a vehicle: its model year, else the nearest year (later year on a tie)
+   * @param {Object} vehicle - { make, model, year }
+   * @returns {Promise<Object>} Lean entry
+   * @throws {NotFoundError} Unknown make/model or no active entry
+   */
+  async _findPrice(vehicle) {
+    const label = `${vehicle.make || ''} ${vehicle.model || ''}`.trim();
+    const make = vehicle.make ? await Make.findOne({ name: vehicle.make.trim().toUpperCase() }).lean() : null;
+    const model = make
+      ? await Model.findOne({ makeId: make._id, name: String(vehicle.model || '').trim() })
+        .collation({ locale: 'en', strength: 2 })
+        .lean()
+      : null;
+    const prices = model ? await VehiclePrice.find({ modelId: model._id, isActive: true }).lean() : [];
+    if (prices.length === 0) {
+      throw new NotFoundError(`No base price found for ${label || 'this vehicle'}`);
+    }
+    if (!vehicle.year) {
+      return prices.reduce((latest, price) => (price.year > latest.year ? price : latest));
+    }
+    const distance = (price) => Math.abs(price.year - vehicle.year);
+    return prices.reduce((best, price) => (
+      distance(price) < distance(best) || (distance(price) === distance(best) && price.year > best.year) ? price : best
+    ));
+  }
+
+  /**
+   * Check that a make and model exist and the model belongs to the make
+   * @throws {BadRequestError}
+   */
+  async _assertMakeModel(makeId, modelId) {
+    const [make, model] = await Promise.all([Make.findById(makeId).lean(), Model.findById(modelId).lean()]);
+    if (!make) {
+      throw new BadRequestError('Make not found');
+    }
+    if (!model) {
+      throw new BadRequestError('Model not found');
+    }
+    if (model.makeId.toString() !== make._id.toString()) {
+      throw new BadRequestError(`Model ${model.name} does not belong to make ${make.name}`);
+    }
+  }
+
+  /** Translate write failures into API errors. */
+  _mapWriteError(error, message, context) {
+    if (error instanceof NotFoundError || error instanceof BadRequestError || error instanceof ConflictError) {
+      return error;
+    }
+    if (error.code === 11000) {
+      return new ConflictError('A price for this model and year already exists');
+    }
+    if (error.name === 'ValidationError') {
+      return new BadRequestError(
+        'Invalid vehicle price',
+        Object.values(error.errors).map(e => ({ field: e.path, message: e.message }))
+      );
+    }
+    if (error.name === 'CastError') {
+      return new BadRequestError(`Invalid ${error.path}`);
+    }
+    logger.error(message, error, context);
+    return new DatabaseError(message, error);
+  }
+}
+
+module.exports = new ValuationService();
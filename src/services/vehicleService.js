@@ -0,0 +1,259 @@
+/**
+ * Vehicle Service
+ * Registry of physical vehicles across inspection requests and inspections. Records are matched to a Vehicle by VIN,
+ * else by license plate; each record that reports mileage adds an odometer reading, and a reading lower than an
+ * earlier one flags an odometer rollback.
+ */
+
+const Vehicle = require('../models/Vehicle');
+const InspectionRequest = require('../models/InspectionRequest');
+const Inspection = require('../models/Inspection');
+const { NotFoundError, DatabaseError } = require('../utils/errors');
+const { VEHICLE_HISTORY } = require('../config/constants');
+const { normalizeVin } = require('../utils/vin');
+const logger = require('../utils/logger');
+
+const { SOURCES } = VEHICLE_HISTORY;
+
+const plateKeyOf = (plate) => String(plate || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/** Fill attributes the vehicle does not know yet; the plate follows the latest record (plates can change). */
+const mergeAttributes = (vehicle, info) => {
+  ['make', 'model', 'color'].forEach((key) => {
+    if (!vehicle[key] && info[key]) vehicle[key] = info[key];
+  });
+  if (!vehicle.year && info.year) vehicle.year = info.year;
+  if (info.licensePlate) vehicle.licensePlate = info.licensePlate;
+};
+
+/**
+ * Vehicle Service Class
+ */
+class VehicleService {
+  /**
+   * Link a request or inspection to its Vehicle (created on first sight) and record its mileage reading.
+   * Best effort: failures are logged and never fail the request/inspection write.
+   * @param {string} source - VEHICLE_HISTORY.SOURCES value
+   * @param {Object} record - Saved InspectionRequest or Inspection document
+   * @returns {Promise<Object|null>} Vehicle, or null when the record has no VIN or plate
+   */
+  async linkRecord(source, record) {
+    try {
+      const info = record.vehicleInfo || {};
+      let vehicle = await this._findOrCreate(info);
+      if (!vehicle && source === SOURCES.INSPECTION) {
+        // Inspections without identifiers belong to the vehicle of their request
+        const request = await InspectionRequest.findOne({ inspectionId: record._id }).select('vehicleId').lean();
+        vehicle = request?.vehicleId ? await Vehicle.findById(request.vehicleId) : null;
+      }
+      const Source = source === SOURCES.REQUEST ? InspectionRequest : Inspection;
+      const previousId = record.vehicleId?.toString() || null;
+
+      if (previousId && previousId !== vehicle?.id) {
+        // Identifiers changed: the reading moves with the record
+        await Vehicle.updateOne({ _id: previousId }, { $pull: { mileageReadings: { source, sourceId: record._id } } });
+        await this._recalculate(previousId);
+      }
+      if (!vehicle) {
+        if (previousId) await Source.updateOne({ _id: record._id }, { $set: { vehicleId: null } });
+        return null;
+      }
+
+      this._setReading(vehicle, source, record, info.mileage);
+      await vehicle.save();
+      if (previousId !== vehicle.id) {
+        await Source.updateOne({ _id: record._id }, { $set: { vehicleId: vehicle._id } });
+        record.vehicleId = vehicle._id;
+      }
+      return vehicle;
+    } catch (error) {
+      logger.error('Error linking vehicle record', error, { source, recordId: record?._id?.toString() });
+      return null;
+    }
+  }
+
+  /**
+   * Search vehicles by VIN or license plate (prefix match, ignoring spaces and punctuation)
+   * @param {Object} queryParams - { vin?, plate?, odometerRollback?, page?, limit? }
+   * @returns {Promise<Object>} { vehicles, pagination }
+   */
+  async searchVehicles(queryParams = {}) {
+    try {
+      const pageNum = Math.max(1, parseInt(queryParams.page) || 1);
+      const limitNum = Math.max(1, Math.min(100, parseInt(queryParams.limit) || 10));
+
+      const query = {};
+      if (queryParams.vin) {
+        query.vin = { $regex: `^${escapeRegex(normalizeVin(queryParams.vin))}` };
+      }
+      if (queryParams.plate) {
+        query.plateKey = { $regex: `^${escapeRegex(plateKeyOf(queryParams.plate))}` };
+      }
+      if (queryParams.odometerRollback !== undefined) {
+        query.odometerRollback = queryParams.odometerRollback;
+      }
+
+      const [vehicles, totalCount] = await Promise.all([
+        Vehicle.find(query)
+          .select('-mileageReadings')
+          .sort({ updatedAt: -1 })
+          .skip((pageNum - 1) * limitNum)
+          .limit(limitNum),
+        Vehicle.countDocuments(query)
+      ]);
+      const totalPages = Math.ceil(totalCount / limitNum);
+
+      return {
+        vehicles,
+        pagination: {
+          currentPage: pageNum,
+          totalPages,
+          totalCount,
+          limit: limitNum,
+          hasNextPage: pageNum < totalPages,
+          hasPreviousPage: pageNum > 1
+        }
+      };
+    } catch (error) {
+      logger.error('Error searching vehicles', error, { queryParams });
+      throw new DatabaseError('Failed to search vehicles', error);
+    }
+  }
+
+  /**
+   * Get a vehicle with its mileage readings
+   * @param {string} vehicleId - Vehicle ID
+   * @returns {Promise<Object>} Vehicle
+   */
+  async getVehicleById(vehicleId) {
+    try {
+      const vehicle = await Vehicle.findById(vehicleId);
+      if (!vehicle) {
+        throw new NotFoundError('Vehicle not found');
+      }
+      return vehicle;
+    } catch (error) {
+      if (error instanceof NotFoundError) {
+        throw error;
+      }
+      logger.error('Error fetching vehicle', error, { vehicleId });
+      throw new DatabaseError('Failed to fetch vehicle', error);
+    }
+  }
+
+  /**
+   * Vehicle timeline: its requests and inspections, oldest first, with the mileage history
+   * @param {string} vehicleId - Vehicle ID
+   * @returns {Promise<Object>} { vehicle, mileage: { latest, rollbackDetected, readings }, events }
+   */
+  async getTimeline(vehicleId) {
+    const vehicle = await this.getVehicleById(vehicleId);
+    try {
+      const [requests, inspections] = await Promise.all([
+        InspectionRequest.find({ vehicleId: vehicle._id })
+          .select('requestId requestType status vehicleInfo inspectionId createdAt')
+          .lean(),
+        Inspection.find({ vehicleId: vehicle._id })
+          .select('status vehicleInfo overallRating grade damages inspectorId inspectionDate')
+          .populate('inspectorId', 'firstName lastName')
+          .lean()
+      ]);
+
+      const readingOf = (source, id) => vehicle.mileageReadings
+        .find(reading => reading.source === source && reading.sourceId.toString() === id.toString());
+
+      const events = [
+        ...requests.map(request => ({
+          type: SOURCES.REQUEST,
+          id: request._id.toString(),
+          date: request.createdAt,
+          requestId: request.requestId,
+          requestType: request.requestType,
+          status: request.status,
+          inspectionId: request.inspectionId?.toString() || null,
+          mileage: request.vehicleInfo?.mileage ?? null,
+          rollback: readingOf(SOURCES.REQUEST, request._id)?.rollback || false
+        })),
+        ...inspections.map(inspection => ({
+          type: SOURCES.INSPECTION,
+          id: inspection._id.toString(),
+          date: inspection.inspectionDate,
+          status: inspection.status,
+          overallRating: inspection.overallRating ?? null,
+          grade: inspection.grade || null,
+          damageCount: inspection.damages?.length || 0,
+          inspector: inspection.inspectorId?.firstName
+            ? `${inspection.inspectorId.firstName} ${inspection.inspectorId.lastName || ''}`.trim()
+            : null,
+          mileage: inspection.vehicleInfo?.mileage ?? null,
+          rollback: readingOf(SOURCES.INSPECTION, inspection._id)?.rollback || false
+        }))
+      ].sort((a, b) => new Date(a.date) - new Date(b.date));
+
+      return {
+        vehicle,
+        mileage: {
+          latest: vehicle.latestMileage,
+          rollbackDetected: vehicle.odometerRollback,
+          readings: vehicle.mileageReadings
+        },
+        events
+      };
+    } catch (error) {
+      logger.error('Error fetching vehicle timeline', error, { vehicleId });
+      throw new DatabaseError('Failed to fetch vehicle timeline', error);
+    }
+  }
+
+  /**
+   * Vehicle for the given vehicleInfo: by VIN, else by plate (a plate match without a VIN adopts the record's VIN).
+   * Created when unknown; null when vehicleInfo has neither VIN nor plate.
+   */
+  async _findOrCreate(info) {
+    const vin = normalizeVin(info.vin) || null;
+    const plateKey = plateKeyOf(info.licensePlate);
+    if (!vin && !plateKey) return null;
+
+    let vehicle = vin ? await Vehicle.findOne({ vin }) : null;
+    if (!vehicle && plateKey) {
+      const plateQuery = vin ? { plateKey, vin: null } : { plateKey };
+      vehicle = await Vehicle.findOne(plateQuery).sort({ updatedAt: -1 });
+      if (vehicle && vin) vehicle.vin = vin;
+    }
+    if (!vehicle) {
+      try {
+        vehicle = await Vehicle.create({ vin, licensePlate: info.licensePlate || '' });
+        logger.info('Vehicle registered', { vehicleId: vehicle.id, vin, plateKey });
+      } catch (error) {
+        // Registered concurrently by another record
+        if (error.code !== 11000) throw error;
+        vehicle = await Vehicle.findOne({ vin });
+      }
+    }
+    mergeAttributes(vehicle, info);
+    return vehicle;
+  }
+
+  /** Add, update or remove (no mileage) the record's reading. */
+  _setReading(vehicle, source, record, mileage) {
+    const date = source === SOURCES.REQUEST ? record.createdAt : record.inspectionDate;
+    const readings = vehicle.mileageReadings
+      .filter(reading => !(reading.source === source && reading.sourceId.toString() === record._id.toString()));
+    if (mileage != null) {
+      readings.push({ mileage, recordedAt: date || new Date(), source, sourceId: record._id });
+    }
+    vehicle.mileageReadings = readings;
+  }
+
+  /** Recompute mileage flags after readings were pulled outside a save. */
+  async _recalculate(vehicleId) {
+    const vehicle = await Vehicle.findById(vehicleId);
+    if (!vehicle) return;
+    vehicle.markModified('mileageReadings');
+    await vehicle.save();
+  }
+}
+
+module.exports = new VehicleService();
@@ -0,0 +1,103 @@
+/**
+ * VIN Service
+ * Decodes VINs from the local tables (utils/vin, config/vinData), matches the result against the Make/Model
+ * collections, and compares a decoded VIN with the make/model/year a customer or inspector entered.
+ */
+
+const Make = require('../models/Make');
+const Model = require('../models/Model');
+const { DatabaseError } = require('../utils/errors');
+const { validateVin, decodeVin } = require('../utils/vin');
+const { MAKE_ALIASES } = require('../config/vinData');
+const logger = require('../utils/logger');
+
+const normalizeName = (name) => String(name || '').trim().toUpperCase();
+
+/** Decoded make name and its aliases. */
+const makeNamesFor = (make) => (make ? [make, ...(MAKE_ALIASES[make] || [])] : []);
+
+/**
+ * VIN Service Class
+ */
+class VinService {
+  /**
+   * Decode a VIN and match it against the Make/Model collections
+   * @param {string} vin - 17-character VIN
+   * @returns {Promise<Object>} { vin, valid, error, checkDigit, wmi, vds, vis, region, country, manufacturer,
+   *   make, makeId, model, modelId, modelYear, modelYearCandidates }
+   */
+  async decode(vin) {
+    const validation = validateVin(vin);
+    const decoded = decodeVin(validation.vin);
+
+    try {
+      const make = decoded.make
+        ? await Make.findOne({ name: { $in: makeNamesFor(decoded.make) } }).lean()
+        : null;
+      const model = make && decoded.model
+        ? await Model.findOne({ makeId: make._id, name: decoded.model })
+          .collation({ locale: 'en', strength: 2 })
+          .lean()
+        : null;
+
+      return {
+        vin: validation.vin,
+        valid: validation.valid,
+        error: validation.error,
+        checkDigit: validation.checkDigit,
+        ...decoded,
+        make: make?.name || decoded.make,
+        makeId: make?._id.toString() || null,
+        model: model?.name || decoded.model,
+        modelId: model?._id.toString() || null
+      };
+    } catch (error) {
+      logger.error('Error decoding VIN', error, { vin: validation.vin });
+      throw new DatabaseError('Failed to decode VIN', error);
+    }
+  }
+
+  /**
+   * Warnings for vehicle data that disagrees with its VIN (nothing to compare = no warnings)
+   * @param {Object} vehicleInfo - { vin, make, model, year }
+   * @returns {Array} [{ field, message, entered, decoded }]
+   */
+  vehicleWarnings(vehicleInfo = {}) {
+    if (!vehicleInfo?.vin) return [];
+
+    // Mandatory check digits are enforced by the validator; elsewhere position 9 is often not a check digit
+    const validation = validateVin(vehicleInfo.vin);
+    if (!validation.checkDigit) return [];
+
+    const warnings = [];
+    const decoded = decodeVin(validation.vin);
+    if (decoded.make && vehicleInfo.make && !makeNamesFor(decoded.make).includes(normalizeName(vehicleInfo.make))) {
+      warnings.push({
+        field: 'vehicleInfo.make',
+        message: `VIN belongs to a ${decoded.make} vehicle`,
+        entered: vehicleInfo.make,
+        decoded: decoded.make
+      });
+    }
+    if (decoded.model && vehicleInfo.model && normalizeName(decoded.model) !== normalizeName(vehicleInfo.model)) {
+      warnings.push({
+        field: 'vehicleInfo.model',
+        message: `VIN decodes to model ${decoded.model}`,
+        entered: vehicleInfo.model,
+        decoded: decoded.model
+      });
+    }
+    if (decoded.modelYearCandidates.length && vehicleInfo.year &&
+      !decoded.modelYearCandidates.includes(Number(vehicleInfo.year))) {
+      warnings.push({
+        field: 'vehicleInfo.year',
+        message: `VIN decodes to model year ${decoded.modelYearCandidates.join(' or ')}`,
+        entered: vehicleInfo.year,
+        decoded: decoded.modelYear
+      });
+    }
+    return warnings;
+  }
+}
+
+module.exports = new VinService();
@@ -31,7 +31,8 @@ const asyncHandler = (fn) => {
           statusCode: err.statusCode,
           message: err.message,
           errors: err.errors || null,
-          error: err
+          error: err,
+          headers: err.retryAfterSeconds ? { 'Retry-After': String(err.retryAfterSeconds) } : {}
         });
       }
 
@@ -0,0 +1,162 @@
+/**
+ * Checklist Answers
+ * Validation and pass/warn/fail scoring of typed checklist answers (number, boolean, select, text).
+ * A scored answer counts as the status ANSWER_RESULT_STATUS maps its result to, so type and overall averages treat
+ * typed and status items alike. Unanswered items count as Not Checked; answers without a result (free text, values
+ * outside every threshold band, options without a result) count as Not Applicable.
+ */
+
+const {
+  CHECKLIST_ANSWER_TYPES,
+  ANSWER_RESULTS,
+  ANSWER_RESULT_STATUS,
+  CHECKLIST_STATUS,
+  STATUS_RATING_MAP,
+  TEXT_ANSWER_MAX_LENGTH
+} = require('../config/constants');
+
+const { STATUS, NUMBER, BOOLEAN, SINGLE_SELECT, MULTI_SELECT, TEXT } = CHECKLIST_ANSWER_TYPES;
+
+// Worst result wins when several apply (multi-select)
+const RESULT_SEVERITY = { [ANSWER_RESULTS.PASS]: 0, [ANSWER_RESULTS.WARN]: 1, [ANSWER_RESULTS.FAIL]: 2 };
+
+const answerTypeOf = (templateItem) => templateItem?.answerType || STATUS;
+
+/** Whether the item is answered with a typed answer rather than a status + rating. */
+const isTypedItem = (templateItem) => answerTypeOf(templateItem) !== STATUS;
+
+const inRange = (value, { min, max }) => (min == null || value >= min) && (max == null || value <= max);
+
+/**
+ * Check a template item's answerConfig against its answerType
+ * @param {Object} templateItem - { answerType, answerConfig }
+ * @returns {string|null} Error message, or null when valid
+ */
+function checkAnswerConfig(templateItem) {
+  const config = templateItem.answerConfig || {};
+  switch (answerTypeOf(templateItem)) {
+    case NUMBER:
+      if (config.min != null && config.max != null && config.min > config.max) {
+        return 'answerConfig.min cannot be greater than answerConfig.max';
+      }
+      if ((config.thresholds || []).some(band => band.min != null && band.max != null && band.min > band.max)) {
+        return 'Threshold min cannot be greater than its max';
+      }
+      return null;
+    case SINGLE_SELECT:
+    case MULTI_SELECT: {
+      const values = (config.options || []).map(option => option.value);
+      if (values.length === 0) {
+        return 'Select items need at least one option';
+      }
+      return new Set(values).size === values.length ? null : 'Option values must be unique';
+    }
+    default:
+      return null;
+  }
+}
+
+/**
+ * Check an answer against the template item's type and limits
+ * @param {Object} templateItem - { answerType, answerConfig }
+ * @param {*} answer - Answer (null = unanswered)
+ * @returns {string|null} Error message, or null when valid
+ */
+function checkAnswer(templateItem, answer) {
+  if (answer == null) return null;
+
+  const config = templateItem.answerConfig || {};
+  switch (answerTypeOf(templateItem)) {
+    case NUMBER: {
+      if (typeof answer !== 'number' || !Number.isFinite(answer)) {
+        return 'Answer must be a number';
+      }
+      if (!inRange(answer, config)) {
+        const unit = config.unit ? ` ${config.unit}` : '';
+        return `Answer must be between ${config.min ?? '-∞'} and ${config.max ?? '∞'}${unit}`;
+      }
+      return null;
+    }
+    case BOOLEAN:
+      return typeof answer === 'boolean' ? null : 'Answer must be true or false';
+    case SINGLE_SELECT: {
+      const values = (config.options || []).map(option => option.value);
+      return values.includes(answer) ? null : `Answer must be one of: ${values.join(', ')}`;
+    }
+    case MULTI_SELECT: {
+      const values = (config.options || []).map(option => option.value);
+      if (!Array.isArray(answer) || answer.length === 0) {
+        return 'Answer must be a non-empty array of options';
+      }
+      if (new Set(answer).size !== answer.length) {
+        return 'Answer cannot repeat an option';
+      }
+      const unknown = answer.find(value => !values.includes(value));
+      return unknown === undefined ? null : `Unknown option: ${unknown}. Must be one of: ${values.join(', ')}`;
+    }
+    case TEXT: {
+      const maxLength = config.maxLength || TEXT_ANSWER_MAX_LENGTH;
+      return typeof answer === 'string' && answer.length <= maxLength
+        ? null
+        : `Answer must be text of at most ${maxLength} characters`;
+    }
+    default:
+      return 'Status items are answered with status and rating, not answer';
+  }
+}
+
+/**
+ * Score a valid answer
+ * @param {Object} templateItem - { answerType, answerConfig }
+ * @param {*} answer - Answer (not null)
+ * @returns {string|null} pass | warn | fail, or null when the answer is not scored
+ */
+function scoreAnswer(templateItem, answer) {
+  const config = templateItem.answerConfig || {};
+  switch (answerTypeOf(templateItem)) {
+    case NUMBER: {
+      // First matching band wins
+      const band = (config.thresholds || []).find(threshold => inRange(answer, threshold));
+      return band ? band.result : null;
+    }
+    case BOOLEAN:
+      if (config.expected == null) return null;
+      return answer === config.expected ? ANSWER_RESULTS.PASS : ANSWER_RESULTS.FAIL;
+    case SINGLE_SELECT:
+      return (config.options || []).find(option => option.value === answer)?.result || null;
+    case MULTI_SELECT:
+      return (config.options || [])
+        .filter(option => answer.includes(option.value) && option.result)
+        .map(option => option.result)
+        .reduce((worst, result) => (worst && RESULT_SEVERITY[worst] >= RESULT_SEVERITY[result] ? worst : result), null);
+    default:
+      return null;
+  }
+}
+
+/**
+ * Answer fields of a typed checklist item: answer, result and the status/rating they count as
+ * @param {Object} templateItem - Typed template item
+ * @param {Object} item - { answer?, status? }; status only matters for unanswered items (Not Applicable is kept)
+ * @returns {Object} { answer, result, status, rating }
+ */
+function resolveTypedItem(templateItem, item) {
+  const answer = item.answer ?? null;
+  if (answer === null) {
+    const status = item.status === CHECKLIST_STATUS.NOT_APPLICABLE
+      ? CHECKLIST_STATUS.NOT_APPLICABLE
+      : CHECKLIST_STATUS.NOT_CHECKED;
+    return { answer, result: null, status, rating: 0 };
+  }
+  const result = scoreAnswer(templateItem, answer);
+  const status = result ? ANSWER_RESULT_STATUS[result] : CHECKLIST_STATUS.NOT_APPLICABLE;
+  return { answer, result, status, rating: STATUS_RATING_MAP[status] };
+}
+
+module.exports = {
+  isTypedItem,
+  checkAnswerConfig,
+  checkAnswer,
+  scoreAnswer,
+  resolveTypedItem
+};
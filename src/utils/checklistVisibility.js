@@ -0,0 +1,143 @@
+/**
+ * Checklist Visibility
+ * Visibility conditions (visibleWhen) of template types and checklist items. A rule tests a vehicle field (fuel type,
+ * transmission, body type, ...) or the answer of an earlier checklist item: its typed answer, or its status for status
+ * items. Hidden types and items are not part of an inspection. Rules may only refer to items earlier in the template,
+ * so a single pass in template order resolves every condition.
+ */
+
+const { CHECKLIST_CONDITIONS, CHECKLIST_ANSWER_TYPES } = require('../config/constants');
+
+const { MATCH, OPERATORS } = CHECKLIST_CONDITIONS;
+
+const normalize = (value) => (typeof value === 'string' ? value.trim().toLowerCase() : value);
+
+const isBlank = (value) => value == null || value === '' || (Array.isArray(value) && value.length === 0);
+
+/** Value a condition sees for a checklist item: the typed answer, or the status of status items. */
+const itemAnswer = (item) => ((item.answerType || CHECKLIST_ANSWER_TYPES.STATUS) !== CHECKLIST_ANSWER_TYPES.STATUS
+  ? item.answer ?? null
+  : item.status ?? null);
+
+/** Vehicle field from the inspection's vehicleDetails, falling back to vehicleInfo. */
+const vehicleValue = (vehicle, field) => {
+  const details = vehicle.details?.[field];
+  return isBlank(details) ? vehicle.info?.[field] ?? null : details;
+};
+
+/**
+ * Whether a rule holds for a value. Strings compare case-insensitively; multi-select answers match when they
+ * contain the value. A missing value only satisfies not_equals, not_in and not_exists.
+ */
+function testRule(rule, actual) {
+  const { operator, value } = rule;
+  if (operator === OPERATORS.EXISTS) return !isBlank(actual);
+  if (operator === OPERATORS.NOT_EXISTS) return isBlank(actual);
+
+  const negated = operator === OPERATORS.NOT_EQUALS || operator === OPERATORS.NOT_IN;
+  if (isBlank(actual)) return negated;
+
+  switch (operator) {
+    case OPERATORS.EQUALS:
+    case OPERATORS.NOT_EQUALS:
+    case OPERATORS.IN:
+    case OPERATORS.NOT_IN: {
+      const expected = (Array.isArray(value) ? value : [value]).map(normalize);
+      const actualValues = (Array.isArray(actual) ? actual : [actual]).map(normalize);
+      const matched = actualValues.some(v => expected.includes(v));
+      return negated ? !matched : matched;
+    }
+    default: {
+      const number = Number(actual);
+      if (!Number.isFinite(number)) return false;
+      if (operator === OPERATORS.GT) return number > value;
+      if (operator === OPERATORS.GTE) return number >= value;
+      if (operator === OPERATORS.LT) return number < value;
+      return number <= value;
+    }
+  }
+}
+
+/**
+ * Evaluate a visibleWhen condition (none = always visible)
+ * @param {Object} condition - { match: all|any, rules }
+ * @param {Function} valueOf - rule => value the rule tests
+ * @returns {boolean}
+ */
+function evaluateCondition(condition, valueOf) {
+  if (!condition || !condition.rules || condition.rules.length === 0) return true;
+  const results = condition.rules.map(rule => testRule(rule, valueOf(rule)));
+  return condition.match === MATCH.ANY ? results.some(Boolean) : results.every(Boolean);
+}
+
+const byPosition = (items = []) => [...items].sort((a, b) => a.position - b.position);
+
+/**
+ * Types and items that apply to an inspection
+ * @param {Array} templateTypes - Template types, in template order
+ * @param {Object} context - { vehicle: { details, info }, answerOf: (typeName, position) => value }
+ * @returns {Map} typeName -> Set of visible item positions (hidden types are absent)
+ */
+function visibleChecklist(templateTypes = [], { vehicle = {}, answerOf = () => null } = {}) {
+  const visible = new Map();
+  const valueFor = (ownType) => (rule) => {
+    if (rule.vehicleField) return vehicleValue(vehicle, rule.vehicleField);
+    const typeName = rule.typeName || ownType;
+    // Hidden items count as unanswered
+    return visible.get(typeName)?.has(rule.position) ? answerOf(typeName, rule.position) : null;
+  };
+
+  templateTypes.forEach((type) => {
+    if (!evaluateCondition(type.visibleWhen, valueFor(null))) return;
+    const positions = new Set();
+    visible.set(type.typeName, positions);
+    byPosition(type.checklistItems).forEach((item) => {
+      if (evaluateCondition(item.visibleWhen, valueFor(type.typeName))) {
+        positions.add(item.position);
+      }
+    });
+  });
+  return visible;
+}
+
+/**
+ * Check that every answer rule of a template refers to an existing, earlier checklist item
+ * @param {Array} templateTypes - Template types, in template order
+ * @returns {string|null} Error message, or null when valid
+ */
+function checkTemplateConditions(templateTypes = []) {
+  const seen = new Map(); // typeName -> Set of positions of earlier types (and earlier items of the current type)
+
+  for (const type of templateTypes) {
+    for (const rule of type.visibleWhen?.rules || []) {
+      if (rule.vehicleField) continue;
+      if (!rule.typeName) {
+        return `Conditions of type ${type.typeName} must name the typeName of the item they test`;
+      }
+      if (!seen.get(rule.typeName)?.has(rule.position)) {
+        return `Type ${type.typeName} depends on ${rule.typeName} item ${rule.position}, which must exist in an earlier type`;
+      }
+    }
+
+    const positions = new Set();
+    seen.set(type.typeName, positions);
+    for (const item of byPosition(type.checklistItems)) {
+      for (const rule of item.visibleWhen?.rules || []) {
+        if (rule.vehicleField) continue;
+        const typeName = rule.typeName || type.typeName;
+        if (!seen.get(typeName)?.has(rule.position)) {
+          return `${type.typeName} item ${item.position} depends on ${typeName} item ${rule.position}, which must come earlier in the template`;
+        }
+      }
+      positions.add(item.position);
+    }
+  }
+  return null;
+}
+
+module.exports = {
+  itemAnswer,
+  evaluateCondition,
+  visibleChecklist,
+  checkTemplateConditions
+};
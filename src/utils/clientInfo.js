@@ -0,0 +1,53 @@
+/**
+ * Client Info
+ * Caller details from a Lambda (HTTP API) event: IP address and user agent, with a coarse browser/OS label for
+ * session lists.
+ */
+
+// First match wins (Edge and Opera identify as Chrome too)
+const BROWSERS = [
+  { name: 'Edge', pattern: /Edg(e|A|iOS)?\// },
+  { name: 'Opera', pattern: /OPR\/|Opera/ },
+  { name: 'Samsung Internet', pattern: /SamsungBrowser\// },
+  { name: 'Chrome', pattern: /Chrome\/|CriOS\// },
+  { name: 'Firefox', pattern: /Firefox\/|FxiOS\// },
+  { name: 'Safari', pattern: /Safari\// },
+  { name: 'Postman', pattern: /PostmanRuntime\// },
+  { name: 'okhttp', pattern: /okhttp\// }
+];
+
+const OPERATING_SYSTEMS = [
+  { name: 'Android', pattern: /Android/ },
+  { name: 'iOS', pattern: /iPhone|iPad|iPod/ },
+  { name: 'Windows', pattern: /Windows/ },
+  { name: 'macOS', pattern: /Mac OS X|Macintosh/ },
+  { name: 'Linux', pattern: /Linux/ }
+];
+
+const header = (event, name) => {
+  const headers = event.headers || {};
+  const key = Object.keys(headers).find(k => k.toLowerCase() === name);
+  return key ? String(headers[key]) : '';
+};
+
+const firstMatch = (list, userAgent) => list.find(({ pattern }) => pattern.test(userAgent))?.name || '';
+
+/**
+ * Client details of a request
+ * @param {Object} event - Lambda event object
+ * @returns {Object} { ip, userAgent, browser, os }
+ */
+const clientInfo = (event = {}) => {
+  const userAgent = (event.requestContext?.http?.userAgent || header(event, 'user-agent')).slice(0, 500);
+  const forwardedFor = header(event, 'x-forwarded-for').split(',')[0].trim();
+  return {
+    ip: event.requestContext?.http?.sourceIp || forwardedFor || '',
+    userAgent,
+    browser: firstMatch(BROWSERS, userAgent),
+    os: firstMatch(OPERATING_SYSTEMS, userAgent)
+  };
+};
+
+module.exports = {
+  clientInfo
+};
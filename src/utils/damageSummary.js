@@ -0,0 +1,51 @@
+/**
+ * Damage Summary
+ * Per-inspection aggregate of the structured damage map (Inspection.damages): counts by type, severity and panel,
+ * and the total estimated repair cost.
+ */
+
+const { DAMAGE } = require('../config/constants');
+
+const zeroCounts = (values) => Object.fromEntries(Object.values(values).map(value => [value, 0]));
+
+/**
+ * Summarize damages
+ * @param {Array} damages - [{ panel, type, severity, estimatedRepairCost? }]
+ * @returns {Object} { total, byType, bySeverity, panels: [{ panel, count, types, maxSeverity }], panelsAffected, estimatedRepairCost }
+ */
+function summarizeDamages(damages = []) {
+  const severityOrder = Object.values(DAMAGE.SEVERITIES);
+  const byType = zeroCounts(DAMAGE.TYPES);
+  const bySeverity = zeroCounts(DAMAGE.SEVERITIES);
+  const panels = new Map();
+  let estimatedRepairCost = 0;
+
+  damages.forEach((damage) => {
+    byType[damage.type] = (byType[damage.type] || 0) + 1;
+    bySeverity[damage.severity] = (bySeverity[damage.severity] || 0) + 1;
+    estimatedRepairCost += Number(damage.estimatedRepairCost) || 0;
+
+    const panel = panels.get(damage.panel) || { panel: damage.panel, count: 0, types: [], maxSeverity: null };
+    panel.count++;
+    if (!panel.types.includes(damage.type)) panel.types.push(damage.type);
+    if (severityOrder.indexOf(damage.severity) > severityOrder.indexOf(panel.maxSeverity)) {
+      panel.maxSeverity = damage.severity;
+    }
+    panels.set(damage.panel, panel);
+  });
+
+  // Diagram order
+  const panelList = [...panels.values()].sort((a, b) => DAMAGE.PANELS.indexOf(a.panel) - DAMAGE.PANELS.indexOf(b.panel));
+  return {
+    total: damages.length,
+    byType,
+    bySeverity,
+    panels: panelList,
+    panelsAffected: panelList.length,
+    estimatedRepairCost: Math.round(estimatedRepairCost * 100) / 100
+  };
+}
+
+module.exports = {
+  summarizeDamages
+};
@@ -62,11 +62,23 @@ class NotFoundError extends AppError {
 
 /**
  * Conflict Error (409)
- * Used when resource already exists
+ * Used when resource already exists or clashes with existing state (e.g. double-booked slot)
  */
 class ConflictError extends AppError {
-  constructor(message = 'Resource already exists') {
+  constructor(message = 'Resource already exists', errors = null) {
     super(message, HTTP_STATUS.CONFLICT);
+    this.errors = errors;
+  }
+}
+
+/**
+ * Too Many Requests Error (429)
+ * Used when a caller exceeds a rate limit or the account is temporarily locked
+ */
+class TooManyRequestsError extends AppError {
+  constructor(message = 'Too many requests. Please try again later.', retryAfterSeconds = null) {
+    super(message, HTTP_STATUS.TOO_MANY_REQUESTS);
+    this.retryAfterSeconds = retryAfterSeconds;
   }
 }
 
@@ -98,6 +110,7 @@ module.exports = {
   ForbiddenError,
   NotFoundError,
   ConflictError,
+  TooManyRequestsError,
   DatabaseError,
   ValidationError
 };
@@ -0,0 +1,40 @@
+/**
+ * Geo Utilities
+ * Coordinates are { lat, lng } in decimal degrees (WGS84).
+ */
+
+const EARTH_RADIUS_KM = 6371;
+
+const toRadians = (degrees) => (degrees * Math.PI) / 180;
+
+/**
+ * Whether a value holds usable coordinates
+ * @param {Object} coordinates - { lat, lng }
+ * @returns {boolean}
+ */
+const hasCoordinates = (coordinates) =>
+  coordinates != null &&
+  Number.isFinite(coordinates.lat) &&
+  Number.isFinite(coordinates.lng) &&
+  Math.abs(coordinates.lat) <= 90 &&
+  Math.abs(coordinates.lng) <= 180;
+
+/**
+ * Great-circle distance between two points (haversine)
+ * @param {Object} a - { lat, lng }
+ * @param {Object} b - { lat, lng }
+ * @returns {number} Distance in kilometres
+ */
+const haversineKm = (a, b) => {
+  const dLat = toRadians(b.lat - a.lat);
+  const dLng = toRadians(b.lng - a.lng);
+  const h =
+    Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(a.lat)) * Math.cos(toRadians(b.lat)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.min(1, Math.sqrt(h)));
+};
+
+module.exports = {
+  hasCoordinates,
+  haversineKm
+};
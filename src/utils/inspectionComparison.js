@@ -0,0 +1,166 @@
+/**
+ * Inspection Comparison
+ * What changed between two inspections of the same vehicle (e.g. before and after repairs). Types are matched by
+ * typeName and checklist items by position, as in the template diff; damages by panel and damage type.
+ */
+
+const { CHECKLIST_ANSWER_TYPES } = require('../config/constants');
+
+const ITEM_FIELDS = ['status', 'rating', 'remarks', 'answer', 'result'];
+
+// Values compared structurally (multi-select answers are arrays)
+const same = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+const round = (value) => Math.round(value * 100) / 100;
+
+/** { from, to, delta } of two numbers (delta null when either is missing). */
+const numberChange = (from, to) => ({
+  from: from ?? null,
+  to: to ?? null,
+  delta: from != null && to != null ? round(to - from) : null
+});
+
+const byKey = (list = [], key) => new Map(list.map(entry => [entry[key], entry]));
+
+/** Fields of a checklist item whose values differ, as { field: { from, to } } (null when none differ). */
+const itemChanges = (from, to) => {
+  const fields = (to.answerType || CHECKLIST_ANSWER_TYPES.STATUS) === CHECKLIST_ANSWER_TYPES.STATUS
+    ? ITEM_FIELDS.filter(field => field !== 'answer' && field !== 'result')
+    : ITEM_FIELDS;
+  const changes = {};
+  fields.forEach((field) => {
+    if (!same(from[field], to[field])) {
+      changes[field] = { from: from[field] ?? null, to: to[field] ?? null };
+    }
+  });
+  return Object.keys(changes).length > 0 ? changes : null;
+};
+
+const itemSnapshot = (item) => ({
+  position: item.position,
+  label: item.label,
+  status: item.status,
+  rating: item.rating ?? null,
+  remarks: item.remarks || ''
+});
+
+/**
+ * Per-type comparison: rating delta and changed, added and removed checklist items
+ * @returns {Array} [{ typeName, presentIn, averageRating: { from, to, delta }, items: { changed, added, removed }, unchangedItems }]
+ */
+const compareTypes = (fromTypes = [], toTypes = []) => {
+  const fromByName = byKey(fromTypes, 'typeName');
+  const toByName = byKey(toTypes, 'typeName');
+  const names = [...toTypes.map(type => type.typeName), ...fromTypes.map(type => type.typeName).filter(name => !toByName.has(name))];
+
+  return names.map((typeName) => {
+    const from = fromByName.get(typeName);
+    const to = toByName.get(typeName);
+    const fromItems = byKey(from?.checklistItems, 'position');
+    const toItems = byKey(to?.checklistItems, 'position');
+
+    const changed = [];
+    let unchangedItems = 0;
+    (to?.checklistItems || []).forEach((item) => {
+      const previous = fromItems.get(item.position);
+      if (!previous) return;
+      const changes = itemChanges(previous, item);
+      if (changes) {
+        changed.push({ position: item.position, label: item.label, changes });
+      } else {
+        unchangedItems++;
+      }
+    });
+
+    return {
+      typeName,
+      presentIn: from && to ? 'both' : (to ? 'b' : 'a'),
+      averageRating: numberChange(from?.averageRating, to?.averageRating),
+      items: {
+        changed,
+        added: (to?.checklistItems || []).filter(item => !fromItems.has(item.position)).map(itemSnapshot),
+        removed: (from?.checklistItems || []).filter(item => !toItems.has(item.position)).map(itemSnapshot)
+      },
+      unchangedItems
+    };
+  });
+};
+
+const damageKey = (damage) => `${damage.panel}:${damage.type}`;
+
+/**
+ * Damage changes. Damages on the same panel with the same type are paired in order; unpaired ones are new
+ * (only in b) or resolved (only in a). Paired damages whose severity differs are listed as changed.
+ * @returns {Object} { new, resolved, changed: [{ panel, type, severity: { from, to } }], unchanged }
+ */
+const compareDamages = (fromDamages = [], toDamages = []) => {
+  const remaining = new Map();
+  fromDamages.forEach((damage) => {
+    const key = damageKey(damage);
+    remaining.set(key, [...(remaining.get(key) || []), damage]);
+  });
+
+  const added = [];
+  const changed = [];
+  let unchanged = 0;
+  toDamages.forEach((damage) => {
+    const previous = remaining.get(damageKey(damage))?.shift();
+    if (!previous) {
+      added.push(damage);
+    } else if (previous.severity !== damage.severity) {
+      changed.push({ panel: damage.panel, type: damage.type, severity: { from: previous.severity, to: damage.severity } });
+    } else {
+      unchanged++;
+    }
+  });
+
+  return {
+    new: added,
+    resolved: [...remaining.values()].flat(),
+    changed,
+    unchanged
+  };
+};
+
+const summaryOf = (inspection) => ({
+  id: (inspection._id || inspection.id).toString(),
+  inspectionDate: inspection.inspectionDate || null,
+  status: inspection.status,
+  templateVersion: inspection.templateVersion ?? null,
+  overallRating: inspection.overallRating ?? null,
+  grade: inspection.grade || null,
+  mileage: inspection.vehicleInfo?.mileage ?? null
+});
+
+/**
+ * Compare two inspections
+ * @param {Object} a - Baseline inspection (usually the earlier one)
+ * @param {Object} b - Inspection compared against the baseline
+ * @returns {Object} { a, b, overall: { rating, grade }, mileage: { from, to, delta, rollback }, types, damages }
+ */
+function compareInspections(a, b) {
+  const mileage = numberChange(a.vehicleInfo?.mileage, b.vehicleInfo?.mileage);
+  const aDate = new Date(a.inspectionDate);
+  const bDate = new Date(b.inspectionDate);
+  const [earlier, later] = aDate <= bDate ? [mileage.from, mileage.to] : [mileage.to, mileage.from];
+
+  return {
+    a: summaryOf(a),
+    b: summaryOf(b),
+    overall: {
+      rating: numberChange(a.overallRating, b.overallRating),
+      grade: { from: a.grade || null, to: b.grade || null }
+    },
+    mileage: {
+      ...mileage,
+      // The later inspection reports less mileage than the earlier one
+      rollback: earlier != null && later != null && later < earlier
+    },
+    types: compareTypes(a.types, b.types),
+    damages: compareDamages(a.damages, b.damages)
+  };
+}
+
+module.exports = {
+  compareInspections
+};
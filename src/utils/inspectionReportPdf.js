@@ -0,0 +1,479 @@
+/**
+ * Inspection Report PDF Renderer
+ * Turns an Inspection (plus its linked InspectionRequest) into a branded, paginated PDF
+ */
+
+const PDFDocument = require('pdfkit');
+const { REPORT_BRANDING, STATUS_EXCLUDED_FROM_AVERAGE } = require('../config/constants');
+
+const PAGE_MARGIN = 50;
+const HEADER_HEIGHT = 60;
+const FOOTER_HEIGHT = 30;
+const TEXT_COLOR = '#222222';
+const MUTED_COLOR = '#666666';
+const BORDER_COLOR = '#DDDDDD';
+const ROW_ALT_COLOR = '#F5F7FA';
+
+const STATUS_COLORS = {
+  Excellent: '#1E7B34',
+  Good: '#4C9A2A',
+  Fair: '#C98A00',
+  Average: '#C98A00',
+  Poor: '#B3261E'
+};
+
+/** Format a date as "18 Oct 2026" (empty string when missing/invalid). */
+function formatDate(value) {
+  if (!value) return '';
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) return '';
+  return date.toLocaleDateString('en-GB', { day: '2-digit', month: 'short', year: 'numeric' });
+}
+
+/** Format a 0–5 rating with two decimals. */
+function formatRating(value) {
+  const num = Number(value);
+  return Number.isFinite(num) ? num.toFixed(2) : '0.00';
+}
+
+/** Typed checklist answer as shown in the report ('' for status items and unanswered items). */
+function formatAnswer(item) {
+  const { answer } = item;
+  if (answer == null) return '';
+  if (typeof answer === 'boolean') return answer ? 'Yes' : 'No';
+  if (Array.isArray(answer)) return answer.join(', ');
+  return item.unit ? `${answer} ${item.unit}` : String(answer);
+}
+
+/** Format a rupee amount ("-" when unknown; the standard fonts have no rupee sign). */
+function formatAmount(amount) {
+  return amount == null ? '-' : `Rs. ${Math.round(Number(amount)).toLocaleString('en-IN')}`;
+}
+
+/** Turn camelCase / snake_case keys into "Title Case" labels. */
+function humanizeKey(key) {
+  return String(key)
+    .replace(/_/g, ' ')
+    .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .replace(/^./, c => c.toUpperCase());
+}
+
+/** Render a Mixed value as a single line of text. */
+function stringifyValue(value) {
+  if (value == null || value === '') return '';
+  if (value instanceof Date) return formatDate(value);
+  if (Array.isArray(value)) return value.map(stringifyValue).filter(Boolean).join(', ');
+  if (typeof value === 'object') {
+    return Object.entries(value)
+      .map(([k, v]) => `${humanizeKey(k)}: ${stringifyValue(v)}`)
+      .join('; ');
+  }
+  return String(value);
+}
+
+/** Flatten a Mixed object into [label, value] rows, skipping empty values. */
+function toKeyValueRows(obj) {
+  if (!obj || typeof obj !== 'object') return [];
+  return Object.entries(obj)
+    .map(([key, value]) => [humanizeKey(key), stringifyValue(value)])
+    .filter(([, value]) => value !== '');
+}
+
+/** Build the name shown for the inspector (populated doc or raw id). */
+function inspectorName(inspector) {
+  if (!inspector || typeof inspector !== 'object') return '';
+  return [inspector.firstName, inspector.lastName].filter(Boolean).join(' ');
+}
+
+/**
+ * Stateful writer around PDFKit that handles page breaks, header and tables
+ */
+class ReportWriter {
+  constructor(doc, branding) {
+    this.doc = doc;
+    this.branding = branding;
+    this.contentWidth = doc.page.width - PAGE_MARGIN * 2;
+  }
+
+  get bottomLimit() {
+    return this.doc.page.height - PAGE_MARGIN - FOOTER_HEIGHT;
+  }
+
+  /** Add a page break if the next block of given height would not fit. */
+  ensureSpace(height) {
+    if (this.doc.y + height > this.bottomLimit) {
+      this.doc.addPage();
+    }
+  }
+
+  drawHeader() {
+    const { doc, branding } = this;
+    doc.save();
+    doc.rect(0, 0, doc.page.width, HEADER_HEIGHT).fill(branding.PRIMARY_COLOR);
+    doc.fillColor('#FFFFFF').font('Helvetica-Bold').fontSize(16)
+      .text(branding.COMPANY_NAME, PAGE_MARGIN, 18, { lineBreak: false });
+    doc.font('Helvetica').fontSize(9)
+      .text(branding.TAGLINE, PAGE_MARGIN, 38, { lineBreak: false });
+    doc.font('Helvetica-Bold').fontSize(11)
+      .text('Vehicle Inspection Report', PAGE_MARGIN, 24, { width: this.contentWidth, align: 'right', lineBreak: false });
+    doc.restore();
+    doc.x = PAGE_MARGIN;
+    doc.y = HEADER_HEIGHT + 20;
+    doc.fillColor(TEXT_COLOR);
+  }
+
+  /** Stamp "Page x of y" and contact line on every buffered page. */
+  drawFooters(reference) {
+    const { doc, branding } = this;
+    const range = doc.bufferedPageRange();
+    for (let i = range.start; i < range.start + range.count; i++) {
+      doc.switchToPage(i);
+      const originalBottom = doc.page.margins.bottom;
+      doc.page.margins.bottom = 0;
+      const y = doc.page.height - PAGE_MARGIN;
+      doc.moveTo(PAGE_MARGIN, y - 8).lineTo(doc.page.width - PAGE_MARGIN, y - 8)
+        .lineWidth(0.5).strokeColor(BORDER_COLOR).stroke();
+      const left = [reference, branding.CONTACT].filter(Boolean).join('  |  ');
+      doc.font('Helvetica').fontSize(8).fillColor(MUTED_COLOR)
+        .text(left, PAGE_MARGIN, y, { width: this.contentWidth, lineBreak: false });
+      doc.text(`Page ${i - range.start + 1} of ${range.count}`, PAGE_MARGIN, y, {
+        width: this.contentWidth,
+        align: 'right',
+        lineBreak: false
+      });
+      doc.page.margins.bottom = originalBottom;
+    }
+  }
+
+  sectionTitle(title) {
+    const { doc } = this;
+    this.ensureSpace(40);
+    doc.moveDown(0.5);
+    doc.font('Helvetica-Bold').fontSize(13).fillColor(this.branding.PRIMARY_COLOR)
+      .text(title, PAGE_MARGIN, doc.y, { width: this.contentWidth });
+    const y = doc.y + 2;
+    doc.moveTo(PAGE_MARGIN, y).lineTo(PAGE_MARGIN + this.contentWidth, y)
+      .lineWidth(1).strokeColor(this.branding.PRIMARY_COLOR).stroke();
+    doc.y = y + 8;
+    doc.fillColor(TEXT_COLOR);
+  }
+
+  paragraph(text, { color = TEXT_COLOR, size = 10, bold = false } = {}) {
+    if (!text) return;
+    const { doc } = this;
+    doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(size);
+    this.ensureSpace(doc.heightOfString(text, { width: this.contentWidth }) + 4);
+    doc.fillColor(color).text(text, PAGE_MARGIN, doc.y, { width: this.contentWidth });
+    doc.fillColor(TEXT_COLOR);
+    doc.moveDown(0.3);
+  }
+
+  /** Two-column label/value grid. */
+  keyValueGrid(rows) {
+    if (!rows.length) {
+      this.paragraph('Not provided', { color: MUTED_COLOR });
+      return;
+    }
+    const { doc } = this;
+    const labelWidth = 150;
+    const valueWidth = this.contentWidth - labelWidth;
+    doc.fontSize(10);
+    rows.forEach(([label, value]) => {
+      doc.font('Helvetica');
+      const height = Math.max(
+        doc.heightOfString(label, { width: labelWidth - 8 }),
+        doc.heightOfString(value, { width: valueWidth })
+      ) + 4;
+      this.ensureSpace(height);
+      const y = doc.y;
+      doc.font('Helvetica-Bold').fillColor(MUTED_COLOR).text(label, PAGE_MARGIN, y, { width: labelWidth - 8 });
+      doc.font('Helvetica').fillColor(TEXT_COLOR).text(value, PAGE_MARGIN + labelWidth, y, { width: valueWidth });
+      doc.y = y + height;
+    });
+    doc.moveDown(0.3);
+  }
+
+  /**
+   * Table with header row repeated after page breaks
+   * @param {Array<{header: string, width: number, align?: string}>} columns - Widths as fractions of content width
+   * @param {Array<Array<string>>} rows - Cell text
+   * @param {Object} options - { cellColor(rowIndex, colIndex) => color }
+   */
+  table(columns, rows, options = {}) {
+    const { doc } = this;
+    const padding = 4;
+    const widths = columns.map(col => col.width * this.contentWidth);
+
+    const drawRow = (cells, { header = false, fill = null, rowIndex = -1 } = {}) => {
+      doc.font(header ? 'Helvetica-Bold' : 'Helvetica').fontSize(9);
+      const height = Math.max(...cells.map((cell, i) =>
+        doc.heightOfString(cell || '', { width: widths[i] - padding * 2 })
+      )) + padding * 2;
+      const y = doc.y;
+      if (fill) {
+        doc.rect(PAGE_MARGIN, y, this.contentWidth, height).fill(fill);
+      }
+      let x = PAGE_MARGIN;
+      cells.forEach((cell, i) => {
+        const color = header
+          ? '#FFFFFF'
+          : (options.cellColor && options.cellColor(rowIndex, i)) || TEXT_COLOR;
+        doc.fillColor(color).text(cell || '', x + padding, y + padding, {
+          width: widths[i] - padding * 2,
+          align: columns[i].align || 'left'
+        });
+        x += widths[i];
+      });
+      doc.moveTo(PAGE_MARGIN, y + height).lineTo(PAGE_MARGIN + this.contentWidth, y + height)
+        .lineWidth(0.5).strokeColor(BORDER_COLOR).stroke();
+      doc.y = y + height;
+      doc.fillColor(TEXT_COLOR);
+      return height;
+    };
+
+    const headerCells = columns.map(col => col.header);
+    const measureRow = (cells) => {
+      doc.font('Helvetica').fontSize(9);
+      return Math.max(...cells.map((cell, i) =>
+        doc.heightOfString(cell || '', { width: widths[i] - padding * 2 })
+      )) + padding * 2;
+    };
+
+    this.ensureSpace(measureRow(headerCells) + (rows.length ? measureRow(rows[0]) : 0));
+    drawRow(headerCells, { header: true, fill: this.branding.PRIMARY_COLOR });
+
+    rows.forEach((cells, rowIndex) => {
+      if (doc.y + measureRow(cells) > this.bottomLimit) {
+        doc.addPage();
+        drawRow(headerCells, { header: true, fill: this.branding.PRIMARY_COLOR });
+      }
+      drawRow(cells, { fill: rowIndex % 2 === 1 ? ROW_ALT_COLOR : null, rowIndex });
+    });
+    doc.moveDown(0.5);
+  }
+}
+
+/**
+ * Render the inspection report
+ * @param {Object} params
+ * @param {Object} params.inspection - Inspection (lean, inspectorId optionally populated)
+ * @param {Object|null} params.request - Linked InspectionRequest (lean) if any
+ * @param {Object} params.branding - Override REPORT_BRANDING values
+ * @returns {Promise<Buffer>} PDF contents
+ */
+function renderInspectionReport({ inspection, request = null, branding = {} }) {
+  return new Promise((resolve, reject) => {
+    const brand = { ...REPORT_BRANDING, ...branding };
+    const reference = request?.requestId || String(inspection._id || inspection.id || '');
+
+    const doc = new PDFDocument({
+      size: 'A4',
+      bufferPages: true,
+      margins: { top: HEADER_HEIGHT + 20, bottom: PAGE_MARGIN, left: PAGE_MARGIN, right: PAGE_MARGIN },
+      info: {
+        Title: `Vehicle Inspection Report ${reference}`.trim(),
+        Author: brand.COMPANY_NAME,
+        Subject: 'Vehicle Inspection Report'
+      }
+    });
+
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    try {
+      const writer = new ReportWriter(doc, brand);
+      doc.on('pageAdded', () => writer.drawHeader());
+      writer.drawHeader();
+
+      const vehicle = inspection.vehicleInfo || {};
+      const vehicleTitle = [vehicle.year, vehicle.make, vehicle.model].filter(Boolean).join(' ');
+
+      // Title block with overall rating
+      doc.font('Helvetica-Bold').fontSize(18).fillColor(TEXT_COLOR)
+        .text(vehicleTitle || 'Vehicle Inspection', PAGE_MARGIN, doc.y, { width: writer.contentWidth - 120 });
+      const titleBottom = doc.y;
+      const badgeX = PAGE_MARGIN + writer.contentWidth - 110;
+      const badgeY = HEADER_HEIGHT + 20;
+      doc.roundedRect(badgeX, badgeY, 110, 50, 6).fill(brand.PRIMARY_COLOR);
+      doc.fillColor('#FFFFFF').font('Helvetica-Bold').fontSize(20)
+        .text(formatRating(inspection.overallRating), badgeX, badgeY + 8, { width: 110, align: 'center' });
+      doc.font('Helvetica').fontSize(8)
+        .text(inspection.grade ? `OVERALL RATING / 5 · GRADE ${inspection.grade}` : 'OVERALL RATING / 5',
+          badgeX, badgeY + 34, { width: 110, align: 'center' });
+      doc.fillColor(TEXT_COLOR);
+      doc.y = Math.max(titleBottom, badgeY + 50) + 10;
+
+      writer.sectionTitle('Inspection Details');
+      writer.keyValueGrid([
+        ['Report Reference', reference],
+        ['Request Type', request?.requestType ? humanizeKey(request.requestType) : ''],
+        ['Inspection Date', formatDate(inspection.inspectionDate)],
+        ['Completed On', formatDate(inspection.completedAt)],
+        ['Inspector', inspectorName(inspection.inspectorId)],
+        ['Template', inspection.checklistTemplateId?.name || ''],
+        ['Location', request?.location
+          ? [request.location.address, request.location.city, request.location.state, request.location.zipCode].filter(Boolean).join(', ')
+          : '']
+      ].filter(([, value]) => value));
+
+      writer.sectionTitle('Vehicle Information');
+      writer.keyValueGrid([
+        ['Make', vehicle.make],
+        ['Model', vehicle.model],
+        ['Year', vehicle.year != null ? String(vehicle.year) : ''],
+        ['VIN', vehicle.vin],
+        ['License Plate', vehicle.licensePlate],
+        ['Mileage', vehicle.mileage != null ? `${Number(vehicle.mileage).toLocaleString('en-IN')} km` : ''],
+        ['Color', vehicle.color]
+      ].filter(([, value]) => value));
+
+      const detailRows = toKeyValueRows(inspection.vehicleDetails);
+      if (detailRows.length) {
+        writer.sectionTitle('Vehicle Details');
+        writer.keyValueGrid(detailRows);
+      }
+
+      const serviceRows = toKeyValueRows(inspection.serviceWarrantyOverview);
+      if (serviceRows.length) {
+        writer.sectionTitle('Service & Warranty');
+        writer.keyValueGrid(serviceRows);
+      }
+
+      const types = inspection.types || [];
+      writer.sectionTitle('Rating Summary');
+      writer.table(
+        [
+          { header: 'Category', width: 0.45 },
+          { header: 'Items', width: 0.15, align: 'center' },
+          { header: 'Weight', width: 0.15, align: 'center' },
+          { header: 'Average Rating', width: 0.25, align: 'right' }
+        ],
+        types.map(type => [
+          type.typeName,
+          String((type.checklistItems || []).length),
+          String(type.weight ?? 1),
+          `${formatRating(type.averageRating)} / 5`
+        ])
+      );
+
+      const criticalFailures = inspection.scoreBreakdown?.criticalFailures || [];
+      if (criticalFailures.length) {
+        writer.paragraph(
+          `Critical item(s) failed: ${criticalFailures.map(failure => `${failure.typeName} – ${failure.label}`).join('; ')}. ` +
+          `The overall rating is capped at ${formatRating(inspection.scoreBreakdown.cap)} / 5.`,
+          { color: STATUS_COLORS.Poor, size: 9 }
+        );
+      }
+
+      types.forEach(type => {
+        writer.sectionTitle(`${type.typeName}  (${formatRating(type.averageRating)} / 5)`);
+        const items = [...(type.checklistItems || [])].sort((a, b) => a.position - b.position);
+        writer.table(
+          [
+            { header: '#', width: 0.06, align: 'center' },
+            { header: 'Checklist Item', width: 0.34 },
+            { header: 'Status', width: 0.15 },
+            { header: 'Rating', width: 0.1, align: 'center' },
+            { header: 'Remarks', width: 0.35 }
+          ],
+          items.map(item => [
+            String(item.position),
+            item.critical ? `${item.label} (critical)` : item.label,
+            item.status,
+            STATUS_EXCLUDED_FROM_AVERAGE.includes(item.status) ? '-' : formatRating(item.rating),
+            [
+              formatAnswer(item) && `${formatAnswer(item)}${item.result ? ` (${item.result})` : ''}.`,
+              item.remarks,
+              item.photos?.length ? `(${item.photos.length} photo${item.photos.length > 1 ? 's' : ''})` : ''
+            ].filter(Boolean).join(' ')
+          ]),
+          { cellColor: (rowIndex, colIndex) => (colIndex === 2 ? STATUS_COLORS[items[rowIndex].status] : null) }
+        );
+        if (type.overallRemarks) {
+          writer.paragraph(`Remarks: ${type.overallRemarks}`);
+        }
+        const mediaCount = (type.overallPhotos || []).length + (type.videos || []).length;
+        if (mediaCount) {
+          writer.paragraph(
+            `${(type.overallPhotos || []).length} photo(s) and ${(type.videos || []).length} video(s) attached to this category.`,
+            { color: MUTED_COLOR, size: 9 }
+          );
+        }
+      });
+
+      const damages = inspection.damages || [];
+      // Inspections created before the damage map only have free-form damaged_coordinates
+      const legacyDamages = damages.length ? null : inspection.damaged_coordinates;
+      const damageRows = Array.isArray(legacyDamages)
+        ? legacyDamages.map((damage, index) => [`Damage ${index + 1}`, stringifyValue(damage)]).filter(([, value]) => value)
+        : toKeyValueRows(legacyDamages);
+      const exteriorRows = toKeyValueRows(inspection.exteriorDetails);
+      const interiorRows = toKeyValueRows(inspection.interiorDetails);
+      if (damages.length || damageRows.length || exteriorRows.length || interiorRows.length) {
+        writer.sectionTitle('Damage & Condition Notes');
+        if (damages.length) {
+          writer.table(
+            [
+              { header: 'Panel', width: 0.22 },
+              { header: 'Damage', width: 0.14 },
+              { header: 'Severity', width: 0.14 },
+              { header: 'Size', width: 0.1 },
+              { header: 'Est. Repair', width: 0.14, align: 'right' },
+              { header: 'Notes', width: 0.26 }
+            ],
+            damages.map(damage => [
+              humanizeKey(damage.panel),
+              humanizeKey(damage.type),
+              humanizeKey(damage.severity),
+              damage.size ? humanizeKey(damage.size) : '-',
+              formatAmount(damage.estimatedRepairCost),
+              [
+                damage.notes,
+                damage.photos?.length ? `(${damage.photos.length} photo${damage.photos.length > 1 ? 's' : ''})` : ''
+              ].filter(Boolean).join(' ')
+            ])
+          );
+          const summary = inspection.damageSummary;
+          if (summary?.total) {
+            writer.paragraph(
+              `${summary.total} damage(s) across ${summary.panelsAffected} panel(s); ` +
+              `estimated repair cost ${formatAmount(summary.estimatedRepairCost)}.`,
+              { color: MUTED_COLOR, size: 9 }
+            );
+          }
+        }
+        if (damageRows.length) writer.keyValueGrid(damageRows);
+        if (exteriorRows.length) {
+          writer.paragraph('Exterior', { bold: true });
+          writer.keyValueGrid(exteriorRows);
+        }
+        if (interiorRows.length) {
+          writer.paragraph('Interior', { bold: true });
+          writer.keyValueGrid(interiorRows);
+        }
+      }
+
+      writer.ensureSpace(40);
+      doc.moveDown(1);
+      writer.paragraph(
+        `This report reflects the condition of the vehicle at the time of inspection as observed by ${brand.COMPANY_NAME}. ` +
+        'Ratings are on a scale of 0 to 5 and weighted per item and category; items marked Not Applicable or Not Checked ' +
+        'are excluded from averages.',
+        { color: MUTED_COLOR, size: 8 }
+      );
+
+      writer.drawFooters(`Report ${reference}`);
+      doc.end();
+    } catch (error) {
+      reject(error);
+    }
+  });
+}
+
+module.exports = {
+  renderInspectionReport
+};
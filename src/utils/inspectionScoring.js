@@ -0,0 +1,97 @@
+/**
+ * Inspection Scoring
+ * Weighted type and overall scores, critical-item caps and grade bands.
+ * A type score is the weight-averaged rating of its rated items (Not Applicable / Not Checked and zero-weight items
+ * do not count); the overall score is the weight-averaged score of the types that have rated items. Any failed
+ * critical item caps the overall score at INSPECTION_SCORING.CRITICAL_FAIL_CAP.
+ */
+
+const {
+  INSPECTION_SCORING,
+  STATUS_EXCLUDED_FROM_AVERAGE,
+  ANSWER_RESULTS
+} = require('../config/constants');
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+const weightOf = (entry) => (entry.weight ?? INSPECTION_SCORING.DEFAULT_WEIGHT);
+
+/** Whether a critical item failed (Poor status, or a fail result for typed items). */
+const isCriticalFailure = (item) => Boolean(item.critical) &&
+  (item.result === ANSWER_RESULTS.FAIL || INSPECTION_SCORING.CRITICAL_FAIL_STATUSES.includes(item.status));
+
+/**
+ * Grade band of a score
+ * @param {number} score - Overall score (0–5)
+ * @returns {string} Grade letter
+ */
+function gradeFor(score) {
+  const bands = [...INSPECTION_SCORING.GRADE_BANDS].sort((a, b) => b.minScore - a.minScore);
+  return (bands.find(band => score >= band.minScore) || bands[bands.length - 1]).grade;
+}
+
+/**
+ * Score an inspection's types
+ * @param {Array} types - Inspection types ({ typeName, weight?, checklistItems: [{ status, rating, weight?, critical? }] })
+ * @returns {Object} { typeScores: [number], overallRating, grade, breakdown }
+ */
+function scoreInspection(types = []) {
+  const excluded = new Set(STATUS_EXCLUDED_FROM_AVERAGE || []);
+  const criticalFailures = [];
+
+  const typeBreakdown = types.map((type) => {
+    let weighted = 0;
+    let totalWeight = 0;
+    let ratedItems = 0;
+    (type.checklistItems || []).forEach((item) => {
+      if (isCriticalFailure(item)) {
+        criticalFailures.push({ typeName: type.typeName, position: item.position, label: item.label });
+      }
+      if (excluded.has(item.status) || weightOf(item) <= 0) return;
+      weighted += (Number(item.rating) || 0) * weightOf(item);
+      totalWeight += weightOf(item);
+      ratedItems++;
+    });
+    return {
+      typeName: type.typeName,
+      weight: weightOf(type),
+      score: totalWeight > 0 ? round2(weighted / totalWeight) : 0,
+      ratedItems
+    };
+  });
+
+  const counted = typeBreakdown.filter(type => type.ratedItems > 0 && type.weight > 0);
+  const totalTypeWeight = counted.reduce((sum, type) => sum + type.weight, 0);
+  const weightedScore = totalTypeWeight > 0
+    ? round2(counted.reduce((sum, type) => sum + type.score * type.weight, 0) / totalTypeWeight)
+    : 0;
+  const cap = criticalFailures.length > 0 ? INSPECTION_SCORING.CRITICAL_FAIL_CAP : null;
+  const overallRating = cap != null ? Math.min(weightedScore, cap) : weightedScore;
+
+  typeBreakdown.forEach((type) => {
+    type.contribution = totalTypeWeight > 0 && counted.includes(type)
+      ? round2((type.score * type.weight) / totalTypeWeight)
+      : 0;
+  });
+
+  const grade = gradeFor(overallRating);
+  return {
+    typeScores: typeBreakdown.map(type => type.score),
+    overallRating,
+    grade,
+    breakdown: {
+      weightedScore,
+      cap,
+      score: overallRating,
+      grade,
+      criticalFailures,
+      types: typeBreakdown
+    }
+  };
+}
+
+module.exports = {
+  scoreInspection,
+  gradeFor,
+  isCriticalFailure
+};
@@ -2,6 +2,9 @@
  * Mailer Utility using Nodemailer
  * Gmail: use port 587 (STARTTLS) or 465 (SSL). Use an App Password, not account password.
  * Set SMTP_USER, SMTP_PASSWORD (and optionally SMTP_HOST, SMTP_PORT) in .env or Lambda env.
+ *
+ * The transport is pluggable: setTransport() swaps SMTP for any object with a nodemailer-style
+ * sendMail(message) (e.g. createMemoryTransport() in tests); resetTransport() restores SMTP.
  */
 const nodemailer = require('nodemailer');
 const logger = require('./logger');
@@ -10,6 +13,7 @@ const SMTP_HOST = process.env.SMTP_HOST || 'smtp.gmail.com';
 const SMTP_PORT = Math.max(0, parseInt(process.env.SMTP_PORT, 10)) || 587;
 const SMTP_USER = process.env.SMTP_USER;
 const SMTP_PASSWORD = process.env.SMTP_PASSWORD;
+const MAIL_FROM = process.env.MAIL_FROM || SMTP_USER;
 const secure = SMTP_PORT === 465;
 
 const transporter = nodemailer.createTransport({
@@ -20,16 +24,69 @@ const transporter = nodemailer.createTransport({
   tls: { rejectUnauthorized: false }
 });
 
-const sendOtpEmail = async ({ to, otp }) => {
-  if (!SMTP_USER || !SMTP_PASSWORD) {
+// Active transport; null means the SMTP transporter above
+let activeTransport = null;
+
+/**
+ * Replace the transport used by sendMail (e.g. an in-memory transport in tests)
+ * @param {Object} transport - Object exposing async sendMail(message)
+ */
+const setTransport = (transport) => {
+  if (!transport || typeof transport.sendMail !== 'function') {
+    throw new Error('Mail transport must implement sendMail(message)');
+  }
+  activeTransport = transport;
+};
+
+/**
+ * Restore the default SMTP transport
+ */
+const resetTransport = () => {
+  activeTransport = null;
+};
+
+/**
+ * In-memory transport: records messages instead of sending them
+ * @returns {Object} { sent: Array<Object>, sendMail, clear }
+ */
+const createMemoryTransport = () => {
+  const sent = [];
+  return {
+    sent,
+    async sendMail(message) {
+      sent.push({ ...message, sentAt: new Date() });
+      return { messageId: `memory-${sent.length}` };
+    },
+    clear() {
+      sent.length = 0;
+    }
+  };
+};
+
+/**
+ * Send an email through the active transport
+ * @param {Object} message - { to, subject, html, text?, from? }
+ * @returns {Promise<Object>} Transport result
+ */
+const sendMail = async ({ to, subject, html, text, from }) => {
+  if (!activeTransport && (!SMTP_USER || !SMTP_PASSWORD)) {
     const err = new Error('SMTP not configured: set SMTP_USER and SMTP_PASSWORD (use Gmail App Password with port 587)');
     logger.error(err.message, { to });
     throw err;
   }
+  return (activeTransport || transporter).sendMail({
+    to,
+    from: from || MAIL_FROM,
+    subject,
+    html,
+    ...(text && { text })
+  });
+};
+
+const sendOtpEmail = async ({ to, otp }) => {
   try {
-    await transporter.sendMail({
+    await sendMail({
       to,
-      from: SMTP_USER,
       subject: 'Your Login OTP',
       html: `
         <div>
@@ -54,7 +111,42 @@ const sendOtpEmail = async ({ to, otp }) => {
   }
 };
 
-module.exports = {
-  sendOtpEmail
+/**
+ * Email a forgot-password link (or, without a reset page configured, the token itself)
+ * @param {Object} params - { to, token, resetUrl?, expiresInMinutes }
+ * @returns {Promise<boolean>}
+ */
+const sendPasswordResetEmail = async ({ to, token, resetUrl, expiresInMinutes }) => {
+  const action = resetUrl
+    ? `<p><a href="${resetUrl}">Reset your password</a></p>`
+    : `<p>Your password reset code is <b>${token}</b>.</p>`;
+  try {
+    await sendMail({
+      to,
+      subject: 'Reset your password',
+      html: `
+        <div>
+          <h3>Hello,</h3>
+          <p>We received a request to reset your password.</p>
+          ${action}
+          <p>This can be used once and expires in ${expiresInMinutes} minutes.</p>
+          <p>If you did not request this, please ignore this email; your password will not change.</p>
+        </div>
+      `
+    });
+    logger.info('Password reset email sent', { to });
+    return true;
+  } catch (error) {
+    logger.error('Failed to send password reset email', error, { to, smtpMessage: error.message, smtpCode: error.code });
+    throw error;
+  }
 };
 
+module.exports = {
+  sendMail,
+  sendOtpEmail,
+  sendPasswordResetEmail,
+  setTransport,
+  resetTransport,
+  createMemoryTransport
+};
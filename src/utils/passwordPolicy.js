@@ -0,0 +1,53 @@
+/**
+ * Password Policy
+ * Rules from PASSWORD_POLICY (config/constants.js), shared by the Joi schemas (middleware/validator.js) and the
+ * User model's pre-save check.
+ */
+
+const { PASSWORD_POLICY } = require('../config/constants');
+
+// Character class rules, in the order their messages are listed
+const RULES = [
+  { enabled: PASSWORD_POLICY.REQUIRE_UPPERCASE, pattern: /[A-Z]/, message: 'an uppercase letter' },
+  { enabled: PASSWORD_POLICY.REQUIRE_LOWERCASE, pattern: /[a-z]/, message: 'a lowercase letter' },
+  { enabled: PASSWORD_POLICY.REQUIRE_DIGIT, pattern: /[0-9]/, message: 'a digit' },
+  { enabled: PASSWORD_POLICY.REQUIRE_SYMBOL, pattern: /[^A-Za-z0-9]/, message: 'a symbol' }
+].filter(rule => rule.enabled);
+
+/**
+ * Human-readable summary of the policy, e.g. for error messages and docs
+ * @returns {string}
+ */
+const describePasswordPolicy = () => {
+  const length = `${PASSWORD_POLICY.MIN_LENGTH}-${PASSWORD_POLICY.MAX_LENGTH} characters`;
+  return RULES.length
+    ? `Password must be ${length} and contain ${RULES.map(rule => rule.message).join(', ')}`
+    : `Password must be ${length}`;
+};
+
+/**
+ * Policy violations of a plain-text password
+ * @param {string} password - Plain password
+ * @returns {Array<string>} Messages (empty when the password complies)
+ */
+const passwordPolicyErrors = (password) => {
+  const value = typeof password === 'string' ? password : '';
+  const errors = [];
+  if (value.length < PASSWORD_POLICY.MIN_LENGTH) {
+    errors.push(`Password must be at least ${PASSWORD_POLICY.MIN_LENGTH} characters`);
+  }
+  if (value.length > PASSWORD_POLICY.MAX_LENGTH) {
+    errors.push(`Password cannot exceed ${PASSWORD_POLICY.MAX_LENGTH} characters`);
+  }
+  RULES.forEach(rule => {
+    if (!rule.pattern.test(value)) {
+      errors.push(`Password must contain ${rule.message}`);
+    }
+  });
+  return errors;
+};
+
+module.exports = {
+  describePasswordPolicy,
+  passwordPolicyErrors
+};
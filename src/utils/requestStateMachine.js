@@ -0,0 +1,93 @@
+/**
+ * Inspection Request State Machine
+ * Single place that decides which status changes are legal and records them in statusHistory.
+ * Transitions are declared in REQUEST_STATUS_TRANSITIONS (config/constants.js).
+ */
+
+const { REQUEST_STATUS, REQUEST_STATUS_TRANSITIONS } = require('../config/constants');
+const { BadRequestError } = require('./errors');
+
+// Statuses that only make sense with an inspector on the request
+const REQUIRES_INSPECTOR = [REQUEST_STATUS.ASSIGNED, REQUEST_STATUS.IN_PROGRESS, REQUEST_STATUS.COMPLETED];
+
+/**
+ * Statuses reachable from the given status
+ * @param {string} from - Current status
+ * @returns {Array<string>} Allowed target statuses
+ */
+const getAllowedTransitions = (from) => REQUEST_STATUS_TRANSITIONS[from] || [];
+
+/**
+ * Whether a transition is declared legal
+ * @param {string} from - Current status
+ * @param {string} to - Target status
+ * @returns {boolean}
+ */
+const canTransition = (from, to) => getAllowedTransitions(from).includes(to);
+
+/**
+ * Throw if the request cannot move to the target status
+ * @param {Object} request - InspectionRequest document
+ * @param {string} to - Target status
+ * @throws {BadRequestError} On illegal transition
+ */
+const assertTransition = (request, to) => {
+  const from = request.status;
+  if (!canTransition(from, to)) {
+    const allowed = getAllowedTransitions(from);
+    throw new BadRequestError(`Cannot change request status from '${from}' to '${to}'`, [{
+      field: 'status',
+      message: allowed.length
+        ? `Allowed transitions from '${from}': ${allowed.join(', ')}`
+        : `'${from}' is a final status`
+    }]);
+  }
+  if (REQUIRES_INSPECTOR.includes(to) && !request.assignedInspectorId) {
+    throw new BadRequestError(`Cannot change request status to '${to}' without an assigned inspector`);
+  }
+};
+
+/**
+ * Build a statusHistory entry
+ * @param {string|null} from - Previous status (null for creation)
+ * @param {string} to - New status
+ * @param {Object} options - { actor: user ({ _id|id, role }), reason }
+ * @returns {Object} History entry
+ */
+const buildHistoryEntry = (from, to, { actor = null, reason = '' } = {}) => ({
+  from,
+  to,
+  changedBy: actor ? (actor._id || actor.id || null) : null,
+  changedByRole: actor?.role || 'system',
+  reason: reason ? String(reason).slice(0, 500) : '',
+  changedAt: new Date()
+});
+
+/**
+ * Apply a status transition to a request document (caller saves)
+ * @param {Object} request - InspectionRequest document
+ * @param {string} to - Target status
+ * @param {Object} options - { actor, reason }
+ * @returns {Object} The same request, mutated
+ * @throws {BadRequestError} On illegal transition
+ */
+const transition = (request, to, options = {}) => {
+  assertTransition(request, to);
+
+  const from = request.status;
+  request.status = to;
+  if (!Array.isArray(request.statusHistory)) {
+    request.statusHistory = [];
+  }
+  request.statusHistory.push(buildHistoryEntry(from, to, options));
+
+  return request;
+};
+
+module.exports = {
+  getAllowedTransitions,
+  canTransition,
+  assertTransition,
+  buildHistoryEntry,
+  transition
+};
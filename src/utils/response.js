@@ -103,8 +103,40 @@ const validationError = (validationErrors, message = 'Validation failed') => {
   });
 };
 
+/**
+ * Create binary file response (e.g. PDF download)
+ * API Gateway decodes the base64 body before sending it to the client.
+ * @param {Object} params
+ * @param {Buffer} params.body - File contents
+ * @param {string} params.contentType - MIME type of the file
+ * @param {string} params.fileName - File name suggested to the client
+ * @param {boolean} params.inline - Display inline instead of forcing download
+ * @param {Object} params.headers - Additional headers
+ * @returns {Object} Lambda response object
+ */
+const file = ({ statusCode = HTTP_STATUS.OK, body, contentType = 'application/octet-stream', fileName, inline = false, headers = {} }) => {
+  const disposition = inline ? 'inline' : 'attachment';
+
+  return {
+    statusCode,
+    isBase64Encoded: true,
+    headers: {
+      'Content-Type': contentType,
+      'Content-Length': String(body.length),
+      ...(fileName && { 'Content-Disposition': `${disposition}; filename="${fileName}"` }),
+      'Access-Control-Allow-Origin': '*',
+      'Access-Control-Allow-Headers': 'Content-Type, Authorization, X-Requested-With',
+      'Access-Control-Allow-Methods': 'GET, POST, PUT, DELETE, PATCH, OPTIONS',
+      'Access-Control-Expose-Headers': 'Content-Disposition',
+      ...headers
+    },
+    body: body.toString('base64')
+  };
+};
+
 module.exports = {
   success,
   error,
-  validationError
+  validationError,
+  file
 };
@@ -13,15 +13,13 @@ const {
   DeleteObjectCommand
 } = require('@aws-sdk/client-s3');
 const { getSignedUrl } = require('@aws-sdk/s3-request-presigner');
-const { S3_BUCKET, AWS_REGION, INSPECTION_TYPES } = require('../config/constants');
+const { S3_BUCKET, AWS_REGION } = require('../config/constants');
 const logger = require('./logger');
 
 const DEFAULT_EXPIRES_IN_SECONDS = 900; // 15 min for photos
 const DEFAULT_VIDEO_EXPIRES_IN_SECONDS = 7200; // 2 hours for large videos
 const MULTIPART_PART_EXPIRES_IN_SECONDS = 3600; // 1 hour per part URL
 
-const VALID_TYPE_NAMES = Object.values(INSPECTION_TYPES);
-
 let _client = null;
 
 function getS3Client() {
@@ -75,19 +73,20 @@ function sanitizeFileName(fileName, maxLength = 200) {
 }
 
 /**
- * Sanitize inspection type name for use in path (must match INSPECTION_TYPES values)
+ * Sanitize inspection type (category) name for use as a path segment.
+ * Callers validate the name against the inspection categories; this only rejects unsafe segments.
  */
 function sanitizeTypeName(typeName) {
   if (!typeName || typeof typeName !== 'string') return null;
   const t = typeName.trim();
-  return VALID_TYPE_NAMES.includes(t) ? t : null;
+  return t && t.length <= 100 && !/[/\\]/.test(t) && t !== '.' && t !== '..' ? t : null;
 }
 
 /**
  * Build S3 key by inspection type: uploads/inspections/{inspectionId}/{typeName}/photos|videos/{uuid}-{filename}
  * Used for both single PUT and multipart uploads.
  * @param {string} inspectionId - Inspection document ID
- * @param {string} typeName - One of INSPECTION_TYPES (e.g. Interior, Exterior, Engine)
+ * @param {string} typeName - Inspection category name (e.g. Interior, Exterior, Engine)
  * @param {'photos'|'videos'} mediaType - photos or videos folder
  * @param {string} fileName - Original file name
  * @returns {string} S3 key
@@ -96,7 +95,7 @@ function buildInspectionMediaKey(inspectionId, typeName, mediaType, fileName) {
   const { randomUUID } = require('crypto');
   const safeType = sanitizeTypeName(typeName);
   if (!safeType) {
-    throw new Error(`typeName must be one of: ${VALID_TYPE_NAMES.join(', ')}`);
+    throw new Error('typeName is not a valid folder name');
   }
   const safeId = (inspectionId || '').toString().trim().replace(/[^a-zA-Z0-9_-]/g, '') || 'unknown';
   const folder = mediaType === 'videos' ? 'videos' : 'photos';
@@ -294,6 +293,5 @@ module.exports = {
   S3_BUCKET,
   DEFAULT_EXPIRES_IN_SECONDS,
   DEFAULT_VIDEO_EXPIRES_IN_SECONDS,
-  MULTIPART_PART_EXPIRES_IN_SECONDS,
-  VALID_TYPE_NAMES
+  MULTIPART_PART_EXPIRES_IN_SECONDS
 };
@@ -0,0 +1,200 @@
+/**
+ * Scheduling Utilities
+ * Time-slot arithmetic for inspector calendars. Intervals are { start: Date, end: Date } in UTC, end exclusive.
+ * Working hours are wall-clock "HH:mm" ranges per weekday in the inspector's IANA time zone.
+ */
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+const WEEKDAYS = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+
+const formatterCache = new Map();
+
+function getFormatter(timeZone) {
+  if (!formatterCache.has(timeZone)) {
+    formatterCache.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit',
+      weekday: 'short'
+    }));
+  }
+  return formatterCache.get(timeZone);
+}
+
+/**
+ * Whether a string is a valid IANA time zone
+ * @param {string} timeZone - e.g. "Asia/Kolkata"
+ * @returns {boolean}
+ */
+const isValidTimeZone = (timeZone) => {
+  try {
+    getFormatter(timeZone);
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Wall-clock parts of an instant in a time zone
+ * @param {Date} date - Instant
+ * @param {string} timeZone - IANA time zone
+ * @returns {Object} { year, month (1-12), day, hour, minute, second, weekday (0=Sunday) }
+ */
+const getZonedParts = (date, timeZone) => {
+  const parts = {};
+  for (const { type, value } of getFormatter(timeZone).formatToParts(date)) {
+    parts[type] = value;
+  }
+  return {
+    year: Number(parts.year),
+    month: Number(parts.month),
+    day: Number(parts.day),
+    hour: Number(parts.hour),
+    minute: Number(parts.minute),
+    second: Number(parts.second),
+    weekday: WEEKDAYS[parts.weekday]
+  };
+};
+
+/**
+ * Convert a wall-clock time in a time zone to the UTC instant
+ * @param {Object} wall - { year, month (1-12), day, hour, minute }
+ * @param {string} timeZone - IANA time zone
+ * @returns {Date} Instant
+ */
+const zonedTimeToUtc = ({ year, month, day, hour = 0, minute = 0 }, timeZone) => {
+  const wallAsUtc = Date.UTC(year, month - 1, day, hour, minute);
+  // Two passes settle the offset around DST changes
+  let guess = wallAsUtc;
+  for (let i = 0; i < 2; i++) {
+    const p = getZonedParts(new Date(guess), timeZone);
+    const offset = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second) - guess;
+    guess = wallAsUtc - offset;
+  }
+  return new Date(guess);
+};
+
+/**
+ * Parse "HH:mm" into minutes after midnight
+ * @param {string} value - e.g. "09:30"
+ * @returns {number} Minutes
+ */
+const parseTimeOfDay = (value) => {
+  const [hours, minutes] = String(value).split(':').map(Number);
+  return hours * 60 + (minutes || 0);
+};
+
+/**
+ * Whether two intervals overlap (touching ends do not overlap)
+ * @returns {boolean}
+ */
+const overlaps = (a, b) => a.start < b.end && b.start < a.end;
+
+/**
+ * End of a slot starting at start and lasting durationMinutes
+ * @param {Date} start - Slot start
+ * @param {number} durationMinutes - Duration
+ * @returns {Date} Slot end
+ */
+const addMinutes = (start, durationMinutes) => new Date(new Date(start).getTime() + durationMinutes * MINUTE_MS);
+
+/**
+ * Expand weekly working hours into concrete UTC intervals in [from, to)
+ * @param {Array<Object>} workingHours - [{ dayOfWeek (0=Sunday), start: "HH:mm", end: "HH:mm" }]
+ * @param {string} timeZone - IANA time zone of the working hours
+ * @param {Date} from - Range start
+ * @param {Date} to - Range end
+ * @returns {Array<Object>} Sorted intervals clipped to the range
+ */
+const expandWorkingHours = (workingHours, timeZone, from, to) => {
+  const intervals = [];
+  // Walk local calendar days; start one day early and end one day late so the local days at both ends are covered
+  // whatever the zone's offset from UTC
+  const last = new Date(to.getTime() + DAY_MS);
+  let cursor = new Date(from.getTime() - DAY_MS);
+  while (cursor < last) {
+    const { year, month, day, weekday } = getZonedParts(cursor, timeZone);
+    for (const block of workingHours.filter(h => h.dayOfWeek === weekday)) {
+      const startMin = parseTimeOfDay(block.start);
+      const endMin = parseTimeOfDay(block.end);
+      const start = zonedTimeToUtc({ year, month, day, hour: Math.floor(startMin / 60), minute: startMin % 60 }, timeZone);
+      const end = zonedTimeToUtc({ year, month, day, hour: Math.floor(endMin / 60), minute: endMin % 60 }, timeZone);
+      const clipped = { start: start < from ? from : start, end: end > to ? to : end };
+      if (clipped.start < clipped.end) intervals.push(clipped);
+    }
+    cursor = new Date(cursor.getTime() + DAY_MS);
+  }
+  return mergeIntervals(intervals);
+};
+
+/**
+ * Sort and merge overlapping/touching intervals
+ * @param {Array<Object>} intervals - Intervals
+ * @returns {Array<Object>} Merged intervals
+ */
+const mergeIntervals = (intervals) => {
+  const sorted = intervals
+    .map(i => ({ start: new Date(i.start), end: new Date(i.end) }))
+    .sort((a, b) => a.start - b.start);
+  const merged = [];
+  for (const interval of sorted) {
+    const last = merged[merged.length - 1];
+    if (last && interval.start <= last.end) {
+      if (interval.end > last.end) last.end = interval.end;
+    } else {
+      merged.push(interval);
+    }
+  }
+  return merged;
+};
+
+/**
+ * Remove blocked intervals from base intervals
+ * @param {Array<Object>} base - Available intervals
+ * @param {Array<Object>} blocks - Busy intervals
+ * @returns {Array<Object>} Remaining free intervals
+ */
+const subtractIntervals = (base, blocks) => {
+  const busy = mergeIntervals(blocks);
+  const free = [];
+  for (const interval of mergeIntervals(base)) {
+    let start = interval.start;
+    for (const block of busy) {
+      if (block.end <= start || block.start >= interval.end) continue;
+      if (block.start > start) free.push({ start, end: block.start });
+      if (block.end > start) start = block.end;
+    }
+    if (start < interval.end) free.push({ start, end: interval.end });
+  }
+  return free;
+};
+
+/**
+ * Whether a slot fits entirely inside one of the given intervals
+ * @param {Object} slot - { start, end }
+ * @param {Array<Object>} intervals - Intervals
+ * @returns {boolean}
+ */
+const isContained = (slot, intervals) =>
+  intervals.some(i => i.start <= slot.start && i.end >= slot.end);
+
+module.exports = {
+  isValidTimeZone,
+  getZonedParts,
+  zonedTimeToUtc,
+  parseTimeOfDay,
+  overlaps,
+  addMinutes,
+  expandWorkingHours,
+  mergeIntervals,
+  subtractIntervals,
+  isContained
+};
@@ -0,0 +1,97 @@
+/**
+ * Checklist Template Diff
+ * Compares two template snapshots. Types are matched by typeName and checklist items by position.
+ */
+
+const { CHECKLIST_ANSWER_TYPES, INSPECTION_SCORING } = require('../config/constants');
+
+const TYPE_SETTINGS = ['allowOverallRemarks', 'allowOverallPhotos', 'allowVideos', 'maxVideos', 'weight', 'visibleWhen'];
+const ITEM_FIELDS = ['label', 'description', 'isRequired', 'weight', 'critical', 'answerType', 'answerConfig', 'visibleWhen'];
+
+// Schema defaults, for snapshots stored before a field existed
+const TYPE_DEFAULTS = { weight: INSPECTION_SCORING.DEFAULT_WEIGHT };
+const ITEM_DEFAULTS = {
+  isRequired: true,
+  weight: INSPECTION_SCORING.DEFAULT_WEIGHT,
+  critical: false,
+  answerType: CHECKLIST_ANSWER_TYPES.STATUS
+};
+
+// Values compared structurally (answerConfig is an object)
+const same = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+/** Fields whose values differ, as { field: { from, to } } (null when none differ). */
+const changedFields = (fields, from, to) => {
+  const changes = {};
+  fields.forEach((field) => {
+    if (!same(from[field], to[field])) {
+      changes[field] = { from: from[field] ?? null, to: to[field] ?? null };
+    }
+  });
+  return Object.keys(changes).length > 0 ? changes : null;
+};
+
+const byKey = (list = [], key) => new Map(list.map(entry => [entry[key], entry]));
+
+/**
+ * Checklist item changes within one type
+ * @param {Array} fromItems - Items of the older version
+ * @param {Array} toItems - Items of the newer version
+ * @returns {Object} { added, removed, changed: [{ position, changes }] }
+ */
+const diffItems = (fromItems = [], toItems = []) => {
+  const fromByPosition = byKey(fromItems, 'position');
+  const toByPosition = byKey(toItems, 'position');
+
+  const added = toItems.filter(item => !fromByPosition.has(item.position));
+  const removed = fromItems.filter(item => !toByPosition.has(item.position));
+  const changed = [];
+  toItems.forEach((item) => {
+    const previous = fromByPosition.get(item.position);
+    const changes = previous
+      ? changedFields(ITEM_FIELDS, { ...ITEM_DEFAULTS, ...previous }, { ...ITEM_DEFAULTS, ...item })
+      : null;
+    if (changes) {
+      changed.push({ position: item.position, changes });
+    }
+  });
+  return { added, removed, changed };
+};
+
+/**
+ * Differences between two template snapshots
+ * @param {Object} from - Older snapshot ({ version, name, description, types })
+ * @param {Object} to - Newer snapshot
+ * @returns {Object} { from, to, identical, fields, types: { added, removed, changed } }
+ */
+const diffTemplates = (from, to) => {
+  const fromTypes = byKey(from.types, 'typeName');
+  const toTypes = byKey(to.types, 'typeName');
+
+  const added = (to.types || []).filter(type => !fromTypes.has(type.typeName)).map(type => type.typeName);
+  const removed = (from.types || []).filter(type => !toTypes.has(type.typeName)).map(type => type.typeName);
+  const changed = [];
+  (to.types || []).forEach((type) => {
+    const previous = fromTypes.get(type.typeName);
+    if (!previous) return;
+    const settings = changedFields(TYPE_SETTINGS, { ...TYPE_DEFAULTS, ...previous }, { ...TYPE_DEFAULTS, ...type });
+    const items = diffItems(previous.checklistItems, type.checklistItems);
+    if (settings || items.added.length || items.removed.length || items.changed.length) {
+      changed.push({ typeName: type.typeName, settings, items });
+    }
+  });
+
+  const fields = changedFields(['name', 'description'], from, to);
+  return {
+    from: from.version,
+    to: to.version,
+    identical: !fields && added.length === 0 && removed.length === 0 && changed.length === 0,
+    fields,
+    types: { added, removed, changed }
+  };
+};
+
+module.exports = {
+  diffTemplates,
+  diffItems
+};
@@ -0,0 +1,136 @@
+/**
+ * TOTP Utility
+ * Time-based one-time passwords (RFC 6238, HMAC-SHA1) as used by authenticator apps, with the base32 secrets and
+ * otpauth:// URIs they expect.
+ */
+
+const crypto = require('crypto');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+/**
+ * Base32-encode bytes (RFC 4648, no padding)
+ * @param {Buffer} buffer - Bytes
+ * @returns {string}
+ */
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+  return output;
+};
+
+/**
+ * Decode a base32 string (case, spaces and padding ignored)
+ * @param {string} input - Base32 text
+ * @returns {Buffer}
+ * @throws {Error} Invalid character
+ */
+const base32Decode = (input) => {
+  const clean = String(input).toUpperCase().replace(/[\s=]/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error(`Invalid base32 character: ${char}`);
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+};
+
+/**
+ * New random secret (160 bits, the RFC 4226 recommendation)
+ * @returns {string} Base32 secret
+ */
+const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+/**
+ * Time step of a moment
+ * @param {number} [time] - Milliseconds since epoch (default now)
+ * @param {number} [period] - Step length in seconds
+ * @returns {number}
+ */
+const timeStep = (time = Date.now(), period = 30) => Math.floor(time / 1000 / period);
+
+/**
+ * Code for a time step
+ * @param {string} secret - Base32 secret
+ * @param {number} step - Time step
+ * @param {number} [digits] - Code length
+ * @returns {string}
+ */
+const codeAt = (secret, step, digits = 6) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 15;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+  return String(binary % 10 ** digits).padStart(digits, '0');
+};
+
+/**
+ * Check a code against the current step and `window` steps either side (clock drift)
+ * @param {string} secret - Base32 secret
+ * @param {string} code - Code entered by the user
+ * @param {Object} [options] - { window, digits, period, time }
+ * @returns {number|null} Matching time step, or null
+ */
+const verifyCode = (secret, code, { window = 1, digits = 6, period = 30, time = Date.now() } = {}) => {
+  const candidate = String(code || '').replace(/\s/g, '');
+  if (!new RegExp(`^\\d{${digits}}$`).test(candidate)) return null;
+
+  const current = timeStep(time, period);
+  for (let step = current - window; step <= current + window; step += 1) {
+    const expected = codeAt(secret, step, digits);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(candidate))) {
+      return step;
+    }
+  }
+  return null;
+};
+
+/**
+ * otpauth:// URI for authenticator apps (usually shown as a QR code)
+ * @param {Object} params - { secret, account (e.g. email), issuer, digits?, period? }
+ * @returns {string}
+ */
+const otpauthUri = ({ secret, account, issuer, digits = 6, period = 30 }) => {
+  const label = encodeURIComponent(`${issuer}:${account}`);
+  const query = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(digits),
+    period: String(period)
+  });
+  return `otpauth://totp/${label}?${query.toString()}`;
+};
+
+module.exports = {
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  timeStep,
+  codeAt,
+  verifyCode,
+  otpauthUri
+};
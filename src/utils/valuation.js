@@ -0,0 +1,107 @@
+/**
+ * Valuation
+ * Price range of a car from its base price (price table entry for its Make/Model/year), age, mileage and
+ * inspection result. Depreciation compounds by age; mileage, condition (inspection grade) and damage adjustments
+ * are fractions of the depreciated value and add up. The range is the estimate +/- VALUATION.RANGE_SPREAD.
+ */
+
+const { VALUATION } = require('../config/constants');
+
+const clamp = (value, min, max) => Math.min(Math.max(value, min), max);
+
+const roundTo = (value, step = VALUATION.ROUND_TO) => Math.round(value / step) * step;
+
+const round4 = (value) => Math.round(value * 10000) / 10000;
+
+/** Entry value, or the default when the entry leaves it unset. */
+const withDefaults = (overrides, defaults) => Object.fromEntries(
+  Object.entries(defaults).map(([key, value]) => [key, overrides?.[key] ?? value])
+);
+
+/**
+ * Depreciation rate for an age
+ * @param {number} age - Whole years since the model year
+ * @param {Object} rules - { firstYearRate, annualRate, maxRate }
+ * @returns {number} Fraction of the base price lost (0–maxRate)
+ */
+function depreciationRate(age, rules) {
+  if (age <= 0) return 0;
+  const retained = (1 - rules.firstYearRate) * Math.pow(1 - rules.annualRate, age - 1);
+  return Math.min(1 - retained, rules.maxRate);
+}
+
+/**
+ * Mileage adjustment: positive below the expected distance for the age, negative above it
+ * @param {number|null} mileage - Odometer reading (km); null = no adjustment
+ * @param {number} age - Whole years since the model year
+ * @returns {number|null} Rate, or null when the mileage is unknown
+ */
+function mileageRate(mileage, age) {
+  if (mileage == null) return null;
+  const { EXPECTED_KM_PER_YEAR, RATE_PER_1000_KM, MAX_ADJUSTMENT } = VALUATION.MILEAGE;
+  const expected = EXPECTED_KM_PER_YEAR * Math.max(age, 1);
+  return clamp(((expected - mileage) / 1000) * RATE_PER_1000_KM, -MAX_ADJUSTMENT, MAX_ADJUSTMENT);
+}
+
+/**
+ * Value a vehicle
+ * @param {Object} input
+ * @param {Object} input.price - Price table entry { basePrice, year, depreciation?, conditionAdjustments? }
+ * @param {Object} input.vehicle - { year?, mileage? } (year defaults to the entry's year)
+ * @param {Object} input.condition - { grade?, damageCount? } from the inspection
+ * @param {Date} [input.now] - Valuation date
+ * @returns {Object} { estimate, low, high, currency, basePrice, ageYears, adjustments: [{ type, label, rate, amount }] }
+ */
+function calculateValuation({ price, vehicle = {}, condition = {}, now = new Date() }) {
+  const basePrice = price.basePrice;
+  const age = Math.max(0, now.getFullYear() - (vehicle.year || price.year));
+
+  const depreciation = depreciationRate(age, withDefaults(price.depreciation, VALUATION.DEPRECIATION));
+  const depreciated = basePrice * (1 - depreciation);
+
+  const adjustments = [{
+    type: 'depreciation',
+    label: `${age} year${age === 1 ? '' : 's'} old`,
+    rate: round4(-depreciation),
+    amount: Math.round(depreciated - basePrice)
+  }];
+
+  const addAdjustment = (type, label, rate) => {
+    if (rate == null) return;
+    adjustments.push({ type, label, rate: round4(rate), amount: Math.round(depreciated * rate) });
+  };
+
+  const mileage = mileageRate(vehicle.mileage ?? null, age);
+  addAdjustment('mileage', vehicle.mileage != null ? `${vehicle.mileage} km` : null, mileage);
+
+  if (condition.grade) {
+    const rates = withDefaults(price.conditionAdjustments, VALUATION.CONDITION_ADJUSTMENTS);
+    addAdjustment('condition', `Grade ${condition.grade}`, rates[condition.grade] ?? 0);
+  }
+
+  const damageCount = condition.damageCount || 0;
+  if (damageCount > 0) {
+    const { RATE_PER_DAMAGE, MAX_RATE } = VALUATION.DAMAGE;
+    addAdjustment('damage', `${damageCount} damage${damageCount === 1 ? '' : 's'} recorded`,
+      -Math.min(damageCount * RATE_PER_DAMAGE, MAX_RATE));
+  }
+
+  const adjustmentRate = adjustments.slice(1).reduce((sum, adjustment) => sum + adjustment.rate, 0);
+  const estimate = Math.max(0, depreciated * (1 + adjustmentRate));
+
+  return {
+    estimate: roundTo(estimate),
+    low: roundTo(estimate * (1 - VALUATION.RANGE_SPREAD)),
+    high: roundTo(estimate * (1 + VALUATION.RANGE_SPREAD)),
+    currency: VALUATION.CURRENCY,
+    basePrice,
+    ageYears: age,
+    adjustments
+  };
+}
+
+module.exports = {
+  calculateValuation,
+  depreciationRate,
+  mileageRate
+};
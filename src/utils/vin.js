@@ -0,0 +1,120 @@
+/**
+ * VIN
+ * Format and check-digit validation and table-based decoding (config/vinData) of 17-character VINs.
+ * The check digit (position 9) is mandatory for North American VINs only; elsewhere a mismatch is reported but
+ * does not make the VIN invalid.
+ */
+
+const {
+  VIN_PATTERN,
+  TRANSLITERATION,
+  WEIGHTS,
+  MODEL_YEAR_CODES,
+  MODEL_YEAR_BASE,
+  REGIONS,
+  WMI,
+  VDS_MODELS
+} = require('../config/vinData');
+
+const normalizeVin = (vin) => String(vin || '').trim().toUpperCase();
+
+const valueOf = (char) => (/[0-9]/.test(char) ? Number(char) : TRANSLITERATION[char]);
+
+/**
+ * Check digit a VIN should have
+ * @param {string} vin - 17-character VIN
+ * @returns {string} '0'-'9' or 'X'
+ */
+function checkDigitFor(vin) {
+  const sum = [...vin].reduce((total, char, index) => total + valueOf(char) * WEIGHTS[index], 0);
+  const remainder = sum % 11;
+  return remainder === 10 ? 'X' : String(remainder);
+}
+
+const regionOf = (vin) => REGIONS.find(({ from, to }) => vin[0] >= from && vin[0] <= to)?.region || null;
+
+const isNorthAmerican = (vin) => regionOf(vin) === 'North America';
+
+/**
+ * Validate a VIN
+ * @param {string} vin - VIN (case and surrounding spaces are ignored)
+ * @returns {Object} { vin, valid, error, checkDigit: { expected, actual, valid, required } }
+ */
+function validateVin(vin) {
+  const normalized = normalizeVin(vin);
+  if (normalized.length !== 17) {
+    return { vin: normalized, valid: false, error: 'VIN must be 17 characters', checkDigit: null };
+  }
+  if (!VIN_PATTERN.test(normalized)) {
+    return { vin: normalized, valid: false, error: 'VIN may only contain digits and letters other than I, O and Q', checkDigit: null };
+  }
+
+  const expected = checkDigitFor(normalized);
+  const checkDigit = {
+    expected,
+    actual: normalized[8],
+    valid: normalized[8] === expected,
+    required: isNorthAmerican(normalized)
+  };
+  const valid = checkDigit.valid || !checkDigit.required;
+  return {
+    vin: normalized,
+    valid,
+    error: valid ? null : `Invalid VIN check digit (expected ${expected})`,
+    checkDigit
+  };
+}
+
+/**
+ * Model years a position-10 code can stand for, latest first. North American VINs use position 7 to tell the
+ * cycles apart (digit = 1980-2009, letter = 2010-2039); otherwise years after next year are dropped.
+ */
+function modelYearsOf(vin, now = new Date()) {
+  const index = MODEL_YEAR_CODES.indexOf(vin[9]);
+  if (index === -1) return [];
+
+  const cycle = MODEL_YEAR_CODES.length;
+  const years = [];
+  for (let year = MODEL_YEAR_BASE + index; year <= now.getFullYear() + 1; year += cycle) {
+    years.unshift(year);
+  }
+  if (isNorthAmerican(vin)) {
+    const newerCycle = /[A-Z]/.test(vin[6]);
+    return years.filter(year => (year >= MODEL_YEAR_BASE + cycle) === newerCycle);
+  }
+  return years;
+}
+
+/**
+ * Decode a VIN from the local tables
+ * @param {string} vin - Valid 17-character VIN
+ * @returns {Object} { wmi, vds, vis, region, country, manufacturer, make, model, modelYear, modelYearCandidates }
+ */
+function decodeVin(vin, now = new Date()) {
+  const normalized = normalizeVin(vin);
+  const wmi = normalized.slice(0, 3);
+  const vds = normalized.slice(3, 8);
+  const manufacturer = WMI[wmi] || null;
+  const modelEntry = (VDS_MODELS[wmi] || []).find(entry => vds.startsWith(entry.code));
+  const modelYearCandidates = modelYearsOf(normalized, now);
+
+  return {
+    wmi,
+    vds,
+    vis: normalized.slice(9),
+    region: regionOf(normalized),
+    country: manufacturer?.country || null,
+    manufacturer: manufacturer?.manufacturer || null,
+    make: manufacturer?.make || null,
+    model: modelEntry?.model || null,
+    modelYear: modelYearCandidates[0] || null,
+    modelYearCandidates
+  };
+}
+
+module.exports = {
+  normalizeVin,
+  checkDigitFor,
+  validateVin,
+  decodeVin
+};
@@ -0,0 +1,55 @@
+const jwt = require('jsonwebtoken');
+const User = require('../../src/models/User');
+const Session = require('../../src/models/Session');
+const roleService = require('../../src/services/roleService');
+const { authenticate } = require('../../src/middleware/auth');
+const { TWO_FACTOR } = require('../../src/config/constants');
+const { PERMISSIONS, DEFAULT_ROLE_PERMISSIONS } = require('../../src/config/permissions');
+
+const DISPATCHER = [PERMISSIONS.USERS_MANAGE, PERMISSIONS.REQUESTS_ASSIGN];
+
+const eventFor = (user, session) => ({
+  headers: { authorization: `Bearer ${jwt.sign({ userId: user.id, sid: session._id }, process.env.JWT_SECRET)}` }
+});
+
+const signIn = async (fields) => {
+  const user = new User({ email: 'a@example.com', firstName: 'Ab', lastName: 'Cd', status: 'active', ...fields });
+  const session = { _id: 'session-1', userId: user._id, expiresAt: new Date(Date.now() + 60000) };
+  jest.spyOn(User, 'findById').mockResolvedValue(user);
+  jest.spyOn(Session, 'findById').mockReturnValue({ select: () => ({ lean: async () => session }) });
+  return (await authenticate(eventFor(user, session))).user.$locals.permissions;
+};
+
+describe('authenticate with TWO_FACTOR.REQUIRED_FOR_ADMINS', () => {
+  const required = TWO_FACTOR.REQUIRED_FOR_ADMINS;
+
+  beforeEach(() => {
+    jest.restoreAllMocks();
+    TWO_FACTOR.REQUIRED_FOR_ADMINS = true;
+    jest.spyOn(roleService, 'permissionsFor').mockImplementation(async (user) =>
+      (user.customRole === 'dispatcher' ? DISPATCHER : DEFAULT_ROLE_PERMISSIONS[user.role]));
+  });
+
+  afterAll(() => {
+    TWO_FACTOR.REQUIRED_FOR_ADMINS = required;
+  });
+
+  it('withholds permissions from admins without 2FA', async () => {
+    expect(await signIn({ role: 'admin' })).toEqual([]);
+  });
+
+  it('treats admin permissions from a custom role like the admin account type', async () => {
+    expect(await signIn({ role: 'inspector', customRole: 'dispatcher' })).toEqual([]);
+    expect(await signIn({ role: 'inspector', customRole: 'dispatcher', twoFactor: { enabled: true } }))
+      .toEqual(DISPATCHER);
+  });
+
+  it('leaves accounts without admin permissions alone', async () => {
+    expect(await signIn({ role: 'inspector' })).toEqual(DEFAULT_ROLE_PERMISSIONS.inspector);
+  });
+
+  it('applies only when enabled', async () => {
+    TWO_FACTOR.REQUIRED_FOR_ADMINS = false;
+    expect(await signIn({ role: 'inspector', customRole: 'dispatcher' })).toEqual(DISPATCHER);
+  });
+});
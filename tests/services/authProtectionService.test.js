@@ -0,0 +1,133 @@
+const mongoose = require('mongoose');
+const RateLimitCounter = require('../../src/models/RateLimitCounter');
+const AuthAttempt = require('../../src/models/AuthAttempt');
+const User = require('../../src/models/User');
+const authProtectionService = require('../../src/services/authProtectionService');
+const { AUTH_PROTECTION } = require('../../src/config/constants');
+const { TooManyRequestsError } = require('../../src/utils/errors');
+
+const { ACTIONS, OUTCOMES, LOCKOUT_THRESHOLD, LOCKOUT_BASE_MINUTES, LOCKOUT_MAX_MINUTES } = AUTH_PROTECTION;
+const MINUTE_MS = 60 * 1000;
+// Start of a rate limit window, so tests can move within and across windows
+const T0 = new Date('2026-01-01T00:00:00Z').getTime();
+
+let counters;
+let audit;
+let account;
+
+const client = { ip: '203.0.113.7' };
+
+beforeEach(() => {
+  jest.restoreAllMocks();
+  jest.useFakeTimers({ now: T0, doNotFake: ['nextTick', 'setImmediate'] });
+
+  counters = new Map();
+  jest.spyOn(RateLimitCounter, 'findOneAndUpdate').mockImplementation(({ key, windowStart }) => ({
+    lean: async () => {
+      const id = `${key}@${windowStart.getTime()}`;
+      counters.set(id, (counters.get(id) || 0) + 1);
+      return { count: counters.get(id) };
+    }
+  }));
+
+  audit = [];
+  jest.spyOn(AuthAttempt, 'create').mockImplementation(async (entry) => { audit.push(entry); });
+
+  account = { _id: new mongoose.Types.ObjectId(), email: 'a@example.com', failedLoginAttempts: 0, lockoutCount: 0 };
+  jest.spyOn(User, 'findByIdAndUpdate').mockImplementation((id, update) => {
+    account.failedLoginAttempts += update.$inc.failedLoginAttempts;
+    return { select: async () => ({ ...account, id: String(account._id) }) };
+  });
+  jest.spyOn(User, 'updateOne').mockImplementation(async (filter, update) => {
+    Object.assign(account, update.$set);
+    return { modifiedCount: 1 };
+  });
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+});
+
+const failTimes = async (n) => {
+  for (let i = 0; i < n; i++) {
+    await authProtectionService.recordFailure(ACTIONS.PASSWORD_LOGIN, { user: account, client, reason: 'bad_password' });
+  }
+};
+
+describe('authProtectionService.consume', () => {
+  const { perEmail, windowMinutes } = AUTH_PROTECTION.RATE_LIMITS.password_reset_request;
+  const attempt = { email: 'a@example.com', client };
+
+  it('limits attempts per email within a window', async () => {
+    for (let i = 0; i < perEmail; i++) {
+      await authProtectionService.consume(ACTIONS.PASSWORD_RESET_REQUEST, attempt);
+    }
+
+    jest.advanceTimersByTime(MINUTE_MS);
+    const error = await authProtectionService.consume(ACTIONS.PASSWORD_RESET_REQUEST, attempt).catch(e => e);
+    expect(error).toBeInstanceOf(TooManyRequestsError);
+    expect(error.retryAfterSeconds).toBe((windowMinutes - 1) * 60);
+    expect(audit.map(entry => entry.outcome)).toEqual([OUTCOMES.RATE_LIMITED]);
+  });
+
+  it('starts counting again in the next window', async () => {
+    for (let i = 0; i <= perEmail; i++) {
+      await authProtectionService.consume(ACTIONS.PASSWORD_RESET_REQUEST, attempt).catch(() => {});
+    }
+
+    jest.advanceTimersByTime(windowMinutes * MINUTE_MS);
+    await expect(authProtectionService.consume(ACTIONS.PASSWORD_RESET_REQUEST, attempt)).resolves.toBeUndefined();
+  });
+
+  it('counts emails separately but shares the per-IP limit', async () => {
+    for (let i = 0; i < perEmail; i++) {
+      await authProtectionService.consume(ACTIONS.PASSWORD_RESET_REQUEST, attempt);
+    }
+    await expect(authProtectionService.consume(ACTIONS.PASSWORD_RESET_REQUEST, { email: 'b@example.com', client }))
+      .resolves.toBeUndefined();
+
+    const { perIp } = AUTH_PROTECTION.RATE_LIMITS.password_reset_request;
+    for (let i = 0; i < perIp - perEmail - 1; i++) {
+      await authProtectionService.consume(ACTIONS.PASSWORD_RESET_REQUEST, { email: `u${i}@example.com`, client });
+    }
+    await expect(authProtectionService.consume(ACTIONS.PASSWORD_RESET_REQUEST, { email: 'c@example.com', client }))
+      .rejects.toThrow(TooManyRequestsError);
+  });
+});
+
+describe('authProtectionService lockout', () => {
+  it('locks the account after consecutive failures', async () => {
+    await failTimes(LOCKOUT_THRESHOLD - 1);
+    await expect(authProtectionService.assertNotLocked(account, ACTIONS.PASSWORD_LOGIN)).resolves.toBeUndefined();
+
+    await failTimes(1);
+    expect(account.lockedUntil).toEqual(new Date(T0 + LOCKOUT_BASE_MINUTES * MINUTE_MS));
+    expect(account.failedLoginAttempts).toBe(0);
+
+    const error = await authProtectionService.assertNotLocked(account, ACTIONS.PASSWORD_LOGIN).catch(e => e);
+    expect(error).toBeInstanceOf(TooManyRequestsError);
+    expect(error.retryAfterSeconds).toBe(LOCKOUT_BASE_MINUTES * 60);
+    expect(audit.at(-1).outcome).toBe(OUTCOMES.LOCKED);
+  });
+
+  it('unlocks once the lockout has passed', async () => {
+    await failTimes(LOCKOUT_THRESHOLD);
+    jest.advanceTimersByTime(LOCKOUT_BASE_MINUTES * MINUTE_MS);
+    await expect(authProtectionService.assertNotLocked(account, ACTIONS.PASSWORD_LOGIN)).resolves.toBeUndefined();
+  });
+
+  it('doubles each lockout up to the maximum and resets after a success', async () => {
+    const lengths = [];
+    for (let i = 0; i < 10; i++) {
+      await failTimes(LOCKOUT_THRESHOLD);
+      lengths.push((account.lockedUntil.getTime() - Date.now()) / MINUTE_MS);
+    }
+    expect(lengths.slice(0, 3)).toEqual([LOCKOUT_BASE_MINUTES, LOCKOUT_BASE_MINUTES * 2, LOCKOUT_BASE_MINUTES * 4]);
+    expect(lengths.at(-1)).toBe(LOCKOUT_MAX_MINUTES);
+
+    await authProtectionService.recordSuccess(ACTIONS.PASSWORD_LOGIN, { user: account, client });
+    expect(account.lockedUntil).toBeNull();
+    await failTimes(LOCKOUT_THRESHOLD);
+    expect(account.lockedUntil).toEqual(new Date(Date.now() + LOCKOUT_BASE_MINUTES * MINUTE_MS));
+  });
+});
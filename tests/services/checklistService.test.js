@@ -0,0 +1,140 @@
+const mongoose = require('mongoose');
+const Inspection = require('../../src/models/Inspection');
+const InspectionSyncOperation = require('../../src/models/InspectionSyncOperation');
+const ChecklistTemplateVersion = require('../../src/models/ChecklistTemplateVersion');
+const checklistService = require('../../src/services/checklistService');
+const inspectionCategoryService = require('../../src/services/inspectionCategoryService');
+
+const inspectorId = new mongoose.Types.ObjectId();
+const inspector = { id: inspectorId.toString(), _id: inspectorId, role: 'inspector', $locals: { permissions: [] } };
+
+const template = {
+  types: [{ typeName: 'Exterior', checklistItems: [{ position: 1, label: 'Paint' }] }]
+};
+
+const photos = (count) => Array.from({ length: count }, (_, i) => `https://cdn.example.com/${i}.jpg`);
+
+let inspection;
+
+beforeEach(() => {
+  jest.restoreAllMocks();
+  inspection = new Inspection({
+    checklistTemplateId: new mongoose.Types.ObjectId(),
+    templateVersionId: new mongoose.Types.ObjectId(),
+    inspectorId,
+    status: 'draft',
+    revision: 0,
+    types: [{ typeName: 'Exterior', checklistItems: [{ position: 1, label: 'Paint', status: 'Not Checked' }] }]
+  });
+  jest.spyOn(Inspection, 'findById').mockResolvedValue(inspection);
+  jest.spyOn(Inspection, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+  jest.spyOn(inspection, 'save').mockResolvedValue(inspection);
+  jest.spyOn(ChecklistTemplateVersion, 'findById').mockReturnValue({ lean: async () => template });
+  jest.spyOn(InspectionSyncOperation, 'find').mockReturnValue({ lean: async () => [] });
+  jest.spyOn(InspectionSyncOperation, 'insertMany').mockResolvedValue([]);
+  jest.spyOn(inspectionCategoryService, 'findByName').mockResolvedValue({ name: 'Exterior', media: { maxPhotosPerItem: 2 } });
+});
+
+describe('checklist item photo limits', () => {
+  it('applies the category limit to single-item updates', async () => {
+    await expect(checklistService.updateChecklistItem(inspection.id, 'Exterior', 1, { revision: 0, photos: photos(3) }, inspector))
+      .rejects.toMatchObject({ errors: [{ message: 'Photos must be an array of at most 2 URLs' }] });
+    await checklistService.updateChecklistItem(inspection.id, 'Exterior', 1, { revision: 0, photos: photos(2) }, inspector);
+    expect(inspection.types[0].checklistItems[0].photos).toHaveLength(2);
+  });
+
+  it('applies the category limit to photo appends in a patch', async () => {
+    inspection.types[0].checklistItems[0].photos = photos(2);
+    await expect(checklistService.patchInspection(inspection.id, {
+      revision: 0,
+      operations: [{ op: 'add', path: '/types/Exterior/items/1/photos/-', value: 'https://cdn.example.com/x.jpg' }]
+    }, inspector)).rejects.toMatchObject({ errors: [{ message: 'Maximum 2 photos allowed per checklist item' }] });
+  });
+
+  it('applies the same limit to offline sync', async () => {
+    const sync = (count, opId) => checklistService.syncInspection(inspection.id, {
+      baseRevision: 0,
+      operations: [{ opId, typeName: 'Exterior', position: 1, clientTimestamp: new Date(), changes: { photos: photos(count) } }]
+    }, inspector);
+
+    expect((await sync(3, 'op-1')).results[0]).toMatchObject({ status: 'rejected', code: 'too_many_photos' });
+    expect((await sync(2, 'op-2')).results[0]).toMatchObject({ status: 'applied' });
+  });
+});
+
+describe('offline sync', () => {
+  let recorded;
+
+  const op = (opId, changes, clientTimestamp = '2026-01-05T10:00:00Z') =>
+    ({ opId, typeName: 'Exterior', position: 1, clientTimestamp, changes });
+  const sync = (operations, baseRevision = 0) =>
+    checklistService.syncInspection(inspection.id, { baseRevision, deviceId: 'tablet-1', operations }, inspector);
+  const item = () => inspection.types[0].checklistItems[0];
+
+  beforeEach(() => {
+    recorded = [];
+    InspectionSyncOperation.find.mockImplementation(({ opId }) => ({
+      lean: async () => recorded.filter(stored => opId.$in.includes(stored.opId))
+    }));
+    InspectionSyncOperation.insertMany.mockImplementation(async (docs) => { recorded.push(...docs); return docs; });
+  });
+
+  it('returns the stored results when a batch is replayed, without applying it again', async () => {
+    const first = await sync([op('op-1', { status: 'Good', remarks: 'Clean' })]);
+    expect(first).toMatchObject({ revision: 1, summary: { applied: 1, duplicates: 0 } });
+
+    item().remarks = 'Edited on the server';
+    const replay = await sync([op('op-1', { status: 'Good', remarks: 'Clean' })]);
+
+    expect(replay).toMatchObject({ revision: 1, summary: { applied: 0, duplicates: 1 } });
+    expect(replay.results).toEqual([{ opId: 'op-1', status: 'applied', duplicate: true }]);
+    expect(item().remarks).toBe('Edited on the server');
+    expect(Inspection.updateOne).toHaveBeenCalledTimes(1);
+    expect(recorded).toHaveLength(1);
+  });
+
+  it('applies only the new operations of a partly replayed batch', async () => {
+    await sync([op('op-1', { remarks: 'First' })]);
+    const result = await sync([op('op-1', { remarks: 'First' }), op('op-2', { remarks: 'Second' })], 1);
+
+    expect(result.summary).toMatchObject({ applied: 1, duplicates: 1 });
+    expect(result.results.map(r => [r.opId, !!r.duplicate])).toEqual([['op-1', true], ['op-2', false]]);
+    expect(item()).toMatchObject({ remarks: 'Second', revision: 2 });
+  });
+
+  it('applies operations in client time order', async () => {
+    await sync([
+      op('late', { remarks: 'Later' }, '2026-01-05T10:05:00Z'),
+      op('early', { remarks: 'Earlier' }, '2026-01-05T10:00:00Z')
+    ]);
+    expect(item().remarks).toBe('Later');
+  });
+
+  it('reports a conflict when the server copy changed after the base revision', async () => {
+    Object.assign(item(), { remarks: 'Server', revision: 3, updatedAt: new Date('2026-01-05T11:00:00Z') });
+    inspection.revision = 3;
+
+    const result = await sync([op('op-1', { remarks: 'Device' })], 2);
+
+    expect(result.results[0]).toMatchObject({ status: 'conflict', code: 'item_changed', item: { remarks: 'Server' } });
+    expect(result.revision).toBe(3);
+    expect(Inspection.updateOne).not.toHaveBeenCalled();
+    // The conflict is recorded too, so a retry gets the same answer
+    expect((await sync([op('op-1', { remarks: 'Device' })], 2)).results[0]).toMatchObject({ status: 'conflict', duplicate: true });
+  });
+
+  it('rejects batches that repeat an operation ID', async () => {
+    await expect(sync([op('op-1', { remarks: 'A' }), op('op-1', { remarks: 'B' })]))
+      .rejects.toThrow('Operation IDs must be unique within a batch');
+  });
+
+  it('retries when the inspection changes during the sync, then gives up', async () => {
+    Inspection.updateOne.mockResolvedValueOnce({ modifiedCount: 0 });
+    expect((await sync([op('op-1', { remarks: 'A' })])).summary.applied).toBe(1);
+    expect(Inspection.updateOne).toHaveBeenCalledTimes(2);
+
+    Inspection.updateOne.mockResolvedValue({ modifiedCount: 0 });
+    await expect(sync([op('op-2', { remarks: 'B' })], 1)).rejects.toThrow('Inspection is being updated concurrently');
+    expect(recorded.map(stored => stored.opId)).toEqual(['op-1']);
+  });
+});
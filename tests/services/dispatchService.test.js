@@ -0,0 +1,142 @@
+const mongoose = require('mongoose');
+const InspectionRequest = require('../../src/models/InspectionRequest');
+const User = require('../../src/models/User');
+const dispatchService = require('../../src/services/dispatchService');
+const capacityService = require('../../src/services/capacityService');
+const schedulingService = require('../../src/services/schedulingService');
+const inspectionRequestService = require('../../src/services/inspectionRequestService');
+const { DISPATCH } = require('../../src/config/constants');
+const { ConflictError } = require('../../src/utils/errors');
+
+const id = () => new mongoose.Types.ObjectId();
+
+const inspector = (fields) => ({
+  _id: id(),
+  firstName: 'In',
+  lastName: 'Spector',
+  availableStatus: 'available',
+  homeBase: {},
+  ...fields
+});
+
+const workload = (openCount, maxConcurrent = 4) => ({ openCount, maxConcurrent, remaining: Math.max(0, maxConcurrent - openCount) });
+
+const request = {
+  _id: id(),
+  location: { zipCode: '10001', city: 'New York', state: 'NY', coordinates: { lat: 40.75, lng: -73.99 } }
+};
+
+let inspectors;
+let workloads;
+let ratings;
+
+beforeEach(() => {
+  jest.restoreAllMocks();
+  inspectors = [];
+  workloads = new Map();
+  ratings = [];
+  jest.spyOn(User, 'find').mockReturnValue({ select: () => ({ lean: async () => inspectors }) });
+  jest.spyOn(capacityService, 'getWorkloads').mockImplementation(async () => workloads);
+  jest.spyOn(InspectionRequest, 'aggregate').mockReturnValue({ exec: async () => ratings });
+});
+
+const add = (fields, load = workload(0)) => {
+  const doc = inspector(fields);
+  inspectors.push(doc);
+  workloads.set(String(doc._id), load);
+  return String(doc._id);
+};
+
+describe('dispatchService.rankInspectors', () => {
+  it('ranks nearer, less loaded inspectors first', async () => {
+    const far = add({ homeBase: { coordinates: { lat: 41.3, lng: -72.9 } } });
+    const near = add({ homeBase: { coordinates: { lat: 40.76, lng: -73.98 } } }, workload(1));
+    const zipOnly = add({ homeBase: { zipCode: '10001' } }, workload(3));
+
+    const ranked = await dispatchService.rankInspectors(request);
+
+    expect(ranked.map(c => c.inspector.id)).toEqual([near, zipOnly, far]);
+    expect(ranked[0].breakdown.distance).toMatchObject({ basis: 'coordinates', distanceKm: 1.4 });
+    expect(ranked[1].breakdown.distance).toMatchObject({ basis: 'zip', score: 1 });
+    expect(ranked[1].breakdown.workload.score).toBe(0.25);
+  });
+
+  it('weights each component and totals the score', async () => {
+    add({ homeBase: { zipCode: '10001' } });
+
+    const [candidate] = await dispatchService.rankInspectors(request);
+
+    // zip match 1, no load 1, prior rating (3.5 - 1) / 4, available 1
+    const expected = DISPATCH.WEIGHTS.distance + DISPATCH.WEIGHTS.workload +
+      DISPATCH.WEIGHTS.rating * 0.625 + DISPATCH.WEIGHTS.availability;
+    expect(candidate.score).toBeCloseTo(expected, 3);
+    expect(candidate.breakdown.rating).toMatchObject({ score: 0.625, average: null, count: 0 });
+  });
+
+  it('smooths ratings towards the prior', async () => {
+    const rated = add({ homeBase: { zipCode: '10001' } });
+    ratings = [{ _id: rated, average: 5, count: 5 }];
+
+    const [candidate] = await dispatchService.rankInspectors(request);
+    // (3.5 * 5 + 5 * 5) / 10 = 4.25
+    expect(candidate.breakdown.rating.score).toBeCloseTo((4.25 - 1) / 4, 3);
+  });
+
+  it('lists ineligible inspectors last with their reasons', async () => {
+    const full = add({ homeBase: { zipCode: '10001' } }, workload(4));
+    const onLeave = add({ homeBase: { zipCode: '10001' }, availableStatus: 'On Leave' });
+    const free = add({ homeBase: { state: 'CA' } });
+
+    const ranked = await dispatchService.rankInspectors(request);
+
+    // The free inspector ranks first despite the lowest score
+    expect(ranked.map(c => [c.inspector.id, c.eligible])).toEqual([[free, true], [onLeave, false], [full, false]]);
+    expect(ranked[0].score).toBeLessThan(ranked[2].score);
+    expect(ranked[1].reasons.map(r => r.code)).toEqual(['declared_unavailable']);
+    expect(ranked[2].reasons.map(r => r.code)).toEqual(['concurrent_capacity']);
+  });
+
+  it('checks the booked slot against each inspector\'s calendar', async () => {
+    const busy = add({ homeBase: { zipCode: '10001' } });
+    const free = add({ homeBase: { state: 'NY' } });
+    jest.spyOn(schedulingService, 'checkSlot').mockImplementation(async (inspectorId) => ({
+      reasons: String(inspectorId) === busy ? [{ code: 'slot_conflict', message: 'Booked' }] : []
+    }));
+
+    const ranked = await dispatchService.rankInspectors({
+      ...request,
+      scheduledStart: new Date('2026-01-05T14:00:00Z'),
+      estimatedDurationMinutes: 60
+    });
+
+    expect(ranked.map(c => [c.inspector.id, c.eligible])).toEqual([[free, true], [busy, false]]);
+    expect(ranked[1].reasons[0].code).toBe('slot_conflict');
+  });
+});
+
+describe('inspectionRequestService auto-dispatch', () => {
+  const candidate = (inspectorId, eligible = true) => ({ inspector: { id: inspectorId }, score: 0.9, eligible, breakdown: {} });
+  const approved = { _id: 'r1', id: 'r1' };
+
+  it('moves on to the next candidate when one became unavailable', async () => {
+    jest.spyOn(dispatchService, 'rankInspectors').mockResolvedValue([candidate('a'), candidate('b'), candidate('c', false)]);
+    const assign = jest.spyOn(inspectionRequestService, 'assignInspector')
+      .mockRejectedValueOnce(new ConflictError('At capacity'))
+      .mockResolvedValueOnce({ _id: 'r1', assignedInspectorId: 'b' });
+
+    const result = await inspectionRequestService._autoAssign(approved, {});
+
+    expect(assign.mock.calls.map(call => call[1].inspectorId)).toEqual(['a', 'b']);
+    expect(result.dispatch).toMatchObject({ assigned: true, inspectorId: 'b', evaluatedCount: 3, eligibleCount: 2 });
+  });
+
+  it('leaves the request unassigned when no candidate can take it', async () => {
+    jest.spyOn(dispatchService, 'rankInspectors').mockResolvedValue([candidate('a', false)]);
+    const assign = jest.spyOn(inspectionRequestService, 'assignInspector');
+
+    const result = await inspectionRequestService._autoAssign(approved, {});
+
+    expect(assign).not.toHaveBeenCalled();
+    expect(result).toEqual({ request: approved, dispatch: expect.objectContaining({ assigned: false, inspectorId: null }) });
+  });
+});
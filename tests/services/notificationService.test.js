@@ -0,0 +1,202 @@
+const jwt = require('jsonwebtoken');
+const Inspection = require('../../src/models/Inspection');
+const InspectionRequest = require('../../src/models/InspectionRequest');
+const InspectorAvailability = require('../../src/models/InspectorAvailability');
+const ReportShare = require('../../src/models/ReportShare');
+const NotificationTemplate = require('../../src/models/NotificationTemplate');
+const notificationService = require('../../src/services/notificationService');
+const inspectionRequestService = require('../../src/services/inspectionRequestService');
+const checklistService = require('../../src/services/checklistService');
+const mailer = require('../../src/utils/mailer');
+const { NOTIFICATION_EVENTS, NOTIFICATIONS, REPORT_SHARE } = require('../../src/config/constants');
+const { PERMISSIONS } = require('../../src/config/permissions');
+
+const customer = { _id: 'c1', firstName: 'Ann', lastName: '<b>Lee</b>', email: 'ann@example.com' };
+const storedRequest = {
+  _id: 'r1',
+  requestId: 'REQ-1',
+  userId: customer,
+  assignedInspectorId: null,
+  vehicleInfo: { year: 2020, make: 'Toyota', model: 'Corolla' },
+  location: { address: '1 Main St', city: 'Springfield' }
+};
+
+const admin = { _id: 'a1', role: 'admin', $locals: { permissions: [PERMISSIONS.REQUESTS_APPROVE] } };
+
+let transport;
+const enabled = NOTIFICATIONS.ENABLED;
+
+const stubTemplate = (override = null) => {
+  jest.spyOn(NotificationTemplate, 'findOne').mockReturnValue({ lean: async () => override });
+};
+
+// What notificationService._loadRequest reads: findById().populate().populate().lean()
+const loadChain = (request) => {
+  const chain = { populate: () => chain, lean: async () => request };
+  return chain;
+};
+
+beforeEach(() => {
+  jest.restoreAllMocks();
+  NOTIFICATIONS.ENABLED = true;
+  transport = mailer.createMemoryTransport();
+  mailer.setTransport(transport);
+  stubTemplate();
+});
+
+afterAll(() => {
+  NOTIFICATIONS.ENABLED = enabled;
+  mailer.resetTransport();
+});
+
+describe('notificationService templates', () => {
+  it('renders the default template with the supplied variables', async () => {
+    const preview = await notificationService.previewTemplate(NOTIFICATION_EVENTS.REQUEST_APPROVED, {
+      customerName: 'Ann', requestId: 'REQ-1', vehicle: '2020 Toyota Corolla'
+    });
+    expect(preview.subject).toBe('Your inspection request REQ-1 has been approved');
+    expect(preview.text).toContain('Hello Ann,');
+  });
+
+  it('escapes variables in HTML but not in the text part', async () => {
+    const preview = await notificationService.previewTemplate(NOTIFICATION_EVENTS.REQUEST_APPROVED, {
+      customerName: '<script>"x"</script>', requestId: 'REQ-1', vehicle: 'car'
+    });
+    expect(preview.html).toContain('&lt;script&gt;&quot;x&quot;&lt;/script&gt;');
+    expect(preview.html).not.toContain('<script>');
+    expect(preview.text).toContain('<script>"x"</script>');
+  });
+
+  it('uses a stored override and skips disabled templates', async () => {
+    stubTemplate({ subject: 'Custom {{requestId}}', html: '<p>{{vehicle}}</p>', text: '{{vehicle}}', isActive: true });
+    await expect(notificationService.send(NOTIFICATION_EVENTS.REQUEST_APPROVED, 'ann@example.com', { requestId: 'R' }))
+      .resolves.toBe(true);
+    expect(transport.sent[0].subject).toBe('Custom R');
+
+    stubTemplate({ subject: 'Off', html: '', text: '', isActive: false });
+    await expect(notificationService.send(NOTIFICATION_EVENTS.REQUEST_APPROVED, 'ann@example.com'))
+      .resolves.toBe(false);
+    expect(transport.sent).toHaveLength(1);
+  });
+
+  it('sends nothing when notifications are disabled', async () => {
+    NOTIFICATIONS.ENABLED = false;
+    await expect(notificationService.send(NOTIFICATION_EVENTS.REQUEST_APPROVED, 'ann@example.com'))
+      .resolves.toBe(false);
+    expect(transport.sent).toHaveLength(0);
+  });
+});
+
+describe('milestone notifications', () => {
+  const pendingRequest = () => {
+    const request = { ...storedRequest, status: 'pending', id: 'r1' };
+    request.save = jest.fn().mockResolvedValue(request);
+    request.populate = jest.fn().mockResolvedValue(request);
+    return request;
+  };
+
+  it('emails the customer before the approval returns', async () => {
+    jest.spyOn(InspectionRequest, 'findById')
+      .mockResolvedValueOnce(pendingRequest())
+      .mockReturnValueOnce(loadChain(storedRequest));
+
+    const result = await inspectionRequestService.approveRequest('r1', {}, admin);
+    expect(result.dispatch).toBeNull();
+
+    expect(transport.sent).toHaveLength(1);
+    expect(transport.sent[0].to).toBe('ann@example.com');
+    expect(transport.sent[0].subject).toBe('Your inspection request REQ-1 has been approved');
+    expect(transport.sent[0].html).toContain('Ann &lt;b&gt;Lee&lt;/b&gt;');
+  });
+
+  it('still approves when the email fails', async () => {
+    mailer.setTransport({ sendMail: async () => { throw new Error('SMTP down'); } });
+    jest.spyOn(InspectionRequest, 'findById')
+      .mockResolvedValueOnce(pendingRequest())
+      .mockReturnValueOnce(loadChain(storedRequest));
+
+    const result = await inspectionRequestService.approveRequest('r1', {}, admin);
+    expect(result.request.adminApprovedAt).toBeInstanceOf(Date);
+  });
+
+  describe('completion email', () => {
+    const baseUrl = REPORT_SHARE.BASE_URL;
+    let shares;
+
+    beforeEach(() => {
+      shares = [];
+      jest.spyOn(InspectionRequest, 'findById').mockReturnValue(loadChain({ ...storedRequest, inspectionId: 'ins1' }));
+      jest.spyOn(InspectionRequest, 'findOne').mockReturnValue({ select: () => ({ lean: async () => ({ _id: 'r1' }) }) });
+      jest.spyOn(Inspection, 'findById').mockReturnValue({ select: () => ({ lean: async () => ({ overallRating: 4 }) }) });
+      jest.spyOn(checklistService, 'getInspectionById').mockResolvedValue({ _id: 'ins1', status: 'completed' });
+      jest.spyOn(ReportShare, 'create').mockImplementation(async (data) => {
+        const share = new ReportShare(data);
+        shares.push(share);
+        return share;
+      });
+    });
+
+    afterEach(() => {
+      REPORT_SHARE.BASE_URL = baseUrl;
+    });
+
+    it('carries the share token when no report page is configured', async () => {
+      REPORT_SHARE.BASE_URL = '';
+      await notificationService.notifyRequestCompleted('r1', admin);
+
+      const [mail] = transport.sent;
+      const token = /Your report access code: (\S+)/.exec(mail.text)[1];
+      expect(jwt.decode(token).sid).toBe(shares[0].id);
+      expect(mail.html).toContain(`<b>${token}</b>`);
+      expect(mail.html).not.toContain('href=');
+    });
+
+    it('links to the report page when one is configured', async () => {
+      REPORT_SHARE.BASE_URL = 'https://app.example.com/reports/';
+      await notificationService.notifyRequestCompleted('r1', admin);
+
+      const [mail] = transport.sent;
+      expect(mail.html).toMatch(/href="https:\/\/app\.example\.com\/reports\/[\w-]+\.[\w-]+\.[\w-]+"/);
+      expect(mail.text).not.toContain('access code');
+    });
+  });
+
+  describe('assignment email', () => {
+    const inspector = { _id: 'i1', firstName: 'Ivan', lastName: 'Insp', email: 'ivan@example.com' };
+    const assigned = {
+      ...storedRequest,
+      assignedInspectorId: inspector,
+      preferredDate: new Date('2026-01-05T00:00:00Z'),
+      preferredTime: 'mornings'
+    };
+
+    const scheduledTime = (mail) => /Scheduled for: (.+)/.exec(mail.text)?.[1];
+
+    it('shows the booked slot in the inspector\'s time zone', async () => {
+      jest.spyOn(InspectionRequest, 'findById').mockReturnValue(loadChain({
+        ...assigned,
+        scheduledStart: new Date('2026-01-05T14:00:00Z'),
+        scheduledEnd: new Date('2026-01-05T15:30:00Z')
+      }));
+      jest.spyOn(InspectorAvailability, 'findOne')
+        .mockReturnValue({ select: () => ({ lean: async () => ({ timezone: 'America/New_York' }) }) });
+
+      await notificationService.notifyInspectorAssigned('r1');
+
+      expect(transport.sent.map(mail => mail.to)).toEqual(['ann@example.com', 'ivan@example.com']);
+      for (const mail of transport.sent) {
+        expect(scheduledTime(mail)).toMatch(/^Jan 5, 2026, 9:00\s.\s10:30\sAM \(America\/New_York\)$/);
+      }
+    });
+
+    it('falls back to the customer\'s preferences when no slot is booked', async () => {
+      jest.spyOn(InspectionRequest, 'findById').mockReturnValue(loadChain(assigned));
+      const availability = jest.spyOn(InspectorAvailability, 'findOne');
+
+      await notificationService.notifyInspectorAssigned('r1');
+
+      expect(scheduledTime(transport.sent[0])).toBe('Jan 5, 2026 mornings');
+      expect(availability).not.toHaveBeenCalled();
+    });
+  });
+});
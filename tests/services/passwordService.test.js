@@ -0,0 +1,89 @@
+const User = require('../../src/models/User');
+const passwordService = require('../../src/services/passwordService');
+const sessionService = require('../../src/services/sessionService');
+const authProtectionService = require('../../src/services/authProtectionService');
+const mailer = require('../../src/utils/mailer');
+const { AUTH_SESSIONS, PASSWORD_RESET } = require('../../src/config/constants');
+const { BadRequestError } = require('../../src/utils/errors');
+
+const NEW_PASSWORD = 'NewPassw0rd!';
+
+let user;
+let transport;
+
+/** Token from the last reset email (sent without a reset page, so the email carries the token). */
+const emailedToken = () => /reset code is <b>([^<]+)<\/b>/.exec(transport.sent.at(-1).html)[1];
+
+beforeEach(() => {
+  jest.restoreAllMocks();
+  transport = mailer.createMemoryTransport();
+  mailer.setTransport(transport);
+
+  user = new User({ firstName: 'In', lastName: 'Spector', email: 'i@example.com', role: 'inspector', status: 'active' });
+  jest.spyOn(user, 'save').mockResolvedValue(user);
+  jest.spyOn(User, 'findOne').mockImplementation(async ({ email }) => (email === user.email ? user : null));
+  jest.spyOn(User, 'updateOne').mockImplementation(async (filter, update) => {
+    user.set(update.$set);
+    return { modifiedCount: 1 };
+  });
+  // The token claim: matches the stored hash while unexpired, then clears it
+  jest.spyOn(User, 'findOneAndUpdate').mockImplementation((filter, update) => ({
+    select: async () => {
+      const claimable = user.passwordResetTokenHash === filter.passwordResetTokenHash &&
+        user.passwordResetExpires > filter.passwordResetExpires.$gt;
+      if (!claimable) return null;
+      user.set(update.$set);
+      return user;
+    }
+  }));
+  jest.spyOn(sessionService, 'revokeAllSessions').mockResolvedValue(2);
+  ['consume', 'record', 'recordSuccess'].forEach((method) => {
+    jest.spyOn(authProtectionService, method).mockResolvedValue();
+  });
+});
+
+afterAll(() => {
+  mailer.resetTransport();
+});
+
+describe('passwordService reset', () => {
+  it('sets the password with the emailed token and signs out every session', async () => {
+    await passwordService.requestReset('I@example.com ');
+    await passwordService.resetPassword(emailedToken(), NEW_PASSWORD);
+
+    expect(user.password).toBe(NEW_PASSWORD);
+    expect(sessionService.revokeAllSessions)
+      .toHaveBeenCalledWith(user._id, AUTH_SESSIONS.REVOKE_REASONS.PASSWORD_CHANGED);
+  });
+
+  it('accepts a token only once, and only the latest one', async () => {
+    await passwordService.requestReset('i@example.com');
+    const first = emailedToken();
+    await passwordService.requestReset('i@example.com');
+    const second = emailedToken();
+
+    await expect(passwordService.resetPassword(first, NEW_PASSWORD)).rejects.toThrow('Invalid or expired reset token');
+    await passwordService.resetPassword(second, NEW_PASSWORD);
+    await expect(passwordService.resetPassword(second, NEW_PASSWORD)).rejects.toThrow(BadRequestError);
+  });
+
+  it('rejects an expired token', async () => {
+    await passwordService.requestReset('i@example.com');
+    user.passwordResetExpires = new Date(Date.now() - 1000);
+
+    await expect(passwordService.resetPassword(emailedToken(), NEW_PASSWORD)).rejects.toThrow('Invalid or expired reset token');
+    expect(user.save).not.toHaveBeenCalled();
+  });
+
+  it('answers unknown emails the same way without sending anything', async () => {
+    await expect(passwordService.requestReset('nobody@example.com'))
+      .resolves.toEqual({ expiresInMinutes: PASSWORD_RESET.TOKEN_TTL_MINUTES });
+    expect(transport.sent).toHaveLength(0);
+  });
+
+  it('checks the password policy before using the token', async () => {
+    await passwordService.requestReset('i@example.com');
+    await expect(passwordService.resetPassword(emailedToken(), 'short')).rejects.toThrow('password policy');
+    expect(User.findOneAndUpdate).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,164 @@
+const Role = require('../../src/models/Role');
+const User = require('../../src/models/User');
+const roleService = require('../../src/services/roleService');
+const userService = require('../../src/services/userService');
+const sessionService = require('../../src/services/sessionService');
+const { PERMISSIONS, ALL_PERMISSIONS, DEFAULT_ROLE_PERMISSIONS } = require('../../src/config/permissions');
+const { BadRequestError, ForbiddenError } = require('../../src/utils/errors');
+
+const DISPATCHER = [PERMISSIONS.USERS_READ, PERMISSIONS.USERS_MANAGE, PERMISSIONS.REQUESTS_ASSIGN];
+
+const roles = [
+  { name: 'admin', permissions: [], isSystem: true },
+  { name: 'inspector', permissions: DEFAULT_ROLE_PERMISSIONS.inspector, isSystem: true },
+  { name: 'user', permissions: DEFAULT_ROLE_PERMISSIONS.user, isSystem: true },
+  { name: 'dispatcher', permissions: DISPATCHER, isSystem: false },
+  { name: 'role-admin', permissions: [...DISPATCHER, PERMISSIONS.ROLES_MANAGE], isSystem: false },
+  { name: 'assigner', permissions: [PERMISSIONS.REQUESTS_ASSIGN], isSystem: false },
+  { name: 'manager', permissions: [...DISPATCHER, ...DEFAULT_ROLE_PERMISSIONS.inspector], isSystem: false },
+  { name: 'field-tech', permissions: [PERMISSIONS.SCHEDULE_MANAGE_OWN], isSystem: false }
+];
+
+// Authenticated user as resolved by middleware/auth.js
+const userWith = (customRole, role = 'user') => {
+  const permissions = customRole ? roles.find(r => r.name === customRole).permissions : ALL_PERMISSIONS;
+  return { id: 'u1', role, customRole, $locals: { permissions } };
+};
+
+beforeEach(() => {
+  jest.restoreAllMocks();
+  roleService._invalidate();
+  jest.spyOn(Role, 'exists').mockResolvedValue(true);
+  jest.spyOn(Role, 'find').mockReturnValue({ lean: async () => roles.map(role => ({ ...role })) });
+});
+
+describe('roleService.assertAssignable', () => {
+  it('never assigns the admin role as a custom role, even by an admin', async () => {
+    await expect(roleService.assertAssignable('admin', userWith(null, 'admin'))).rejects.toThrow(ForbiddenError);
+  });
+
+  it('rejects roles with permissions the grantor lacks', async () => {
+    await expect(roleService.assertAssignable('role-admin', userWith('dispatcher'))).rejects.toThrow(ForbiddenError);
+  });
+
+  it('allows roles within the grantor\'s permissions', async () => {
+    await expect(roleService.assertAssignable('assigner', userWith('role-admin'))).resolves.toBeUndefined();
+  });
+
+  it('rejects unknown roles', async () => {
+    await expect(roleService.assertAssignable('nope', userWith(null, 'admin'))).rejects.toThrow(BadRequestError);
+  });
+});
+
+describe('roleService.createRole', () => {
+  it('cannot create a role with permissions the creator lacks', async () => {
+    const create = jest.spyOn(Role, 'create');
+    await expect(roleService.createRole(
+      { name: 'super', permissions: [PERMISSIONS.ROLES_MANAGE, PERMISSIONS.PRICES_MANAGE] },
+      userWith('role-admin')
+    )).rejects.toThrow(ForbiddenError);
+    expect(create).not.toHaveBeenCalled();
+  });
+});
+
+describe('userService role assignment', () => {
+  beforeEach(() => {
+    jest.spyOn(User, 'findOne').mockResolvedValue(null);
+    jest.spyOn(User, 'create').mockImplementation(async (data) => new User(data));
+  });
+
+  it('needs roles:manage to set a custom role', async () => {
+    await expect(userService.createUser(
+      { email: 'c@example.com', firstName: 'Cu', lastName: 'St', role: 'user', customRole: 'assigner' },
+      userWith('dispatcher')
+    )).rejects.toThrow('Assigning custom roles requires roles:manage');
+  });
+
+  it('cannot create an admin account without holding every permission', async () => {
+    await expect(userService.createUser(
+      { email: 'a@example.com', firstName: 'Ad', lastName: 'Min', role: 'admin', password: 'Password123' },
+      userWith('role-admin')
+    )).rejects.toThrow(ForbiddenError);
+    expect(User.create).not.toHaveBeenCalled();
+  });
+
+  it('cannot promote an existing account to the admin role', async () => {
+    const target = new User({ email: 'c@example.com', firstName: 'Cu', lastName: 'St', role: 'user' });
+    jest.spyOn(User, 'findById').mockResolvedValue(target);
+    const save = jest.spyOn(target, 'save').mockResolvedValue(target);
+
+    await expect(userService.updateUser(target.id, { customRole: 'admin' }, userWith('role-admin')))
+      .rejects.toThrow(ForbiddenError);
+    await expect(userService.updateUser(target.id, { role: 'admin' }, userWith('role-admin')))
+      .rejects.toThrow(ForbiddenError);
+    expect(save).not.toHaveBeenCalled();
+  });
+
+  it('lets users:manage create customer accounts without roles:manage', async () => {
+    const user = await userService.createUser(
+      { email: 'e@example.com', firstName: 'Cu', lastName: 'St', role: 'user' },
+      userWith('dispatcher')
+    );
+    expect(user.role).toBe('user');
+  });
+
+  it('lets an admin assign a custom role', async () => {
+    const user = await userService.createUser(
+      { email: 'd@example.com', firstName: 'Di', lastName: 'Sp', role: 'user', customRole: 'dispatcher' },
+      userWith(null, 'admin')
+    );
+    expect(user.customRole).toBe('dispatcher');
+  });
+});
+
+describe('userService managing accounts with more access', () => {
+  let admin;
+
+  beforeEach(() => {
+    admin = new User({ email: 'root@example.com', firstName: 'Ro', lastName: 'Ot', role: 'admin', password: 'Password123' });
+    jest.spyOn(User, 'findById').mockResolvedValue(admin);
+    jest.spyOn(admin, 'save').mockResolvedValue(admin);
+    jest.spyOn(User, 'deleteOne').mockResolvedValue({ deletedCount: 1 });
+    jest.spyOn(sessionService, 'revokeAllSessions').mockResolvedValue(0);
+  });
+
+  it.each([
+    ['change the email of', () => userService.updateUser(admin.id, { email: 'mine@example.com' }, userWith('dispatcher'))],
+    ['demote', () => userService.updateUser(admin.id, { role: 'user' }, userWith('dispatcher'))],
+    ['block', () => userService.blockUser(admin.id, userWith('dispatcher'))],
+    ['delete', () => userService.deleteUser(admin.id, userWith('dispatcher'))]
+  ])('cannot %s an admin with users:manage alone', async (action, act) => {
+    await expect(act()).rejects.toThrow(ForbiddenError);
+    await expect(act()).rejects.toThrow('You cannot manage a user with permissions you do not hold');
+
+    expect(admin.save).not.toHaveBeenCalled();
+    expect(User.deleteOne).not.toHaveBeenCalled();
+    expect(sessionService.revokeAllSessions).not.toHaveBeenCalled();
+    expect(admin).toMatchObject({ email: 'root@example.com', role: 'admin', status: 'active' });
+  });
+
+  it('lets users:manage block and delete accounts within their permissions', async () => {
+    const inspector = new User({ email: 'i@example.com', firstName: 'In', lastName: 'Sp', role: 'inspector', password: 'Password123' });
+    User.findById.mockResolvedValue(inspector);
+    jest.spyOn(inspector, 'save').mockResolvedValue(inspector);
+
+    await expect(userService.blockUser(inspector.id, userWith('manager'))).resolves.toMatchObject({ status: 'inactive' });
+    await expect(userService.deleteUser(inspector.id, userWith('manager'))).resolves.toBeUndefined();
+    expect(User.deleteOne).toHaveBeenCalledWith({ _id: inspector._id });
+  });
+});
+
+describe('userService.updateMyAvailableStatus', () => {
+  it('follows schedule:manage-own rather than the account type', async () => {
+    const update = jest.spyOn(User, 'findByIdAndUpdate').mockReturnValue({
+      select: () => ({ lean: () => ({ exec: async () => ({ id: 'u1', availableStatus: 'busy' }) }) })
+    });
+
+    await expect(userService.updateMyAvailableStatus({ availableStatus: ' busy ' }, userWith('field-tech')))
+      .resolves.toMatchObject({ availableStatus: 'busy' });
+    expect(update).toHaveBeenCalledWith('u1', { availableStatus: 'busy' }, expect.any(Object));
+
+    await expect(userService.updateMyAvailableStatus({ availableStatus: 'busy' }, userWith('dispatcher', 'inspector')))
+      .rejects.toThrow('Updating your available status requires schedule:manage-own');
+  });
+});
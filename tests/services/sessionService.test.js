@@ -0,0 +1,90 @@
+const mongoose = require('mongoose');
+const Session = require('../../src/models/Session');
+const User = require('../../src/models/User');
+const sessionService = require('../../src/services/sessionService');
+const { AUTH_SESSIONS, USER_STATUS } = require('../../src/config/constants');
+const { UnauthorizedError } = require('../../src/utils/errors');
+
+const user = { _id: new mongoose.Types.ObjectId(), status: USER_STATUS.ACTIVE };
+
+// In-memory Session collection supporting the queries sessionService issues
+let sessions;
+
+const matches = (session, filter) => Object.entries(filter).every(([key, value]) => {
+  if (key === '_id') return String(session._id) === String(value);
+  if (value === null) return session[key] == null;
+  return session[key] === value;
+});
+
+beforeEach(() => {
+  jest.restoreAllMocks();
+  sessions = new Map();
+  jest.spyOn(Session, 'create').mockImplementation(async (data) => {
+    const session = new Session(data);
+    sessions.set(session.id, session);
+    return session;
+  });
+  jest.spyOn(Session, 'find').mockReturnValue({
+    sort() { return this; },
+    skip() { return this; },
+    select() { return this; },
+    lean: async () => []
+  });
+  jest.spyOn(Session, 'findById').mockImplementation((id) => ({ select: async () => sessions.get(String(id)) || null }));
+  jest.spyOn(Session, 'findOneAndUpdate').mockImplementation(async (filter, update) => {
+    const session = [...sessions.values()].find(s => matches(s, filter));
+    if (!session) return null;
+    session.set(update.$set);
+    return session;
+  });
+  jest.spyOn(Session, 'updateMany').mockImplementation(async (filter, update) => {
+    const matched = [...sessions.values()].filter(s => matches(s, filter));
+    matched.forEach(s => s.set(update.$set));
+    return { modifiedCount: matched.length };
+  });
+  jest.spyOn(User, 'findById').mockReturnValue({ select: async () => user });
+});
+
+describe('sessionService.refresh', () => {
+  it('rotates the refresh token on every use', async () => {
+    const first = await sessionService.createSession(user);
+    const second = await sessionService.refresh(first.refreshToken);
+
+    expect(second.sessionId).toBe(first.sessionId);
+    expect(second.refreshToken).not.toBe(first.refreshToken);
+    expect(second.token).toEqual(expect.any(String));
+
+    const third = await sessionService.refresh(second.refreshToken);
+    expect(third.refreshToken).not.toBe(second.refreshToken);
+  });
+
+  it('revokes the session when a replaced refresh token is presented again', async () => {
+    const first = await sessionService.createSession(user);
+    const second = await sessionService.refresh(first.refreshToken);
+
+    await expect(sessionService.refresh(first.refreshToken))
+      .rejects.toThrow('Refresh token has already been used; please sign in again');
+
+    const session = sessions.get(first.sessionId);
+    expect(session.state).toBe('revoked');
+    expect(session.revokedReason).toBe(AUTH_SESSIONS.REVOKE_REASONS.TOKEN_REUSE);
+    // The legitimate holder of the newest token is signed out too
+    await expect(sessionService.refresh(second.refreshToken)).rejects.toThrow(UnauthorizedError);
+  });
+
+  it('rejects malformed and signed-out tokens', async () => {
+    await expect(sessionService.refresh('not-a-token')).rejects.toThrow('Invalid refresh token');
+
+    const { refreshToken } = await sessionService.createSession(user);
+    await sessionService.logout({ refreshToken });
+    await expect(sessionService.refresh(refreshToken)).rejects.toThrow('Invalid refresh token');
+  });
+
+  it('revokes the session of a deactivated user', async () => {
+    const { refreshToken, sessionId } = await sessionService.createSession(user);
+    User.findById.mockReturnValue({ select: async () => ({ ...user, status: USER_STATUS.INACTIVE }) });
+
+    await expect(sessionService.refresh(refreshToken)).rejects.toThrow('User account is not active');
+    expect(sessions.get(sessionId).revokedReason).toBe(AUTH_SESSIONS.REVOKE_REASONS.USER_DEACTIVATED);
+  });
+});
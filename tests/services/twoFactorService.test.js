@@ -0,0 +1,152 @@
+const User = require('../../src/models/User');
+const Role = require('../../src/models/Role');
+const twoFactorService = require('../../src/services/twoFactorService');
+const authProtectionService = require('../../src/services/authProtectionService');
+const roleService = require('../../src/services/roleService');
+const totp = require('../../src/utils/totp');
+const { TWO_FACTOR } = require('../../src/config/constants');
+const { PERMISSIONS, DEFAULT_ROLE_PERMISSIONS } = require('../../src/config/permissions');
+const { UnauthorizedError, ForbiddenError } = require('../../src/utils/errors');
+
+const PERIOD_MS = TWO_FACTOR.PERIOD_SECONDS * 1000;
+// Middle of a time step, so codes of the neighbouring steps are inside the accepted window
+const T0 = Math.floor(new Date('2026-01-01T00:00:00Z').getTime() / PERIOD_MS) * PERIOD_MS + PERIOD_MS / 2;
+
+let user;
+
+const get = (doc, path) => path.split('.').reduce((value, key) => value?.[key], doc);
+
+// User.updateOne for the filters twoFactorService uses: `{ $not: { $gte } }` on lastUsedStep and array membership
+const updateOne = async (filter, update) => {
+  const conditionsMet = Object.entries(filter).every(([path, condition]) => {
+    if (path === '_id') return String(condition) === String(user._id);
+    const current = get(user, path);
+    if (condition.$not) return current === null || current === undefined || !(current >= condition.$not.$gte);
+    return (current || []).includes(condition);
+  });
+  if (!conditionsMet) return { modifiedCount: 0 };
+  Object.entries(update.$set || {}).forEach(([path, value]) => user.set(path, value));
+  Object.entries(update.$pull || {}).forEach(([path, value]) => user.set(path, get(user, path).filter(v => v !== value)));
+  return { modifiedCount: 1 };
+};
+
+/** Enroll the user; returns the TOTP secret and recovery codes. */
+const enroll = async () => {
+  const { secret } = await twoFactorService.setup(user);
+  const { recoveryCodes } = await twoFactorService.enable(user, totp.codeAt(secret, totp.timeStep()));
+  return { secret, recoveryCodes };
+};
+
+const answer = (response) =>
+  twoFactorService.verifyChallenge(twoFactorService.createChallenge(user).challengeToken, response);
+
+beforeEach(() => {
+  jest.restoreAllMocks();
+  jest.useFakeTimers({ now: T0, doNotFake: ['nextTick', 'setImmediate'] });
+
+  user = new User({ firstName: 'In', lastName: 'Spector', email: 'i@example.com', role: 'inspector', status: 'active' });
+  // Each load is a snapshot, as from the database
+  jest.spyOn(User, 'findById').mockReturnValue({ select: async () => User.hydrate(user.toObject({ transform: false })) });
+  jest.spyOn(User, 'updateOne').mockImplementation(updateOne);
+  ['consume', 'assertNotLocked', 'record', 'recordFailure', 'recordSuccess'].forEach((method) => {
+    jest.spyOn(authProtectionService, method).mockResolvedValue();
+  });
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+});
+
+describe('twoFactorService TOTP codes', () => {
+  it('does not accept the enrollment code again at sign-in', async () => {
+    const { secret } = await enroll();
+
+    await expect(answer({ code: totp.codeAt(secret, totp.timeStep()) })).rejects.toThrow(UnauthorizedError);
+    expect(authProtectionService.recordFailure).toHaveBeenCalledTimes(1);
+  });
+
+  it('accepts each time step once and never an earlier one', async () => {
+    const { secret } = await enroll();
+    jest.advanceTimersByTime(PERIOD_MS);
+    const step = totp.timeStep();
+
+    await expect(answer({ code: totp.codeAt(secret, step) })).resolves.toMatchObject({ usedRecoveryCode: false });
+    await expect(answer({ code: totp.codeAt(secret, step) })).rejects.toThrow('Invalid two-factor code');
+    await expect(answer({ code: totp.codeAt(secret, step - 1) })).rejects.toThrow('Invalid two-factor code');
+    // A code from the next step (clock drift) still works once, and then the current step is used up too
+    await expect(answer({ code: totp.codeAt(secret, step + 1) })).resolves.toBeDefined();
+    await expect(answer({ code: totp.codeAt(secret, step) })).rejects.toThrow('Invalid two-factor code');
+  });
+
+  it('rejects codes outside the drift window', async () => {
+    const { secret } = await enroll();
+    await expect(answer({ code: totp.codeAt(secret, totp.timeStep() + TWO_FACTOR.WINDOW + 1) }))
+      .rejects.toThrow('Invalid two-factor code');
+  });
+});
+
+describe('twoFactorService recovery codes', () => {
+  it('accepts each recovery code once, ignoring case', async () => {
+    const { recoveryCodes } = await enroll();
+    expect(recoveryCodes).toHaveLength(TWO_FACTOR.RECOVERY_CODE_COUNT);
+
+    const result = await answer({ recoveryCode: recoveryCodes[0].toUpperCase() });
+    expect(result).toMatchObject({ usedRecoveryCode: true, recoveryCodesRemaining: TWO_FACTOR.RECOVERY_CODE_COUNT - 1 });
+    await expect(answer({ recoveryCode: recoveryCodes[0] })).rejects.toThrow('Invalid recovery code');
+    await expect(answer({ recoveryCode: recoveryCodes[1] })).resolves.toMatchObject({ usedRecoveryCode: true });
+  });
+
+  it('invalidates the old codes when they are regenerated', async () => {
+    const { secret, recoveryCodes } = await enroll();
+    jest.advanceTimersByTime(PERIOD_MS);
+    const { recoveryCodes: fresh } = await twoFactorService.regenerateRecoveryCodes(
+      user, totp.codeAt(secret, totp.timeStep())
+    );
+
+    await expect(answer({ recoveryCode: recoveryCodes[0] })).rejects.toThrow('Invalid recovery code');
+    await expect(answer({ recoveryCode: fresh[0] })).resolves.toMatchObject({ usedRecoveryCode: true });
+  });
+
+  it('never stores the secret or the codes in plain text', async () => {
+    const { secret, recoveryCodes } = await enroll();
+    expect(user.twoFactor.secret).not.toContain(secret);
+    expect(user.twoFactor.recoveryCodeHashes).not.toContain(recoveryCodes[0]);
+  });
+});
+
+describe('twoFactorService.resetForUser', () => {
+  const manager = (customRole, role = 'user') => ({ id: 'm1', role, customRole });
+
+  beforeEach(() => {
+    roleService._invalidate();
+    jest.spyOn(Role, 'exists').mockResolvedValue(true);
+    jest.spyOn(Role, 'find').mockReturnValue({
+      lean: async () => [
+        { name: 'admin', permissions: [], isSystem: true },
+        { name: 'inspector', permissions: DEFAULT_ROLE_PERMISSIONS.inspector, isSystem: true },
+        { name: 'user', permissions: DEFAULT_ROLE_PERMISSIONS.user, isSystem: true },
+        { name: 'dispatcher', permissions: [PERMISSIONS.USERS_READ, PERMISSIONS.USERS_MANAGE], isSystem: false }
+      ]
+    });
+  });
+
+  it('refuses to reset the 2FA of a user with permissions the caller lacks', async () => {
+    user.role = 'admin';
+    await enroll();
+
+    await expect(twoFactorService.resetForUser(user.id, manager('dispatcher'))).rejects.toThrow(ForbiddenError);
+    expect(user.twoFactor.enabled).toBe(true);
+    expect(authProtectionService.record).not.toHaveBeenCalled();
+  });
+
+  it('resets the 2FA of a user within the caller\'s permissions', async () => {
+    await enroll();
+
+    const result = await twoFactorService.resetForUser(user.id, manager(null, 'admin'));
+
+    expect(result.twoFactor).toMatchObject({ enabled: false, secret: null, recoveryCodeHashes: [] });
+    expect(authProtectionService.record).toHaveBeenCalledWith(
+      'two_factor_reset', 'success', expect.objectContaining({ reason: 'reset_by:m1' })
+    );
+  });
+});
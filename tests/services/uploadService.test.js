@@ -0,0 +1,28 @@
+// Presigning happens locally; the SDK only needs some credentials to sign with
+process.env.AWS_ACCESS_KEY_ID = process.env.AWS_ACCESS_KEY_ID || 'test';
+process.env.AWS_SECRET_ACCESS_KEY = process.env.AWS_SECRET_ACCESS_KEY || 'test';
+
+const uploadService = require('../../src/services/uploadService');
+const inspectionCategoryService = require('../../src/services/inspectionCategoryService');
+const { PERMISSIONS } = require('../../src/config/permissions');
+
+const inspector = { id: 'i1', role: 'inspector', $locals: { permissions: [PERMISSIONS.UPLOADS_CREATE] } };
+const exterior = { name: 'Exterior', isActive: true, media: { videosAllowed: true } };
+
+beforeEach(() => {
+  jest.restoreAllMocks();
+  jest.spyOn(inspectionCategoryService, 'getCategories').mockResolvedValue([exterior]);
+});
+
+describe('uploadService media keys', () => {
+  it('files uploads under the category name, not the raw typeName', async () => {
+    const { key } = await uploadService.getPresignedUploadUrl({
+      inspectionRequestId: 'req1',
+      typeName: '  Exterior ',
+      fileName: 'door.jpg',
+      contentType: 'image/jpeg'
+    }, inspector);
+
+    expect(key).toMatch(/^uploads\/inspections\/req1\/Exterior\/photos\/[\w-]+-door\.jpg$/);
+  });
+});
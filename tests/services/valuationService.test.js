@@ -0,0 +1,84 @@
+const mongoose = require('mongoose');
+const InspectionRequest = require('../../src/models/InspectionRequest');
+const Inspection = require('../../src/models/Inspection');
+const valuationService = require('../../src/services/valuationService');
+const { PERMISSIONS } = require('../../src/config/permissions');
+const { NotFoundError } = require('../../src/utils/errors');
+
+const customerId = new mongoose.Types.ObjectId();
+const customer = { id: customerId.toString(), _id: customerId, role: 'user', $locals: { permissions: [] } };
+const admin = { id: 'admin-1', role: 'admin', $locals: { permissions: [PERMISSIONS.REQUESTS_READ_ALL, PERMISSIONS.VALUATIONS_REFRESH] } };
+
+const inspection = { _id: new mongoose.Types.ObjectId(), status: 'completed', grade: 'B', vehicleInfo: {} };
+const stored = { estimate: 10000, low: 9000, high: 11000, inspectionId: inspection._id, computedAt: new Date() };
+
+const stubRequest = (fields) => {
+  const request = {
+    _id: new mongoose.Types.ObjectId(),
+    userId: customerId,
+    requestType: 'car valuation',
+    inspectionId: inspection._id,
+    vehicleInfo: { make: 'TOYOTA', model: 'Corolla', year: 2020 },
+    valuation: null,
+    ...fields
+  };
+  jest.spyOn(InspectionRequest, 'findById').mockReturnValue({ select: () => ({ lean: async () => request }) });
+  return request;
+};
+
+beforeEach(() => {
+  jest.restoreAllMocks();
+  jest.spyOn(Inspection, 'findById').mockReturnValue({ select: () => ({ lean: async () => inspection }) });
+  jest.spyOn(InspectionRequest, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+  jest.spyOn(valuationService, '_valuate').mockResolvedValue({ ...stored, estimate: 12000 });
+});
+
+describe('valuationService.getRequestValuation', () => {
+  it('returns the stored valuation without recomputing or writing', async () => {
+    const request = stubRequest({ valuation: stored });
+    const result = await valuationService.getRequestValuation(request._id.toString(), customer);
+
+    expect(result.valuation).toBe(stored);
+    expect(valuationService._valuate).not.toHaveBeenCalled();
+    expect(InspectionRequest.updateOne).not.toHaveBeenCalled();
+  });
+
+  it('reports a valuation that was never computed instead of computing it', async () => {
+    const request = stubRequest();
+    await expect(valuationService.getRequestValuation(request._id.toString(), customer)).rejects.toThrow(NotFoundError);
+    expect(InspectionRequest.updateOne).not.toHaveBeenCalled();
+  });
+
+  it('ignores refresh without valuations:refresh', async () => {
+    const request = stubRequest({ valuation: stored });
+    await valuationService.getRequestValuation(request._id.toString(), customer, { refresh: true });
+    expect(InspectionRequest.updateOne).not.toHaveBeenCalled();
+  });
+
+  it('recomputes and stores on refresh with valuations:refresh', async () => {
+    const request = stubRequest({ valuation: stored });
+    const result = await valuationService.getRequestValuation(request._id.toString(), admin, { refresh: true });
+
+    expect(result.valuation.estimate).toBe(12000);
+    expect(InspectionRequest.updateOne).toHaveBeenCalledWith(
+      { _id: request._id },
+      { $set: { valuation: expect.objectContaining({ estimate: 12000 }) } }
+    );
+  });
+});
+
+describe('valuationService.storeValuation', () => {
+  it('values car valuation requests with a finished inspection', async () => {
+    const request = { _id: new mongoose.Types.ObjectId(), requestType: 'car valuation', vehicleInfo: {} };
+    expect(await valuationService.storeValuation(request, inspection)).toMatchObject({ estimate: 12000 });
+    expect(InspectionRequest.updateOne).toHaveBeenCalledTimes(1);
+  });
+
+  it('leaves other requests and unfinished inspections alone', async () => {
+    const request = { _id: new mongoose.Types.ObjectId(), requestType: 'car inspection', vehicleInfo: {} };
+    expect(await valuationService.storeValuation(request, inspection)).toBeNull();
+    expect(await valuationService.storeValuation({ ...request, requestType: 'car valuation' }, { ...inspection, status: 'draft' }))
+      .toBeNull();
+    expect(InspectionRequest.updateOne).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,158 @@
+const mongoose = require('mongoose');
+const Vehicle = require('../../src/models/Vehicle');
+const InspectionRequest = require('../../src/models/InspectionRequest');
+const Inspection = require('../../src/models/Inspection');
+const vehicleService = require('../../src/services/vehicleService');
+const { NotFoundError } = require('../../src/utils/errors');
+
+const VIN = '1HGCM82633A004352';
+
+const id = () => new mongoose.Types.ObjectId();
+
+const requestRecord = (vehicleInfo, fields = {}) => ({ _id: id(), vehicleInfo, createdAt: new Date('2026-01-10'), ...fields });
+const inspectionRecord = (vehicleInfo, fields = {}) => ({ _id: id(), vehicleInfo, inspectionDate: new Date('2026-02-10'), ...fields });
+
+// Query result that can be awaited directly or after .sort()
+const query = (result) => ({ sort: async () => result, then: (resolve, reject) => Promise.resolve(result).then(resolve, reject) });
+
+let registry;
+
+beforeEach(() => {
+  jest.restoreAllMocks();
+  registry = [];
+  // Saves run the real middleware; only the driver calls are stubbed
+  jest.spyOn(Vehicle.collection, 'insertOne').mockResolvedValue({ acknowledged: true });
+  jest.spyOn(Vehicle.collection, 'updateOne').mockResolvedValue({ matchedCount: 1 });
+  // Saves without changes check that the document exists
+  jest.spyOn(Vehicle.collection, 'findOne').mockResolvedValue({});
+  jest.spyOn(Vehicle, 'create').mockImplementation(async (fields) => {
+    const vehicle = await new Vehicle(fields).save();
+    registry.push(vehicle);
+    return vehicle;
+  });
+  jest.spyOn(Vehicle, 'findOne').mockImplementation((filter) => query(registry.find(vehicle =>
+    (filter.vin === undefined || vehicle.vin === filter.vin) &&
+    (filter.plateKey === undefined || vehicle.plateKey === filter.plateKey)) || null));
+  jest.spyOn(Vehicle, 'findById').mockImplementation(async (vehicleId) => registry.find(vehicle => vehicle.id === String(vehicleId)) || null);
+  jest.spyOn(Vehicle, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+  jest.spyOn(InspectionRequest, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+  jest.spyOn(Inspection, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+});
+
+describe('vehicleService.linkRecord', () => {
+  it('registers a vehicle on first sight and links the record to it', async () => {
+    const record = requestRecord({ vin: VIN.toLowerCase(), licensePlate: 'ka 01-ab 1234', make: 'HONDA', year: 2003, mileage: 52000 });
+
+    const vehicle = await vehicleService.linkRecord('request', record);
+
+    expect(vehicle).toMatchObject({ vin: VIN, plateKey: 'KA01AB1234', make: 'HONDA', year: 2003, latestMileage: 52000 });
+    expect(InspectionRequest.updateOne).toHaveBeenCalledWith({ _id: record._id }, { $set: { vehicleId: vehicle._id } });
+    expect(record.vehicleId).toBe(vehicle._id);
+  });
+
+  it('flags an odometer rollback when a later reading is lower', async () => {
+    await vehicleService.linkRecord('request', requestRecord({ vin: VIN, mileage: 52000 }));
+    const vehicle = await vehicleService.linkRecord('inspection', inspectionRecord({ vin: VIN, mileage: 31000 }));
+
+    expect(registry).toHaveLength(1);
+    expect(vehicle.mileageReadings.map(reading => [reading.source, reading.mileage, reading.rollback]))
+      .toEqual([['request', 52000, false], ['inspection', 31000, true]]);
+    expect(vehicle).toMatchObject({ latestMileage: 31000, odometerRollback: true });
+    expect(Inspection.updateOne).toHaveBeenCalled();
+  });
+
+  it('replaces the reading of a record that is linked again', async () => {
+    const record = requestRecord({ vin: VIN, mileage: 52000 });
+    const vehicle = await vehicleService.linkRecord('request', record);
+    record.vehicleInfo.mileage = 25000;
+
+    await vehicleService.linkRecord('request', record);
+
+    expect(vehicle.mileageReadings.map(reading => reading.mileage)).toEqual([25000]);
+    expect(vehicle.odometerRollback).toBe(false);
+    expect(InspectionRequest.updateOne).toHaveBeenCalledTimes(1);
+  });
+
+  it('matches by plate and adopts the VIN of a plate-only vehicle', async () => {
+    const byPlate = await vehicleService.linkRecord('request', requestRecord({ licensePlate: 'KA-01-AB-1234' }));
+    const withVin = await vehicleService.linkRecord('request', requestRecord({ vin: VIN, licensePlate: 'ka01 ab1234' }));
+
+    expect(withVin).toBe(byPlate);
+    expect(withVin.vin).toBe(VIN);
+    expect(registry).toHaveLength(1);
+  });
+
+  it('links inspections without identifiers to the vehicle of their request', async () => {
+    const vehicle = await vehicleService.linkRecord('request', requestRecord({ vin: VIN }));
+    jest.spyOn(InspectionRequest, 'findOne').mockReturnValue({ select: () => ({ lean: async () => ({ vehicleId: vehicle._id }) }) });
+
+    const linked = await vehicleService.linkRecord('inspection', inspectionRecord({ mileage: 60000 }));
+
+    expect(linked).toBe(vehicle);
+    expect(vehicle.latestMileage).toBe(60000);
+  });
+
+  it('moves the reading when the record changes vehicle', async () => {
+    const record = requestRecord({ vin: VIN, mileage: 52000 });
+    const first = await vehicleService.linkRecord('request', record);
+    record.vehicleInfo = { vin: '5YJ3E1EA2KF317000', mileage: 52000 };
+
+    const second = await vehicleService.linkRecord('request', record);
+
+    expect(second).not.toBe(first);
+    expect(Vehicle.updateOne).toHaveBeenCalledWith(
+      { _id: first.id },
+      { $pull: { mileageReadings: { source: 'request', sourceId: record._id } } }
+    );
+    expect(record.vehicleId).toBe(second._id);
+  });
+
+  it('unlinks a record whose identifiers were removed', async () => {
+    const record = requestRecord({ vin: VIN });
+    await vehicleService.linkRecord('request', record);
+    record.vehicleInfo = {};
+
+    expect(await vehicleService.linkRecord('request', record)).toBeNull();
+    expect(InspectionRequest.updateOne).toHaveBeenLastCalledWith({ _id: record._id }, { $set: { vehicleId: null } });
+  });
+
+  it('never fails the caller', async () => {
+    Vehicle.findOne.mockImplementation(() => { throw new Error('down'); });
+    await expect(vehicleService.linkRecord('request', requestRecord({ vin: VIN }))).resolves.toBeNull();
+  });
+});
+
+describe('vehicleService lookups', () => {
+  it('searches by normalised VIN and plate prefixes', async () => {
+    const find = jest.spyOn(Vehicle, 'find').mockReturnValue({
+      select: () => ({ sort: () => ({ skip: () => ({ limit: async () => [] }) }) })
+    });
+    jest.spyOn(Vehicle, 'countDocuments').mockResolvedValue(0);
+
+    await vehicleService.searchVehicles({ vin: ' 1hg ', plate: 'ka-01', odometerRollback: true });
+
+    expect(find).toHaveBeenCalledWith({ vin: { $regex: '^1HG' }, plateKey: { $regex: '^KA01' }, odometerRollback: true });
+  });
+
+  it('throws NotFoundError for an unknown vehicle', async () => {
+    await expect(vehicleService.getVehicleById(id().toString())).rejects.toThrow(NotFoundError);
+  });
+
+  it('lists requests and inspections oldest first with their readings', async () => {
+    const request = requestRecord({ vin: VIN, mileage: 52000 });
+    const inspection = inspectionRecord({ vin: VIN, mileage: 31000 });
+    await vehicleService.linkRecord('request', request);
+    const vehicle = await vehicleService.linkRecord('inspection', inspection);
+    jest.spyOn(InspectionRequest, 'find').mockReturnValue({ select: () => ({ lean: async () => [request] }) });
+    jest.spyOn(Inspection, 'find').mockReturnValue({
+      select: () => ({ populate: () => ({ lean: async () => [{ ...inspection, inspectorId: { firstName: 'Ana', lastName: 'Ray' } }] }) })
+    });
+
+    const timeline = await vehicleService.getTimeline(vehicle.id);
+
+    expect(timeline.mileage).toMatchObject({ latest: 31000, rollbackDetected: true });
+    expect(timeline.events.map(event => [event.type, event.mileage, event.rollback]))
+      .toEqual([['request', 52000, false], ['inspection', 31000, true]]);
+    expect(timeline.events[1].inspector).toBe('Ana Ray');
+  });
+});
@@ -0,0 +1,67 @@
+const mongoose = require('mongoose');
+const Make = require('../../src/models/Make');
+const Model = require('../../src/models/Model');
+const vinService = require('../../src/services/vinService');
+const { DatabaseError } = require('../../src/utils/errors');
+
+const honda = { _id: new mongoose.Types.ObjectId(), name: 'HONDA' };
+const accord = { _id: new mongoose.Types.ObjectId(), name: 'ACCORD' };
+
+beforeEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('vinService.decode', () => {
+  it('matches the decoded make and model against the catalogue', async () => {
+    const findMake = jest.spyOn(Make, 'findOne').mockReturnValue({ lean: async () => honda });
+    jest.spyOn(Model, 'findOne').mockReturnValue({ collation: () => ({ lean: async () => accord }) });
+
+    const result = await vinService.decode('1hgcm82633a004352');
+
+    expect(findMake).toHaveBeenCalledWith({ name: { $in: ['HONDA'] } });
+    expect(result).toMatchObject({
+      vin: '1HGCM82633A004352',
+      valid: true,
+      make: 'HONDA',
+      makeId: honda._id.toString(),
+      model: 'ACCORD',
+      modelId: accord._id.toString()
+    });
+  });
+
+  it('keeps the decoded names when the catalogue has no match', async () => {
+    jest.spyOn(Make, 'findOne').mockReturnValue({ lean: async () => null });
+    const findModel = jest.spyOn(Model, 'findOne');
+
+    const result = await vinService.decode('1HGCM82613A004352');
+
+    expect(findModel).not.toHaveBeenCalled();
+    expect(result).toMatchObject({ valid: false, make: 'HONDA', makeId: null, model: 'Accord', modelId: null });
+  });
+
+  it('wraps lookup failures', async () => {
+    jest.spyOn(Make, 'findOne').mockReturnValue({ lean: async () => { throw new Error('down'); } });
+    await expect(vinService.decode('1HGCM82633A004352')).rejects.toThrow(DatabaseError);
+  });
+});
+
+describe('vinService.vehicleWarnings', () => {
+  it('warns when the entered make, model or year disagree with the VIN', () => {
+    const warnings = vinService.vehicleWarnings({ vin: '1HGCM82633A004352', make: 'Toyota', model: 'Civic', year: 2004 });
+    expect(warnings.map(warning => [warning.field, warning.message])).toEqual([
+      ['vehicleInfo.make', 'VIN belongs to a HONDA vehicle'],
+      ['vehicleInfo.model', 'VIN decodes to model Accord'],
+      ['vehicleInfo.year', 'VIN decodes to model year 2003']
+    ]);
+  });
+
+  it('accepts make aliases and matching data', () => {
+    expect(vinService.vehicleWarnings({ vin: 'MA3EWDE1SA0123456', make: 'maruti', year: 1980 })).toEqual([]);
+    expect(vinService.vehicleWarnings({ vin: '1HGCM82633A004352', make: 'honda', model: 'accord', year: '2003' })).toEqual([]);
+  });
+
+  it('has nothing to compare without a well-formed VIN', () => {
+    expect(vinService.vehicleWarnings({ make: 'Toyota' })).toEqual([]);
+    expect(vinService.vehicleWarnings({ vin: 'short', make: 'Toyota' })).toEqual([]);
+  });
+});
@@ -0,0 +1,9 @@
+/**
+ * Jest setup
+ * Services are tested without a database: models are stubbed per test with jest.spyOn. The logger is mocked to keep
+ * output quiet.
+ */
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-jwt-secret';
+
+jest.mock('../src/utils/logger');
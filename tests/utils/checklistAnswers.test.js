@@ -0,0 +1,115 @@
+const {
+  isTypedItem,
+  checkAnswerConfig,
+  checkAnswer,
+  scoreAnswer,
+  resolveTypedItem
+} = require('../../src/utils/checklistAnswers');
+
+const tyrePressure = {
+  answerType: 'number',
+  answerConfig: {
+    min: 0,
+    max: 60,
+    unit: 'psi',
+    thresholds: [
+      { min: 30, max: 36, result: 'pass' },
+      { min: 25, max: 40, result: 'warn' },
+      { max: 25, result: 'fail' }
+    ]
+  }
+};
+const warningLights = { answerType: 'boolean', answerConfig: { expected: false } };
+const tyreBrand = { answerType: 'single_select', answerConfig: { options: [{ value: 'oem', result: 'pass' }, { value: 'other' }] } };
+const damage = {
+  answerType: 'multi_select',
+  answerConfig: {
+    options: [{ value: 'scratch', result: 'warn' }, { value: 'dent', result: 'warn' }, { value: 'rust', result: 'fail' }, { value: 'chip' }]
+  }
+};
+const notes = { answerType: 'text', answerConfig: { maxLength: 10 } };
+
+describe('checklistAnswers.checkAnswer', () => {
+  it.each([
+    [tyrePressure, 32],
+    [warningLights, true],
+    [tyreBrand, 'other'],
+    [damage, ['scratch', 'chip']],
+    [notes, 'Looks fine'],
+    [tyrePressure, null]
+  ])('accepts valid answers (%#)', (item, answer) => {
+    expect(checkAnswer(item, answer)).toBeNull();
+  });
+
+  it.each([
+    [tyrePressure, '32', 'Answer must be a number'],
+    [tyrePressure, 61, 'Answer must be between 0 and 60 psi'],
+    [warningLights, 'no', 'Answer must be true or false'],
+    [tyreBrand, 'cheap', 'Answer must be one of: oem, other'],
+    [damage, [], 'Answer must be a non-empty array of options'],
+    [damage, ['dent', 'dent'], 'Answer cannot repeat an option'],
+    [damage, ['dent', 'hail'], 'Unknown option: hail. Must be one of: scratch, dent, rust, chip'],
+    [notes, 'Much too long', 'Answer must be text of at most 10 characters'],
+    [{ label: 'Paint' }, 'Good', 'Status items are answered with status and rating, not answer']
+  ])('rejects invalid answers (%#)', (item, answer, message) => {
+    expect(checkAnswer(item, answer)).toBe(message);
+  });
+});
+
+describe('checklistAnswers.scoreAnswer', () => {
+  it('uses the first matching number band', () => {
+    expect(scoreAnswer(tyrePressure, 33)).toBe('pass');
+    expect(scoreAnswer(tyrePressure, 38)).toBe('warn');
+    expect(scoreAnswer(tyrePressure, 10)).toBe('fail');
+    expect(scoreAnswer(tyrePressure, 50)).toBeNull();
+  });
+
+  it('scores booleans against the expected value', () => {
+    expect(scoreAnswer(warningLights, false)).toBe('pass');
+    expect(scoreAnswer(warningLights, true)).toBe('fail');
+    expect(scoreAnswer({ answerType: 'boolean' }, true)).toBeNull();
+  });
+
+  it('scores multi-select answers by their worst option', () => {
+    expect(scoreAnswer(damage, ['scratch', 'rust', 'chip'])).toBe('fail');
+    expect(scoreAnswer(damage, ['chip', 'dent'])).toBe('warn');
+    expect(scoreAnswer(damage, ['chip'])).toBeNull();
+  });
+
+  it('does not score text', () => {
+    expect(scoreAnswer(notes, 'ok')).toBeNull();
+  });
+});
+
+describe('checklistAnswers.resolveTypedItem', () => {
+  it('maps results to statuses and ratings', () => {
+    expect(resolveTypedItem(tyrePressure, { answer: 33 })).toEqual({ answer: 33, result: 'pass', status: 'Excellent', rating: 5 });
+    expect(resolveTypedItem(tyrePressure, { answer: 38 })).toEqual({ answer: 38, result: 'warn', status: 'Average', rating: 3 });
+    expect(resolveTypedItem(warningLights, { answer: true })).toEqual({ answer: true, result: 'fail', status: 'Poor', rating: 1 });
+  });
+
+  it('counts unscored answers as Not Applicable and unanswered items as Not Checked', () => {
+    expect(resolveTypedItem(notes, { answer: 'ok' })).toMatchObject({ result: null, status: 'Not Applicable', rating: 0 });
+    expect(resolveTypedItem(notes, { status: 'Good' })).toMatchObject({ answer: null, status: 'Not Checked' });
+    expect(resolveTypedItem(notes, { status: 'Not Applicable' })).toMatchObject({ answer: null, status: 'Not Applicable' });
+  });
+});
+
+describe('checklistAnswers.checkAnswerConfig', () => {
+  it('accepts status items and well-formed typed items', () => {
+    expect(isTypedItem({})).toBe(false);
+    expect(isTypedItem(tyrePressure)).toBe(true);
+    [{}, tyrePressure, tyreBrand, damage, notes].forEach(item => expect(checkAnswerConfig(item)).toBeNull());
+  });
+
+  it('rejects inverted ranges and bad options', () => {
+    expect(checkAnswerConfig({ answerType: 'number', answerConfig: { min: 5, max: 1 } }))
+      .toBe('answerConfig.min cannot be greater than answerConfig.max');
+    expect(checkAnswerConfig({ answerType: 'number', answerConfig: { thresholds: [{ min: 5, max: 1, result: 'pass' }] } }))
+      .toBe('Threshold min cannot be greater than its max');
+    expect(checkAnswerConfig({ answerType: 'single_select', answerConfig: { options: [] } }))
+      .toBe('Select items need at least one option');
+    expect(checkAnswerConfig({ answerType: 'multi_select', answerConfig: { options: [{ value: 'a' }, { value: 'a' }] } }))
+      .toBe('Option values must be unique');
+  });
+});
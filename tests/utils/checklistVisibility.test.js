@@ -0,0 +1,125 @@
+const {
+  itemAnswer,
+  evaluateCondition,
+  visibleChecklist,
+  checkTemplateConditions
+} = require('../../src/utils/checklistVisibility');
+
+const rule = (fields) => ({ operator: 'equals', ...fields });
+const when = (rules, match = 'all') => ({ match, rules });
+
+const template = [
+  {
+    typeName: 'Engine',
+    checklistItems: [
+      { position: 1, label: 'Engine runs', answerType: 'boolean' },
+      { position: 2, label: 'Idle noise', visibleWhen: when([rule({ position: 1, value: true })]) },
+      { position: 3, label: 'Timing belt', visibleWhen: when([rule({ position: 2, operator: 'exists' })]) }
+    ]
+  },
+  {
+    typeName: 'EV Battery',
+    visibleWhen: when([rule({ vehicleField: 'fuelType', operator: 'in', value: ['Electric', 'Hybrid'] })]),
+    checklistItems: [{ position: 1, label: 'State of health' }]
+  },
+  {
+    typeName: 'Clutch',
+    visibleWhen: when([
+      rule({ vehicleField: 'transmission', value: 'manual' }),
+      rule({ typeName: 'Engine', position: 1, value: true })
+    ]),
+    checklistItems: [{ position: 1, label: 'Bite point' }]
+  }
+];
+
+const visible = (vehicle, answers = {}) => {
+  const result = visibleChecklist(template, { vehicle, answerOf: (typeName, position) => answers[`${typeName}:${position}`] ?? null });
+  return Object.fromEntries([...result].map(([typeName, positions]) => [typeName, [...positions]]));
+};
+
+describe('checklistVisibility.evaluateCondition', () => {
+  const test = (condition, value) => evaluateCondition(condition, () => value);
+
+  it('treats a missing condition as always visible', () => {
+    expect(evaluateCondition(undefined, () => null)).toBe(true);
+    expect(evaluateCondition({ rules: [] }, () => null)).toBe(true);
+  });
+
+  it('compares strings case-insensitively and matches multi-select answers by containment', () => {
+    expect(test(when([rule({ value: 'Diesel' })]), ' diesel ')).toBe(true);
+    expect(test(when([rule({ operator: 'in', value: ['rust', 'dent'] })]), ['chip', 'Dent'])).toBe(true);
+    expect(test(when([rule({ operator: 'not_in', value: ['rust'] })]), ['chip'])).toBe(true);
+  });
+
+  it('lets a missing value satisfy only the negative operators', () => {
+    expect(test(when([rule({ value: 'x' })]), null)).toBe(false);
+    expect(test(when([rule({ operator: 'not_equals', value: 'x' })]), null)).toBe(true);
+    expect(test(when([rule({ operator: 'not_exists' })]), [])).toBe(true);
+    expect(test(when([rule({ operator: 'gt', value: 1 })]), '')).toBe(false);
+  });
+
+  it('compares numbers', () => {
+    expect(test(when([rule({ operator: 'gte', value: 2000 })]), '2000')).toBe(true);
+    expect(test(when([rule({ operator: 'lt', value: 2000 })]), 1999)).toBe(true);
+    expect(test(when([rule({ operator: 'lte', value: 2000 })]), 'n/a')).toBe(false);
+  });
+
+  it('combines rules with all or any', () => {
+    const rules = [rule({ value: 'a' }), rule({ value: 'b' })];
+    expect(test(when(rules, 'all'), 'a')).toBe(false);
+    expect(test(when(rules, 'any'), 'a')).toBe(true);
+  });
+});
+
+describe('checklistVisibility.visibleChecklist', () => {
+  it('hides types whose vehicle rules fail', () => {
+    expect(visible({ details: { fuelType: 'Petrol', transmission: 'automatic' } })).toEqual({ Engine: [1] });
+  });
+
+  it('falls back to vehicleInfo when vehicleDetails lacks the field', () => {
+    expect(visible({ details: { fuelType: '' }, info: { fuelType: 'electric' } })).toHaveProperty('EV Battery', [1]);
+  });
+
+  it('shows items and types that depend on earlier answers', () => {
+    const vehicle = { details: { transmission: 'Manual' } };
+    expect(visible(vehicle, { 'Engine:1': true, 'Engine:2': 'Good' })).toEqual({ Engine: [1, 2, 3], Clutch: [1] });
+    expect(visible(vehicle, { 'Engine:1': false })).toEqual({ Engine: [1] });
+  });
+
+  it('treats answers of hidden items as unanswered', () => {
+    // Item 2 keeps a stale answer after item 1 changed; item 3 must not stay visible because of it
+    expect(visible({}, { 'Engine:1': false, 'Engine:2': 'Good' })).toEqual({ Engine: [1] });
+  });
+
+  it('reads typed answers, or the status of status items', () => {
+    expect(itemAnswer({ answerType: 'number', answer: 32, status: 'Excellent' })).toBe(32);
+    expect(itemAnswer({ status: 'Good' })).toBe('Good');
+  });
+});
+
+describe('checklistVisibility.checkTemplateConditions', () => {
+  it('accepts rules on vehicle fields and earlier items', () => {
+    expect(checkTemplateConditions(template)).toBeNull();
+  });
+
+  it('rejects rules on later or missing items', () => {
+    const forward = [{
+      typeName: 'Engine',
+      checklistItems: [
+        { position: 1, visibleWhen: when([rule({ position: 2, value: 'Good' })]) },
+        { position: 2 }
+      ]
+    }];
+    expect(checkTemplateConditions(forward))
+      .toBe('Engine item 1 depends on Engine item 2, which must come earlier in the template');
+
+    const laterType = [{ typeName: 'Clutch', visibleWhen: when([rule({ typeName: 'Engine', position: 1 })]), checklistItems: [] }];
+    expect(checkTemplateConditions(laterType))
+      .toBe('Type Clutch depends on Engine item 1, which must exist in an earlier type');
+  });
+
+  it('requires type conditions to name the type they test', () => {
+    const unnamed = [{ typeName: 'Clutch', visibleWhen: when([rule({ position: 1 })]), checklistItems: [] }];
+    expect(checkTemplateConditions(unnamed)).toBe('Conditions of type Clutch must name the typeName of the item they test');
+  });
+});
@@ -0,0 +1,73 @@
+const { scoreInspection, gradeFor, isCriticalFailure } = require('../../src/utils/inspectionScoring');
+const { INSPECTION_SCORING } = require('../../src/config/constants');
+
+const item = (rating, fields = {}) => ({ status: 'Good', rating, ...fields });
+
+describe('inspectionScoring.scoreInspection', () => {
+  it('weight-averages item ratings within a type', () => {
+    const result = scoreInspection([{ typeName: 'Engine', checklistItems: [item(5, { weight: 3 }), item(1)] }]);
+    // (5 * 3 + 1) / 4
+    expect(result.typeScores).toEqual([4]);
+    expect(result.overallRating).toBe(4);
+  });
+
+  it('skips Not Applicable, Not Checked and zero-weight items', () => {
+    const result = scoreInspection([{
+      typeName: 'Engine',
+      checklistItems: [
+        item(4),
+        { status: 'Not Applicable', rating: 0 },
+        { status: 'Not Checked', rating: 0 },
+        item(1, { weight: 0 })
+      ]
+    }]);
+    expect(result.typeScores).toEqual([4]);
+    expect(result.breakdown.types[0].ratedItems).toBe(1);
+  });
+
+  it('weight-averages types that have rated items and reports their contributions', () => {
+    const result = scoreInspection([
+      { typeName: 'Engine', weight: 3, checklistItems: [item(5)] },
+      { typeName: 'Interior', checklistItems: [item(1)] },
+      { typeName: 'Extras', weight: 5, checklistItems: [{ status: 'Not Checked', rating: 0 }] }
+    ]);
+    expect(result.typeScores).toEqual([5, 1, 0]);
+    expect(result.overallRating).toBe(4);
+    expect(result.grade).toBe('B');
+    expect(result.breakdown.types.map(type => type.contribution)).toEqual([3.75, 0.25, 0]);
+  });
+
+  it('caps the overall score when a critical item fails', () => {
+    const result = scoreInspection([{
+      typeName: 'Brakes',
+      checklistItems: [
+        item(5, { weight: 10 }),
+        item(1, { position: 2, label: 'Brake pads', status: 'Poor', critical: true })
+      ]
+    }]);
+    expect(result.breakdown).toMatchObject({
+      weightedScore: 4.64,
+      cap: INSPECTION_SCORING.CRITICAL_FAIL_CAP,
+      score: INSPECTION_SCORING.CRITICAL_FAIL_CAP,
+      criticalFailures: [{ typeName: 'Brakes', position: 2, label: 'Brake pads' }]
+    });
+    expect(result.grade).toBe('D');
+  });
+
+  it('scores an empty inspection as zero', () => {
+    expect(scoreInspection()).toMatchObject({ typeScores: [], overallRating: 0, grade: 'D' });
+  });
+});
+
+describe('inspectionScoring helpers', () => {
+  it('flags failed critical items only', () => {
+    expect(isCriticalFailure({ critical: true, status: 'Poor' })).toBe(true);
+    expect(isCriticalFailure({ critical: true, status: 'Average', result: 'fail' })).toBe(true);
+    expect(isCriticalFailure({ critical: true, status: 'Average' })).toBe(false);
+    expect(isCriticalFailure({ status: 'Poor' })).toBe(false);
+  });
+
+  it.each([[5, 'A'], [4.5, 'A'], [4.49, 'B'], [2.5, 'C'], [0, 'D']])('grades %s as %s', (score, grade) => {
+    expect(gradeFor(score)).toBe(grade);
+  });
+});
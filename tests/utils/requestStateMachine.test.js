@@ -0,0 +1,97 @@
+const {
+  getAllowedTransitions,
+  canTransition,
+  assertTransition,
+  transition
+} = require('../../src/utils/requestStateMachine');
+const { REQUEST_STATUS } = require('../../src/config/constants');
+const { BadRequestError } = require('../../src/utils/errors');
+
+const { PENDING, ASSIGNED, IN_PROGRESS, COMPLETED, CANCELLED, RESCHEDULED, ON_HOLD } = REQUEST_STATUS;
+
+const request = (status, fields = {}) => ({ status, assignedInspectorId: 'i1', statusHistory: [], ...fields });
+
+const thrown = (fn) => {
+  try {
+    fn();
+  } catch (error) {
+    return error;
+  }
+  return null;
+};
+
+describe('requestStateMachine transitions', () => {
+  it.each([
+    [PENDING, ASSIGNED],
+    [ASSIGNED, IN_PROGRESS],
+    [IN_PROGRESS, COMPLETED],
+    [IN_PROGRESS, ON_HOLD],
+    [ON_HOLD, IN_PROGRESS],
+    [RESCHEDULED, PENDING],
+    [ASSIGNED, CANCELLED]
+  ])('allows %s -> %s', (from, to) => {
+    expect(canTransition(from, to)).toBe(true);
+    expect(() => assertTransition(request(from), to)).not.toThrow();
+  });
+
+  it.each([
+    [PENDING, IN_PROGRESS],
+    [PENDING, COMPLETED],
+    [IN_PROGRESS, PENDING],
+    [IN_PROGRESS, ASSIGNED],
+    [RESCHEDULED, COMPLETED]
+  ])('rejects %s -> %s and lists the allowed targets', (from, to) => {
+    expect(canTransition(from, to)).toBe(false);
+
+    const error = thrown(() => assertTransition(request(from), to));
+    expect(error).toBeInstanceOf(BadRequestError);
+    expect(error.message).toBe(`Cannot change request status from '${from}' to '${to}'`);
+    expect(error.errors[0].message).toBe(`Allowed transitions from '${from}': ${getAllowedTransitions(from).join(', ')}`);
+  });
+
+  it.each([COMPLETED, CANCELLED])('treats %s as final', (from) => {
+    expect(getAllowedTransitions(from)).toEqual([]);
+    const error = thrown(() => assertTransition(request(from), PENDING));
+    expect(error).toBeInstanceOf(BadRequestError);
+    expect(error.errors[0].message).toBe(`'${from}' is a final status`);
+  });
+
+  it('has no transitions from unknown statuses', () => {
+    expect(getAllowedTransitions('archived')).toEqual([]);
+    expect(canTransition('archived', PENDING)).toBe(false);
+  });
+
+  it.each([ASSIGNED, IN_PROGRESS, COMPLETED])('needs an inspector to move to %s', (to) => {
+    const from = to === ASSIGNED ? PENDING : ASSIGNED;
+    expect(() => assertTransition(request(from, { assignedInspectorId: null }), to))
+      .toThrow(`Cannot change request status to '${to}' without an assigned inspector`);
+  });
+});
+
+describe('requestStateMachine.transition', () => {
+  it('changes the status and records who made the change', () => {
+    const doc = request(PENDING);
+    const result = transition(doc, ASSIGNED, { actor: { _id: 'a1', role: 'admin' }, reason: 'Dispatched' });
+
+    expect(result).toBe(doc);
+    expect(doc.status).toBe(ASSIGNED);
+    expect(doc.statusHistory).toEqual([expect.objectContaining({
+      from: PENDING, to: ASSIGNED, changedBy: 'a1', changedByRole: 'admin', reason: 'Dispatched', changedAt: expect.any(Date)
+    })]);
+  });
+
+  it('records system changes and truncates long reasons', () => {
+    const doc = request(ASSIGNED, { statusHistory: undefined });
+    transition(doc, ON_HOLD, { reason: 'x'.repeat(600) });
+
+    expect(doc.statusHistory[0]).toMatchObject({ changedBy: null, changedByRole: 'system' });
+    expect(doc.statusHistory[0].reason).toHaveLength(500);
+  });
+
+  it('leaves the request untouched on an illegal transition', () => {
+    const doc = request(COMPLETED);
+    expect(() => transition(doc, IN_PROGRESS)).toThrow(BadRequestError);
+    expect(doc.status).toBe(COMPLETED);
+    expect(doc.statusHistory).toHaveLength(0);
+  });
+});
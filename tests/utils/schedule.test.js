@@ -0,0 +1,81 @@
+const schedule = require('../../src/utils/schedule');
+
+const at = (iso) => new Date(iso);
+const interval = (start, end) => ({ start: at(start), end: at(end) });
+
+describe('schedule time zones', () => {
+  it('recognises IANA time zones', () => {
+    expect(schedule.isValidTimeZone('Asia/Kolkata')).toBe(true);
+    expect(schedule.isValidTimeZone('Mars/Olympus')).toBe(false);
+  });
+
+  it('converts wall-clock times to UTC on both sides of a DST change', () => {
+    const nineAm = (day) => schedule.zonedTimeToUtc({ year: 2026, month: 3, day, hour: 9, minute: 0 }, 'America/New_York');
+    // US daylight saving starts on Sunday 8 March 2026
+    expect(nineAm(7)).toEqual(at('2026-03-07T14:00:00Z'));
+    expect(nineAm(9)).toEqual(at('2026-03-09T13:00:00Z'));
+  });
+
+  it('handles zones with half-hour offsets', () => {
+    expect(schedule.zonedTimeToUtc({ year: 2026, month: 1, day: 5, hour: 9, minute: 30 }, 'Asia/Kolkata'))
+      .toEqual(at('2026-01-05T04:00:00Z'));
+    expect(schedule.getZonedParts(at('2026-01-04T20:00:00Z'), 'Asia/Kolkata'))
+      .toMatchObject({ year: 2026, month: 1, day: 5, hour: 1, minute: 30, weekday: 1 });
+  });
+});
+
+describe('schedule.expandWorkingHours', () => {
+  const weekdays = [1, 2, 3, 4, 5].map(dayOfWeek => ({ dayOfWeek, start: '09:00', end: '17:00' }));
+
+  it('places working hours on local days of the inspector', () => {
+    // Monday 5 January 2026 in Kolkata (UTC+5:30)
+    const result = schedule.expandWorkingHours(weekdays, 'Asia/Kolkata', at('2026-01-05T00:00:00Z'), at('2026-01-06T00:00:00Z'));
+    expect(result).toEqual([interval('2026-01-05T03:30:00Z', '2026-01-05T11:30:00Z')]);
+  });
+
+  it('keeps local hours across a DST change', () => {
+    const result = schedule.expandWorkingHours(weekdays, 'America/New_York', at('2026-03-06T00:00:00Z'), at('2026-03-10T00:00:00Z'));
+    expect(result).toEqual([
+      interval('2026-03-06T14:00:00Z', '2026-03-06T22:00:00Z'),
+      interval('2026-03-09T13:00:00Z', '2026-03-09T21:00:00Z')
+    ]);
+  });
+
+  it('clips to the range and merges adjoining blocks', () => {
+    const split = [{ dayOfWeek: 1, start: '09:00', end: '12:00' }, { dayOfWeek: 1, start: '12:00', end: '17:00' }];
+    const result = schedule.expandWorkingHours(split, 'UTC', at('2026-01-05T10:00:00Z'), at('2026-01-05T15:00:00Z'));
+    expect(result).toEqual([interval('2026-01-05T10:00:00Z', '2026-01-05T15:00:00Z')]);
+  });
+});
+
+describe('schedule interval arithmetic', () => {
+  const day = interval('2026-01-05T09:00:00Z', '2026-01-05T17:00:00Z');
+
+  it('treats touching intervals as not overlapping', () => {
+    expect(schedule.overlaps(day, interval('2026-01-05T17:00:00Z', '2026-01-05T18:00:00Z'))).toBe(false);
+    expect(schedule.overlaps(day, interval('2026-01-05T16:59:00Z', '2026-01-05T18:00:00Z'))).toBe(true);
+  });
+
+  it('removes bookings and time-off from working hours', () => {
+    const free = schedule.subtractIntervals([day], [
+      interval('2026-01-05T11:00:00Z', '2026-01-05T12:30:00Z'),
+      interval('2026-01-05T12:00:00Z', '2026-01-05T13:00:00Z'),
+      interval('2026-01-05T16:00:00Z', '2026-01-05T20:00:00Z')
+    ]);
+    expect(free).toEqual([
+      interval('2026-01-05T09:00:00Z', '2026-01-05T11:00:00Z'),
+      interval('2026-01-05T13:00:00Z', '2026-01-05T16:00:00Z')
+    ]);
+  });
+
+  it('only accepts slots that fit inside one interval', () => {
+    const start = at('2026-01-05T15:30:00Z');
+    expect(schedule.isContained({ start, end: schedule.addMinutes(start, 90) }, [day])).toBe(true);
+    expect(schedule.isContained({ start, end: schedule.addMinutes(start, 91) }, [day])).toBe(false);
+  });
+
+  it('parses times of day', () => {
+    expect(schedule.parseTimeOfDay('09:30')).toBe(570);
+    expect(schedule.parseTimeOfDay('18')).toBe(1080);
+  });
+});
@@ -0,0 +1,80 @@
+const { normalizeVin, checkDigitFor, validateVin, decodeVin } = require('../../src/utils/vin');
+
+const now = new Date('2026-10-18T00:00:00Z');
+
+describe('vin.validateVin', () => {
+  it('accepts a North American VIN with the right check digit, ignoring case and spaces', () => {
+    expect(normalizeVin(' 1hgcm82633a004352 ')).toBe('1HGCM82633A004352');
+    expect(checkDigitFor('1HGCM82633A004352')).toBe('3');
+    expect(validateVin(' 1hgcm82633a004352 ')).toEqual({
+      vin: '1HGCM82633A004352',
+      valid: true,
+      error: null,
+      checkDigit: { expected: '3', actual: '3', valid: true, required: true }
+    });
+  });
+
+  it('requires the check digit for North American VINs', () => {
+    expect(validateVin('1HGCM82613A004352')).toMatchObject({
+      valid: false,
+      error: 'Invalid VIN check digit (expected 3)',
+      checkDigit: { actual: '1', valid: false, required: true }
+    });
+  });
+
+  it('reports but tolerates a mismatch elsewhere', () => {
+    expect(validateVin('WVWZZZ1JZ3W386752')).toMatchObject({
+      valid: true,
+      error: null,
+      checkDigit: { expected: '9', actual: 'Z', valid: false, required: false }
+    });
+  });
+
+  it('maps a remainder of 10 to X', () => {
+    // Change the last character until the weighted sum leaves remainder 10
+    const vin = [...'0123456789ABCDEFGH'].map(last => `1HGCM826X3A00435${last}`).find(candidate => checkDigitFor(candidate) === 'X');
+    expect(validateVin(vin)).toMatchObject({ valid: true, checkDigit: { expected: 'X' } });
+  });
+
+  it.each([
+    ['1HGCM82633A00435', 'VIN must be 17 characters'],
+    ['1HGCM82633A00435O', 'VIN may only contain digits and letters other than I, O and Q']
+  ])('rejects malformed VINs (%s)', (vin, error) => {
+    expect(validateVin(vin)).toEqual({ vin, valid: false, error, checkDigit: null });
+  });
+});
+
+describe('vin.decodeVin', () => {
+  it('decodes manufacturer, model and model year', () => {
+    expect(decodeVin('1HGCM82633A004352', now)).toEqual({
+      wmi: '1HG',
+      vds: 'CM826',
+      vis: '3A004352',
+      region: 'North America',
+      country: 'United States',
+      manufacturer: 'Honda of America',
+      make: 'HONDA',
+      model: 'Accord',
+      modelYear: 2003,
+      modelYearCandidates: [2003]
+    });
+  });
+
+  it('uses position 7 to pick the model-year cycle of North American VINs', () => {
+    expect(decodeVin('5YJ3E1EA2KF317000', now)).toMatchObject({ model: 'Model 3', modelYear: 2019, modelYearCandidates: [2019] });
+  });
+
+  it('lists every possible model year elsewhere, latest first', () => {
+    expect(decodeVin('MA3EWDE1SA0123456', now)).toMatchObject({
+      region: 'Asia',
+      make: 'MARUTI SUZUKI',
+      model: null,
+      modelYear: 2010,
+      modelYearCandidates: [2010, 1980]
+    });
+  });
+
+  it('leaves unknown manufacturers empty', () => {
+    expect(decodeVin('9BWZZZ377VT004251', now)).toMatchObject({ region: 'South America', manufacturer: null, make: null, model: null });
+  });
+});